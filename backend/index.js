@@ -0,0 +1,47 @@
+require('dotenv').config();
+
+const config = require('./src/config');
+const logger = require('./src/utils/logger');
+const { connectDatabase, disconnectDatabase } = require('./src/config/database');
+const { initTaskEvents, closeTaskEvents } = require('./src/events/taskEvents');
+const { attachWebSocketServer } = require('./src/realtime/websocketServer');
+const { ensureAdminUser } = require('./src/services/authService');
+const { startApiJobs } = require('./src/jobs/retentionJobs');
+const { startReaper, startDispatcher } = require('./src/jobs/workerJobs');
+const createApp = require('./src/app');
+
+const start = async () => {
+  await connectDatabase();
+  await ensureAdminUser();
+  await initTaskEvents();
+
+  const app = createApp();
+  const server = app.listen(config.port, () => {
+    logger.info(`API server listening on port ${config.port}`, { env: config.env });
+  });
+  const websocketServer = attachWebSocketServer(server);
+  const stopJobs = startApiJobs();
+  const stopReaper = startReaper();
+  const stopDispatcher = startDispatcher();
+
+  const shutdown = (signal) => {
+    logger.info(`Received ${signal}, shutting down`);
+    stopJobs();
+    stopReaper();
+    stopDispatcher();
+    server.close(async () => {
+      await closeTaskEvents();
+      await disconnectDatabase();
+      process.exit(0);
+    });
+    websocketServer.close();
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+};
+
+start().catch((err) => {
+  logger.error('Failed to start API server', { error: err.stack || err.message });
+  process.exit(1);
+});
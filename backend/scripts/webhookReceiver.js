@@ -0,0 +1,84 @@
+/**
+ * Local webhook receiver for trying out webhook deliveries.
+ *
+ *   WEBHOOK_SECRET=whsec_... npm run webhook:receiver
+ *
+ * Logs every request and checks its X-Webhook-Signature against
+ * WEBHOOK_SECRET, answering 401 when it does not match. Set
+ * RECEIVER_FAIL_FIRST=n to answer the first n requests with 500 and watch the
+ * retries in GET /api/webhooks/deliveries.
+ *
+ * Environment: RECEIVER_PORT (default 4000), WEBHOOK_SECRET, RECEIVER_FAIL_FIRST
+ */
+const http = require('http');
+const crypto = require('crypto');
+
+const port = Number(process.env.RECEIVER_PORT) || 4000;
+const secret = process.env.WEBHOOK_SECRET || null;
+let failuresLeft = Number(process.env.RECEIVER_FAIL_FIRST) || 0;
+
+// Signatures older than this are rejected to stop replays
+const TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Check a `t=<timestamp>,v1=<hex>` signature header
+ * @param {string|undefined} header - X-Webhook-Signature value
+ * @param {string} body - Raw request body
+ * @returns {string|null} - Why the signature is invalid, null when valid
+ */
+const verifySignature = (header, body) => {
+  const parts = Object.fromEntries(
+    String(header || '')
+      .split(',')
+      .map((part) => part.split('='))
+  );
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1) return 'missing or malformed signature';
+  if (Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SECONDS) return 'timestamp out of tolerance';
+
+  const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  if (received.length !== expected.length / 2) return 'signature mismatch';
+  return crypto.timingSafeEqual(received, Buffer.from(expected, 'hex')) ? null : 'signature mismatch';
+};
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const event = req.headers['x-webhook-event'];
+    const deliveryId = req.headers['x-webhook-id'];
+
+    let status = 200;
+    let note = 'ok';
+    if (secret) {
+      const problem = verifySignature(req.headers['x-webhook-signature'], body);
+      if (problem) {
+        status = 401;
+        note = problem;
+      }
+    } else {
+      note = 'ok (signature not checked, WEBHOOK_SECRET is not set)';
+    }
+    if (status === 200 && failuresLeft > 0) {
+      failuresLeft -= 1;
+      status = 500;
+      note = `simulated failure, ${failuresLeft} left`;
+    }
+
+    console.log(`[${new Date().toISOString()}] ${event} ${deliveryId} -> ${status} ${note}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch (err) {
+      console.log(body);
+    }
+
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received: status === 200, note }));
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}`);
+});
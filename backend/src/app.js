@@ -0,0 +1,46 @@
+const express = require('express');
+const cors = require('cors');
+const bodyParser = require('body-parser');
+const config = require('./config');
+const uploadRoutes = require('./routes/uploads');
+const taskRoutes = require('./routes/tasks');
+const adminRoutes = require('./routes/admin');
+const authRoutes = require('./routes/auth');
+const fileRoutes = require('./routes/files');
+const usageRoutes = require('./routes/usage');
+const webhookRoutes = require('./routes/webhooks');
+const { notFoundHandler, errorHandler } = require('./middleware/errorHandler');
+const { authenticate, authenticateStream, requireRole } = require('./middleware/auth');
+
+/**
+ * Build the Express application
+ * @returns {express.Express}
+ */
+const createApp = () => {
+  const app = express();
+
+  app.use(cors({ origin: config.cors.origin, credentials: config.cors.credentials }));
+  app.use(bodyParser.json({ limit: '1mb' }));
+
+  app.get('/health', (req, res) => {
+    res.json({ status: 'healthy', timestamp: new Date().toISOString() });
+  });
+
+  app.use('/api/auth', authRoutes);
+  app.use('/api/videos/uploads', authenticate, uploadRoutes);
+  // EventSource cannot send headers; its streams also take a stream ticket
+  app.get(['/api/tasks/stream', '/api/tasks/:taskId/logs/stream'], authenticateStream);
+  app.use('/api/tasks', authenticate, taskRoutes);
+  app.use('/api/usage', authenticate, usageRoutes);
+  app.use('/api/webhooks', authenticate, webhookRoutes);
+  app.use('/api/admin', authenticate, requireRole('admin'), adminRoutes);
+  // Signed links carry their own authorisation
+  app.use('/api/files', fileRoutes);
+
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = createApp;
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+const config = require('./index');
+const logger = require('../utils/logger');
+
+/**
+ * Connect mongoose to the configured MongoDB instance
+ * @returns {Promise<typeof mongoose>}
+ */
+const connectDatabase = async () => {
+  mongoose.connection.on('disconnected', () => logger.warn('MongoDB disconnected'));
+  mongoose.connection.on('reconnected', () => logger.info('MongoDB reconnected'));
+
+  await mongoose.connect(config.database.mongoUri);
+  logger.info('Connected to MongoDB');
+  return mongoose;
+};
+
+/**
+ * Close the mongoose connection
+ */
+const disconnectDatabase = () => mongoose.disconnect();
+
+module.exports = { connectDatabase, disconnectDatabase };
@@ -0,0 +1,225 @@
+const path = require('path');
+
+/**
+ * Parse a comma separated env value into a trimmed, non-empty list
+ * @param {string|undefined} value - Raw env value
+ * @param {string[]} fallback - Value used when the variable is unset
+ * @returns {string[]}
+ */
+const parseList = (value, fallback = []) => {
+  if (!value) return fallback;
+  return value
+    .split(',')
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+/**
+ * Parse an integer env value
+ * @param {string|undefined} value - Raw env value
+ * @param {number} fallback - Value used when the variable is unset or invalid
+ * @returns {number}
+ */
+const parseInteger = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+/**
+ * Read a cron schedule; an empty value disables the job
+ * @param {string|undefined} value - Raw env value
+ * @param {string} fallback - Schedule used when the variable is unset
+ * @returns {string|null}
+ */
+const parseSchedule = (value, fallback) => {
+  if (value === undefined) return fallback;
+  return value.trim() || null;
+};
+
+/**
+ * Parse a boolean env value ("true"/"false")
+ * @param {string|undefined} value - Raw env value
+ * @param {boolean} fallback - Value used when the variable is unset
+ * @returns {boolean}
+ */
+const parseBoolean = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  return String(value).toLowerCase() === 'true';
+};
+
+const env = process.env.NODE_ENV || 'development';
+// Environments that may run without secrets configured
+const DEVELOPMENT_ENVS = ['development', 'test'];
+
+/**
+ * Read a secret env value. Anywhere but development and tests a missing
+ * secret stops startup, since a built-in default would let anyone who knows
+ * it forge tokens and links.
+ * @param {string} name - Env variable
+ * @returns {string}
+ * @throws {Error} - When unset outside development and tests
+ */
+const readSecret = (name) => {
+  if (process.env[name]) return process.env[name];
+  if (!DEVELOPMENT_ENVS.includes(env)) {
+    throw new Error(`${name} must be set when NODE_ENV is "${env}"`);
+  }
+  return `development-only-${name.toLowerCase()}`;
+};
+
+const config = {
+  env,
+  port: parseInteger(process.env.PORT, 5000),
+  appName: process.env.APP_NAME || 'async-video-processing-backend',
+  logLevel: process.env.LOG_LEVEL || 'info',
+
+  cors: {
+    origin: parseList(process.env.CORS_ORIGIN, ['http://localhost:3000']),
+    credentials: parseBoolean(process.env.CORS_CREDENTIALS, true),
+  },
+
+  auth: {
+    accessTokenSecret: readSecret('JWT_SECRET'),
+    // Short-lived; clients refresh it with the refresh token
+    accessTokenTtl: process.env.JWT_EXPIRATION || '15m',
+    refreshTokenSecret: readSecret('JWT_REFRESH_SECRET'),
+    refreshTokenTtl: process.env.JWT_REFRESH_EXPIRATION || '7d',
+    // Admin account created on startup when no admin exists yet
+    adminEmail: process.env.ADMIN_EMAIL || null,
+    adminPassword: process.env.ADMIN_PASSWORD || null,
+  },
+
+  upload: {
+    uploadDir: path.resolve(process.env.UPLOAD_DIR || './uploads'),
+    tempDir: path.resolve(process.env.TEMP_DIR || './temp'),
+    maxFileSize: parseInteger(process.env.MAX_FILE_SIZE, 5 * 1024 * 1024 * 1024),
+    chunkSize: parseInteger(process.env.UPLOAD_CHUNK_SIZE, 8 * 1024 * 1024),
+    sessionTtlHours: parseInteger(process.env.UPLOAD_SESSION_TTL_HOURS, 24),
+    allowedVideoFormats: parseList(process.env.ALLOWED_VIDEO_FORMATS, [
+      'mp4',
+      'avi',
+      'mov',
+      'mkv',
+      'webm',
+    ]),
+    // Formats audio can be extracted to (see validators/processingSettings)
+    allowedAudioFormats: parseList(process.env.ALLOWED_AUDIO_FORMATS, ['mp3', 'aac', 'flac', 'wav']),
+  },
+
+  // Per-user limits; 0 means unlimited. Admins are exempt and an admin can
+  // override them for a single account (PATCH /api/admin/users/:id/quotas).
+  quotas: {
+    storageBytes: parseInteger(process.env.QUOTA_STORAGE_BYTES, 20 * 1024 * 1024 * 1024),
+    concurrentJobs: parseInteger(process.env.QUOTA_CONCURRENT_JOBS, 3),
+    dailyProcessingMinutes: parseInteger(process.env.QUOTA_DAILY_PROCESSING_MINUTES, 240),
+    uploadsPerHour: parseInteger(process.env.QUOTA_UPLOADS_PER_HOUR, 30),
+  },
+
+  // Scheduled cleanup, see services/retentionService. Days count from when a task
+  // finishes; 0 keeps files forever. Admins can override them per user and users per task.
+  retention: {
+    cleanupTempFiles: parseBoolean(process.env.CLEANUP_TEMP_FILES, true),
+    tempFileRetentionHours: parseInteger(process.env.TEMP_FILE_RETENTION_HOURS, 24),
+    tempCleanupSchedule: parseSchedule(process.env.TEMP_CLEANUP_CRON, '*/30 * * * *'),
+    sourceDays: parseInteger(process.env.RETENTION_SOURCE_DAYS, 30),
+    outputDays: parseInteger(process.env.RETENTION_OUTPUT_DAYS, 90),
+    schedule: parseSchedule(process.env.RETENTION_CRON, '0 3 * * *'),
+  },
+
+  storage: {
+    // local or s3
+    backend: (process.env.STORAGE_BACKEND || 'local').toLowerCase(),
+    // Root of the local driver; also where existing uploads already live
+    localRoot: path.resolve(process.env.UPLOAD_DIR || './uploads'),
+    // Scratch space the worker processes files in before storing them
+    workDir: path.resolve(process.env.TEMP_DIR || './temp', 'work'),
+    // Signs URLs served by the API (GET /api/files/*); kept apart from the JWT secrets
+    signingSecret: readSecret('STORAGE_SIGNING_SECRET'),
+    signedUrlTtlSeconds: parseInteger(process.env.SIGNED_URL_TTL_SECONDS, 3600),
+    s3: {
+      bucket: process.env.AWS_S3_BUCKET || '',
+      region: process.env.AWS_S3_BUCKET_REGION || process.env.AWS_REGION || 'us-east-1',
+      // S3-compatible services (MinIO, LocalStack, R2, ...): custom endpoint, usually path-style
+      endpoint: process.env.S3_ENDPOINT || null,
+      forcePathStyle: parseBoolean(process.env.S3_FORCE_PATH_STYLE, false),
+      accessKeyId: process.env.AWS_ACCESS_KEY_ID || null,
+      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || null,
+      keyPrefix: process.env.S3_KEY_PREFIX || 'videos/',
+      encryption: parseBoolean(process.env.S3_ENABLE_ENCRYPTION, false),
+      kmsKeyId: process.env.S3_ENCRYPTION_KEY_ID || null,
+    },
+  },
+
+  database: {
+    mongoUri: process.env.MONGODB_URI || 'mongodb://localhost:27017/async_video_db',
+  },
+
+  redis: {
+    url: process.env.REDIS_URL || 'redis://localhost:6379/0',
+    queuePrefix: process.env.REDIS_QUEUE_PREFIX || 'async_video_',
+    queueName: process.env.BULL_QUEUE_NAME || 'video_processing',
+    deadLetterQueueName: process.env.BULL_DEAD_LETTER_QUEUE_NAME || 'video_processing_dead_letter',
+    updatesChannel: process.env.REDIS_UPDATES_CHANNEL || 'task_updates',
+    webhookQueueName: process.env.BULL_WEBHOOK_QUEUE_NAME || 'webhook_delivery',
+  },
+
+  realtime: {
+    heartbeatIntervalMs: parseInteger(process.env.REALTIME_HEARTBEAT_INTERVAL_MS, 30000),
+  },
+
+  worker: {
+    concurrency: parseInteger(process.env.WORKER_CONCURRENCY, 4),
+    timeoutMs: parseInteger(process.env.WORKER_TIMEOUT_MS, 60 * 60 * 1000),
+    maxAttempts: parseInteger(process.env.WORKER_MAX_ATTEMPTS, 3),
+    backoffDelay: parseInteger(process.env.WORKER_BACKOFF_DELAY, 5000),
+    // Workers report in and renew the lease on each running task this often
+    heartbeatIntervalMs: parseInteger(process.env.WORKER_HEARTBEAT_INTERVAL_MS, 10000),
+    // A processing task whose lease is not renewed for this long is recovered by the reaper
+    leaseTtlMs: parseInteger(process.env.WORKER_LEASE_TTL_MS, 60000),
+    reaperSchedule: parseSchedule(process.env.WORKER_REAPER_CRON, '*/30 * * * * *'),
+    // Workers that stopped reporting are listed as offline for this long
+    offlineRetentionMs: parseInteger(process.env.WORKER_OFFLINE_RETENTION_MS, 60 * 60 * 1000),
+  },
+
+  // Job priorities and fair-share dispatch to workers, see services/schedulerService
+  scheduling: {
+    defaultPriority: (process.env.DEFAULT_PRIORITY || 'normal').toLowerCase(),
+    // Highest priority each role may pick
+    maxPriority: {
+      user: (process.env.MAX_PRIORITY_USER || 'normal').toLowerCase(),
+      admin: (process.env.MAX_PRIORITY_ADMIN || 'high').toLowerCase(),
+    },
+    dispatchSchedule: parseSchedule(process.env.SCHEDULER_DISPATCH_CRON, '*/10 * * * * *'),
+    // Run time assumed for queue ETAs until tasks have completed
+    defaultRunSeconds: parseInteger(process.env.SCHEDULER_DEFAULT_RUN_SECONDS, 300),
+  },
+
+  // Webhook notifications, sent by the worker process (see services/webhookService)
+  webhooks: {
+    timeoutMs: parseInteger(process.env.WEBHOOK_TIMEOUT_MS, 10000),
+    // Retries after the first attempt fails; the delay doubles after each one
+    retryAttempts: parseInteger(process.env.WEBHOOK_RETRY_ATTEMPTS, 5),
+    backoffDelay: parseInteger(process.env.WEBHOOK_BACKOFF_DELAY, 10000),
+    concurrency: parseInteger(process.env.WEBHOOK_CONCURRENCY, 5),
+    // Lets webhooks reach loopback and private addresses, for trying out a local receiver
+    allowPrivateHosts: parseBoolean(process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS, false),
+  },
+
+  processing: {
+    outputFormats: parseList(process.env.OUTPUT_FORMATS, ['mp4', 'webm', 'hls']),
+    outputQuality: process.env.OUTPUT_QUALITY || 'medium',
+    enableThumbnails: parseBoolean(process.env.ENABLE_THUMBNAIL_GENERATION, true),
+    thumbnailCount: parseInteger(process.env.THUMBNAIL_COUNT, 5),
+    enableSubtitles: parseBoolean(process.env.ENABLE_SUBTITLES, false),
+    enableHls: parseBoolean(process.env.ENABLE_HLS_STREAMING, true),
+    hlsSegmentDuration: parseInteger(process.env.HLS_SEGMENT_DURATION, 10),
+  },
+
+  ffmpeg: {
+    ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+    ffprobePath: process.env.FFPROBE_PATH || 'ffprobe',
+    timeoutMs: parseInteger(process.env.FFMPEG_TIMEOUT_MS, 30 * 60 * 1000),
+  },
+};
+
+module.exports = config;
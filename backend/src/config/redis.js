@@ -0,0 +1,19 @@
+const { createClient } = require('redis');
+const config = require('./index');
+const logger = require('../utils/logger');
+
+/**
+ * Create and connect a Redis client
+ * @param {string} name - Label used in log messages
+ * @returns {Promise<import('redis').RedisClientType>}
+ */
+const createRedisClient = async (name) => {
+  const client = createClient({ url: config.redis.url });
+  client.on('error', (err) => logger.error(`Redis ${name} client error`, { error: err.message }));
+  client.on('reconnecting', () => logger.warn(`Redis ${name} client reconnecting`));
+
+  await client.connect();
+  return client;
+};
+
+module.exports = { createRedisClient };
@@ -0,0 +1,119 @@
+const { EventEmitter } = require('events');
+const config = require('../config');
+const { createRedisClient } = require('../config/redis');
+const logger = require('../utils/logger');
+
+/**
+ * Task update events.
+ *
+ * Events are published on the Redis `task_updates` channel so that every API
+ * instance (and therefore every connected WebSocket/SSE client) sees updates
+ * made by workers in other processes. Each process relays what it receives to
+ * local subscribers. Without Redis (scripts, tests) events stay in-process.
+ *
+ * Event shape:
+ *   { type, task_id, user_id, timestamp, data: { status, progress, ... } }
+ */
+
+const EVENT_TYPES = {
+  CREATED: 'task_created',
+  STARTED: 'task_started',
+  PROGRESS: 'task_progress',
+  COMPLETED: 'task_completed',
+  FAILED: 'task_failed',
+  CANCELLED: 'task_cancelled',
+  UPDATED: 'task_updated',
+  DELETED: 'task_deleted',
+  // Processing log entry; only delivered to subscribers that ask for logs
+  LOG: 'task_log',
+};
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+let publisher = null;
+let subscriber = null;
+
+/**
+ * Connect the Redis publisher and subscriber
+ * @param {Object} [options]
+ * @param {boolean} [options.subscribe=true] - Relay events from Redis to local listeners;
+ *   processes that only publish (workers) can skip this
+ */
+const initTaskEvents = async ({ subscribe = true } = {}) => {
+  publisher = await createRedisClient('events-publisher');
+
+  if (subscribe) {
+    subscriber = publisher.duplicate();
+    subscriber.on('error', (err) => logger.error('Redis events subscriber error', { error: err.message }));
+    await subscriber.connect();
+    await subscriber.subscribe(config.redis.updatesChannel, (message) => {
+      try {
+        emitter.emit('event', JSON.parse(message));
+      } catch (err) {
+        logger.warn('Dropped malformed task event', { error: err.message });
+      }
+    });
+  }
+};
+
+/**
+ * Disconnect from Redis
+ */
+const closeTaskEvents = async () => {
+  if (subscriber) await subscriber.quit();
+  if (publisher) await publisher.quit();
+  subscriber = null;
+  publisher = null;
+};
+
+/**
+ * Publish a task event
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} task - Task JSON (at least id and status)
+ * @param {Object} [data] - Extra fields merged into the event data
+ */
+const publishTaskEvent = async (type, task, data = {}) => {
+  const event = {
+    type,
+    task_id: task.id,
+    user_id: task.user_id || null,
+    timestamp: new Date().toISOString(),
+    data: {
+      status: task.status,
+      progress: task.progress,
+      updated_at: task.updated_at,
+      ...data,
+    },
+  };
+
+  if (!publisher) {
+    emitter.emit('event', event);
+    return;
+  }
+
+  try {
+    await publisher.publish(config.redis.updatesChannel, JSON.stringify(event));
+  } catch (err) {
+    // Updates are best effort; clients resynchronise through the REST API
+    logger.warn('Failed to publish task event', { type, task_id: task.id, error: err.message });
+  }
+};
+
+/**
+ * Listen for task events
+ * @param {Function} listener - Called with each event
+ * @returns {Function} - Unsubscribe function
+ */
+const subscribeTaskEvents = (listener) => {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+};
+
+module.exports = {
+  EVENT_TYPES,
+  initTaskEvents,
+  closeTaskEvents,
+  publishTaskEvent,
+  subscribeTaskEvents,
+};
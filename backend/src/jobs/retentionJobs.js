@@ -0,0 +1,39 @@
+const config = require('../config');
+const retentionService = require('../services/retentionService');
+const { scheduleJob } = require('./scheduler');
+
+/**
+ * Start the sweeps the API server owns: upload sessions live in its temp
+ * directory. The retention sweep claims each task before deleting, so running
+ * it on several servers is safe.
+ * @returns {Function} - Stops the jobs
+ */
+const startApiJobs = () => {
+  const jobs = [
+    scheduleJob('retention sweep', config.retention.schedule, () =>
+      retentionService.sweepExpiredArtifacts()
+    ),
+  ];
+  if (config.retention.cleanupTempFiles) {
+    jobs.push(
+      scheduleJob('upload session cleanup', config.retention.tempCleanupSchedule, () =>
+        retentionService.sweepUploadSessions()
+      )
+    );
+  }
+  return () => jobs.forEach((job) => job.stop());
+};
+
+/**
+ * Start the sweep of this worker's scratch directory
+ * @returns {Function} - Stops the job
+ */
+const startWorkerJobs = () => {
+  if (!config.retention.cleanupTempFiles) return () => {};
+  const job = scheduleJob('work directory cleanup', config.retention.tempCleanupSchedule, () =>
+    retentionService.sweepWorkDirs()
+  );
+  return () => job.stop();
+};
+
+module.exports = { startApiJobs, startWorkerJobs };
@@ -0,0 +1,42 @@
+const cron = require('node-cron');
+const logger = require('../utils/logger');
+
+/**
+ * Run a job on a cron schedule. A run that is still going when the next one
+ * is due makes that one skip, so slow sweeps never pile up.
+ * @param {string} name - Used in logs
+ * @param {string|null} schedule - Cron expression; null disables the job
+ * @param {Function} run - Async job
+ * @returns {{ stop: Function }}
+ * @throws {Error} - When the expression is invalid
+ */
+const scheduleJob = (name, schedule, run) => {
+  if (!schedule) {
+    logger.info(`Scheduled job ${name} is disabled`);
+    return { stop: () => {} };
+  }
+  if (!cron.validate(schedule)) {
+    throw new Error(`Invalid cron expression for ${name}: ${schedule}`);
+  }
+
+  let running = false;
+  const task = cron.schedule(schedule, async () => {
+    if (running) {
+      logger.warn(`Skipping ${name}, the previous run has not finished`);
+      return;
+    }
+    running = true;
+    try {
+      await run();
+    } catch (err) {
+      logger.error(`Scheduled job ${name} failed`, { error: err.stack || err.message });
+    } finally {
+      running = false;
+    }
+  });
+
+  logger.info(`Scheduled job ${name}`, { schedule });
+  return { stop: () => task.stop() };
+};
+
+module.exports = { scheduleJob };
@@ -0,0 +1,40 @@
+const config = require('../config');
+const workerService = require('../services/workerService');
+const schedulerService = require('../services/schedulerService');
+const { EVENT_TYPES, subscribeTaskEvents } = require('../events/taskEvents');
+const { scheduleJob } = require('./scheduler');
+
+// A task reaching one of these states frees its job slot
+const SLOT_FREEING_EVENTS = [EVENT_TYPES.COMPLETED, EVENT_TYPES.FAILED, EVENT_TYPES.CANCELLED];
+
+/**
+ * Start the reaper recovering tasks of lost workers. Each task is recovered
+ * with a version-checked write, so running it on several servers is safe.
+ * @returns {Function} - Stops the job
+ */
+const startReaper = () => {
+  const job = scheduleJob('worker reaper', config.worker.reaperSchedule, () =>
+    workerService.reapExpiredLeases()
+  );
+  return () => job.stop();
+};
+
+/**
+ * Start handing waiting tasks to the workers: whenever a task finishes,
+ * wherever it ran, and on a schedule to pick up new worker slots
+ * @returns {Function} - Stops the dispatcher
+ */
+const startDispatcher = () => {
+  const job = scheduleJob('task dispatcher', config.scheduling.dispatchSchedule, () =>
+    schedulerService.requestDispatch()
+  );
+  const unsubscribe = subscribeTaskEvents((event) => {
+    if (SLOT_FREEING_EVENTS.includes(event.type)) schedulerService.requestDispatch();
+  });
+  return () => {
+    job.stop();
+    unsubscribe();
+  };
+};
+
+module.exports = { startReaper, startDispatcher };
@@ -0,0 +1,94 @@
+const { verifyAccessToken, verifyStreamTicket } = require('../services/authService');
+const { AuthenticationError, ForbiddenError } = require('../utils/errors');
+
+/**
+ * Read the access token of a request from its Authorization header. Access
+ * tokens are never read from the URL, where they would end up in browser
+ * history and logs; see getStreamUser for clients that cannot set headers.
+ * @param {import('http').IncomingMessage} req - Request
+ * @returns {string|null}
+ */
+const getAccessToken = (req) => {
+  const header = req.headers.authorization || '';
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * User of an event stream or WebSocket request: the access token, or the
+ * `ticket` query parameter (see authService.issueStreamTicket) for browsers,
+ * which cannot set headers on EventSource and WebSocket
+ * @param {import('http').IncomingMessage} req - Request
+ * @returns {{ id: string, role: string, email: string }}
+ * @throws {AuthenticationError}
+ */
+const getStreamUser = (req) => {
+  const token = getAccessToken(req);
+  if (token) return verifyAccessToken(token);
+  const ticket = new URL(req.url, 'http://localhost').searchParams.get('ticket');
+  if (!ticket) throw new AuthenticationError();
+  return verifyStreamTicket(ticket);
+};
+
+/**
+ * Like authenticate, also accepting a stream ticket; for event stream routes
+ * @throws {AuthenticationError}
+ */
+const authenticateStream = (req, res, next) => {
+  try {
+    req.user = getStreamUser(req);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Require a valid access token; the user lands on `req.user` as { id, role, email }.
+ * Requests authenticateStream already let in pass.
+ * @throws {AuthenticationError}
+ */
+const authenticate = (req, res, next) => {
+  if (req.user) {
+    next();
+    return;
+  }
+  const token = getAccessToken(req);
+  if (!token) {
+    next(new AuthenticationError());
+    return;
+  }
+  try {
+    req.user = verifyAccessToken(token);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Require one of the given roles; use after authenticate
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} - Express middleware
+ */
+const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    next(roles.includes(req.user.role) ? undefined : new ForbiddenError());
+  };
+
+/**
+ * Task filter limiting a user to their own tasks; admins see every task
+ * @param {{ id: string, role: string }} user - Signed-in user
+ * @returns {Object} - Filter fragment for task queries, e.g. { user_id }
+ */
+const getTaskScope = (user) => (user.role === 'admin' ? {} : { user_id: user.id });
+
+module.exports = {
+  getAccessToken,
+  getStreamUser,
+  authenticate,
+  authenticateStream,
+  requireRole,
+  getTaskScope,
+};
@@ -0,0 +1,62 @@
+const multer = require('multer');
+const { AppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * Map multer's own errors onto API errors
+ * @param {multer.MulterError} err - Error raised while parsing multipart data
+ * @returns {AppError}
+ */
+const fromMulterError = (err) => {
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    return new AppError('Uploaded part exceeds the allowed size', 413, 'PAYLOAD_TOO_LARGE');
+  }
+  return new AppError(err.message, 400, err.code);
+};
+
+/**
+ * 404 handler for unmatched routes
+ */
+const notFoundHandler = (req, res) => {
+  res.status(404).json({
+    error: { code: 'NOT_FOUND', message: `Route ${req.method} ${req.originalUrl} not found` },
+  });
+};
+
+/**
+ * Final error handler. Known errors are returned as-is, anything else is
+ * logged and reported as a generic 500 so internals do not leak.
+ * Express recognises error handlers by their four arguments.
+ */
+const errorHandler = (err, req, res, next) => {
+  // A streamed response already sent its status; let Express close the connection
+  if (res.headersSent) {
+    logger.error('Error after response started', { path: req.originalUrl, error: err.message });
+    return next(err);
+  }
+
+  const error = err instanceof multer.MulterError ? fromMulterError(err) : err;
+
+  if (!(error instanceof AppError)) {
+    logger.error('Unhandled error', { path: req.originalUrl, error: err.stack || err.message });
+    return res.status(500).json({
+      error: { code: 'INTERNAL_ERROR', message: 'Internal server error' },
+    });
+  }
+
+  if (error.statusCode >= 500) {
+    logger.error(error.message, { path: req.originalUrl, code: error.code });
+  }
+
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+
+  const body = { code: error.code, message: error.message };
+  if (error.details) {
+    body.details = error.details;
+  }
+  return res.status(error.statusCode).json({ error: body });
+};
+
+module.exports = { notFoundHandler, errorHandler };
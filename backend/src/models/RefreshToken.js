@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+/**
+ * An issued refresh token, by its JWT ID. Every refresh replaces the token
+ * with a new one in the same family; presenting a replaced token again means
+ * it leaked, and the whole family is revoked.
+ */
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    // JWT ID (jti)
+    _id: { type: String, required: true },
+    user_id: { type: String, required: true, index: true },
+    // Shared by every token descending from one login
+    family: { type: String, required: true, index: true },
+    expires_at: { type: Date, required: true },
+    revoked_at: { type: Date, default: null },
+    // Token issued when this one was used
+    replaced_by: { type: String, default: null },
+  },
+  {
+    collection: 'refresh_tokens',
+    timestamps: { createdAt: 'created_at', updatedAt: false },
+  }
+);
+
+// MongoDB drops tokens once they expire
+refreshTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
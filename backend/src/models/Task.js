@@ -0,0 +1,233 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+const TASK_STATUSES = ['pending', 'processing', 'completed', 'failed', 'cancelled'];
+// States a task can still be cancelled from
+const CANCELLABLE_STATUSES = ['pending', 'processing'];
+// States a task can be queued again from
+const RETRYABLE_STATUSES = ['failed', 'cancelled'];
+// States a task stays in until retried; only these tasks' files can expire
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+// What started a processing attempt
+const ATTEMPT_TRIGGERS = ['upload', 'automatic_retry', 'manual_retry'];
+const ATTEMPT_STATUSES = ['processing', 'completed', 'failed', 'cancelled'];
+// Scheduling priorities, lowest first (see services/schedulerService)
+const PRIORITIES = ['low', 'normal', 'high'];
+
+/**
+ * Processing options chosen at upload time
+ * (see validators/processingSettings for the allowed values)
+ */
+const settingsSchema = new mongoose.Schema(
+  {
+    output_formats: { type: [String], default: undefined },
+    resolutions: { type: [String], default: undefined },
+    quality: String,
+    thumbnail_count: Number,
+    extract_audio: Boolean,
+    audio_format: { type: String, default: null },
+    trim_start: { type: Number, default: null },
+    trim_end: { type: Number, default: null },
+  },
+  { _id: false }
+);
+
+/**
+ * One run of the worker over a task. Settings are copied so the history
+ * still shows what each attempt used after a retry changes them.
+ */
+const attemptSchema = new mongoose.Schema(
+  {
+    number: { type: Number, required: true },
+    trigger: { type: String, enum: ATTEMPT_TRIGGERS, required: true },
+    // Attempt a manual retry was made from
+    retry_of: { type: Number, default: null },
+    status: { type: String, enum: ATTEMPT_STATUSES, default: 'processing' },
+    settings: settingsSchema,
+    // hostname:pid of the worker process
+    worker: { type: String, default: null },
+    started_at: { type: Date, required: true },
+    finished_at: { type: Date, default: null },
+    error_code: { type: String, default: null },
+    error_message: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+/**
+ * Public URL of a task's HLS master playlist
+ * @param {string} taskId - Task ID
+ * @returns {string}
+ */
+const getHlsUrl = (taskId) => `/api/tasks/${taskId}/hls/master.m3u8`;
+
+/**
+ * Public URL of a file in a task's thumbnail directory
+ * @param {string} taskId - Task ID
+ * @param {string} filePath - Stored path of the image or track
+ * @returns {string}
+ */
+const getThumbnailUrl = (taskId, filePath) =>
+  `/api/tasks/${taskId}/thumbnails/${path.basename(filePath)}`;
+
+/**
+ * Public URL of one of a task's WebVTT caption tracks
+ * @param {string} taskId - Task ID
+ * @param {string} filePath - Stored path of the track
+ * @returns {string}
+ */
+const getCaptionUrl = (taskId, filePath) => `/api/tasks/${taskId}/captions/${path.basename(filePath)}`;
+
+/**
+ * Replace stored thumbnail paths with URLs the client can load
+ * @param {string} taskId - Task ID
+ * @param {Object} thumbnails - Stored thumbnails
+ * @returns {Object}
+ */
+const toPublicThumbnails = (taskId, { images, sprite }) => ({
+  images: images.map(({ path: imagePath, ...image }) => ({
+    ...image,
+    url: getThumbnailUrl(taskId, imagePath),
+  })),
+  sprite: {
+    columns: sprite.columns,
+    rows: sprite.rows,
+    count: sprite.count,
+    tile_width: sprite.tile_width,
+    tile_height: sprite.tile_height,
+    interval: sprite.interval,
+    url: getThumbnailUrl(taskId, sprite.path),
+    vtt_url: getThumbnailUrl(taskId, sprite.vtt),
+  },
+});
+
+/**
+ * When a finished task's files are deleted (see services/retentionService).
+ * `source_days` and `output_days` override the owner's rules; the expiry
+ * dates are derived from them and cleared while the task is kept or active.
+ */
+const retentionSchema = new mongoose.Schema(
+  {
+    keep: { type: Boolean, default: false },
+    source_days: { type: Number, default: null },
+    output_days: { type: Number, default: null },
+    source_expires_at: { type: Date, default: null },
+    outputs_expires_at: { type: Date, default: null },
+    source_deleted_at: { type: Date, default: null },
+    outputs_deleted_at: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+/**
+ * Claim of the worker running a processing task. The worker renews it with
+ * its heartbeat; once it expires the reaper requeues or fails the task
+ * (see services/workerService).
+ */
+const leaseSchema = new mongoose.Schema(
+  {
+    // Changes with every run, so a worker can tell its own lease from a later one
+    id: { type: String, required: true },
+    worker: { type: String, required: true },
+    expires_at: { type: Date, required: true },
+  },
+  { _id: false }
+);
+
+const taskSchema = new mongoose.Schema(
+  {
+    _id: { type: String, default: uuidv4 },
+    name: { type: String, required: true },
+    // Owner; users only see their own tasks
+    user_id: { type: String, required: true },
+    status: { type: String, enum: TASK_STATUSES, default: 'pending', index: true },
+    progress: { type: Number, default: 0, min: 0, max: 100 },
+    input_file: { type: String, required: true },
+    file_size: Number,
+    duration: Number,
+    media: { type: mongoose.Schema.Types.Mixed, default: null },
+    settings: { type: settingsSchema, required: true },
+    output_file: { type: String, default: null },
+    // Every file produced by the worker: { format, resolution, path, size }
+    outputs: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    // HLS ladder: { master_playlist, renditions: [{ resolution, height, bandwidth, playlist }] }
+    hls: { type: mongoose.Schema.Types.Mixed, default: null },
+    // Poster, thumbnails and sprite sheet with its WebVTT track (see worker/thumbnailGenerator)
+    thumbnails: { type: mongoose.Schema.Types.Mixed, default: null },
+    // Extracted audio track: { format, codec, bitrate, path, size } (see worker/audioExtractor)
+    audio: { type: mongoose.Schema.Types.Mixed, default: null },
+    // WebVTT caption tracks: { id, language, label, source: upload|embedded, path, size, cue_count }
+    // (see worker/captionBuilder)
+    captions: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    // Caption files sent with the upload, as WebVTT: { id, language, label, filename, path }
+    caption_files: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    error_message: { type: String, default: null },
+    // Classified failure of the last attempt: { code, message, retryable, hint, log }
+    // (see utils/errorClassifier)
+    error: { type: mongoose.Schema.Types.Mixed, default: null },
+    // Processing history, oldest first
+    attempts: { type: [attemptSchema], default: [] },
+    // Webhook given with the upload: { url, secret }, notified in addition to the owner's webhooks
+    webhook: { type: mongoose.Schema.Types.Mixed, default: null },
+    retention: { type: retentionSchema, default: () => ({}) },
+    // Picked when the upload starts (validators/priority)
+    priority: { type: String, enum: PRIORITIES, required: true },
+    // When the task last joined the queue; waiting tasks of one priority go first in, first out
+    queued_at: { type: Date, default: Date.now },
+    // When the dispatcher handed the task to the worker queue; null while it waits for a slot
+    dispatched_at: { type: Date, default: null },
+    // Set while processing
+    lease: { type: leaseSchema, default: null },
+    // Incremented by every write, which only lands on the version it was based on
+    // (see repositories/taskRepository)
+    version: { type: Number, required: true, default: 0 },
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    toJSON: {
+      versionKey: false,
+      transform: (doc, ret) => {
+        ret.id = ret._id;
+        delete ret._id;
+        ret.hls_url = ret.hls ? getHlsUrl(ret.id) : null;
+        ret.thumbnail_url = ret.thumbnails ? getThumbnailUrl(ret.id, ret.thumbnails.poster) : null;
+        ret.thumbnails = ret.thumbnails ? toPublicThumbnails(ret.id, ret.thumbnails) : null;
+        ret.captions = (ret.captions || []).map((caption) => ({
+          ...caption,
+          url: getCaptionUrl(ret.id, caption.path),
+        }));
+        ret.webhook = ret.webhook ? { url: ret.webhook.url } : null;
+        return ret;
+      },
+    },
+  }
+);
+
+taskSchema.index({ created_at: -1 });
+// Support the sort keys and status filter of GET /api/tasks; _id breaks ties for cursors
+taskSchema.index({ status: 1, created_at: -1, _id: -1 });
+// The same for a single user's tasks
+taskSchema.index({ user_id: 1, status: 1, created_at: -1, _id: -1 });
+taskSchema.index({ updated_at: -1, _id: -1 });
+taskSchema.index({ name: 1, _id: 1 });
+// Dispatcher
+taskSchema.index({ status: 1, dispatched_at: 1, queued_at: 1 });
+// Reaper
+taskSchema.index({ status: 1, 'lease.expires_at': 1 });
+// Retention sweep
+taskSchema.index({ 'retention.source_expires_at': 1 });
+taskSchema.index({ 'retention.outputs_expires_at': 1 });
+taskSchema.statics.getHlsUrl = getHlsUrl;
+taskSchema.statics.getThumbnailUrl = getThumbnailUrl;
+taskSchema.statics.getCaptionUrl = getCaptionUrl;
+
+const Task = mongoose.model('Task', taskSchema);
+
+module.exports = Task;
+module.exports.TASK_STATUSES = TASK_STATUSES;
+module.exports.CANCELLABLE_STATUSES = CANCELLABLE_STATUSES;
+module.exports.RETRYABLE_STATUSES = RETRYABLE_STATUSES;
+module.exports.FINISHED_STATUSES = FINISHED_STATUSES;
+module.exports.ATTEMPT_TRIGGERS = ATTEMPT_TRIGGERS;
+module.exports.PRIORITIES = PRIORITIES;
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Processing stages, in the order a task goes through them
+const STAGES = [
+  'queued',
+  'probing',
+  'transcoding',
+  'captions',
+  'packaging',
+  'audio',
+  'thumbnails',
+  'storing',
+];
+const LOG_EVENTS = ['stage_started', 'stage_completed', 'stage_failed', 'message'];
+const LOG_LEVELS = ['info', 'warn', 'error'];
+
+/**
+ * One entry of a task's processing log: a stage starting or finishing, or a
+ * free-form message. Kept out of the task document so it can grow without
+ * bloating every task read.
+ */
+const taskLogSchema = new mongoose.Schema(
+  {
+    task_id: { type: String, required: true },
+    // Attempt number (see Task.attempts), null for entries outside an attempt
+    attempt: { type: Number, default: null },
+    event: { type: String, enum: LOG_EVENTS, required: true },
+    stage: { type: String, enum: [...STAGES, null], default: null },
+    level: { type: String, enum: LOG_LEVELS, default: 'info' },
+    message: { type: String, required: true },
+    // Time the stage took, on stage_completed and stage_failed
+    duration_ms: { type: Number, default: null },
+    data: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  {
+    collection: 'task_logs',
+    timestamps: { createdAt: 'created_at', updatedAt: false },
+    toJSON: {
+      versionKey: false,
+      transform: (doc, ret) => {
+        ret.id = String(ret._id);
+        delete ret._id;
+        return ret;
+      },
+    },
+  }
+);
+
+// Entries are read per task in insertion order; _id doubles as the tail cursor
+taskLogSchema.index({ task_id: 1, _id: 1 });
+
+const TaskLog = mongoose.model('TaskLog', taskLogSchema);
+
+module.exports = TaskLog;
+module.exports.STAGES = STAGES;
+module.exports.LOG_EVENTS = LOG_EVENTS;
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const UPLOAD_STATUSES = ['uploading', 'completed', 'aborted'];
+// Finished records are kept this long, so they still count towards the
+// hourly upload limit after the session directory is gone
+const RECORD_RETENTION_SECONDS = 60 * 60;
+
+/**
+ * An upload session as the quotas see it. Session directories under
+ * TEMP_DIR/uploads disappear when an upload is aborted, its task deleted or
+ * the temp sweep runs; the record outlives them so every upload started
+ * counts towards QUOTA_UPLOADS_PER_HOUR.
+ */
+const uploadRecordSchema = new mongoose.Schema(
+  {
+    // Upload session ID
+    _id: { type: String, required: true },
+    user_id: { type: String, required: true },
+    // Declared file size, counted against storage while uploading
+    size: { type: Number, required: true },
+    status: { type: String, enum: UPLOAD_STATUSES, default: 'uploading' },
+    // When an unfinished session stops counting
+    expires_at: { type: Date, required: true },
+    finished_at: { type: Date, default: null },
+  },
+  {
+    collection: 'upload_records',
+    timestamps: { createdAt: 'created_at', updatedAt: false },
+  }
+);
+
+uploadRecordSchema.index({ user_id: 1, created_at: 1 });
+uploadRecordSchema.index({ user_id: 1, status: 1 });
+// MongoDB drops finished records once they no longer count; unfinished ones
+// have no finished_at and stay until the session is finished or swept
+uploadRecordSchema.index({ finished_at: 1 }, { expireAfterSeconds: RECORD_RETENTION_SECONDS });
+
+const UploadRecord = mongoose.model('UploadRecord', uploadRecordSchema);
+
+module.exports = UploadRecord;
+module.exports.UPLOAD_STATUSES = UPLOAD_STATUSES;
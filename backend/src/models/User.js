@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+const USER_ROLES = ['user', 'admin'];
+
+/**
+ * Limits that differ from the configured defaults (see config.quotas);
+ * null keeps the default, 0 means unlimited
+ */
+const quotasSchema = new mongoose.Schema(
+  {
+    storage_bytes: { type: Number, default: null },
+    concurrent_jobs: { type: Number, default: null },
+    daily_processing_minutes: { type: Number, default: null },
+    uploads_per_hour: { type: Number, default: null },
+  },
+  { _id: false }
+);
+
+/**
+ * Retention that differs from the configured defaults (see config.retention);
+ * null keeps the default, 0 keeps files forever
+ */
+const retentionSchema = new mongoose.Schema(
+  {
+    source_days: { type: Number, default: null },
+    output_days: { type: Number, default: null },
+  },
+  { _id: false }
+);
+
+/**
+ * An account that can sign in. Users see only their own tasks; admins see
+ * every task and can use the admin API.
+ */
+const userSchema = new mongoose.Schema(
+  {
+    _id: { type: String, default: uuidv4 },
+    email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    name: { type: String, default: null },
+    // scrypt hash, see utils/password
+    password_hash: { type: String, required: true },
+    role: { type: String, enum: USER_ROLES, default: 'user' },
+    last_login_at: { type: Date, default: null },
+    quotas: { type: quotasSchema, default: () => ({}) },
+    retention: { type: retentionSchema, default: () => ({}) },
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    toJSON: {
+      versionKey: false,
+      transform: (doc, ret) => {
+        ret.id = ret._id;
+        delete ret._id;
+        delete ret.password_hash;
+        return ret;
+      },
+    },
+  }
+);
+
+const User = mongoose.model('User', userSchema);
+
+module.exports = User;
+module.exports.USER_ROLES = USER_ROLES;
+module.exports.QUOTA_FIELDS = Object.keys(quotasSchema.paths);
+module.exports.RETENTION_FIELDS = Object.keys(retentionSchema.paths);
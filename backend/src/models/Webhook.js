@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// Task transitions a webhook can subscribe to
+const WEBHOOK_EVENTS = ['task.completed', 'task.failed', 'task.cancelled'];
+
+/**
+ * An account-wide webhook: every subscribed transition of the owner's tasks
+ * is POSTed to `url`, signed with `secret` (see services/webhookService).
+ * Webhooks for a single upload live on the task instead (Task.webhook).
+ */
+const webhookSchema = new mongoose.Schema(
+  {
+    _id: { type: String, default: uuidv4 },
+    user_id: { type: String, required: true, index: true },
+    url: { type: String, required: true },
+    // HMAC key; only returned when the webhook is created
+    secret: { type: String, required: true },
+    events: { type: [String], enum: WEBHOOK_EVENTS, default: () => [...WEBHOOK_EVENTS] },
+    description: { type: String, default: null },
+    active: { type: Boolean, default: true },
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    toJSON: {
+      versionKey: false,
+      transform: (doc, ret) => {
+        ret.id = ret._id;
+        delete ret._id;
+        delete ret.secret;
+        return ret;
+      },
+    },
+  }
+);
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+module.exports = Webhook;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+/**
+ * One HTTP request made for a delivery
+ */
+const deliveryAttemptSchema = new mongoose.Schema(
+  {
+    number: { type: Number, required: true },
+    sent_at: { type: Date, required: true },
+    // null when no response arrived (timeout, connection refused, ...)
+    status_code: { type: Number, default: null },
+    duration_ms: { type: Number, default: null },
+    error: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+/**
+ * A webhook notification and every attempt to send it. The payload is kept
+ * as sent so a resend delivers exactly the same event.
+ */
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    _id: { type: String, default: uuidv4 },
+    user_id: { type: String, default: null },
+    task_id: { type: String, default: null },
+    // null for the webhook given with an upload (see Task.webhook)
+    webhook_id: { type: String, default: null },
+    url: { type: String, required: true },
+    // Secret of the webhook given with an upload, which has no Webhook document to look it up in
+    secret: { type: String, default: null, select: false },
+    event: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    status: { type: String, enum: DELIVERY_STATUSES, default: 'pending' },
+    attempts: { type: [deliveryAttemptSchema], default: [] },
+    // When the next retry is due while pending
+    next_attempt_at: { type: Date, default: null },
+    delivered_at: { type: Date, default: null },
+    // Delivery this one resends
+    resend_of: { type: String, default: null },
+  },
+  {
+    collection: 'webhook_deliveries',
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    toJSON: {
+      versionKey: false,
+      transform: (doc, ret) => {
+        ret.id = ret._id;
+        delete ret._id;
+        delete ret.secret;
+        return ret;
+      },
+    },
+  }
+);
+
+// Delivery log, newest first, optionally per task or webhook
+webhookDeliverySchema.index({ user_id: 1, created_at: -1 });
+webhookDeliverySchema.index({ task_id: 1, created_at: -1 });
+webhookDeliverySchema.index({ webhook_id: 1, created_at: -1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
+module.exports.DELIVERY_STATUSES = DELIVERY_STATUSES;
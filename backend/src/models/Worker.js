@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+/**
+ * A job the worker was running at its last heartbeat
+ */
+const currentJobSchema = new mongoose.Schema(
+  {
+    task_id: { type: String, required: true },
+    // Number of the task's attempt (see Task.attempts)
+    attempt: { type: Number, default: null },
+    started_at: { type: Date, required: true },
+  },
+  { _id: false }
+);
+
+/**
+ * A video worker process as of its last heartbeat (see services/workerService).
+ * Workers that stop reporting are removed once the offline retention passes.
+ */
+const workerSchema = new mongoose.Schema(
+  {
+    // hostname:pid, as recorded on task attempts
+    _id: { type: String, required: true },
+    hostname: { type: String, required: true },
+    pid: { type: Number, required: true },
+    started_at: { type: Date, required: true },
+    last_heartbeat_at: { type: Date, required: true },
+    // Set on a clean shutdown
+    stopped_at: { type: Date, default: null },
+    concurrency: { type: Number, required: true },
+    current_jobs: { type: [currentJobSchema], default: [] },
+    load: {
+      active_jobs: { type: Number, default: 0 },
+      // 1-minute load average of the machine and its number of CPUs
+      cpu_load_1m: { type: Number, default: null },
+      cpus: { type: Number, default: null },
+      memory_rss: { type: Number, default: null },
+    },
+    // TTL: the document is removed this long after the last heartbeat
+    expires_at: { type: Date, required: true },
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    toJSON: {
+      versionKey: false,
+      transform: (doc, ret) => {
+        ret.id = ret._id;
+        delete ret._id;
+        delete ret.expires_at;
+        return ret;
+      },
+    },
+  }
+);
+
+workerSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const Worker = mongoose.model('Worker', workerSchema);
+
+module.exports = Worker;
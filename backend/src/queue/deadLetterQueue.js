@@ -0,0 +1,112 @@
+const Queue = require('bull');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Dead-letter queue for tasks that failed for good: out of attempts, or an
+ * error retrying cannot fix. Nothing processes it; entries wait for an admin
+ * to inspect them and requeue or discard them (see routes/admin).
+ * The task ID doubles as job ID, so a task has at most one entry.
+ */
+
+let queue = null;
+
+/**
+ * Lazily create the shared queue instance
+ * @returns {import('bull').Queue}
+ */
+const getDeadLetterQueue = () => {
+  if (!queue) {
+    queue = new Queue(config.redis.deadLetterQueueName, config.redis.url, {
+      prefix: config.redis.queuePrefix,
+    });
+    queue.on('error', (err) => logger.error('Dead-letter queue error', { error: err.message }));
+  }
+  return queue;
+};
+
+/**
+ * Turn a job into a dead-letter entry
+ * @param {import('bull').Job} job - Dead-letter job
+ * @returns {Object}
+ */
+const toEntry = (job) => ({ id: job.id, ...job.data });
+
+/**
+ * Park a failed task
+ * @param {Object} task - Task JSON, as failed
+ * @param {Object} details
+ * @param {Object} details.error - Classified final error
+ * @param {number} details.jobAttempts - Queue attempts the last job made
+ * @returns {Promise<Object>} - The entry
+ */
+const addDeadLetter = async (task, { error, jobAttempts }) => {
+  const dlq = getDeadLetterQueue();
+  const previous = await dlq.getJob(task.id);
+  if (previous) await previous.remove();
+
+  const job = await dlq.add(
+    {
+      task_id: task.id,
+      failed_at: new Date().toISOString(),
+      retry_count: Math.max(jobAttempts - 1, 0),
+      final_error: error,
+      original_task: task,
+    },
+    { jobId: task.id }
+  );
+  logger.warn('Task moved to dead-letter queue', { task_id: task.id, error_code: error.code });
+  return toEntry(job);
+};
+
+/**
+ * List parked tasks, most recent first
+ * @param {Object} [options]
+ * @param {number} [options.offset=0]
+ * @param {number} [options.limit=20]
+ * @returns {Promise<{ data: Object[], total: number }>}
+ */
+const listDeadLetters = async ({ offset = 0, limit = 20 } = {}) => {
+  const dlq = getDeadLetterQueue();
+  const [jobs, total] = await Promise.all([
+    dlq.getWaiting(offset, offset + limit - 1),
+    dlq.getWaitingCount(),
+  ]);
+  return { data: jobs.filter(Boolean).map(toEntry), total };
+};
+
+/**
+ * Fetch a task's entry
+ * @param {string} taskId - Task ID
+ * @returns {Promise<Object|null>}
+ */
+const getDeadLetter = async (taskId) => {
+  const job = await getDeadLetterQueue().getJob(taskId);
+  return job ? toEntry(job) : null;
+};
+
+/**
+ * Drop a task's entry
+ * @param {string} taskId - Task ID
+ * @returns {Promise<boolean>} - Whether there was one
+ */
+const removeDeadLetter = async (taskId) => {
+  const job = await getDeadLetterQueue().getJob(taskId);
+  if (!job) return false;
+  await job.remove();
+  return true;
+};
+
+const closeDeadLetterQueue = async () => {
+  if (queue) await queue.close();
+  queue = null;
+};
+
+module.exports = {
+  getDeadLetterQueue,
+  addDeadLetter,
+  listDeadLetters,
+  getDeadLetter,
+  removeDeadLetter,
+  closeDeadLetterQueue,
+};
@@ -0,0 +1,106 @@
+const Queue = require('bull');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Bull queue connecting the API (producer) with the processing worker (consumer).
+ * Jobs carry only the task ID; the worker loads everything else from the task.
+ */
+
+let queue = null;
+
+/**
+ * Lazily create the shared queue instance
+ * @returns {import('bull').Queue}
+ */
+const getVideoQueue = () => {
+  if (!queue) {
+    queue = new Queue(config.redis.queueName, config.redis.url, {
+      prefix: config.redis.queuePrefix,
+      defaultJobOptions: {
+        attempts: config.worker.maxAttempts,
+        backoff: { type: 'exponential', delay: config.worker.backoffDelay },
+        removeOnComplete: true,
+        removeOnFail: false,
+      },
+    });
+    queue.on('error', (err) => logger.error('Video queue error', { error: err.message }));
+  }
+  return queue;
+};
+
+/**
+ * Queue a task for processing
+ * @param {Object} task - Task JSON
+ * @param {Object} [options]
+ * @param {number} [options.attempts] - Bull attempts, when fewer than configured are left
+ * @param {number} [options.priority] - Bull priority, 1 for the highest (see services/schedulerService)
+ * @param {boolean} [options.recovered=false] - The task's worker was lost and the run continues
+ *   (see services/workerService); the job counts as an automatic retry
+ * @returns {Promise<import('bull').Job>}
+ */
+const enqueueTask = async (task, { attempts, priority, recovered = false } = {}) => {
+  const queue = getVideoQueue();
+
+  // The task ID doubles as job ID so a task can never be queued twice. A
+  // finished job keeps its ID until removed, so clear it before a retry.
+  const previous = await queue.getJob(task.id);
+  if (previous && ['completed', 'failed'].includes(await previous.getState())) {
+    await previous.remove();
+  }
+
+  const options = { jobId: task.id };
+  // An undefined option would override the queue's default
+  if (attempts) options.attempts = attempts;
+  if (priority) options.priority = priority;
+  const job = await queue.add({ task_id: task.id, recovered }, options);
+  logger.info('Task queued for processing', { task_id: task.id, job_id: job.id });
+  return job;
+};
+
+/**
+ * Remove a task's job if it has not started yet
+ * @param {string} taskId - Task ID (also the job ID)
+ * @returns {Promise<boolean>} - Whether a job was removed
+ */
+const removeQueuedJob = async (taskId) => {
+  const job = await getVideoQueue().getJob(taskId);
+  if (!job) return false;
+
+  const state = await job.getState();
+  if (!['waiting', 'delayed', 'paused'].includes(state)) return false;
+
+  await job.remove();
+  logger.info('Removed queued job', { task_id: taskId, state });
+  return true;
+};
+
+/**
+ * Remove a task's job unless a worker still holds its lock
+ * @param {string} taskId - Task ID (also the job ID)
+ * @returns {Promise<boolean>} - Whether the task is now without a job
+ */
+const removeUnlockedJob = async (taskId) => {
+  const job = await getVideoQueue().getJob(taskId);
+  if (!job) return true;
+
+  try {
+    await job.remove();
+  } catch (err) {
+    // Bull refuses to remove a locked job: its worker is still alive
+    logger.warn('Job is still locked by a worker', { task_id: taskId, error: err.message });
+    return false;
+  }
+  logger.info('Removed job of lost worker', { task_id: taskId });
+  return true;
+};
+
+/**
+ * Close the queue connection; waits for active jobs when called from the worker
+ */
+const closeVideoQueue = async () => {
+  if (queue) await queue.close();
+  queue = null;
+};
+
+module.exports = { getVideoQueue, enqueueTask, removeQueuedJob, removeUnlockedJob, closeVideoQueue };
@@ -0,0 +1,61 @@
+const Queue = require('bull');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Bull queue of webhook deliveries. The API and the worker add to it when a
+ * task finishes; the worker sends them. Jobs carry only the delivery ID.
+ */
+
+const BACKOFF_TYPE = 'webhook';
+
+let queue = null;
+
+/**
+ * Delay before the next attempt: the configured delay, doubled after every failure
+ * @param {number} attemptsMade - Attempts made so far, 1 or more
+ * @returns {number} - Milliseconds
+ */
+const getRetryDelay = (attemptsMade) => config.webhooks.backoffDelay * 2 ** (attemptsMade - 1);
+
+/**
+ * Lazily create the shared queue instance
+ * @returns {import('bull').Queue}
+ */
+const getWebhookQueue = () => {
+  if (!queue) {
+    queue = new Queue(config.redis.webhookQueueName, config.redis.url, {
+      prefix: config.redis.queuePrefix,
+      // Our own exponential strategy, so the delivery log can show when the next attempt is due
+      settings: { backoffStrategies: { [BACKOFF_TYPE]: getRetryDelay } },
+      defaultJobOptions: {
+        attempts: config.webhooks.retryAttempts + 1,
+        backoff: { type: BACKOFF_TYPE },
+        removeOnComplete: true,
+        removeOnFail: true,
+      },
+    });
+    queue.on('error', (err) => logger.error('Webhook queue error', { error: err.message }));
+  }
+  return queue;
+};
+
+/**
+ * Queue a delivery for sending
+ * @param {string} deliveryId - WebhookDelivery ID (also the job ID)
+ * @returns {Promise<import('bull').Job>}
+ */
+const enqueueDelivery = (deliveryId) =>
+  getWebhookQueue().add({ delivery_id: deliveryId }, { jobId: deliveryId });
+
+const closeWebhookQueue = async () => {
+  if (queue) await queue.close();
+  queue = null;
+};
+
+module.exports = {
+  getWebhookQueue,
+  getRetryDelay,
+  enqueueDelivery,
+  closeWebhookQueue,
+};
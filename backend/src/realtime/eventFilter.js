@@ -0,0 +1,19 @@
+const { EVENT_TYPES } = require('../events/taskEvents');
+
+/**
+ * Decide whether a realtime subscriber should receive a task event
+ * @param {Object} subscription
+ * @param {string|null} subscription.userId - Owner the subscriber is scoped to, null for all tasks
+ * @param {Set<string>|null} subscription.taskIds - Explicit task subscription, null for every task
+ * @param {boolean} [subscription.includeLogs=false] - Also deliver processing log entries
+ * @param {Object} event - Task event
+ * @returns {boolean}
+ */
+const shouldDeliver = ({ userId, taskIds, includeLogs = false }, event) => {
+  if (event.type === EVENT_TYPES.LOG && !includeLogs) return false;
+  if (userId && event.user_id !== userId) return false;
+  if (taskIds && !taskIds.has(event.task_id)) return false;
+  return true;
+};
+
+module.exports = { shouldDeliver };
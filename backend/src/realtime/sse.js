@@ -0,0 +1,108 @@
+const config = require('../config');
+const { EVENT_TYPES, subscribeTaskEvents } = require('../events/taskEvents');
+const { shouldDeliver } = require('./eventFilter');
+const taskLogService = require('../services/taskLogService');
+
+/**
+ * Start an event stream response and keep it alive until the client leaves
+ * @param {import('express').Request} req - Request
+ * @param {import('express').Response} res - Response kept open for the stream
+ * @param {Function} onClose - Called once the client disconnects
+ */
+const openStream = (req, res, onClose) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Disable response buffering in nginx
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`retry: 5000\n\n`);
+
+  // Comment lines keep intermediaries from closing an idle connection
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), config.realtime.heartbeatIntervalMs);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    onClose();
+  });
+};
+
+/**
+ * Stream task events to a client as Server-Sent Events
+ * Used by clients that cannot hold a WebSocket open (proxies, older browsers).
+ * @param {import('express').Request} req - Request; `task_ids` query narrows the stream
+ * @param {import('express').Response} res - Response kept open for the stream
+ * @param {Object} [subscription] - Extra subscription scope (e.g. the user)
+ */
+const streamTaskEvents = (req, res, subscription = {}) => {
+  const taskIds = req.query.task_ids
+    ? new Set(String(req.query.task_ids).split(',').filter(Boolean))
+    : null;
+  const scope = { userId: null, taskIds, ...subscription };
+
+  const unsubscribe = subscribeTaskEvents((event) => {
+    if (shouldDeliver(scope, event)) {
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    }
+  });
+  openStream(req, res, unsubscribe);
+};
+
+/**
+ * Tail a task's processing log: entries after `after` first, then new ones as
+ * they are written, interleaved with the task's status events. Log entries
+ * carry their id as the SSE event id, so a reconnecting EventSource resumes
+ * where it stopped.
+ * @param {import('express').Request} req - Request
+ * @param {import('express').Response} res - Response kept open for the stream
+ * @param {string} taskId - Task ID
+ * @param {Object} [options]
+ * @param {string|null} [options.after] - Last entry the client already has
+ */
+const streamTaskLog = async (req, res, taskId, { after = null } = {}) => {
+  const scope = { userId: null, taskIds: new Set([taskId]), includeLogs: true };
+  const sent = new Set();
+  let buffered = [];
+
+  const send = (event) => {
+    if (event.type === EVENT_TYPES.LOG) {
+      if (sent.has(event.data.entry.id)) return;
+      sent.add(event.data.entry.id);
+      res.write(`id: ${event.data.entry.id}\n`);
+    }
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  // Subscribe before reading the backlog so nothing written in between is lost
+  const unsubscribe = subscribeTaskEvents((event) => {
+    if (!shouldDeliver(scope, event)) return;
+    if (buffered) {
+      buffered.push(event);
+    } else {
+      send(event);
+    }
+  });
+  let closed = false;
+  openStream(req, res, () => {
+    closed = true;
+    unsubscribe();
+  });
+
+  let cursor = after;
+  let hasMore = true;
+  while (hasMore && !closed) {
+    const { data, page } = await taskLogService.listLogs(taskId, { after: cursor });
+    data.forEach((entry) =>
+      send({ type: EVENT_TYPES.LOG, task_id: taskId, user_id: null, timestamp: entry.created_at, data: { entry } })
+    );
+    cursor = page.next_after;
+    hasMore = page.has_more;
+  }
+
+  const pending = buffered;
+  buffered = null;
+  pending.forEach(send);
+};
+
+module.exports = { streamTaskEvents, streamTaskLog };
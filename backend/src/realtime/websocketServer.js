@@ -0,0 +1,122 @@
+const { WebSocketServer } = require('ws');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { subscribeTaskEvents } = require('../events/taskEvents');
+const { shouldDeliver } = require('./eventFilter');
+const { getStreamUser, getTaskScope } = require('../middleware/auth');
+
+const WS_PATH = '/ws';
+
+/**
+ * Handle a message sent by a client
+ * Supported actions:
+ *   { action: 'subscribe', task_ids: [...] }  - only receive events for these tasks
+ *   { action: 'unsubscribe', task_ids: [...] } - stop receiving events for these tasks
+ *   { action: 'subscribe_all' }                - receive events for every visible task (default)
+ * @param {WebSocket} socket - Client socket
+ * @param {string} raw - Raw message
+ */
+const handleClientMessage = (socket, raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch {
+    socket.send(JSON.stringify({ type: 'error', message: 'Messages must be JSON' }));
+    return;
+  }
+
+  const taskIds = Array.isArray(message.task_ids) ? message.task_ids.map(String) : [];
+
+  switch (message.action) {
+    case 'subscribe':
+      socket.subscription.taskIds = new Set([...(socket.subscription.taskIds || []), ...taskIds]);
+      break;
+    case 'unsubscribe':
+      if (socket.subscription.taskIds) {
+        taskIds.forEach((id) => socket.subscription.taskIds.delete(id));
+      }
+      break;
+    case 'subscribe_all':
+      socket.subscription.taskIds = null;
+      break;
+    default:
+      socket.send(JSON.stringify({ type: 'error', message: `Unknown action ${message.action}` }));
+  }
+};
+
+/**
+ * Accept only upgrades carrying a valid access token, or a stream ticket
+ * (`?ticket=`) as browsers cannot set headers on WebSockets; the user lands
+ * on `req.user`
+ * @param {Object} info - ws handshake info
+ * @param {Function} done - Callback(accept, code, message)
+ */
+const verifyClient = (info, done) => {
+  try {
+    info.req.user = getStreamUser(info.req);
+    done(true);
+  } catch (err) {
+    done(false, 401, err.message);
+  }
+};
+
+/**
+ * Attach the task updates WebSocket endpoint (/ws) to an HTTP server
+ * @param {import('http').Server} server - HTTP server created by app.listen
+ * @returns {{ close: Function }}
+ */
+const attachWebSocketServer = (server) => {
+  const wss = new WebSocketServer({ server, path: WS_PATH, verifyClient });
+
+  wss.on('connection', (socket, req) => {
+    socket.isAlive = true;
+    // Users only hear about their own tasks; admins about every task
+    socket.subscription = { userId: getTaskScope(req.user).user_id || null, taskIds: null };
+
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+    socket.on('message', (raw) => handleClientMessage(socket, raw.toString()));
+    socket.on('error', (err) => logger.debug('WebSocket client error', { error: err.message }));
+
+    socket.send(JSON.stringify({ type: 'connected', timestamp: new Date().toISOString() }));
+  });
+
+  const unsubscribe = subscribeTaskEvents((event) => {
+    const payload = JSON.stringify(event);
+    wss.clients.forEach((socket) => {
+      if (socket.readyState === socket.OPEN && shouldDeliver(socket.subscription, event)) {
+        socket.send(payload);
+      }
+    });
+  });
+
+  // Drop clients that stopped answering pings
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((socket) => {
+      if (!socket.isAlive) {
+        socket.terminate();
+        return;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, config.realtime.heartbeatIntervalMs);
+
+  wss.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  logger.info(`WebSocket server accepting connections on ${WS_PATH}`);
+
+  return {
+    close: () =>
+      new Promise((resolve) => {
+        wss.clients.forEach((socket) => socket.terminate());
+        wss.close(resolve);
+      }),
+  };
+};
+
+module.exports = { attachWebSocketServer };
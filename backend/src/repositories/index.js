@@ -0,0 +1,30 @@
+const { createTaskRepository } = require('./taskRepository');
+const { createMongoTaskStore } = require('./mongoTaskStore');
+const { createMemoryTaskStore } = require('./memoryTaskStore');
+
+let taskRepository = null;
+
+/**
+ * Shared task repository, backed by MongoDB unless replaced
+ * @returns {Object} - See ./taskRepository
+ */
+const getTaskRepository = () => {
+  if (!taskRepository) taskRepository = createTaskRepository(createMongoTaskStore());
+  return taskRepository;
+};
+
+/**
+ * Replace the shared task repository, e.g. with createMemoryTaskRepository() in tests
+ * @param {Object|null} repository - null goes back to MongoDB
+ */
+const setTaskRepository = (repository) => {
+  taskRepository = repository;
+};
+
+/**
+ * Task repository keeping tasks in memory
+ * @returns {Object}
+ */
+const createMemoryTaskRepository = () => createTaskRepository(createMemoryTaskStore());
+
+module.exports = { getTaskRepository, setTaskRepository, createMemoryTaskRepository };
@@ -0,0 +1,108 @@
+const Task = require('../models/Task');
+const { matches, sortComparator, sumValues } = require('./queryMatcher');
+
+/**
+ * Set a dotted path, creating subdocuments on the way
+ * @param {Object} target
+ * @param {string} fieldPath - e.g. "retention.keep"
+ * @param {*} value
+ */
+const setPath = (target, fieldPath, value) => {
+  const keys = fieldPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (node[key] === null || typeof node[key] !== 'object') node[key] = {};
+    return node[key];
+  }, target);
+  parent[last] = value;
+};
+
+/**
+ * Task store keeping tasks in a Map, for tests and tools that run without
+ * MongoDB (see ./taskRepository). Tasks are cast and serialised by the Task
+ * model, so they look exactly like stored ones.
+ * @returns {Object}
+ */
+const createMemoryTaskStore = () => {
+  const tasks = new Map();
+
+  const toJSON = (raw) => Task.hydrate(structuredClone(raw)).toJSON();
+
+  const read = async (taskId) => (tasks.has(taskId) ? toJSON(tasks.get(taskId)) : null);
+
+  const insert = async (fields) => {
+    const task = new Task(fields);
+    const invalid = task.validateSync();
+    if (invalid) throw invalid;
+    if (tasks.has(task.id)) {
+      const duplicate = new Error(`E11000 duplicate key error: task ${task.id} already exists`);
+      duplicate.code = 11000;
+      throw duplicate;
+    }
+
+    const now = new Date();
+    const raw = { ...task.toObject({ depopulate: true }), created_at: now, updated_at: now };
+    tasks.set(task.id, raw);
+    return toJSON(raw);
+  };
+
+  const write = async (taskId, version, { set = {}, pushAttempt = null, finishAttempt = null }) => {
+    const current = tasks.get(taskId);
+    if (!current || current.version !== version) return null;
+
+    const next = structuredClone(current);
+    Object.entries(set).forEach(([fieldPath, value]) => setPath(next, fieldPath, structuredClone(value)));
+    if (finishAttempt) {
+      next.attempts
+        .filter((attempt) => attempt.status === 'processing')
+        .forEach((attempt) => Object.assign(attempt, finishAttempt));
+    }
+    if (pushAttempt) next.attempts.push(structuredClone(pushAttempt));
+    next.version = version + 1;
+    next.updated_at = new Date();
+
+    tasks.set(taskId, next);
+    return toJSON(next);
+  };
+
+  const remove = async (taskId) => tasks.delete(taskId);
+
+  const select = (filter) => [...tasks.values()].filter((raw) => matches(raw, filter));
+
+  const list = async (filter, { sort = null, limit = null, fields = null } = {}) => {
+    let found = select(filter);
+    if (sort) found.sort(sortComparator(sort));
+    if (limit) found = found.slice(0, limit);
+    if (fields) {
+      const names = fields.split(/\s+/);
+      found = found.map((raw) =>
+        Object.fromEntries(Object.entries(raw).filter(([key]) => key === '_id' || names.includes(key)))
+      );
+    }
+    return found.map(toJSON);
+  };
+
+  const count = async (filter) => select(filter).length;
+
+  const aggregate = async (filter, { groupBy = null, sum = [] } = {}) => {
+    const groups = new Map();
+    select(filter).forEach((raw) => {
+      const key = groupBy && raw[groupBy] !== undefined ? raw[groupBy] : null;
+      if (!groups.has(key)) {
+        groups.set(key, { key, count: 0, sums: Object.fromEntries(sum.map((fieldPath) => [fieldPath, 0])) });
+      }
+      const group = groups.get(key);
+      group.count += 1;
+      sum.forEach((fieldPath) => {
+        group.sums[fieldPath] += sumValues(raw, fieldPath);
+      });
+    });
+    return [...groups.values()];
+  };
+
+  const readWebhook = async (taskId) => (tasks.has(taskId) ? structuredClone(tasks.get(taskId).webhook) : null);
+
+  return { read, insert, write, remove, list, count, aggregate, readWebhook };
+};
+
+module.exports = { createMemoryTaskStore };
@@ -0,0 +1,67 @@
+const Task = require('../models/Task');
+
+/**
+ * Task store backed by the Task mongoose model (see ./taskRepository).
+ * `updated_at` is maintained by the model's timestamps.
+ * @returns {Object}
+ */
+const createMongoTaskStore = () => {
+  const read = async (taskId) => {
+    const task = await Task.findById(taskId);
+    return task ? task.toJSON() : null;
+  };
+
+  const insert = async (fields) => (await Task.create(fields)).toJSON();
+
+  const write = async (taskId, version, { set = {}, pushAttempt = null, finishAttempt = null }) => {
+    const $set = { ...set };
+    if (finishAttempt) {
+      Object.entries(finishAttempt).forEach(([field, value]) => {
+        $set[`attempts.$[attempt].${field}`] = value;
+      });
+    }
+    const update = { $set, $inc: { version: 1 } };
+    if (pushAttempt) update.$push = { attempts: pushAttempt };
+
+    const task = await Task.findOneAndUpdate({ _id: taskId, version }, update, {
+      new: true,
+      arrayFilters: finishAttempt ? [{ 'attempt.status': 'processing' }] : undefined,
+    });
+    return task ? task.toJSON() : null;
+  };
+
+  const remove = async (taskId) => (await Task.deleteOne({ _id: taskId })).deletedCount > 0;
+
+  const list = async (filter, { sort = null, limit = null, fields = null } = {}) => {
+    const query = Task.find(filter);
+    if (sort) query.sort(sort);
+    if (limit) query.limit(limit);
+    if (fields) query.select(fields);
+    return (await query).map((task) => task.toJSON());
+  };
+
+  const count = (filter) => Task.countDocuments(filter);
+
+  const aggregate = async (filter, { groupBy = null, sum = [] } = {}) => {
+    const group = { _id: groupBy ? `$${groupBy}` : null, count: { $sum: 1 } };
+    // Summing the value first adds up arrays, e.g. outputs.size
+    sum.forEach((fieldPath, index) => {
+      group[`sum_${index}`] = { $sum: { $sum: `$${fieldPath}` } };
+    });
+    const groups = await Task.aggregate([{ $match: filter }, { $group: group }]);
+    return groups.map((result) => ({
+      key: result._id,
+      count: result.count,
+      sums: Object.fromEntries(sum.map((fieldPath, index) => [fieldPath, result[`sum_${index}`]])),
+    }));
+  };
+
+  const readWebhook = async (taskId) => {
+    const task = await Task.findById(taskId, 'webhook').lean();
+    return task ? task.webhook : null;
+  };
+
+  return { read, insert, write, remove, list, count, aggregate, readWebhook };
+};
+
+module.exports = { createMongoTaskStore };
@@ -0,0 +1,122 @@
+/**
+ * The subset of MongoDB queries the task repository uses, evaluated in
+ * memory on stored tasks (see ./memoryTaskStore). Filters support field
+ * equality (null also matching missing fields), $eq, $ne, $in, $nin, $gt,
+ * $gte, $lt, $lte, $exists, $regex with $options, and $or/$and. Dotted paths
+ * reach into subdocuments and arrays, e.g. "attempts.started_at" matches when
+ * any attempt does.
+ */
+const { isDate } = require('util').types;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !isDate(value) && !Array.isArray(value);
+
+/**
+ * Values at a dotted path; arrays on the way are flattened, as MongoDB does
+ * @param {Object} doc
+ * @param {string} fieldPath
+ * @returns {Array} - [undefined] when the path is missing
+ */
+const getValues = (doc, fieldPath) => {
+  const values = fieldPath.split('.').reduce(
+    (parents, key) =>
+      parents
+        .flatMap((parent) => (Array.isArray(parent) ? parent : [parent]))
+        .map((parent) => (isPlainObject(parent) ? parent[key] : undefined)),
+    [doc]
+  );
+  return values.flatMap((value) => (Array.isArray(value) ? value : [value]));
+};
+
+const comparable = (value) => (isDate(value) ? value.getTime() : value);
+
+const equals = (a, b) => {
+  if ((a === null || a === undefined) && (b === null || b === undefined)) return true;
+  return comparable(a) === comparable(b);
+};
+
+/**
+ * Order of two values, or null when they cannot be compared (different types, missing)
+ * @returns {number|null}
+ */
+const compare = (a, b) => {
+  const x = comparable(a);
+  const y = comparable(b);
+  if (x === null || x === undefined || y === null || y === undefined || typeof x !== typeof y) return null;
+  if (x < y) return -1;
+  return x > y ? 1 : 0;
+};
+
+const OPERATORS = {
+  $eq: (values, operand) => values.some((value) => equals(value, operand)),
+  $ne: (values, operand) => !values.some((value) => equals(value, operand)),
+  $in: (values, operand) => values.some((value) => operand.some((item) => equals(value, item))),
+  $nin: (values, operand) => !values.some((value) => operand.some((item) => equals(value, item))),
+  $gt: (values, operand) => values.some((value) => compare(value, operand) > 0),
+  $gte: (values, operand) => values.some((value) => compare(value, operand) >= 0),
+  $lt: (values, operand) => values.some((value) => compare(value, operand) < 0),
+  $lte: (values, operand) => values.some((value) => compare(value, operand) <= 0),
+  $exists: (values, operand) => values.some((value) => value !== undefined) === Boolean(operand),
+};
+
+/**
+ * Whether the values at a path meet a condition: a value to equal or an operator object
+ * @param {Array} values
+ * @param {*} condition
+ * @returns {boolean}
+ */
+const meets = (values, condition) => {
+  if (!isPlainObject(condition) || !Object.keys(condition).every((key) => key.startsWith('$'))) {
+    return OPERATORS.$eq(values, condition);
+  }
+  return Object.entries(condition).every(([operator, operand]) => {
+    if (operator === '$options') return true;
+    if (operator === '$regex') {
+      const pattern = new RegExp(operand, condition.$options || '');
+      return values.some((value) => typeof value === 'string' && pattern.test(value));
+    }
+    if (!OPERATORS[operator]) throw new Error(`Unsupported query operator ${operator}`);
+    return OPERATORS[operator](values, operand);
+  });
+};
+
+/**
+ * Whether a stored task matches a filter
+ * @param {Object} doc - Stored task, with _id
+ * @param {Object} filter - MongoDB filter
+ * @returns {boolean}
+ */
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some((part) => matches(doc, part));
+    if (key === '$and') return condition.every((part) => matches(doc, part));
+    return meets(getValues(doc, key), condition);
+  });
+
+/**
+ * Comparator for a MongoDB sort; missing values sort lowest
+ * @param {Object} sort - { field: 1 | -1 }, in order of precedence
+ * @returns {Function} - (a, b) => number
+ */
+const sortComparator = (sort) => (a, b) => {
+  for (const [fieldPath, direction] of Object.entries(sort)) {
+    const x = getValues(a, fieldPath)[0];
+    const y = getValues(b, fieldPath)[0];
+    const xMissing = x === null || x === undefined;
+    const yMissing = y === null || y === undefined;
+    const order = xMissing || yMissing ? Number(yMissing) - Number(xMissing) : compare(x, y) || 0;
+    if (order !== 0) return order * direction;
+  }
+  return 0;
+};
+
+/**
+ * Sum of the numbers at a dotted path; numbers in arrays are added up
+ * @param {Object} doc
+ * @param {string} fieldPath
+ * @returns {number}
+ */
+const sumValues = (doc, fieldPath) =>
+  getValues(doc, fieldPath).reduce((sum, value) => (typeof value === 'number' ? sum + value : sum), 0);
+
+module.exports = { matches, sortComparator, sumValues };
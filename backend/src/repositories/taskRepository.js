@@ -0,0 +1,197 @@
+const { assertTransition, versionConflict } = require('./taskTransitions');
+
+// Writes that lose a race are re-read and re-checked this many times before giving up
+const MAX_WRITE_ATTEMPTS = 5;
+
+/**
+ * Task persistence with optimistic concurrency.
+ *
+ * Every write is based on the version of the task it was checked against and
+ * only lands if that version is still current; each write increments it and
+ * refreshes `updated_at`. Status changes are checked against the state
+ * machine in ./taskTransitions. A write that loses a race is re-read and
+ * checked again, unless the caller passed `expectedVersion`, in which case
+ * it fails with TASK_VERSION_CONFLICT.
+ *
+ * The repository works on a store that only has to do a compare-and-set on
+ * the version, and answer queries written as MongoDB filters on the stored
+ * fields (see ./mongoTaskStore, and ./queryMatcher for what ./memoryTaskStore
+ * understands):
+ *
+ *   read(taskId)                    -> task JSON | null
+ *   insert(fields)                  -> task JSON
+ *   write(taskId, version, changes) -> task JSON | null when `version` is no longer current
+ *     changes: { set: { path: value }, pushAttempt, finishAttempt: { status, finished_at, ... } }
+ *   remove(taskId)                  -> boolean
+ *   list(filter, { sort, limit, fields }) -> task JSON[]
+ *   count(filter)                   -> number
+ *   aggregate(filter, { groupBy, sum: [path] }) -> [{ key, count, sums: { [path]: number } }]
+ *   readWebhook(taskId)             -> the task's webhook with its secret, which task JSON leaves out
+ *
+ * @param {Object} store
+ * @returns {Object} - Task repository
+ */
+const createTaskRepository = (store) => {
+  /**
+   * Read, check and write until the write lands
+   * @param {string} taskId - Task ID
+   * @param {number|undefined} expectedVersion - Fail, rather than re-read, unless the task is at it
+   * @param {Function} prepare - (task) => store changes, or null to leave the task alone; may throw
+   * @returns {Promise<Object|null>} - Updated task JSON, null when missing or left alone
+   */
+  const writeChecked = async (taskId, expectedVersion, prepare) => {
+    for (let attempt = 1; ; attempt += 1) {
+      const current = await store.read(taskId);
+      if (!current) return null;
+      if (expectedVersion !== undefined && current.version !== expectedVersion) {
+        throw versionConflict(taskId, expectedVersion, current.version);
+      }
+
+      const changes = prepare(current);
+      if (!changes) return null;
+
+      const written = await store.write(taskId, current.version, changes);
+      if (written) return written;
+
+      if (expectedVersion !== undefined || attempt >= MAX_WRITE_ATTEMPTS) {
+        const latest = await store.read(taskId);
+        if (!latest) return null;
+        throw versionConflict(taskId, current.version, latest.version);
+      }
+    }
+  };
+
+  /**
+   * Store a new task
+   * @param {Object} fields - Task fields; `status` defaults to pending
+   * @returns {Promise<Object>} - Task JSON
+   */
+  const create = (fields) => store.insert(fields);
+
+  /**
+   * Fetch a task
+   * @param {string} taskId - Task ID
+   * @param {Object} [options]
+   * @param {Object} [options.scope] - Fields the task must have (see middleware/auth getTaskScope)
+   * @returns {Promise<Object|null>} - Task JSON, null when missing or outside the scope
+   */
+  const findById = async (taskId, { scope = {} } = {}) => {
+    const task = await store.read(taskId);
+    if (!task) return null;
+    return Object.entries(scope).every(([field, value]) => task[field] === value) ? task : null;
+  };
+
+  /**
+   * Move a task to another status
+   * @param {string} taskId - Task ID
+   * @param {string} to - New status
+   * @param {Object} [options]
+   * @param {string[]} [options.from] - Statuses the caller expects; from any other one the
+   *   task is left alone and null returned (e.g. a worker finishing a task that was cancelled)
+   * @param {Function} [options.where] - (task) => boolean; the task is left alone when false
+   * @param {Object|Function} [options.changes] - Other fields to set, dotted paths reaching into
+   *   subdocuments; or (task) => fields
+   * @param {Object|Function} [options.pushAttempt] - Attempt to append to the history, or
+   *   (task) => attempt to build it from the task as it is written
+   * @param {Object} [options.finishAttempt] - { status, error } closing the attempt that is processing
+   * @param {number} [options.expectedVersion] - Version the change was decided on
+   * @returns {Promise<Object|null>} - Updated task JSON, null when missing or left alone
+   * @throws {ConflictError} - INVALID_TRANSITION or TASK_VERSION_CONFLICT
+   */
+  const transition = (
+    taskId,
+    to,
+    {
+      from = null,
+      where = null,
+      changes = {},
+      pushAttempt = null,
+      finishAttempt = null,
+      expectedVersion,
+    } = {}
+  ) =>
+    writeChecked(taskId, expectedVersion, (task) => {
+      if (from && !from.includes(task.status)) return null;
+      if (where && !where(task)) return null;
+      assertTransition(task, to);
+      return {
+        set: { ...(typeof changes === 'function' ? changes(task) : changes), status: to },
+        pushAttempt: typeof pushAttempt === 'function' ? pushAttempt(task) : pushAttempt,
+        finishAttempt: finishAttempt && {
+          status: finishAttempt.status,
+          finished_at: new Date(),
+          error_code: finishAttempt.error ? finishAttempt.error.code : null,
+          error_message: finishAttempt.error ? finishAttempt.error.message : null,
+        },
+      };
+    });
+
+  /**
+   * Change fields other than the status
+   * @param {string} taskId - Task ID
+   * @param {Object|Function} changes - Fields to set, dotted paths reaching into subdocuments;
+   *   or (task) => fields, or null to leave the task alone, deciding on the task as it is written
+   * @param {Object} [options]
+   * @param {Function} [options.where] - (task) => boolean; the task is left alone when false
+   * @param {number} [options.expectedVersion] - Version the change was decided on
+   * @returns {Promise<Object|null>} - Updated task JSON, null when missing or left alone
+   * @throws {ConflictError} - TASK_VERSION_CONFLICT
+   */
+  const update = (taskId, changes, { where = null, expectedVersion } = {}) =>
+    writeChecked(taskId, expectedVersion, (task) => {
+      if (where && !where(task)) return null;
+      const fields = typeof changes === 'function' ? changes(task) : changes;
+      if (!fields) return null;
+      if ('status' in fields) {
+        throw new Error('Task status can only be changed with transition()');
+      }
+      return { set: fields };
+    });
+
+  /**
+   * Remove a task
+   * @param {string} taskId - Task ID
+   * @returns {Promise<boolean>} - Whether it existed
+   */
+  const remove = (taskId) => store.remove(taskId);
+
+  /**
+   * Tasks matching a filter
+   * @param {Object} filter - MongoDB filter on stored fields (`_id` for the ID)
+   * @param {Object} [options]
+   * @param {Object} [options.sort] - { field: 1 | -1 }
+   * @param {number} [options.limit]
+   * @param {string} [options.fields] - Space-separated fields to load, e.g. "status attempts"
+   * @returns {Promise<Object[]>} - Task JSON
+   */
+  const list = (filter, options) => store.list(filter, options);
+
+  /**
+   * Number of tasks matching a filter
+   * @param {Object} filter - MongoDB filter
+   * @returns {Promise<number>}
+   */
+  const count = (filter) => store.count(filter);
+
+  /**
+   * Count and add up fields of the tasks matching a filter, optionally per value of a field
+   * @param {Object} filter - MongoDB filter
+   * @param {Object} [options]
+   * @param {string} [options.groupBy] - Field to group by; one group for all tasks when missing
+   * @param {string[]} [options.sum] - Numeric fields to add up; arrays of numbers, e.g.
+   *   "outputs.size", count with their total
+   * @returns {Promise<Object[]>} - [{ key, count, sums: { [field]: number } }], none when nothing matches
+   */
+  const aggregate = (filter, options) => store.aggregate(filter, options);
+
+  /**
+   * The webhook given with a task's upload, including its signing secret
+   * @param {string} taskId - Task ID
+   * @returns {Promise<Object|null>} - { url, secret }, null when missing
+   */
+  const findWebhook = (taskId) => store.readWebhook(taskId);
+
+  return { create, findById, list, count, aggregate, findWebhook, transition, update, remove };
+};
+
+module.exports = { createTaskRepository, MAX_WRITE_ATTEMPTS };
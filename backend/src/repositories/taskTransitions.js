@@ -0,0 +1,56 @@
+const { ConflictError } = require('../utils/errors');
+
+/**
+ * Legal task status changes. A task goes from pending to processing and ends
+ * completed, failed or cancelled; failed and cancelled tasks can be queued
+ * again. Processing may also go back to pending (automatic retry) or stay
+ * processing: progress is recorded that way, and a job Bull restarts after a
+ * worker crash opens a new attempt on a task that is still processing.
+ */
+const TASK_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['processing', 'pending', 'completed', 'failed', 'cancelled'],
+  completed: [],
+  failed: ['pending'],
+  cancelled: ['pending'],
+};
+
+/**
+ * Whether a task may move between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - New status
+ * @returns {boolean}
+ */
+const canTransition = (from, to) => (TASK_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Reject a status change the state machine does not allow
+ * @param {Object} task - Task JSON
+ * @param {string} to - New status
+ * @throws {ConflictError} - INVALID_TRANSITION
+ */
+const assertTransition = (task, to) => {
+  if (!canTransition(task.status, to)) {
+    throw new ConflictError(
+      `Task cannot go from ${task.status} to ${to}`,
+      { task_id: task.id, from: task.status, to },
+      'INVALID_TRANSITION'
+    );
+  }
+};
+
+/**
+ * The write lost against another one made since the task was read
+ * @param {string} taskId - Task ID
+ * @param {number} expectedVersion - Version the write was based on
+ * @param {number|null} actualVersion - Version now stored
+ * @returns {ConflictError} - TASK_VERSION_CONFLICT
+ */
+const versionConflict = (taskId, expectedVersion, actualVersion) =>
+  new ConflictError(
+    'Task was changed by someone else; reload it and try again',
+    { task_id: taskId, expected_version: expectedVersion, version: actualVersion },
+    'TASK_VERSION_CONFLICT'
+  );
+
+module.exports = { TASK_TRANSITIONS, canTransition, assertTransition, versionConflict };
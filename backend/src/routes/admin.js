@@ -0,0 +1,156 @@
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const deadLetterService = require('../services/deadLetterService');
+const authService = require('../services/authService');
+const quotaService = require('../services/quotaService');
+const retentionService = require('../services/retentionService');
+const workerService = require('../services/workerService');
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/dlq
+ * Tasks that failed for good, most recent first
+ * Query: offset, limit (1-100)
+ */
+router.get(
+  '/dlq',
+  asyncHandler(async (req, res) => {
+    res.json(await deadLetterService.listDeadLetters(req.query));
+  })
+);
+
+/**
+ * GET /api/admin/dlq/:taskId
+ * A task's entry: final error with ffmpeg log excerpt and the task as it failed
+ */
+router.get(
+  '/dlq/:taskId',
+  asyncHandler(async (req, res) => {
+    res.json(await deadLetterService.getDeadLetter(req.params.taskId));
+  })
+);
+
+/**
+ * POST /api/admin/dlq/:taskId/requeue
+ * Retry the task and remove its entry
+ * Body (optional): { settings: { ...fields to change } }
+ */
+router.post(
+  '/dlq/:taskId/requeue',
+  asyncHandler(async (req, res) => {
+    const { settings } = req.body || {};
+    res.json(await deadLetterService.requeueDeadLetter(req.params.taskId, { settings }));
+  })
+);
+
+/**
+ * DELETE /api/admin/dlq/:taskId
+ * Discard the entry; the task stays failed
+ */
+router.delete(
+  '/dlq/:taskId',
+  asyncHandler(async (req, res) => {
+    await deadLetterService.discardDeadLetter(req.params.taskId);
+    res.status(204).end();
+  })
+);
+
+/**
+ * GET /api/admin/users
+ * Every account, newest first
+ */
+router.get(
+  '/users',
+  asyncHandler(async (req, res) => {
+    res.json({ data: await authService.listUsers() });
+  })
+);
+
+/**
+ * POST /api/admin/users
+ * Create an account
+ * Body: { email, password, name, role: user|admin }
+ */
+router.post(
+  '/users',
+  asyncHandler(async (req, res) => {
+    const { email, password, name, role } = req.body || {};
+    res.status(201).json(await authService.createUser({ email, password, name, role }));
+  })
+);
+
+/**
+ * GET /api/admin/users/:userId/usage
+ * A user's usage against their limits (same shape as GET /api/usage)
+ */
+router.get(
+  '/users/:userId/usage',
+  asyncHandler(async (req, res) => {
+    res.json(await quotaService.getUsage(req.params.userId));
+  })
+);
+
+/**
+ * PATCH /api/admin/users/:userId/quotas
+ * Override a user's limits
+ * Body: any of { storage_bytes, concurrent_jobs, daily_processing_minutes, uploads_per_hour };
+ *       0 for unlimited, null to go back to the configured default
+ */
+router.patch(
+  '/users/:userId/quotas',
+  asyncHandler(async (req, res) => {
+    res.json(await quotaService.updateUserQuotas(req.params.userId, req.body));
+  })
+);
+
+/**
+ * PATCH /api/admin/users/:userId/retention
+ * Override how long a user's files are kept after their tasks finish
+ * Body: any of { source_days, output_days }; 0 keeps files forever,
+ *       null goes back to the configured default
+ */
+router.patch(
+  '/users/:userId/retention',
+  asyncHandler(async (req, res) => {
+    res.json(await retentionService.updateUserRetention(req.params.userId, req.body));
+  })
+);
+
+/**
+ * GET /api/admin/retention/report
+ * Dry run of every cleanup sweep: what would be deleted now and how many bytes it frees
+ */
+router.get(
+  '/retention/report',
+  asyncHandler(async (req, res) => {
+    res.json(await retentionService.getRetentionReport());
+  })
+);
+
+/**
+ * POST /api/admin/retention/run
+ * Run the upload session and retention sweeps now instead of waiting for their schedule
+ */
+router.post(
+  '/retention/run',
+  asyncHandler(async (req, res) => {
+    const uploadSessions = await retentionService.sweepUploadSessions();
+    const { sources, outputs } = await retentionService.sweepExpiredArtifacts();
+    res.json({ dry_run: false, upload_sessions: uploadSessions, sources, outputs });
+  })
+);
+
+/**
+ * GET /api/admin/workers
+ * Video workers with their current jobs, last heartbeat and load; status is
+ * online, offline (no heartbeat within the lease TTL) or stopped
+ */
+router.get(
+  '/workers',
+  asyncHandler(async (req, res) => {
+    res.json(await workerService.listWorkers());
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const authService = require('../services/authService');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * POST /api/auth/login
+ * Body: { email, password }
+ * -> { access_token, refresh_token, token_type, expires_in, user }; 401 INVALID_CREDENTIALS
+ */
+router.post(
+  '/login',
+  asyncHandler(async (req, res) => {
+    res.json(await authService.login(req.body || {}));
+  })
+);
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new pair; each refresh token works once
+ * Body: { refresh_token } -> same shape as login; 401 INVALID_REFRESH_TOKEN
+ */
+router.post(
+  '/refresh',
+  asyncHandler(async (req, res) => {
+    res.json(await authService.refresh((req.body || {}).refresh_token));
+  })
+);
+
+/**
+ * POST /api/auth/logout
+ * Revoke the session a refresh token belongs to
+ * Body: { refresh_token }
+ */
+router.post(
+  '/logout',
+  asyncHandler(async (req, res) => {
+    await authService.logout((req.body || {}).refresh_token);
+    res.status(204).end();
+  })
+);
+
+/**
+ * POST /api/auth/stream-ticket
+ * Short-lived ticket for opening an event stream or the WebSocket, passed as `?ticket=`
+ * -> { ticket, expires_in }
+ */
+router.post('/stream-ticket', authenticate, (req, res) => {
+  res.json(authService.issueStreamTicket(req.user));
+});
+
+/**
+ * GET /api/auth/me
+ * The signed-in user's account
+ */
+router.get(
+  '/me',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    res.json(await authService.getUser(req.user.id));
+  })
+);
+
+module.exports = router;
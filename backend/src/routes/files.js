@@ -0,0 +1,70 @@
+const express = require('express');
+const config = require('../config');
+const asyncHandler = require('../utils/asyncHandler');
+const { sendStoredFile } = require('../utils/sendStoredFile');
+const { getContentType } = require('../storage');
+const { verifySignedParams } = require('../storage/urlSigner');
+const { AppError, NotFoundError } = require('../utils/errors');
+
+const router = express.Router();
+
+/**
+ * Reject a link whose signature does not check out
+ * @param {string} result - Result of verifySignedParams
+ * @throws {AppError}
+ */
+const assertValidLink = (result) => {
+  if (result === 'expired') {
+    throw new AppError('This link has expired', 410, 'LINK_EXPIRED');
+  }
+  if (result !== 'valid') {
+    throw new AppError('Invalid link signature', 403, 'INVALID_SIGNATURE');
+  }
+};
+
+/**
+ * GET /api/files/scoped/:expires/:signature/:scope/*
+ * Files below a signed key prefix (see storage.getSignedPrefixUrl): an HLS
+ * master playlist and the playlists and segments it references; supports
+ * Range requests
+ */
+router.get(
+  '/scoped/:expires/:signature/:scope/*',
+  asyncHandler(async (req, res) => {
+    const { expires, signature } = req.params;
+    const prefix = Buffer.from(req.params.scope, 'base64url').toString();
+    assertValidLink(verifySignedParams(config.storage.signingSecret, prefix, { expires, signature }));
+
+    const key = `${prefix}${req.params[0]}`;
+    // Stay below the signed prefix
+    if (!prefix.endsWith('/') || req.params[0].split('/').some((part) => part === '..' || part === '')) {
+      throw new NotFoundError('File not found');
+    }
+    await sendStoredFile(req, res, key, {
+      'Content-Type': getContentType(key),
+      'Cache-Control': 'private, max-age=0',
+    });
+  })
+);
+
+/**
+ * GET /api/files/*
+ * Signed, expiring links to stored objects handed out by the local storage
+ * driver (S3 links point at the bucket instead); supports Range requests
+ * Query: expires, signature, filename (served as an attachment when set)
+ */
+router.get(
+  '/*',
+  asyncHandler(async (req, res) => {
+    const key = req.params[0];
+    assertValidLink(verifySignedParams(config.storage.signingSecret, key, req.query));
+
+    const headers = { 'Content-Type': getContentType(key), 'Cache-Control': 'private, max-age=0' };
+    if (req.query.filename) {
+      headers['Content-Disposition'] = `attachment; filename="${String(req.query.filename).replace(/"/g, '')}"`;
+    }
+    await sendStoredFile(req, res, key, headers);
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,266 @@
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const taskService = require('../services/taskService');
+const schedulerService = require('../services/schedulerService');
+const streamingService = require('../services/streamingService');
+const bulkTaskService = require('../services/bulkTaskService');
+const artifactService = require('../services/artifactService');
+const retentionService = require('../services/retentionService');
+const { ValidationError } = require('../utils/errors');
+const { sendStoredFile } = require('../utils/sendStoredFile');
+const { parseTaskQuery } = require('../validators/taskQuery');
+const { getTaskScope } = require('../middleware/auth');
+const { withMediaLinks } = require('../utils/mediaLinks');
+const taskLogService = require('../services/taskLogService');
+const { streamTaskEvents, streamTaskLog } = require('../realtime/sse');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Every /:taskId route only reaches tasks the user may see; others are 404.
+// The task is kept on the request as `req.task`.
+router.param('taskId', (req, res, next, taskId) => {
+  taskService
+    .getTask(taskId, getTaskScope(req.user))
+    .then((task) => {
+      req.task = task;
+      next();
+    })
+    .catch(next);
+});
+
+/**
+ * GET /api/tasks
+ * One page of tasks with totals; completed tasks carry signed `media` links
+ * Query: status (comma separated), created_from, created_to, updated_since (ISO dates),
+ *        name (substring), sort (created_at|updated_at|name|status), order (asc|desc),
+ *        limit (1-100), cursor (page.next_cursor of the previous page)
+ */
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    const page = await taskService.listTasks(parseTaskQuery(req.query), getTaskScope(req.user));
+    res.json({ ...page, data: page.data.map(withMediaLinks) });
+  })
+);
+
+/**
+ * GET /api/tasks/stream
+ * Server-Sent Events stream of task updates (fallback for WebSocket /ws)
+ * Query: task_ids (comma separated) - limit the stream to these tasks
+ */
+router.get('/stream', (req, res) => {
+  streamTaskEvents(req, res, { userId: getTaskScope(req.user).user_id || null });
+});
+
+/**
+ * GET /api/tasks/queue
+ * Queue position and estimated start of each of the caller's pending tasks;
+ * positions count every user's tasks
+ */
+router.get(
+  '/queue',
+  asyncHandler(async (req, res) => {
+    res.json(await schedulerService.getQueue({ scope: getTaskScope(req.user) }));
+  })
+);
+
+/**
+ * POST /api/tasks/batch
+ * Apply an action to many tasks; always 200 with a result per task
+ * Body: { action: retry|cancel|delete|download, task_ids: [...] }
+ *    or { action, filter: { ...GET /api/tasks query }, exclude_ids: [...] } for "select all matching"
+ */
+router.post(
+  '/batch',
+  asyncHandler(async (req, res) => {
+    const { action, task_ids: taskIds, filter, exclude_ids: excludeIds = [] } = req.body || {};
+    const isIdList = (value) => Array.isArray(value) && value.every((id) => typeof id === 'string');
+    const isFilter = (value) => typeof value === 'object' && !Array.isArray(value);
+
+    if (filter ? !isFilter(filter) || !isIdList(excludeIds) : !isIdList(taskIds)) {
+      throw new ValidationError(
+        'Send task_ids as an array of task IDs, or a filter object',
+        null,
+        'INVALID_BATCH'
+      );
+    }
+
+    res.json(
+      await bulkTaskService.runBatch({
+        action,
+        taskIds,
+        filter: filter ? parseTaskQuery(filter) : null,
+        excludeIds,
+        scope: getTaskScope(req.user),
+      })
+    );
+  })
+);
+
+/**
+ * GET /api/tasks/:taskId
+ * The task; when completed with signed `media` links
+ */
+router.get('/:taskId', (req, res) => {
+  res.json(withMediaLinks(req.task));
+});
+
+/**
+ * POST /api/tasks/:taskId/cancel
+ * Cancel a pending or processing task; 409 TASK_NOT_CANCELLABLE once it has finished
+ */
+router.post(
+  '/:taskId/cancel',
+  asyncHandler(async (req, res) => {
+    res.json(await taskService.cancelTask(req.params.taskId));
+  })
+);
+
+/**
+ * POST /api/tasks/:taskId/retry
+ * Queue a failed or cancelled task again; 409 TASK_NOT_RETRYABLE otherwise
+ * Body (optional): { settings: { ...fields to change } }
+ */
+router.post(
+  '/:taskId/retry',
+  asyncHandler(async (req, res) => {
+    const { settings } = req.body || {};
+    res.json(await taskService.retryTask(req.params.taskId, { settings }));
+  })
+);
+
+/**
+ * DELETE /api/tasks/:taskId
+ * Delete a task and its files, cancelling it first if it is still active
+ */
+router.delete(
+  '/:taskId',
+  asyncHandler(async (req, res) => {
+    await taskService.deleteTask(req.params.taskId);
+    res.status(204).end();
+  })
+);
+
+/**
+ * PATCH /api/tasks/:taskId/retention
+ * Keep a task's files or change when they are deleted once it has finished
+ * Body: any of { keep, source_days, output_days }; 0 days keeps the files forever,
+ *       null goes back to the account's rule
+ */
+router.patch(
+  '/:taskId/retention',
+  asyncHandler(async (req, res) => {
+    res.json(await retentionService.updateTaskRetention(req.params.taskId, req.body));
+  })
+);
+
+/**
+ * GET /api/tasks/:taskId/logs
+ * Processing log: stage events with timestamps and durations, oldest first
+ * Query: after (id of the last entry already seen), limit (1-1000)
+ */
+router.get(
+  '/:taskId/logs',
+  asyncHandler(async (req, res) => {
+    res.json(await taskLogService.listLogs(req.params.taskId, taskLogService.parseLogQuery(req.query)));
+  })
+);
+
+/**
+ * GET /api/tasks/:taskId/logs/stream
+ * Server-Sent Events tail of the processing log (`task_log` events) plus the task's status events
+ * Query: after (id of the last entry already seen); Last-Event-ID takes precedence on reconnect
+ */
+router.get(
+  '/:taskId/logs/stream',
+  asyncHandler(async (req, res) => {
+    const { taskId } = req.params;
+    const { after } = taskLogService.parseLogQuery({
+      after: req.get('Last-Event-ID') || req.query.after,
+    });
+
+    streamTaskLog(req, res, taskId, { after }).catch((err) => {
+      // Headers are already sent; end the stream and let the client reconnect
+      logger.warn('Task log stream failed', { task_id: taskId, error: err.message });
+      res.end();
+    });
+  })
+);
+
+/**
+ * GET /api/tasks/:taskId/artifacts
+ * Signed, expiring links to every output of a completed task: renditions,
+ * HLS stream, audio, caption tracks, poster, thumbnails and sprite sheet
+ * Query: expires_in (seconds, default SIGNED_URL_TTL_SECONDS)
+ */
+router.get(
+  '/:taskId/artifacts',
+  asyncHandler(async (req, res) => {
+    res.json(await artifactService.listArtifacts(req.params.taskId, req.query));
+  })
+);
+
+/**
+ * GET /api/tasks/:taskId/download
+ * Primary output of a completed task as an attachment; supports Range requests
+ */
+router.get(
+  '/:taskId/download',
+  asyncHandler(async (req, res) => {
+    const file = await streamingService.resolveDownloadFile(req.params.taskId);
+    await sendStoredFile(req, res, file.key, {
+      'Content-Type': file.contentType,
+      'Content-Disposition': `attachment; filename="${file.fileName.replace(/"/g, '')}"`,
+    });
+  })
+);
+
+/**
+ * GET /api/tasks/:taskId/hls/*
+ * HLS master playlist, variant playlists and segments; supports Range requests
+ */
+router.get(
+  '/:taskId/hls/*',
+  asyncHandler(async (req, res) => {
+    const file = await streamingService.resolveHlsFile(req.params.taskId, req.params[0]);
+    await sendStoredFile(req, res, file.key, {
+      'Content-Type': file.contentType,
+      // Outputs never change once written, but playlists are cheap to revalidate.
+      // Responses are per-user, so shared caches must not keep them.
+      'Cache-Control': file.isPlaylist ? 'no-cache' : 'private, max-age=86400, immutable',
+    });
+  })
+);
+
+/**
+ * GET /api/tasks/:taskId/thumbnails/:fileName
+ * Poster/thumbnail images, the sprite sheet and its WebVTT thumbnail track
+ */
+router.get(
+  '/:taskId/thumbnails/:fileName',
+  asyncHandler(async (req, res) => {
+    const file = await streamingService.resolveThumbnailFile(req.params.taskId, req.params.fileName);
+    await sendStoredFile(req, res, file.key, {
+      'Content-Type': file.contentType,
+      'Cache-Control': 'private, max-age=86400, immutable',
+    });
+  })
+);
+
+/**
+ * GET /api/tasks/:taskId/captions/:fileName
+ * WebVTT caption track, for <track> elements
+ */
+router.get(
+  '/:taskId/captions/:fileName',
+  asyncHandler(async (req, res) => {
+    const file = await streamingService.resolveCaptionFile(req.params.taskId, req.params.fileName);
+    await sendStoredFile(req, res, file.key, {
+      'Content-Type': file.contentType,
+      'Cache-Control': 'private, max-age=0',
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,133 @@
+const express = require('express');
+const multer = require('multer');
+const config = require('../config');
+const asyncHandler = require('../utils/asyncHandler');
+const uploadSessionService = require('../services/uploadSessionService');
+const taskService = require('../services/taskService');
+const quotaService = require('../services/quotaService');
+
+const router = express.Router();
+
+// Chunks are small enough to buffer; anything over the negotiated chunk size is rejected.
+// busboy flags a file that reaches the limit exactly, hence the extra byte.
+const chunkUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.upload.chunkSize + 1, files: 1 },
+});
+const captionUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: uploadSessionService.MAX_CAPTION_SIZE, files: 1 },
+});
+
+/**
+ * POST /api/videos/uploads
+ * Start a resumable upload session; 429 or 413 when it would exceed the user's quotas
+ * Body: { filename, size, mime_type, settings, webhook: { url, secret }, priority: low|normal|high }
+ * The webhook is optional; the response carries its secret, generated when not sent. The
+ * priority defaults to DEFAULT_PRIORITY and may not exceed what the user's role allows.
+ */
+router.post(
+  '/',
+  asyncHandler(async (req, res) => {
+    const { filename, size, mime_type: mimeType, settings, webhook, priority } = req.body || {};
+    const fileSize = Number(size);
+    // Invalid sizes are reported by createSession
+    if (Number.isInteger(fileSize) && fileSize > 0) {
+      await quotaService.assertCanUpload(req.user.id, fileSize);
+    }
+    const session = await uploadSessionService.createSession({
+      userId: req.user.id,
+      filename,
+      size: fileSize,
+      mimeType,
+      settings,
+      webhook,
+      priority,
+      role: req.user.role,
+    });
+    res.status(201).json(session);
+  })
+);
+
+/**
+ * GET /api/videos/uploads/:uploadId
+ * Current session state; `offset` is where the client should resume from
+ */
+router.get(
+  '/:uploadId',
+  asyncHandler(async (req, res) => {
+    res.json(await uploadSessionService.getSession(req.params.uploadId, req.user.id));
+  })
+);
+
+/**
+ * PUT /api/videos/uploads/:uploadId/chunks
+ * Multipart body with an `offset` field followed by a `chunk` file part
+ */
+router.put(
+  '/:uploadId/chunks',
+  chunkUpload.single('chunk'),
+  asyncHandler(async (req, res) => {
+    const session = await uploadSessionService.appendChunk(
+      req.params.uploadId,
+      req.user.id,
+      Number(req.body.offset),
+      req.file && req.file.buffer
+    );
+    res.json(session);
+  })
+);
+
+/**
+ * POST /api/videos/uploads/:uploadId/captions
+ * Attach an SRT or WebVTT caption file before completing the upload (ENABLE_SUBTITLES)
+ * Multipart body: `file`, and optional `language` (e.g. "en") and `label` fields
+ */
+router.post(
+  '/:uploadId/captions',
+  captionUpload.single('file'),
+  asyncHandler(async (req, res) => {
+    const session = await uploadSessionService.addCaption(req.params.uploadId, req.user.id, {
+      buffer: req.file && req.file.buffer,
+      filename: req.file && req.file.originalname,
+      language: req.body.language,
+      label: req.body.label,
+    });
+    res.status(201).json(session);
+  })
+);
+
+/**
+ * POST /api/videos/uploads/:uploadId/complete
+ * Assemble the received chunks into the final source file, create its task and queue it for processing.
+ * 429 when the user's job or processing quota is used up; the upload is kept, so completing
+ * it again later creates the task. 409 UPLOAD_BUSY while another request is completing it.
+ */
+router.post(
+  '/:uploadId/complete',
+  asyncHandler(async (req, res) => {
+    const video = await uploadSessionService.completeSession(req.params.uploadId, req.user.id);
+    const task = await taskService.createTaskFromUpload(video);
+    // Repeated completes return the existing task; only unprocessed tasks are (re)queued,
+    // and the dispatcher hands a waiting task to the workers only once
+    if (task.status === 'pending') {
+      await taskService.queueTask(task);
+    }
+    res.status(201).json(task);
+  })
+);
+
+/**
+ * DELETE /api/videos/uploads/:uploadId
+ * Abort the upload and discard received data. 409 UPLOAD_BUSY while a chunk,
+ * caption or completion is in flight.
+ */
+router.delete(
+  '/:uploadId',
+  asyncHandler(async (req, res) => {
+    await uploadSessionService.abortSession(req.params.uploadId, req.user.id);
+    res.status(204).end();
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const quotaService = require('../services/quotaService');
+
+const router = express.Router();
+
+/**
+ * GET /api/usage
+ * The signed-in user's storage, concurrent jobs, processing minutes and
+ * upload rate against their limits; a null limit is unlimited
+ */
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    res.json(await quotaService.getUsage(req.user.id));
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,102 @@
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const webhookService = require('../services/webhookService');
+const { getTaskScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * GET /api/webhooks
+ * The signed-in user's webhooks, newest first
+ */
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    res.json({ data: await webhookService.listWebhooks(req.user.id) });
+  })
+);
+
+/**
+ * POST /api/webhooks
+ * Register a webhook for all of the user's tasks. The response is the only
+ * one that includes the secret; it is generated when not sent.
+ * Body: { url, events: [task.completed|task.failed|task.cancelled], description, secret }
+ */
+router.post(
+  '/',
+  asyncHandler(async (req, res) => {
+    res.status(201).json(await webhookService.createWebhook(req.user.id, req.body || {}));
+  })
+);
+
+/**
+ * GET /api/webhooks/deliveries
+ * Delivery log, newest first; admins see every user's deliveries
+ * Query: task_id, webhook_id, status (pending|succeeded|failed), offset, limit (1-100)
+ */
+router.get(
+  '/deliveries',
+  asyncHandler(async (req, res) => {
+    res.json(await webhookService.listDeliveries(req.query, getTaskScope(req.user)));
+  })
+);
+
+/**
+ * GET /api/webhooks/deliveries/:deliveryId
+ * A delivery with its payload and every attempt
+ */
+router.get(
+  '/deliveries/:deliveryId',
+  asyncHandler(async (req, res) => {
+    res.json(await webhookService.getDelivery(req.params.deliveryId, getTaskScope(req.user)));
+  })
+);
+
+/**
+ * POST /api/webhooks/deliveries/:deliveryId/resend
+ * Send the same payload again as a new delivery; 409 while the original is still being retried
+ */
+router.post(
+  '/deliveries/:deliveryId/resend',
+  asyncHandler(async (req, res) => {
+    res
+      .status(202)
+      .json(await webhookService.resendDelivery(req.params.deliveryId, getTaskScope(req.user)));
+  })
+);
+
+/**
+ * PATCH /api/webhooks/:webhookId
+ * Body: any of { url, events, description, active, secret }
+ */
+router.patch(
+  '/:webhookId',
+  asyncHandler(async (req, res) => {
+    res.json(await webhookService.updateWebhook(req.params.webhookId, req.user.id, req.body || {}));
+  })
+);
+
+/**
+ * DELETE /api/webhooks/:webhookId
+ * Remove the webhook; its deliveries stay in the log
+ */
+router.delete(
+  '/:webhookId',
+  asyncHandler(async (req, res) => {
+    await webhookService.deleteWebhook(req.params.webhookId, req.user.id);
+    res.status(204).end();
+  })
+);
+
+/**
+ * POST /api/webhooks/:webhookId/test
+ * Send a `webhook.test` event to check the receiver
+ */
+router.post(
+  '/:webhookId/test',
+  asyncHandler(async (req, res) => {
+    res.status(202).json(await webhookService.sendTestEvent(req.params.webhookId, req.user.id));
+  })
+);
+
+module.exports = router;
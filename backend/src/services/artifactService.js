@@ -0,0 +1,195 @@
+const path = require('path');
+const config = require('../config');
+const taskService = require('./taskService');
+const { getStorage, getContentType, getSignedPrefixUrl } = require('../storage');
+const { getOutputPrefix } = require('../utils/taskPaths');
+const { ConflictError, ValidationError } = require('../utils/errors');
+
+const MIN_EXPIRES_IN = 60;
+// Longest lifetime S3 accepts for a presigned URL
+const MAX_EXPIRES_IN = 7 * 24 * 3600;
+
+/**
+ * Parse the query of GET /api/tasks/:taskId/artifacts
+ * @param {Object} query - Express query object
+ * @returns {{ expiresIn: number }}
+ * @throws {ValidationError}
+ */
+const parseArtifactQuery = ({ expires_in: expiresIn } = {}) => {
+  if (expiresIn === undefined) return { expiresIn: config.storage.signedUrlTtlSeconds };
+
+  const parsed = Number(expiresIn);
+  if (!Number.isInteger(parsed) || parsed < MIN_EXPIRES_IN || parsed > MAX_EXPIRES_IN) {
+    throw new ValidationError(
+      'Invalid artifact query',
+      { fields: { expires_in: `Must be an integer between ${MIN_EXPIRES_IN} and ${MAX_EXPIRES_IN}` } },
+      'INVALID_QUERY'
+    );
+  }
+  return { expiresIn: parsed };
+};
+
+/**
+ * Source upload and the files a completed task produced (renditions, HLS,
+ * audio, captions and images), each as
+ * { kind, key, label, format, resolution, size, fileName }
+ * @param {Object} task - Task JSON
+ * @returns {Object[]}
+ */
+const collectFiles = (task) => {
+  const baseName = path.parse(task.name).name;
+  const sourceHeight = task.media?.video?.height;
+  // The upload itself, for downloading the original and comparing it with the outputs
+  const source = {
+    kind: 'source',
+    key: task.input_file,
+    label: 'Original upload',
+    format: path.extname(task.input_file).slice(1).toLowerCase(),
+    resolution: sourceHeight ? `${sourceHeight}p` : null,
+    size: task.file_size ?? null,
+    fileName: task.name,
+  };
+  const renditions = task.outputs
+    .filter((output) => output.format !== 'hls')
+    .map((output) => ({
+      kind: 'video',
+      key: output.path,
+      label: `${output.format.toUpperCase()} ${output.resolution}`,
+      format: output.format,
+      resolution: output.resolution,
+      size: output.size,
+      fileName: `${baseName}_${output.resolution}.${output.format}`,
+    }));
+  const files = [source, ...renditions];
+
+  if (task.hls) {
+    const ladder = task.outputs.filter((output) => output.format === 'hls');
+    files.push({
+      kind: 'hls',
+      key: task.hls.master_playlist,
+      label: `HLS (${ladder.map((output) => output.resolution).join(', ')})`,
+      format: 'hls',
+      resolution: null,
+      size: ladder.reduce((total, output) => total + (output.size || 0), 0),
+      fileName: null,
+    });
+  }
+
+  if (task.audio) {
+    const extension = path.posix.extname(task.audio.path);
+    files.push({
+      kind: 'audio',
+      key: task.audio.path,
+      label: `Audio (${task.audio.format.toUpperCase()})`,
+      format: task.audio.format,
+      resolution: null,
+      size: task.audio.size ?? null,
+      fileName: `${baseName}${extension}`,
+    });
+  }
+
+  (task.captions || []).forEach((caption) => {
+    files.push({
+      kind: 'caption',
+      key: caption.path,
+      label: `Captions: ${caption.label}${caption.source === 'embedded' ? ' (from the video)' : ''}`,
+      format: 'vtt',
+      resolution: null,
+      size: caption.size ?? null,
+      fileName: `${baseName}.${caption.language || caption.id}.vtt`,
+    });
+  });
+
+  if (task.thumbnails) {
+    // Task JSON carries thumbnail URLs; the files sit below the output prefix by name
+    const thumbnailPrefix = `${getOutputPrefix(task.id)}thumbnails/`;
+    const image = (kind, url, label) => {
+      const fileName = path.posix.basename(url);
+      return {
+        kind,
+        key: `${thumbnailPrefix}${fileName}`,
+        label,
+        format: path.extname(fileName).slice(1),
+        resolution: null,
+        size: null,
+        fileName: `${baseName}_${fileName}`,
+      };
+    };
+    const { images, sprite } = task.thumbnails;
+    const poster = image('poster', task.thumbnail_url, 'Poster');
+    files.push(poster);
+    images.forEach((thumbnail, index) => {
+      const file = image('thumbnail', thumbnail.url, `Thumbnail ${index + 1} (${thumbnail.time.toFixed(1)} s)`);
+      // The poster is one of the thumbnails; list it once
+      if (file.key !== poster.key) files.push(file);
+    });
+    files.push(image('sprite', sprite.url, 'Sprite sheet'));
+    files.push(image('thumbnail_track', sprite.vtt_url, 'Thumbnail track (WebVTT)'));
+  }
+
+  return files;
+};
+
+/**
+ * Signed, expiring links to the source and every output of a completed task. HLS links
+ * cover the whole stream (see storage.getSignedPrefixUrl); the others point
+ * at a single file and support Range requests.
+ * @param {string} taskId - Task ID
+ * @param {Object} query - Express query object: expires_in (seconds)
+ * @returns {Promise<{ data: Object[], expires_at: string }>}
+ * @throws {NotFoundError}
+ * @throws {ConflictError} - Task is not completed
+ * @throws {ValidationError}
+ */
+const listArtifacts = async (taskId, query) => {
+  const { expiresIn } = parseArtifactQuery(query);
+  const task = await taskService.getTask(taskId);
+  if (task.status !== 'completed') {
+    throw new ConflictError(
+      `Task is ${task.status}; outputs are available once it completes`,
+      { task_id: taskId, status: task.status },
+      'TASK_NOT_COMPLETED'
+    );
+  }
+
+  const storage = getStorage();
+  // Sizes as stored; outputs recorded before sizes were tracked fall back to the task
+  const objects = await storage.list(getOutputPrefix(taskId));
+  const stored = new Map(objects.map((object) => [object.key, object.size]));
+  const sizeBelow = (prefix) =>
+    objects.filter((object) => object.key.startsWith(prefix)).reduce((total, object) => total + object.size, 0);
+  const expiresAt = new Date(Date.now() + expiresIn * 1000).toISOString();
+
+  const data = await Promise.all(
+    collectFiles(task).map(async ({ key, fileName, ...file }) => {
+      const contentType = getContentType(key);
+      const artifact = {
+        id: file.kind === 'source' ? 'source' : path.posix.relative(getOutputPrefix(taskId), key),
+        ...file,
+        size: stored.get(key) ?? file.size,
+        content_type: contentType,
+        expires_at: expiresAt,
+      };
+
+      if (file.kind === 'hls') {
+        // One link covers the master playlist, variant playlists and segments
+        const prefix = `${path.posix.dirname(key)}/`;
+        return {
+          ...artifact,
+          size: sizeBelow(prefix) || file.size,
+          url: getSignedPrefixUrl(prefix, path.posix.basename(key), { expiresIn }),
+          download_url: null,
+        };
+      }
+      const [url, downloadUrl] = await Promise.all([
+        storage.getSignedUrl(key, { expiresIn, contentType }),
+        storage.getSignedUrl(key, { expiresIn, contentType, fileName }),
+      ]);
+      return { ...artifact, url, download_url: downloadUrl };
+    })
+  );
+
+  return { data, expires_at: expiresAt };
+};
+
+module.exports = { listArtifacts };
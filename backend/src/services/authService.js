@@ -0,0 +1,333 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const { hashPassword, verifyPassword } = require('../utils/password');
+const { AuthenticationError, ConflictError, ValidationError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * Sign-in with short-lived JWT access tokens and rotating refresh tokens.
+ *
+ * Access tokens carry { sub, role, email } and are verified without a
+ * database read. Refresh tokens are JWTs as well, but every one is recorded
+ * (models/RefreshToken) so it can be used once and revoked on logout.
+ * Stream tickets open event streams and WebSockets, which browsers cannot
+ * send an Authorization header with, so access tokens never go in a URL.
+ */
+
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// A stream ticket only has to last until the stream is opened
+const STREAM_TICKET_TTL_SECONDS = 60;
+const STREAM_TICKET_USE = 'stream';
+
+/**
+ * Issue an access token for a user
+ * @param {Object} user - User JSON
+ * @returns {{ token: string, expiresIn: number }} - Token and its lifetime in seconds
+ */
+const issueAccessToken = (user) => {
+  const token = jwt.sign({ role: user.role, email: user.email }, config.auth.accessTokenSecret, {
+    subject: user.id,
+    expiresIn: config.auth.accessTokenTtl,
+  });
+  const { iat, exp } = jwt.decode(token);
+  return { token, expiresIn: exp - iat };
+};
+
+/**
+ * Issue a refresh token and record it
+ * @param {Object} user - User JSON
+ * @param {string} family - Token family; a login starts a new one
+ * @returns {Promise<{ token: string, jti: string }>}
+ */
+const issueRefreshToken = async (user, family) => {
+  const jti = crypto.randomUUID();
+  const token = jwt.sign({ family }, config.auth.refreshTokenSecret, {
+    subject: user.id,
+    jwtid: jti,
+    expiresIn: config.auth.refreshTokenTtl,
+  });
+  await RefreshToken.create({
+    _id: jti,
+    user_id: user.id,
+    family,
+    expires_at: new Date(jwt.decode(token).exp * 1000),
+  });
+  return { token, jti };
+};
+
+/**
+ * Shape a token pair for API responses
+ * @param {Object} user - User JSON
+ * @param {string} family - Token family
+ * @returns {Promise<Object>} - { access_token, refresh_token, token_type, expires_in, user, jti }
+ */
+const issueTokens = async (user, family) => {
+  const access = issueAccessToken(user);
+  const refresh = await issueRefreshToken(user, family);
+  return {
+    access_token: access.token,
+    refresh_token: refresh.token,
+    token_type: 'Bearer',
+    expires_in: access.expiresIn,
+    user,
+    jti: refresh.jti,
+  };
+};
+
+/**
+ * Drop internal fields from a token pair
+ * @param {Object} tokens - Result of issueTokens
+ * @returns {Object}
+ */
+const toResponse = ({ jti, ...tokens }) => tokens;
+
+/**
+ * Sign in with email and password
+ * @param {Object} credentials
+ * @param {string} credentials.email
+ * @param {string} credentials.password
+ * @returns {Promise<Object>} - { access_token, refresh_token, token_type, expires_in, user }
+ * @throws {ValidationError}
+ * @throws {AuthenticationError} - INVALID_CREDENTIALS
+ */
+const login = async ({ email, password } = {}) => {
+  if (typeof email !== 'string' || typeof password !== 'string' || !email || !password) {
+    throw new ValidationError('email and password are required', null, 'INVALID_CREDENTIALS');
+  }
+
+  const user = await User.findOne({ email: email.trim().toLowerCase() });
+  // Same answer for unknown accounts and wrong passwords
+  if (!user || !(await verifyPassword(password, user.password_hash))) {
+    throw new AuthenticationError('Email or password is incorrect', 'INVALID_CREDENTIALS');
+  }
+
+  user.last_login_at = new Date();
+  await user.save();
+  logger.info('User signed in', { user_id: user.id });
+  return toResponse(await issueTokens(user.toJSON(), crypto.randomUUID()));
+};
+
+/**
+ * Verify a refresh token's signature and expiry
+ * @param {string} refreshToken - Refresh token
+ * @returns {Object} - Decoded payload
+ * @throws {AuthenticationError}
+ */
+const decodeRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string' || !refreshToken) {
+    throw new AuthenticationError('refresh_token is required', 'INVALID_REFRESH_TOKEN');
+  }
+  try {
+    return jwt.verify(refreshToken, config.auth.refreshTokenSecret);
+  } catch (err) {
+    throw new AuthenticationError(
+      err instanceof jwt.TokenExpiredError ? 'Session has expired; sign in again' : 'Invalid refresh token',
+      'INVALID_REFRESH_TOKEN'
+    );
+  }
+};
+
+/**
+ * Revoke every live token of a family
+ * @param {string} family - Token family
+ */
+const revokeFamily = async (family) => {
+  await RefreshToken.updateMany({ family, revoked_at: null }, { revoked_at: new Date() });
+};
+
+/**
+ * Exchange a refresh token for a new token pair. The old refresh token
+ * stops working; reusing it revokes every token of its login.
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<Object>} - { access_token, refresh_token, token_type, expires_in, user }
+ * @throws {AuthenticationError} - INVALID_REFRESH_TOKEN
+ */
+const refresh = async (refreshToken) => {
+  const payload = decodeRefreshToken(refreshToken);
+
+  // Claim the token; only one of two concurrent refreshes succeeds
+  const record = await RefreshToken.findOneAndUpdate(
+    { _id: payload.jti, revoked_at: null },
+    { revoked_at: new Date() },
+    { new: true }
+  );
+  if (!record) {
+    const known = await RefreshToken.findById(payload.jti);
+    // A token that was already exchanged may have been stolen
+    if (known && known.replaced_by) {
+      logger.warn('Refresh token reused; revoking its session', { user_id: known.user_id });
+      await revokeFamily(known.family);
+    }
+    throw new AuthenticationError('Session has ended; sign in again', 'INVALID_REFRESH_TOKEN');
+  }
+
+  const user = await User.findById(payload.sub);
+  if (!user) {
+    await revokeFamily(record.family);
+    throw new AuthenticationError('Account no longer exists', 'INVALID_REFRESH_TOKEN');
+  }
+
+  const tokens = await issueTokens(user.toJSON(), record.family);
+  await RefreshToken.updateOne({ _id: record._id }, { replaced_by: tokens.jti });
+  return toResponse(tokens);
+};
+
+/**
+ * End the session a refresh token belongs to. Unknown or expired tokens are
+ * ignored so logging out always succeeds.
+ * @param {string} refreshToken - Refresh token
+ */
+const logout = async (refreshToken) => {
+  let payload;
+  try {
+    payload = decodeRefreshToken(refreshToken);
+  } catch {
+    return;
+  }
+  const record = await RefreshToken.findById(payload.jti);
+  if (record) await revokeFamily(record.family);
+};
+
+/**
+ * Verify an access token
+ * @param {string} token - Access token
+ * @returns {{ id: string, role: string, email: string }}
+ * @throws {AuthenticationError} - TOKEN_EXPIRED or INVALID_TOKEN
+ */
+const verifyAccessToken = (token) => {
+  try {
+    const payload = jwt.verify(token, config.auth.accessTokenSecret);
+    if (payload.use !== undefined) throw new jwt.JsonWebTokenError('Not an access token');
+    return { id: payload.sub, role: payload.role, email: payload.email };
+  } catch (err) {
+    if (err instanceof jwt.TokenExpiredError) {
+      throw new AuthenticationError('Access token has expired', 'TOKEN_EXPIRED');
+    }
+    throw new AuthenticationError('Invalid access token', 'INVALID_TOKEN');
+  }
+};
+
+/**
+ * Issue a stream ticket: a short-lived token accepted in the query string of
+ * the event stream endpoints and the WebSocket, and nowhere else
+ * @param {{ id: string, role: string, email: string }} user - Signed-in user
+ * @returns {{ ticket: string, expires_in: number }}
+ */
+const issueStreamTicket = (user) => ({
+  ticket: jwt.sign(
+    { role: user.role, email: user.email, use: STREAM_TICKET_USE },
+    config.auth.accessTokenSecret,
+    { subject: user.id, expiresIn: STREAM_TICKET_TTL_SECONDS }
+  ),
+  expires_in: STREAM_TICKET_TTL_SECONDS,
+});
+
+/**
+ * Verify a stream ticket
+ * @param {string} ticket - Stream ticket
+ * @returns {{ id: string, role: string, email: string }}
+ * @throws {AuthenticationError} - TICKET_EXPIRED or INVALID_TICKET
+ */
+const verifyStreamTicket = (ticket) => {
+  try {
+    const payload = jwt.verify(ticket, config.auth.accessTokenSecret);
+    if (payload.use !== STREAM_TICKET_USE) throw new jwt.JsonWebTokenError('Not a stream ticket');
+    return { id: payload.sub, role: payload.role, email: payload.email };
+  } catch (err) {
+    if (err instanceof jwt.TokenExpiredError) {
+      throw new AuthenticationError('Stream ticket has expired', 'TICKET_EXPIRED');
+    }
+    throw new AuthenticationError('Invalid stream ticket', 'INVALID_TICKET');
+  }
+};
+
+/**
+ * Fetch the signed-in user's account
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - User JSON
+ * @throws {AuthenticationError} - The account was deleted
+ */
+const getUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new AuthenticationError('Account no longer exists', 'INVALID_TOKEN');
+  }
+  return user.toJSON();
+};
+
+/**
+ * Create an account
+ * @param {Object} params
+ * @param {string} params.email
+ * @param {string} params.password - At least MIN_PASSWORD_LENGTH characters
+ * @param {string} [params.name]
+ * @param {string} [params.role=user] - One of User.USER_ROLES
+ * @returns {Promise<Object>} - User JSON
+ * @throws {ValidationError}
+ * @throws {ConflictError} - EMAIL_TAKEN
+ */
+const createUser = async ({ email, password, name = null, role = 'user' } = {}) => {
+  const errors = {};
+  if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+    errors.email = 'Must be an email address';
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    errors.password = `Must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (!User.USER_ROLES.includes(role)) {
+    errors.role = `Must be one of: ${User.USER_ROLES.join(', ')}`;
+  }
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError('Invalid user', { fields: errors }, 'INVALID_USER');
+  }
+
+  const normalized = email.trim().toLowerCase();
+  if (await User.exists({ email: normalized })) {
+    throw new ConflictError('An account with this email already exists', { email: normalized }, 'EMAIL_TAKEN');
+  }
+
+  const user = await User.create({
+    email: normalized,
+    name,
+    role,
+    password_hash: await hashPassword(password),
+  });
+  logger.info('User created', { user_id: user.id, role });
+  return user.toJSON();
+};
+
+/**
+ * List accounts, newest first
+ * @returns {Promise<Object[]>}
+ */
+const listUsers = async () => (await User.find().sort({ created_at: -1 })).map((user) => user.toJSON());
+
+/**
+ * Create the admin account from ADMIN_EMAIL/ADMIN_PASSWORD when no admin
+ * exists yet, so a fresh install can be signed into
+ */
+const ensureAdminUser = async () => {
+  if (await User.exists({ role: 'admin' })) return;
+  if (!config.auth.adminEmail || !config.auth.adminPassword) {
+    logger.warn('No admin account exists; set ADMIN_EMAIL and ADMIN_PASSWORD to create one');
+    return;
+  }
+  await createUser({ email: config.auth.adminEmail, password: config.auth.adminPassword, role: 'admin' });
+};
+
+module.exports = {
+  login,
+  refresh,
+  logout,
+  verifyAccessToken,
+  issueStreamTicket,
+  verifyStreamTicket,
+  getUser,
+  createUser,
+  listUsers,
+  ensureAdminUser,
+};
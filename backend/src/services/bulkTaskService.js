@@ -0,0 +1,125 @@
+const taskService = require('./taskService');
+const streamingService = require('./streamingService');
+const { getStorage } = require('../storage');
+const { AppError, ValidationError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const { decodeCursor } = require('../validators/taskQuery');
+
+const BULK_ACTIONS = ['retry', 'cancel', 'delete', 'download'];
+const MAX_BATCH_SIZE = 500;
+// Tasks handled at the same time within one batch
+const BATCH_CONCURRENCY = 5;
+
+/**
+ * Run a single task action
+ * @param {string} action - One of BULK_ACTIONS
+ * @param {string} taskId - Task ID
+ * @param {Object} scope - Task filter the caller is limited to
+ * @returns {Promise<Object>} - Action specific result fields
+ */
+const runAction = async (action, taskId, scope) => {
+  // Tasks outside the caller's scope fail as not found
+  await taskService.getTask(taskId, scope);
+  switch (action) {
+    case 'retry':
+      return { task: await taskService.retryTask(taskId) };
+    case 'cancel':
+      return { task: await taskService.cancelTask(taskId) };
+    case 'delete':
+      await taskService.deleteTask(taskId);
+      return {};
+    case 'download': {
+      const file = await streamingService.resolveDownloadFile(taskId);
+      // Browsers follow the link without the Authorization header, so it is signed instead
+      const downloadUrl = await getStorage().getSignedUrl(file.key, {
+        contentType: file.contentType,
+        fileName: file.fileName,
+      });
+      return { download_url: downloadUrl, file_name: file.fileName };
+    }
+    default:
+      throw new ValidationError(`Unknown action: ${action}`);
+  }
+};
+
+/**
+ * IDs of every task matching a list filter, for "select all matching"
+ * @param {Object} query - Parsed task query (see validators/taskQuery)
+ * @param {string[]} excludeIds - IDs the user unticked afterwards
+ * @param {Object} scope - Task filter the caller is limited to
+ * @returns {Promise<string[]>}
+ */
+const resolveFilter = async (query, excludeIds, scope) => {
+  const taskIds = [];
+  let cursor = null;
+  do {
+    const page = await taskService.listTasks({ ...query, limit: 100, cursor }, scope);
+    page.data.forEach((task) => {
+      if (!excludeIds.includes(task.id)) taskIds.push(task.id);
+    });
+    if (taskIds.length > MAX_BATCH_SIZE) break;
+    cursor = page.page.has_more ? decodeCursor(page.page.next_cursor, query.sort) : null;
+  } while (cursor);
+  return taskIds;
+};
+
+/**
+ * Apply an action to many tasks. Every task is attempted; failures are
+ * reported per task instead of aborting the batch.
+ * @param {Object} request
+ * @param {string} request.action - One of BULK_ACTIONS
+ * @param {string[]} [request.taskIds] - Explicit selection
+ * @param {Object} [request.filter] - Parsed task query selecting every matching task instead
+ * @param {string[]} [request.excludeIds] - IDs left out of a filter selection
+ * @param {Object} [request.scope] - Task filter the caller is limited to (see middleware/auth)
+ * @returns {Promise<Object>} - { action, total, succeeded, failed, results: [{ task_id, ok, ... }] }
+ * @throws {ValidationError}
+ */
+const runBatch = async ({ action, taskIds, filter, excludeIds = [], scope = {} }) => {
+  if (!BULK_ACTIONS.includes(action)) {
+    throw new ValidationError(`action must be one of: ${BULK_ACTIONS.join(', ')}`, null, 'INVALID_BATCH');
+  }
+
+  const ids = filter ? await resolveFilter(filter, excludeIds, scope) : [...new Set(taskIds)];
+  if (ids.length === 0) {
+    throw new ValidationError('Select at least one task', null, 'INVALID_BATCH');
+  }
+  if (ids.length > MAX_BATCH_SIZE) {
+    throw new ValidationError(
+      `A batch can contain at most ${MAX_BATCH_SIZE} tasks`,
+      { max_batch_size: MAX_BATCH_SIZE, selected: ids.length },
+      'BATCH_TOO_LARGE'
+    );
+  }
+
+  const results = new Array(ids.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < ids.length) {
+      const index = next;
+      next += 1;
+      const taskId = ids[index];
+      try {
+        results[index] = { task_id: taskId, ok: true, ...(await runAction(action, taskId, scope)) };
+      } catch (err) {
+        if (!(err instanceof AppError)) {
+          logger.error('Bulk action failed', { action, task_id: taskId, error: err.stack || err.message });
+        }
+        results[index] = {
+          task_id: taskId,
+          ok: false,
+          error: err instanceof AppError
+            ? { code: err.code, message: err.message }
+            : { code: 'INTERNAL_ERROR', message: 'Internal server error' },
+        };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(BATCH_CONCURRENCY, ids.length) }, worker));
+
+  const succeeded = results.filter((result) => result.ok).length;
+  logger.info('Bulk action finished', { action, total: ids.length, succeeded });
+  return { action, total: ids.length, succeeded, failed: ids.length - succeeded, results };
+};
+
+module.exports = { BULK_ACTIONS, MAX_BATCH_SIZE, runBatch };
@@ -0,0 +1,81 @@
+const taskService = require('./taskService');
+const deadLetterQueue = require('../queue/deadLetterQueue');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Parse the paging query of GET /api/admin/dlq
+ * @param {Object} query - Express query object
+ * @returns {{ offset: number, limit: number }}
+ * @throws {ValidationError}
+ */
+const parsePage = ({ offset = '0', limit = String(DEFAULT_LIMIT) } = {}) => {
+  const errors = {};
+  const parsedOffset = Number(offset);
+  const parsedLimit = Number(limit);
+  if (!Number.isInteger(parsedOffset) || parsedOffset < 0) {
+    errors.offset = 'Must be an integer, 0 or more';
+  }
+  if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_LIMIT) {
+    errors.limit = `Must be an integer between 1 and ${MAX_LIMIT}`;
+  }
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError('Invalid query', { fields: errors }, 'INVALID_QUERY');
+  }
+  return { offset: parsedOffset, limit: parsedLimit };
+};
+
+/**
+ * One page of dead-letter entries, most recent first
+ * @param {Object} query - Express query object: offset, limit
+ * @returns {Promise<Object>} - { data, total, page: { offset, limit } }
+ */
+const listDeadLetters = async (query) => {
+  const page = parsePage(query);
+  const { data, total } = await deadLetterQueue.listDeadLetters(page);
+  return { data, total, page };
+};
+
+/**
+ * Fetch a task's dead-letter entry
+ * @param {string} taskId - Task ID
+ * @returns {Promise<Object>}
+ * @throws {NotFoundError}
+ */
+const getDeadLetter = async (taskId) => {
+  const entry = await deadLetterQueue.getDeadLetter(taskId);
+  if (!entry) {
+    throw new NotFoundError('Dead-letter entry not found', { task_id: taskId });
+  }
+  return entry;
+};
+
+/**
+ * Queue a dead task for processing again; retrying removes its entry
+ * @param {string} taskId - Task ID
+ * @param {Object} [options]
+ * @param {Object} [options.settings] - Settings to change before the new attempt
+ * @returns {Promise<Object>} - Task JSON, now pending
+ * @throws {NotFoundError} - No entry, or the task was deleted
+ * @throws {ConflictError} - The task is no longer failed
+ */
+const requeueDeadLetter = async (taskId, { settings } = {}) => {
+  await getDeadLetter(taskId);
+  // Admins requeue regardless of the owner's quotas
+  return taskService.retryTask(taskId, { settings, enforceQuota: false });
+};
+
+/**
+ * Drop a dead-letter entry without retrying; the task stays failed
+ * @param {string} taskId - Task ID
+ * @throws {NotFoundError}
+ */
+const discardDeadLetter = async (taskId) => {
+  if (!(await deadLetterQueue.removeDeadLetter(taskId))) {
+    throw new NotFoundError('Dead-letter entry not found', { task_id: taskId });
+  }
+};
+
+module.exports = { listDeadLetters, getDeadLetter, requeueDeadLetter, discardDeadLetter };
@@ -0,0 +1,134 @@
+const ffmpeg = require('../utils/ffmpeg');
+const { AppError, MediaValidationError } = require('../utils/errors');
+
+// Decode only the first few packets; enough to prove the streams are decodable
+// without reading the whole file
+const DECODE_CHECK_OPTIONS = ['-count_frames', '-read_intervals', '%+#5'];
+const STDERR_EXCERPT_LENGTH = 500;
+
+/**
+ * Run ffprobe on a file
+ * @param {string} filePath - File to probe
+ * @param {string[]} [options] - Extra ffprobe options
+ * @returns {Promise<Object>} - Raw ffprobe output
+ */
+const probe = (filePath, options = []) =>
+  new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, options, (err, metadata) => {
+      if (err) return reject(err);
+      return resolve(metadata);
+    });
+  });
+
+/**
+ * Parse an ffprobe rational such as "30000/1001"
+ * @param {string} value - Rational string
+ * @returns {number|null}
+ */
+const parseRate = (value) => {
+  if (!value) return null;
+  const [num, den] = String(value).split('/').map(Number);
+  if (!den) return Number.isFinite(num) ? num : null;
+  return Math.round((num / den) * 100) / 100;
+};
+
+const toNumber = (value) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+// Subtitle codecs ffmpeg can turn into WebVTT; image-based ones (PGS, DVD, DVB) cannot
+const TEXT_SUBTITLE_CODECS = ['subrip', 'srt', 'ass', 'ssa', 'webvtt', 'mov_text', 'text'];
+
+// Cover art is reported as a video stream; it is not the video
+const isVideoStream = (stream) =>
+  stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic);
+
+/**
+ * Reduce ffprobe output to the fields the rest of the system uses
+ * @param {Object} metadata - Raw ffprobe output
+ * @returns {Object} - Media summary
+ */
+const summarize = (metadata) => {
+  const streams = metadata.streams || [];
+  const videoStream = streams.find(isVideoStream);
+  const audioStream = streams.find((stream) => stream.codec_type === 'audio');
+
+  return {
+    format_name: metadata.format && metadata.format.format_name,
+    duration: toNumber(metadata.format && metadata.format.duration),
+    bit_rate: toNumber(metadata.format && metadata.format.bit_rate),
+    video: videoStream
+      ? {
+          codec: videoStream.codec_name,
+          width: videoStream.width,
+          height: videoStream.height,
+          frame_rate: parseRate(videoStream.avg_frame_rate || videoStream.r_frame_rate),
+          pix_fmt: videoStream.pix_fmt,
+        }
+      : null,
+    audio: audioStream
+      ? {
+          codec: audioStream.codec_name,
+          channels: audioStream.channels,
+          sample_rate: toNumber(audioStream.sample_rate),
+        }
+      : null,
+    // Index is the stream's position in the file, as used by `-map 0:<index>`
+    subtitles: streams
+      .filter((stream) => stream.codec_type === 'subtitle')
+      .map((stream) => ({
+        index: stream.index,
+        codec: stream.codec_name || null,
+        language: (stream.tags && stream.tags.language) || null,
+        title: (stream.tags && stream.tags.title) || null,
+        text: TEXT_SUBTITLE_CODECS.includes(stream.codec_name),
+      })),
+  };
+};
+
+/**
+ * Probe a file and reject it when it is not decodable video
+ * @param {string} filePath - File to check
+ * @returns {Promise<Object>} - Media summary
+ * @throws {MediaValidationError} - When the file is not usable video
+ */
+const validateMedia = async (filePath) => {
+  let metadata;
+  try {
+    metadata = await probe(filePath, DECODE_CHECK_OPTIONS);
+  } catch (err) {
+    if (err.code === 'ENOENT' || /Cannot find ffprobe/.test(err.message)) {
+      throw new AppError('Media inspection is unavailable', 503, 'MEDIA_PROBE_UNAVAILABLE');
+    }
+    throw new MediaValidationError('File is not a readable video', {
+      reasons: ['The container could not be parsed'],
+      stderr: err.message.slice(-STDERR_EXCERPT_LENGTH),
+    });
+  }
+
+  const reasons = [];
+  const videoStreams = (metadata.streams || []).filter(isVideoStream);
+
+  if (videoStreams.length === 0) {
+    reasons.push('No video stream found');
+  }
+  videoStreams.forEach((stream) => {
+    if (!stream.codec_name || stream.codec_name === 'none') {
+      reasons.push(`Video stream ${stream.index} uses an unknown codec`);
+    } else if (!(toNumber(stream.nb_read_frames) > 0)) {
+      reasons.push(`Video stream ${stream.index} (${stream.codec_name}) could not be decoded`);
+    }
+    if (!(stream.width > 0 && stream.height > 0)) {
+      reasons.push(`Video stream ${stream.index} has no valid dimensions`);
+    }
+  });
+
+  const summary = summarize(metadata);
+  if (reasons.length > 0) {
+    throw new MediaValidationError('File is not a usable video', { reasons, media: summary });
+  }
+  return summary;
+};
+
+module.exports = { TEXT_SUBTITLE_CODECS, probe, summarize, validateMedia };
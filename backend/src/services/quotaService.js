@@ -0,0 +1,363 @@
+const config = require('../config');
+const User = require('../models/User');
+const UploadRecord = require('../models/UploadRecord');
+const { getTaskRepository } = require('../repositories');
+const { MAX_CAPTION_SIZE } = require('./uploadSessionService');
+const { getAllowedPriorities, validatePriority } = require('../validators/priority');
+const { getAllowedAudioFormats } = require('../validators/processingSettings');
+const { CAPTION_FORMATS } = require('../utils/subtitles');
+const {
+  NotFoundError,
+  PayloadTooLargeError,
+  TooManyRequestsError,
+  ValidationError,
+} = require('../utils/errors');
+
+/**
+ * Per-user limits on storage, concurrent jobs, daily processing minutes and
+ * upload rate.
+ *
+ * Usage is derived from what is stored rather than counted separately:
+ *   - storage: source and output sizes of the user's tasks, plus the declared
+ *     size of uploads still in progress
+ *   - concurrent jobs: tasks pending or processing
+ *   - processing minutes: video minutes (after trimming) of every attempt
+ *     started since 00:00 UTC, plus pending tasks that have not started yet
+ *   - upload rate: upload sessions started in the last hour, whether finished,
+ *     aborted or deleted since (models/UploadRecord)
+ * Limits are checked when an upload starts and when a task is queued
+ * (taskService.createTaskFromUpload and retryTask).
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const ACTIVE_STATUSES = ['pending', 'processing'];
+
+const DEFAULT_LIMITS = {
+  storage_bytes: config.quotas.storageBytes,
+  concurrent_jobs: config.quotas.concurrentJobs,
+  daily_processing_minutes: config.quotas.dailyProcessingMinutes,
+  uploads_per_hour: config.quotas.uploadsPerHour,
+};
+
+/**
+ * Round minutes for API responses
+ * @param {number} minutes
+ * @returns {number}
+ */
+const roundMinutes = (minutes) => Math.round(minutes * 10) / 10;
+
+/**
+ * Effective limits of a user; null means unlimited
+ * @param {Object|null} user - User document or JSON
+ * @returns {Object} - { storage_bytes, concurrent_jobs, daily_processing_minutes, uploads_per_hour }
+ */
+const resolveLimits = (user) =>
+  Object.fromEntries(
+    Object.entries(DEFAULT_LIMITS).map(([field, fallback]) => {
+      if (user && user.role === 'admin') return [field, null];
+      const override = user && user.quotas ? user.quotas[field] : null;
+      const limit = override === null || override === undefined ? fallback : override;
+      return [field, limit > 0 ? limit : null];
+    })
+  );
+
+/**
+ * Minutes of video a task's processing covers, after trimming
+ * @param {Object} task - Task JSON, or anything with duration and settings
+ * @returns {number}
+ */
+const getProcessingMinutes = ({ duration, settings }) => {
+  if (!duration) return 0;
+  const start = (settings && settings.trim_start) || 0;
+  const end = settings && settings.trim_end !== null && settings.trim_end !== undefined
+    ? Math.min(settings.trim_end, duration)
+    : duration;
+  return Math.max(end - start, 0) / 60;
+};
+
+/**
+ * Bytes held by a user's tasks: sources and outputs
+ * @param {string} userId - User ID
+ * @returns {Promise<number>}
+ */
+const getStoredBytes = async (userId) => {
+  const repository = getTaskRepository();
+  const [[sources], [outputs]] = await Promise.all([
+    // Sources deleted by the retention sweep no longer take up space
+    repository.aggregate({ user_id: userId, 'retention.source_deleted_at': null }, { sum: ['file_size'] }),
+    repository.aggregate({ user_id: userId }, { sum: ['outputs.size'] }),
+  ]);
+  return (sources ? sources.sums.file_size : 0) + (outputs ? outputs.sums['outputs.size'] : 0);
+};
+
+/**
+ * Processing minutes used since 00:00 UTC, counting pending tasks as reserved
+ * @param {string} userId - User ID
+ * @param {Date} dayStart - Start of the current UTC day
+ * @param {string} [excludeTaskId] - Task being queued, left out of the count
+ * @returns {Promise<number>}
+ */
+const getProcessingMinutesUsed = async (userId, dayStart, excludeTaskId = null) => {
+  const filter = {
+    user_id: userId,
+    $or: [{ 'attempts.started_at': { $gte: dayStart } }, { status: 'pending' }],
+  };
+  if (excludeTaskId) filter._id = { $ne: excludeTaskId };
+
+  const tasks = await getTaskRepository().list(filter, { fields: 'duration settings status attempts' });
+  return tasks.reduce((total, task) => {
+    // Every attempt started today counted what it processed; settings of earlier
+    // attempts are kept on the attempt
+    const attempts = task.attempts.filter((attempt) => attempt.started_at >= dayStart);
+    const attemptMinutes = attempts.reduce(
+      (sum, attempt) =>
+        sum + getProcessingMinutes({ duration: task.duration, settings: attempt.settings || task.settings }),
+      0
+    );
+    const reserved = task.status === 'pending' ? getProcessingMinutes(task) : 0;
+    return total + attemptMinutes + reserved;
+  }, 0);
+};
+
+/**
+ * Uploads a user started within the rate window, and bytes of uploads in progress
+ * @param {string} userId - User ID
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} - { startedAt: ms timestamps oldest first, uploadingBytes }
+ */
+const getUploadActivity = async (userId, now) => {
+  const windowStart = new Date(now.getTime() - HOUR_MS);
+  const records = await UploadRecord.find({
+    user_id: userId,
+    $or: [{ created_at: { $gt: windowStart } }, { status: 'uploading', expires_at: { $gt: now } }],
+  })
+    .select('size status created_at expires_at')
+    .lean();
+
+  return {
+    startedAt: records
+      .map((record) => new Date(record.created_at).getTime())
+      .filter((createdAt) => createdAt > windowStart.getTime())
+      .sort((a, b) => a - b),
+    uploadingBytes: records
+      .filter((record) => record.status === 'uploading' && new Date(record.expires_at) > now)
+      .reduce((sum, record) => sum + record.size, 0),
+  };
+};
+
+/**
+ * Current usage of a user against their limits
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Usage response, see README "Quotas"
+ * @throws {NotFoundError} - Unknown user
+ */
+const getUsage = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new NotFoundError('User not found', { user_id: userId });
+  }
+
+  const limits = resolveLimits(user);
+  const now = new Date();
+  const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+
+  const [storedBytes, activeJobs, minutesUsed, { startedAt: recentUploads, uploadingBytes }] = await Promise.all([
+    getStoredBytes(userId),
+    getTaskRepository().count({ user_id: userId, status: { $in: ACTIVE_STATUSES } }),
+    getProcessingMinutesUsed(userId, dayStart),
+    getUploadActivity(userId, now),
+  ]);
+
+  const remaining = (limit, used) => (limit === null ? null : Math.max(limit - used, 0));
+  const storageUsed = storedBytes + uploadingBytes;
+
+  return {
+    storage: {
+      used_bytes: storageUsed,
+      uploading_bytes: uploadingBytes,
+      limit_bytes: limits.storage_bytes,
+      remaining_bytes: remaining(limits.storage_bytes, storageUsed),
+    },
+    concurrent_jobs: {
+      active: activeJobs,
+      limit: limits.concurrent_jobs,
+    },
+    processing_minutes: {
+      used: roundMinutes(minutesUsed),
+      limit: limits.daily_processing_minutes,
+      remaining:
+        limits.daily_processing_minutes === null
+          ? null
+          : roundMinutes(remaining(limits.daily_processing_minutes, minutesUsed)),
+      resets_at: new Date(dayStart.getTime() + DAY_MS).toISOString(),
+    },
+    uploads: {
+      used: recentUploads.length,
+      limit: limits.uploads_per_hour,
+      window_seconds: HOUR_MS / 1000,
+      // When the oldest upload in the window stops counting
+      resets_at: recentUploads.length > 0 ? new Date(recentUploads[0] + HOUR_MS).toISOString() : null,
+    },
+    max_file_size: config.upload.maxFileSize,
+    // Priorities the user can pick for uploads
+    priorities: {
+      allowed: getAllowedPriorities(user.role),
+      default: validatePriority(undefined, user.role),
+    },
+    // Formats audio can be extracted to, and whether caption files can be uploaded
+    audio_formats: getAllowedAudioFormats(),
+    captions: {
+      enabled: config.processing.enableSubtitles,
+      formats: CAPTION_FORMATS,
+      max_file_size: MAX_CAPTION_SIZE,
+    },
+  };
+};
+
+/**
+ * Seconds until an ISO timestamp, at least 1
+ * @param {string} iso - ISO timestamp
+ * @returns {number}
+ */
+const secondsUntil = (iso) => Math.max(Math.ceil((new Date(iso).getTime() - Date.now()) / 1000), 1);
+
+/**
+ * Check that a user may start an upload of the given size
+ * @param {string} userId - User ID
+ * @param {number} size - Declared file size in bytes
+ * @throws {TooManyRequestsError} - UPLOAD_RATE_LIMITED, CONCURRENT_JOBS_LIMIT or PROCESSING_QUOTA_EXCEEDED
+ * @throws {PayloadTooLargeError} - STORAGE_QUOTA_EXCEEDED
+ */
+const assertCanUpload = async (userId, size) => {
+  const usage = await getUsage(userId);
+  const { storage, concurrent_jobs: jobs, processing_minutes: minutes, uploads } = usage;
+
+  if (uploads.limit !== null && uploads.used >= uploads.limit) {
+    const retryAfter = secondsUntil(uploads.resets_at);
+    throw new TooManyRequestsError(
+      `Upload limit of ${uploads.limit} per hour reached; try again in ${Math.ceil(retryAfter / 60)} min`,
+      { limit: uploads.limit, used: uploads.used, window_seconds: uploads.window_seconds, retry_after: retryAfter },
+      'UPLOAD_RATE_LIMITED',
+      retryAfter
+    );
+  }
+  if (storage.limit_bytes !== null && size > storage.remaining_bytes) {
+    throw new PayloadTooLargeError(
+      'File would exceed your storage quota; delete tasks to free space',
+      {
+        limit_bytes: storage.limit_bytes,
+        used_bytes: storage.used_bytes,
+        remaining_bytes: storage.remaining_bytes,
+        requested_bytes: size,
+      },
+      'STORAGE_QUOTA_EXCEEDED'
+    );
+  }
+  // The upload would be refused when it is queued; say so before any bytes are sent
+  if (jobs.limit !== null && jobs.active >= jobs.limit) {
+    throw new TooManyRequestsError(
+      `You already have ${jobs.active} tasks waiting or processing (limit ${jobs.limit})`,
+      { limit: jobs.limit, active: jobs.active },
+      'CONCURRENT_JOBS_LIMIT'
+    );
+  }
+  if (minutes.limit !== null && minutes.remaining <= 0) {
+    const retryAfter = secondsUntil(minutes.resets_at);
+    throw new TooManyRequestsError(
+      `Daily processing quota of ${minutes.limit} minutes used up`,
+      { limit: minutes.limit, used: minutes.used, resets_at: minutes.resets_at, retry_after: retryAfter },
+      'PROCESSING_QUOTA_EXCEEDED',
+      retryAfter
+    );
+  }
+};
+
+/**
+ * Check that a task may be queued for its owner
+ * @param {Object} task - Task JSON, or the fields user_id, duration and settings
+ *   of one about to be created; `id` is left out of the counts
+ * @throws {TooManyRequestsError} - CONCURRENT_JOBS_LIMIT or PROCESSING_QUOTA_EXCEEDED
+ */
+const assertCanQueue = async (task) => {
+  const limits = resolveLimits(await User.findById(task.user_id));
+
+  if (limits.concurrent_jobs !== null) {
+    const filter = { user_id: task.user_id, status: { $in: ACTIVE_STATUSES } };
+    if (task.id) filter._id = { $ne: task.id };
+    const active = await getTaskRepository().count(filter);
+    if (active >= limits.concurrent_jobs) {
+      throw new TooManyRequestsError(
+        `You already have ${active} tasks waiting or processing (limit ${limits.concurrent_jobs})`,
+        { limit: limits.concurrent_jobs, active },
+        'CONCURRENT_JOBS_LIMIT'
+      );
+    }
+  }
+
+  if (limits.daily_processing_minutes !== null) {
+    const now = new Date();
+    const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const used = await getProcessingMinutesUsed(task.user_id, dayStart, task.id);
+    const requested = getProcessingMinutes(task);
+    if (used + requested > limits.daily_processing_minutes) {
+      const resetsAt = new Date(dayStart.getTime() + DAY_MS).toISOString();
+      const retryAfter = secondsUntil(resetsAt);
+      throw new TooManyRequestsError(
+        `Processing this video (${roundMinutes(requested)} min) would exceed your daily quota of ` +
+          `${limits.daily_processing_minutes} minutes`,
+        {
+          limit: limits.daily_processing_minutes,
+          used: roundMinutes(used),
+          requested: roundMinutes(requested),
+          resets_at: resetsAt,
+          retry_after: retryAfter,
+        },
+        'PROCESSING_QUOTA_EXCEEDED',
+        retryAfter
+      );
+    }
+  }
+};
+
+/**
+ * Change a user's limits
+ * @param {string} userId - User ID
+ * @param {Object} changes - Any of User.QUOTA_FIELDS; a non-negative integer,
+ *   0 for unlimited or null to go back to the default
+ * @returns {Promise<Object>} - User JSON
+ * @throws {ValidationError} - INVALID_QUOTAS
+ * @throws {NotFoundError}
+ */
+const updateUserQuotas = async (userId, changes) => {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw new ValidationError('Send the limits to change as an object', null, 'INVALID_QUOTAS');
+  }
+  const errors = {};
+  Object.entries(changes).forEach(([field, value]) => {
+    if (!User.QUOTA_FIELDS.includes(field)) {
+      errors[field] = `Unknown limit; use one of: ${User.QUOTA_FIELDS.join(', ')}`;
+    } else if (value !== null && (!Number.isInteger(value) || value < 0)) {
+      errors[field] = 'Must be a non-negative integer, or null for the default';
+    }
+  });
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError('Invalid limits', { fields: errors }, 'INVALID_QUOTAS');
+  }
+
+  const update = Object.fromEntries(Object.entries(changes).map(([field, value]) => [`quotas.${field}`, value]));
+  const user = await User.findByIdAndUpdate(userId, { $set: update }, { new: true });
+  if (!user) {
+    throw new NotFoundError('User not found', { user_id: userId });
+  }
+  return user.toJSON();
+};
+
+module.exports = {
+  resolveLimits,
+  getProcessingMinutes,
+  getUsage,
+  assertCanUpload,
+  assertCanQueue,
+  updateUserQuotas,
+};
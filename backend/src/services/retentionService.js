@@ -0,0 +1,499 @@
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config');
+const { FINISHED_STATUSES } = require('../models/Task');
+const User = require('../models/User');
+const { EVENT_TYPES, publishTaskEvent } = require('../events/taskEvents');
+const { getStorage } = require('../storage');
+const { getTaskRepository } = require('../repositories');
+const { getOutputPrefix, getTaskPrefix } = require('../utils/taskPaths');
+const { findStaleSessions, removeSession } = require('./uploadSessionService');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * Cleanup and retention.
+ *
+ * Temp sweep (CLEANUP_TEMP_FILES, TEMP_CLEANUP_CRON):
+ *   - upload sessions that expired unfinished, and completed ones older than
+ *     TEMP_FILE_RETENTION_HOURS (the API's temp directory)
+ *   - worker scratch directories older than that whose task is not processing,
+ *     left behind by a crashed worker (the worker's temp directory)
+ *
+ * Retention sweep (RETENTION_CRON): a finished task's source upload and its
+ * outputs are deleted a number of days after it finished. The days come from
+ * the task, else its owner, else config.retention; 0 keeps the files forever
+ * and so does a task's `keep` flag. Expiry dates are stored on the task for
+ * display and recomputed by every sweep, so changed defaults apply there.
+ *
+ * Every sweep can run as a dry run that only reports what it would delete.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MAX_RETENTION_DAYS = 3650;
+// Tasks the retention sweep loads at a time
+const SWEEP_BATCH_SIZE = 100;
+
+const DEFAULT_RULES = {
+  source_days: config.retention.sourceDays,
+  output_days: config.retention.outputDays,
+};
+
+/**
+ * Effective retention of a task; null means forever
+ * @param {Object|null} user - Owner document or JSON
+ * @param {Object} task - Task JSON
+ * @returns {{ source_days: number|null, output_days: number|null }}
+ */
+const resolveRules = (user, task) =>
+  Object.fromEntries(
+    Object.entries(DEFAULT_RULES).map(([field, fallback]) => {
+      const candidates = [task.retention && task.retention[field], user && user.retention && user.retention[field]];
+      const override = candidates.find((value) => value !== null && value !== undefined);
+      const days = override === undefined ? fallback : override;
+      return [field, days > 0 ? days : null];
+    })
+  );
+
+/**
+ * When a task reached its final state
+ * @param {Object} task - Task JSON
+ * @returns {Date}
+ */
+const getFinishedAt = (task) => {
+  const last = task.attempts && task.attempts[task.attempts.length - 1];
+  return new Date((last && last.finished_at) || task.updated_at);
+};
+
+/**
+ * Expiry dates of a task's files under the given owner's rules
+ * @param {Object} task - Task JSON
+ * @param {Object|null} user - Owner
+ * @returns {{ source_expires_at: Date|null, outputs_expires_at: Date|null }}
+ */
+const computeExpiry = (task, user) => {
+  const retention = task.retention || {};
+  if (retention.keep || !FINISHED_STATUSES.includes(task.status)) {
+    return { source_expires_at: null, outputs_expires_at: null };
+  }
+
+  const rules = resolveRules(user, task);
+  const finishedAt = getFinishedAt(task).getTime();
+  const expiry = (days, deletedAt) => (days && !deletedAt ? new Date(finishedAt + days * DAY_MS) : null);
+  return {
+    source_expires_at: expiry(rules.source_days, retention.source_deleted_at),
+    outputs_expires_at: expiry(rules.output_days, retention.outputs_deleted_at),
+  };
+};
+
+const sameDate = (a, b) => (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+
+/**
+ * Owners by ID, loading each at most once
+ * @returns {Function} - async (userId) => User document or null
+ */
+const createUserLoader = () => {
+  const users = new Map();
+  return (userId) => {
+    if (!userId) return Promise.resolve(null);
+    if (!users.has(userId)) users.set(userId, User.findById(userId));
+    return users.get(userId);
+  };
+};
+
+/**
+ * Store a task's expiry dates if they changed. They are computed from the
+ * task as stored when written, so a task retried meanwhile gets none.
+ * @param {Object} task - Task JSON
+ * @param {Object|null} user - Owner
+ * @returns {Promise<Object>} - Task JSON, updated (the given task when unchanged)
+ */
+const storeExpiry = async (task, user) => {
+  const updated = await getTaskRepository().update(task.id, (current) => {
+    const retention = current.retention || {};
+    const expiry = computeExpiry(current, user);
+    if (
+      sameDate(retention.source_expires_at, expiry.source_expires_at) &&
+      sameDate(retention.outputs_expires_at, expiry.outputs_expires_at)
+    ) {
+      return null;
+    }
+    return {
+      'retention.source_expires_at': expiry.source_expires_at,
+      'retention.outputs_expires_at': expiry.outputs_expires_at,
+    };
+  });
+  return updated || task;
+};
+
+/**
+ * Recompute and store a task's expiry dates, e.g. once it has finished
+ * @param {Object} task - Task JSON
+ * @returns {Promise<Object>} - Task JSON, updated
+ */
+const refreshExpiry = async (task) => {
+  return storeExpiry(task, await User.findById(task.user_id));
+};
+
+/**
+ * Check retention day overrides
+ * @param {Object} changes - Fields to set
+ * @param {string[]} allowed - Accepted fields
+ * @param {string} code - Error code
+ * @throws {ValidationError}
+ */
+const validateRules = (changes, allowed, code) => {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw new ValidationError('Send the retention to change as an object', null, code);
+  }
+  const errors = {};
+  Object.entries(changes).forEach(([field, value]) => {
+    if (!allowed.includes(field)) {
+      errors[field] = `Unknown field; use one of: ${allowed.join(', ')}`;
+    } else if (field === 'keep') {
+      if (typeof value !== 'boolean') errors[field] = 'Must be true or false';
+    } else if (value !== null && (!Number.isInteger(value) || value < 0 || value > MAX_RETENTION_DAYS)) {
+      errors[field] = `Must be an integer between 0 and ${MAX_RETENTION_DAYS}, or null for the default`;
+    }
+  });
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError('Invalid retention', { fields: errors }, code);
+  }
+};
+
+/**
+ * Change how long a task's files are kept
+ * @param {string} taskId - Task ID
+ * @param {Object} changes - Any of keep, source_days, output_days (null restores the owner's rule)
+ * @param {Object} [scope] - Task filter the caller is limited to (see middleware/auth getTaskScope)
+ * @returns {Promise<Object>} - Task JSON with the new expiry dates
+ * @throws {NotFoundError}
+ * @throws {ValidationError}
+ */
+const updateTaskRetention = async (taskId, changes, scope = {}) => {
+  validateRules(changes, ['keep', ...User.RETENTION_FIELDS], 'INVALID_RETENTION');
+
+  const update = Object.fromEntries(
+    Object.entries(changes).map(([field, value]) => [`retention.${field}`, value])
+  );
+  const tasks = getTaskRepository();
+  const task = (await tasks.findById(taskId, { scope })) && (await tasks.update(taskId, update));
+  if (!task) {
+    throw new NotFoundError('Task not found', { task_id: taskId });
+  }
+
+  const json = await refreshExpiry(task);
+  await publishTaskEvent(EVENT_TYPES.UPDATED, json, { retention: json.retention });
+  return json;
+};
+
+/**
+ * Override an account's retention; null restores the default. The user's
+ * finished tasks get new expiry dates straight away.
+ * @param {string} userId - User ID
+ * @param {Object} changes - { source_days, output_days }
+ * @returns {Promise<Object>} - User JSON
+ * @throws {NotFoundError}
+ * @throws {ValidationError}
+ */
+const updateUserRetention = async (userId, changes) => {
+  validateRules(changes, User.RETENTION_FIELDS, 'INVALID_RETENTION');
+
+  const update = Object.fromEntries(
+    Object.entries(changes).map(([field, value]) => [`retention.${field}`, value])
+  );
+  const user = await User.findByIdAndUpdate(userId, { $set: update }, { new: true });
+  if (!user) {
+    throw new NotFoundError('User not found', { user_id: userId });
+  }
+
+  const tasks = await getTaskRepository().list({ user_id: userId, status: { $in: FINISHED_STATUSES } });
+  for (const task of tasks) {
+    await storeExpiry(task, user);
+  }
+  return user.toJSON();
+};
+
+/**
+ * Total size of the files below a directory
+ * @param {string} dir
+ * @returns {Promise<number>}
+ */
+const getDirectorySize = async (dir) => {
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  const sizes = await Promise.all(
+    entries.map(async (entry) => {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) return getDirectorySize(entryPath);
+      const stats = await fs.stat(entryPath).catch(() => null);
+      return stats ? stats.size : 0;
+    })
+  );
+  return sizes.reduce((sum, size) => sum + size, 0);
+};
+
+const summarize = (items) => ({
+  count: items.length,
+  bytes: items.reduce((sum, item) => sum + (item.bytes || 0), 0),
+  items,
+});
+
+/**
+ * Remove abandoned and finished upload sessions
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Only report
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} - { count, bytes, items }
+ */
+const sweepUploadSessions = async ({ dryRun = false, now = new Date() } = {}) => {
+  const sessions = await findStaleSessions({
+    now,
+    retentionMs: config.retention.tempFileRetentionHours * HOUR_MS,
+  });
+  if (!dryRun) {
+    for (const session of sessions) {
+      // A completed upload refused a task (e.g. over quota) left its source in storage
+      if (session.reason === 'completed' && !(await getTaskRepository().findById(session.upload_id))) {
+        await getStorage().deletePrefix(getTaskPrefix(session.upload_id));
+      }
+      await removeSession(session.upload_id);
+    }
+    if (sessions.length > 0) {
+      logger.info('Removed stale upload sessions', { count: sessions.length });
+    }
+  }
+  return summarize(sessions);
+};
+
+/**
+ * Remove worker scratch directories left behind by crashed jobs
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Only report
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} - { count, bytes, items }
+ */
+const sweepWorkDirs = async ({ dryRun = false, now = new Date() } = {}) => {
+  let entries;
+  try {
+    entries = await fs.readdir(config.storage.workDir, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return summarize([]);
+    throw err;
+  }
+
+  const cutoff = now.getTime() - config.retention.tempFileRetentionHours * HOUR_MS;
+  const items = [];
+  for (const entry of entries.filter((e) => e.isDirectory())) {
+    const dir = path.join(config.storage.workDir, entry.name);
+    const stats = await fs.stat(dir).catch(() => null);
+    if (!stats || stats.mtime.getTime() >= cutoff) continue;
+
+    // A running job still needs its files, however old the directory is
+    const task = await getTaskRepository().findById(entry.name);
+    if (task && task.status === 'processing') continue;
+
+    items.push({
+      task_id: entry.name,
+      reason: task ? `task ${task.status}` : 'task deleted',
+      bytes: await getDirectorySize(dir),
+      modified_at: stats.mtime.toISOString(),
+    });
+  }
+
+  if (!dryRun) {
+    for (const item of items) {
+      await fs.rm(path.join(config.storage.workDir, item.task_id), { recursive: true, force: true });
+    }
+    if (items.length > 0) {
+      logger.info('Removed leftover work directories', { count: items.length });
+    }
+  }
+  return summarize(items);
+};
+
+/**
+ * Whether an expiry date has passed
+ * @param {Date|null} expiresAt
+ * @param {Date} now
+ * @returns {boolean}
+ */
+const isDue = (expiresAt, now) => Boolean(expiresAt) && expiresAt <= now;
+
+/**
+ * Delete a task's source upload. It is marked deleted first, and only if it
+ * is still due, so a task kept or retried meanwhile is left alone.
+ * @param {Object} task - Task JSON
+ * @param {Object|null} user - Owner
+ * @param {Date} now
+ * @returns {Promise<boolean>} - Whether it was deleted
+ */
+const expireSource = async (task, user, now) => {
+  const claimed = await getTaskRepository().update(
+    task.id,
+    { 'retention.source_deleted_at': now, 'retention.source_expires_at': null },
+    { where: (current) => isDue(computeExpiry(current, user).source_expires_at, now) }
+  );
+  if (!claimed) return false;
+
+  if (claimed.input_file) {
+    await getStorage().delete(claimed.input_file);
+  }
+  // Caption files uploaded with the video go with it
+  for (const file of claimed.caption_files || []) {
+    await getStorage().delete(file.path);
+  }
+  await publishTaskEvent(EVENT_TYPES.UPDATED, claimed, { retention: claimed.retention });
+  return true;
+};
+
+/**
+ * Delete a task's outputs, the same way as expireSource
+ * @param {Object} task - Task JSON
+ * @param {Object|null} user - Owner
+ * @param {Date} now
+ * @returns {Promise<boolean>} - Whether they were deleted
+ */
+const expireOutputs = async (task, user, now) => {
+  const claimed = await getTaskRepository().update(
+    task.id,
+    {
+      output_file: null,
+      outputs: [],
+      hls: null,
+      thumbnails: null,
+      audio: null,
+      captions: [],
+      'retention.outputs_deleted_at': now,
+      'retention.outputs_expires_at': null,
+    },
+    { where: (current) => isDue(computeExpiry(current, user).outputs_expires_at, now) }
+  );
+  if (!claimed) return false;
+
+  await getStorage().deletePrefix(getOutputPrefix(task.id));
+  await publishTaskEvent(EVENT_TYPES.UPDATED, claimed, {
+    retention: claimed.retention,
+    output_file: null,
+    outputs: [],
+    hls: null,
+    hls_url: null,
+    thumbnails: null,
+    thumbnail_url: null,
+  });
+  return true;
+};
+
+/**
+ * Tasks matching a filter, loaded SWEEP_BATCH_SIZE at a time in ID order
+ * @param {Object} filter - MongoDB filter
+ * @returns {AsyncGenerator<Object>} - Task JSON
+ */
+async function* eachTask(filter) {
+  let lastId = null;
+  for (;;) {
+    const batch = await getTaskRepository().list(lastId ? { ...filter, _id: { $gt: lastId } } : filter, {
+      sort: { _id: 1 },
+      limit: SWEEP_BATCH_SIZE,
+    });
+    yield* batch;
+    if (batch.length < SWEEP_BATCH_SIZE) return;
+    lastId = batch[batch.length - 1].id;
+  }
+}
+
+/**
+ * Delete source uploads and outputs past their retention
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Only report; expiry dates are not updated either
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} - { sources: { count, bytes, items }, outputs: { count, bytes, items } }
+ */
+const sweepExpiredArtifacts = async ({ dryRun = false, now = new Date() } = {}) => {
+  const loadUser = createUserLoader();
+  const sources = [];
+  const outputs = [];
+
+  const tasks = eachTask({
+    status: { $in: FINISHED_STATUSES },
+    'retention.keep': { $ne: true },
+    $or: [{ 'retention.source_deleted_at': null }, { 'retention.outputs_deleted_at': null }],
+  });
+
+  for await (let task of tasks) {
+    const user = await loadUser(task.user_id);
+    const expiry = computeExpiry(task, user);
+    if (!dryRun) task = await storeExpiry(task, user);
+
+    const describe = (expiresAt, bytes) => ({
+      task_id: task.id,
+      user_id: task.user_id,
+      name: task.name,
+      expired_at: expiresAt.toISOString(),
+      bytes,
+    });
+    try {
+      if (isDue(expiry.source_expires_at, now)) {
+        if (dryRun || (await expireSource(task, user, now))) {
+          sources.push(describe(expiry.source_expires_at, task.file_size || 0));
+        }
+      }
+      if (isDue(expiry.outputs_expires_at, now)) {
+        const bytes = task.outputs.reduce((sum, output) => sum + (output.size || 0), 0);
+        if (dryRun || (await expireOutputs(task, user, now))) {
+          outputs.push(describe(expiry.outputs_expires_at, bytes));
+        }
+      }
+    } catch (err) {
+      // One unreachable object must not stop the sweep
+      logger.error('Failed to delete expired files', { task_id: task.id, error: err.message });
+    }
+  }
+
+  if (!dryRun && sources.length + outputs.length > 0) {
+    logger.info('Deleted expired files', { sources: sources.length, outputs: outputs.length });
+  }
+  return { sources: summarize(sources), outputs: summarize(outputs) };
+};
+
+/**
+ * What every sweep would delete right now (or at `now`)
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>}
+ */
+const getRetentionReport = async ({ now = new Date() } = {}) => {
+  const [uploadSessions, workDirs, artifacts] = await Promise.all([
+    sweepUploadSessions({ dryRun: true, now }),
+    sweepWorkDirs({ dryRun: true, now }),
+    sweepExpiredArtifacts({ dryRun: true, now }),
+  ]);
+  return {
+    dry_run: true,
+    generated_at: now.toISOString(),
+    rules: {
+      temp_cleanup_enabled: config.retention.cleanupTempFiles,
+      temp_file_retention_hours: config.retention.tempFileRetentionHours,
+      source_days: DEFAULT_RULES.source_days || null,
+      output_days: DEFAULT_RULES.output_days || null,
+    },
+    upload_sessions: uploadSessions,
+    work_dirs: workDirs,
+    sources: artifacts.sources,
+    outputs: artifacts.outputs,
+    total_bytes:
+      uploadSessions.bytes + workDirs.bytes + artifacts.sources.bytes + artifacts.outputs.bytes,
+  };
+};
+
+module.exports = {
+  resolveRules,
+  computeExpiry,
+  refreshExpiry,
+  updateTaskRetention,
+  updateUserRetention,
+  sweepUploadSessions,
+  sweepWorkDirs,
+  sweepExpiredArtifacts,
+  getRetentionReport,
+};
@@ -0,0 +1,300 @@
+const config = require('../config');
+const { PRIORITIES } = require('../models/Task');
+const Worker = require('../models/Worker');
+const { getTaskRepository } = require('../repositories');
+const { enqueueTask } = require('../queue/videoQueue');
+const logger = require('../utils/logger');
+
+/**
+ * Priorities and fair-share scheduling.
+ *
+ * Queued tasks wait in MongoDB (pending, `dispatched_at` null) rather than in
+ * Bull. The dispatcher hands them to the worker queue only as job slots free
+ * up, so the Bull queue never holds more than the workers can run and the
+ * order tasks start in is decided here:
+ *
+ *   1. higher priority first
+ *   2. then the user with the fewest tasks dispatched or processing, so one
+ *      account queueing hundreds of videos takes turns with everyone else
+ *   3. then the task that has waited longest
+ *
+ * A dispatched task keeps its slot through automatic retries until it
+ * finishes. The dispatcher runs when a task is queued, when one finishes and
+ * on SCHEDULER_DISPATCH_CRON; each task is claimed with a version-checked
+ * write, so several API servers can run it.
+ */
+
+// Fields the scheduler needs from each task
+const QUEUE_FIELDS = 'user_id status priority queued_at dispatched_at duration attempts';
+// Completed tasks the run time estimate is based on
+const RUN_TIME_SAMPLE_SIZE = 50;
+
+/**
+ * Rank of a priority, 0 for the highest
+ * @param {string} priority
+ * @returns {number}
+ */
+const getPriorityRank = (priority) => PRIORITIES.length - 1 - PRIORITIES.indexOf(priority);
+
+/**
+ * Bull priority of a task's job, 1 for the highest
+ * @param {Object} task - Task JSON
+ * @returns {number}
+ */
+const getJobPriority = (task) => getPriorityRank(task.priority) + 1;
+
+/**
+ * Job slots of the workers that are online, at least one worker's worth so
+ * tasks are queued before the first worker reports in
+ * @param {Date} now
+ * @returns {Promise<number>}
+ */
+const getCapacity = async (now) => {
+  const [online] = await Worker.aggregate([
+    {
+      $match: {
+        stopped_at: null,
+        last_heartbeat_at: { $gt: new Date(now.getTime() - config.worker.leaseTtlMs) },
+      },
+    },
+    { $group: { _id: null, concurrency: { $sum: '$concurrency' } } },
+  ]);
+  return Math.max(online ? online.concurrency : 0, config.worker.concurrency);
+};
+
+/**
+ * Tasks holding a slot, and tasks waiting for one in the order they were queued
+ * @returns {Promise<{ running: Object[], waiting: Object[] }>}
+ */
+const loadQueue = async () => {
+  const repository = getTaskRepository();
+  const [running, waiting] = await Promise.all([
+    repository.list(
+      { $or: [{ status: 'processing' }, { status: 'pending', dispatched_at: { $ne: null } }] },
+      { fields: QUEUE_FIELDS }
+    ),
+    repository.list(
+      { status: 'pending', dispatched_at: null },
+      { sort: { queued_at: 1, _id: 1 }, fields: QUEUE_FIELDS }
+    ),
+  ]);
+  return { running, waiting };
+};
+
+/**
+ * Order waiting tasks the way the dispatcher hands them out, assuming each
+ * task keeps its slot once dispatched
+ * @param {Object[]} waiting - Waiting tasks, oldest first
+ * @param {Object[]} running - Tasks holding a slot
+ * @returns {Object[]}
+ */
+const orderWaiting = (waiting, running) => {
+  const slotsByUser = new Map();
+  running.forEach((task) => {
+    slotsByUser.set(task.user_id, (slotsByUser.get(task.user_id) || 0) + 1);
+  });
+
+  // Each user's tasks, next one first
+  const queues = new Map();
+  waiting.forEach((task) => {
+    if (!queues.has(task.user_id)) queues.set(task.user_id, []);
+    queues.get(task.user_id).push(task);
+  });
+  queues.forEach((tasks) => tasks.sort((a, b) => getPriorityRank(a.priority) - getPriorityRank(b.priority)));
+
+  const ordered = [];
+  while (queues.size > 0) {
+    let next = null;
+    queues.forEach((tasks, userId) => {
+      const candidate = { userId, task: tasks[0], slots: slotsByUser.get(userId) || 0 };
+      if (
+        !next ||
+        getPriorityRank(candidate.task.priority) < getPriorityRank(next.task.priority) ||
+        (getPriorityRank(candidate.task.priority) === getPriorityRank(next.task.priority) &&
+          (candidate.slots < next.slots ||
+            (candidate.slots === next.slots && candidate.task.queued_at < next.task.queued_at)))
+      ) {
+        next = candidate;
+      }
+    });
+
+    ordered.push(queues.get(next.userId).shift());
+    if (queues.get(next.userId).length === 0) queues.delete(next.userId);
+    slotsByUser.set(next.userId, next.slots + 1);
+  }
+  return ordered;
+};
+
+/**
+ * Hand waiting tasks to the worker queue while there are free slots
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} - { capacity, dispatched: task IDs }
+ */
+const dispatch = async ({ now = new Date() } = {}) => {
+  const [capacity, { running, waiting }] = await Promise.all([getCapacity(now), loadQueue()]);
+  const dispatched = [];
+  let free = capacity - running.length;
+  if (free <= 0 || waiting.length === 0) return { capacity, dispatched };
+
+  for (const candidate of orderWaiting(waiting, running)) {
+    if (free <= 0) break;
+    const taskId = candidate.id;
+    const task = await getTaskRepository().update(
+      taskId,
+      { dispatched_at: new Date() },
+      { where: (current) => current.status === 'pending' && !current.dispatched_at }
+    );
+    // Cancelled, or dispatched by another server meanwhile
+    if (!task) continue;
+
+    try {
+      await enqueueTask(task, { priority: getJobPriority(task) });
+    } catch (err) {
+      // Give the slot back so the next run tries again
+      await getTaskRepository().update(taskId, { dispatched_at: null });
+      throw err;
+    }
+    dispatched.push(taskId);
+    free -= 1;
+  }
+
+  if (dispatched.length > 0) {
+    logger.info('Dispatched tasks to workers', {
+      count: dispatched.length,
+      waiting: waiting.length - dispatched.length,
+    });
+  }
+  return { capacity, dispatched };
+};
+
+let dispatching = null;
+let dispatchAgain = false;
+
+/**
+ * Run the dispatcher, or once more after the current run when one is going
+ * on; failures are logged, the scheduled run catches up
+ * @returns {Promise<void>}
+ */
+const requestDispatch = () => {
+  if (dispatching) {
+    dispatchAgain = true;
+    return dispatching;
+  }
+  dispatching = (async () => {
+    do {
+      dispatchAgain = false;
+      await dispatch();
+    } while (dispatchAgain);
+  })()
+    .catch((err) => logger.error('Failed to dispatch tasks', { error: err.message }))
+    .finally(() => {
+      dispatching = null;
+    });
+  return dispatching;
+};
+
+/**
+ * How long tasks take, from recently completed ones: per second of video
+ * where durations are known, else per task
+ * @returns {Promise<{ msPerSecond: number|null, msPerTask: number }>}
+ */
+const getRunTimeStats = async () => {
+  const completed = await getTaskRepository().list(
+    { status: 'completed' },
+    { sort: { updated_at: -1 }, limit: RUN_TIME_SAMPLE_SIZE, fields: 'duration attempts' }
+  );
+
+  let totalMs = 0;
+  let runs = 0;
+  let scaledMs = 0;
+  let seconds = 0;
+  completed.forEach((task) => {
+    const attempt = task.attempts[task.attempts.length - 1];
+    if (!attempt || !attempt.finished_at) return;
+    const ms = new Date(attempt.finished_at) - new Date(attempt.started_at);
+    totalMs += ms;
+    runs += 1;
+    if (task.duration > 0) {
+      scaledMs += ms;
+      seconds += task.duration;
+    }
+  });
+
+  return {
+    msPerSecond: seconds > 0 ? scaledMs / seconds : null,
+    msPerTask: runs > 0 ? totalMs / runs : config.scheduling.defaultRunSeconds * 1000,
+  };
+};
+
+/**
+ * Expected run time of a task
+ * @param {Object} task
+ * @param {Object} stats - See getRunTimeStats
+ * @returns {number} - Milliseconds
+ */
+const estimateRunMs = (task, { msPerSecond, msPerTask }) =>
+  msPerSecond && task.duration > 0 ? msPerSecond * task.duration : msPerTask;
+
+/**
+ * Position and expected start of every pending task. Tasks already in the
+ * worker queue come first, by priority; the rest follow in dispatch order.
+ * Start times assume each slot frees up when its task's expected run time
+ * has passed.
+ * @param {Object} [options]
+ * @param {Object} [options.scope] - Task filter the caller is limited to (see middleware/auth
+ *   getTaskScope); positions still count everyone's tasks
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} - { data: [{ task_id, position, priority, estimated_start_at }],
+ *   waiting, capacity }
+ */
+const getQueue = async ({ scope = {}, now = new Date() } = {}) => {
+  const [capacity, { running, waiting }, stats] = await Promise.all([
+    getCapacity(now),
+    loadQueue(),
+    getRunTimeStats(),
+  ]);
+
+  const processing = running.filter((task) => task.status === 'processing');
+  const inWorkerQueue = running
+    .filter((task) => task.status === 'pending')
+    .sort(
+      (a, b) =>
+        getPriorityRank(a.priority) - getPriorityRank(b.priority) || a.dispatched_at - b.dispatched_at
+    );
+  const queue = [...inWorkerQueue, ...orderWaiting(waiting, running)];
+
+  // When each slot is expected to free up
+  const slots = processing.map((task) => {
+    const attempt = task.attempts[task.attempts.length - 1];
+    const startedAt = attempt ? new Date(attempt.started_at).getTime() : now.getTime();
+    return Math.max(startedAt + estimateRunMs(task, stats), now.getTime());
+  });
+  while (slots.length < capacity) slots.push(now.getTime());
+
+  const data = [];
+  queue.forEach((task, index) => {
+    slots.sort((a, b) => a - b);
+    const startAt = slots[0];
+    slots[0] = startAt + estimateRunMs(task, stats);
+    if (Object.entries(scope).every(([field, value]) => task[field] === value)) {
+      data.push({
+        task_id: task.id,
+        position: index + 1,
+        priority: task.priority,
+        estimated_start_at: new Date(startAt),
+      });
+    }
+  });
+
+  return { data, waiting: queue.length, capacity };
+};
+
+module.exports = {
+  getPriorityRank,
+  getJobPriority,
+  orderWaiting,
+  dispatch,
+  requestDispatch,
+  getQueue,
+};
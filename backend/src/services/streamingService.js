@@ -0,0 +1,108 @@
+const path = require('path');
+const { getTask } = require('./taskService');
+const { getOutputPrefix } = require('../utils/taskPaths');
+const { NotFoundError } = require('../utils/errors');
+
+const HLS_CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.m4s': 'video/iso.segment',
+  '.mp4': 'video/mp4',
+  '.vtt': 'text/vtt',
+};
+
+const THUMBNAIL_CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.vtt': 'text/vtt',
+};
+
+/**
+ * Locate a file inside a task's HLS output
+ * @param {string} taskId - Task ID
+ * @param {string} relativePath - Path below the HLS root, e.g. "720p/segment_001.ts"
+ * @returns {Promise<{ key: string, contentType: string, isPlaylist: boolean }>}
+ * @throws {NotFoundError} - Task has no HLS output or the file is outside it
+ */
+const resolveHlsFile = async (taskId, relativePath) => {
+  const task = await getTask(taskId);
+  if (!task.hls) {
+    throw new NotFoundError('No HLS stream for this task', { task_id: taskId });
+  }
+
+  const root = path.posix.dirname(task.hls.master_playlist);
+  const key = path.posix.join(root, relativePath || '');
+  const contentType = HLS_CONTENT_TYPES[path.posix.extname(key).toLowerCase()];
+  // Reject traversal outside the HLS directory and anything that is not stream media
+  if (!key.startsWith(`${root}/`) || !contentType) {
+    throw new NotFoundError('File not found', { task_id: taskId, path: relativePath });
+  }
+
+  return { key, contentType, isPlaylist: key.endsWith('.m3u8') };
+};
+
+/**
+ * Locate a thumbnail, the sprite sheet or its WebVTT track
+ * @param {string} taskId - Task ID
+ * @param {string} fileName - File name, e.g. "thumb_01.jpg" or "sprite.vtt"
+ * @returns {Promise<{ key: string, contentType: string }>}
+ * @throws {NotFoundError}
+ */
+const resolveThumbnailFile = async (taskId, fileName) => {
+  const task = await getTask(taskId);
+  if (!task.thumbnails) {
+    throw new NotFoundError('No thumbnails for this task', { task_id: taskId });
+  }
+
+  const key = `${getOutputPrefix(taskId)}thumbnails/${path.posix.basename(fileName)}`;
+  const contentType = THUMBNAIL_CONTENT_TYPES[path.posix.extname(key).toLowerCase()];
+  if (!contentType) {
+    throw new NotFoundError('File not found', { task_id: taskId, path: fileName });
+  }
+
+  return { key, contentType };
+};
+
+/**
+ * Locate one of a task's WebVTT caption tracks
+ * @param {string} taskId - Task ID
+ * @param {string} fileName - File name, e.g. "upload-1.vtt"
+ * @returns {Promise<{ key: string, contentType: string }>}
+ * @throws {NotFoundError}
+ */
+const resolveCaptionFile = async (taskId, fileName) => {
+  const task = await getTask(taskId);
+  const caption = task.captions.find((track) => path.posix.basename(track.path) === fileName);
+  if (!caption) {
+    throw new NotFoundError('Caption track not found', { task_id: taskId, path: fileName });
+  }
+  return { key: caption.path, contentType: 'text/vtt' };
+};
+
+/**
+ * Locate a completed task's primary output for download
+ * @param {string} taskId - Task ID
+ * @returns {Promise<{ key: string, fileName: string, contentType: string }>}
+ * @throws {NotFoundError} - Task is not completed or only has streaming output
+ */
+const resolveDownloadFile = async (taskId) => {
+  const task = await getTask(taskId);
+  const output = task.status === 'completed' && task.outputs.find((item) => item.path === task.output_file);
+  if (!output || output.format === 'hls') {
+    throw new NotFoundError('No downloadable output for this task', { task_id: taskId });
+  }
+
+  const baseName = path.parse(task.name).name;
+  return {
+    key: output.path,
+    fileName: `${baseName}_${output.resolution}.${output.format}`,
+    contentType: output.format === 'webm' ? 'video/webm' : 'video/mp4',
+  };
+};
+
+module.exports = {
+  HLS_CONTENT_TYPES,
+  resolveHlsFile,
+  resolveThumbnailFile,
+  resolveCaptionFile,
+  resolveDownloadFile,
+};
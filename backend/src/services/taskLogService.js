@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const { getTaskRepository } = require('../repositories');
+const TaskLog = require('../models/TaskLog');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const { EVENT_TYPES, publishTaskEvent } = require('../events/taskEvents');
+
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 1000;
+
+/**
+ * Append an entry to a task's log and push it to clients tailing the log
+ * @param {string} taskId - Task ID
+ * @param {Object} entry
+ * @param {string} entry.event - One of TaskLog.LOG_EVENTS
+ * @param {string} entry.message - Human readable line
+ * @param {string} [entry.stage] - One of TaskLog.STAGES
+ * @param {number} [entry.attempt] - Attempt number
+ * @param {string} [entry.level=info] - info, warn or error
+ * @param {number} [entry.duration_ms] - Stage duration
+ * @param {Object} [entry.data] - Extra structured fields
+ * @returns {Promise<Object>} - Entry JSON
+ */
+const recordLog = async (taskId, entry) => {
+  const log = await TaskLog.create({ ...entry, task_id: taskId });
+  const json = log.toJSON();
+  await publishTaskEvent(EVENT_TYPES.LOG, { id: taskId }, { entry: json });
+  return json;
+};
+
+/**
+ * Parse the query of GET /api/tasks/:taskId/logs
+ * @param {Object} query - Express query object
+ * @returns {{ after: string|null, limit: number }}
+ * @throws {ValidationError}
+ */
+const parseLogQuery = ({ after, limit = String(DEFAULT_LIMIT) } = {}) => {
+  const errors = {};
+  if (after !== undefined && !mongoose.isObjectIdOrHexString(after)) {
+    errors.after = 'Must be the id of a log entry';
+  }
+  const parsedLimit = Number(limit);
+  if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_LIMIT) {
+    errors.limit = `Must be an integer between 1 and ${MAX_LIMIT}`;
+  }
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError('Invalid log query', { fields: errors }, 'INVALID_QUERY');
+  }
+  return { after: after || null, limit: parsedLimit };
+};
+
+/**
+ * A task's log entries, oldest first
+ * @param {string} taskId - Task ID
+ * @param {Object} [options]
+ * @param {string|null} [options.after] - Only entries after this entry id
+ * @param {number} [options.limit]
+ * @returns {Promise<Object>} - { data, page: { limit, has_more, next_after } }
+ * @throws {NotFoundError}
+ */
+const listLogs = async (taskId, { after = null, limit = DEFAULT_LIMIT } = {}) => {
+  if (!(await getTaskRepository().findById(taskId))) {
+    throw new NotFoundError('Task not found', { task_id: taskId });
+  }
+
+  const filter = { task_id: taskId };
+  if (after) filter._id = { $gt: after };
+  const entries = await TaskLog.find(filter).sort({ _id: 1 }).limit(limit + 1);
+
+  const hasMore = entries.length > limit;
+  const data = entries.slice(0, limit).map((entry) => entry.toJSON());
+  return {
+    data,
+    page: {
+      limit,
+      has_more: hasMore,
+      // Pass back as `after` to continue, also when tailing
+      next_after: data.length > 0 ? data[data.length - 1].id : after,
+    },
+  };
+};
+
+/**
+ * Remove a task's log
+ * @param {string} taskId - Task ID
+ */
+const deleteLogs = async (taskId) => {
+  await TaskLog.deleteMany({ task_id: taskId });
+};
+
+module.exports = { recordLog, parseLogQuery, listLogs, deleteLogs };
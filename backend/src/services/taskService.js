@@ -0,0 +1,570 @@
+const { v4: uuidv4 } = require('uuid');
+const Task = require('../models/Task');
+const config = require('../config');
+const { getTaskRepository } = require('../repositories');
+const { NotFoundError, ConflictError, ValidationError } = require('../utils/errors');
+const { DEFAULT_LIMIT, encodeCursor } = require('../validators/taskQuery');
+const { validateProcessingSettings, applyMediaConstraints } = require('../validators/processingSettings');
+const { EVENT_TYPES, publishTaskEvent } = require('../events/taskEvents');
+const { enqueueTask, removeQueuedJob } = require('../queue/videoQueue');
+const { removeDeadLetter } = require('../queue/deadLetterQueue');
+const { workerCrashError } = require('../utils/errorClassifier');
+const { getTaskPrefix } = require('../utils/taskPaths');
+const { getMediaLinks } = require('../utils/mediaLinks');
+const { getStorage } = require('../storage');
+const taskLogService = require('./taskLogService');
+const quotaService = require('./quotaService');
+const webhookService = require('./webhookService');
+const retentionService = require('./retentionService');
+const schedulerService = require('./schedulerService');
+const { removeSession } = require('./uploadSessionService');
+const logger = require('../utils/logger');
+
+// MongoDB error code for an insert that collides with an existing _id
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Create the processing task for a completed upload
+ * @param {Object} video - Result of uploadSessionService.completeSession
+ * @returns {Promise<Object>} - Task JSON
+ * @throws {TooManyRequestsError} - The owner's job or processing quota is used up
+ */
+const createTaskFromUpload = async (video) => {
+  // Completing the same upload twice must not create a second task
+  const existing = await getTaskRepository().findById(video.id);
+  if (existing) return existing;
+
+  await quotaService.assertCanQueue({
+    user_id: video.user_id,
+    duration: video.media ? video.media.duration : null,
+    settings: video.settings,
+  });
+
+  let json;
+  try {
+    json = await getTaskRepository().create({
+      _id: video.id,
+      name: video.filename,
+      user_id: video.user_id,
+      input_file: video.input_file,
+      file_size: video.file_size,
+      duration: video.media ? video.media.duration : null,
+      media: video.media || null,
+      settings: video.settings,
+      webhook: video.webhook || null,
+      priority: video.priority,
+      caption_files: video.captions || [],
+    });
+  } catch (err) {
+    // A concurrent complete of the same upload inserted it first
+    if (err.code !== DUPLICATE_KEY) throw err;
+    return getTaskRepository().findById(video.id);
+  }
+
+  await publishTaskEvent(EVENT_TYPES.CREATED, json, { task: json });
+  return json;
+};
+
+/**
+ * Queue a pending task and note it in the task's log. It waits for a free
+ * job slot (see schedulerService) unless it still holds one, as a task the
+ * reaper took from a lost worker does; that one goes straight to the worker queue.
+ * @param {Object} task - Task JSON
+ * @param {Object} [jobOptions] - See videoQueue enqueueTask
+ */
+const queueTask = async (task, jobOptions) => {
+  await taskLogService.recordLog(task.id, {
+    event: 'stage_completed',
+    stage: 'queued',
+    message: 'Queued for processing',
+  });
+  if (task.dispatched_at) {
+    await enqueueTask(task, { priority: schedulerService.getJobPriority(task), ...jobOptions });
+  } else {
+    await schedulerService.requestDispatch();
+  }
+};
+
+/**
+ * Fetch a single task
+ * @param {string} taskId - Task ID
+ * @param {Object} [scope] - Task filter the caller is limited to (see middleware/auth getTaskScope);
+ *   tasks outside it are reported as not found
+ * @returns {Promise<Object>} - Task JSON
+ * @throws {NotFoundError}
+ */
+const getTask = async (taskId, scope = {}) => {
+  const task = await getTaskRepository().findById(taskId, { scope });
+  if (!task) {
+    throw new NotFoundError('Task not found', { task_id: taskId });
+  }
+  return task;
+};
+
+/**
+ * Escape user input for use inside a RegExp
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * List tasks one page at a time with keyset (cursor) pagination
+ * @param {Object} query - Parsed query, see validators/taskQuery
+ * @param {Object} [scope] - Task filter the caller is limited to (see middleware/auth getTaskScope)
+ * @returns {Promise<Object>} - { data, total, counts, page: { limit, next_cursor, has_more } }
+ */
+const listTasks = async (
+  {
+    statuses = [],
+    createdFrom = null,
+    createdTo = null,
+    updatedSince = null,
+    name = '',
+    sort = 'created_at',
+    order = 'desc',
+    limit = DEFAULT_LIMIT,
+    cursor = null,
+  } = {},
+  scope = {}
+) => {
+  const filter = { ...scope };
+  if (createdFrom || createdTo) {
+    filter.created_at = {};
+    if (createdFrom) filter.created_at.$gte = createdFrom;
+    if (createdTo) filter.created_at.$lte = createdTo;
+  }
+  if (updatedSince) filter.updated_at = { $gt: updatedSince };
+  if (name) filter.name = { $regex: escapeRegExp(name), $options: 'i' };
+
+  // Per-status counts ignore the status filter so the client can show them on its filter options
+  const statusFilter = statuses.length > 0 ? { ...filter, status: { $in: statuses } } : filter;
+
+  const direction = order === 'asc' ? 1 : -1;
+  const pageFilter = { ...statusFilter };
+  if (cursor) {
+    const op = direction === 1 ? '$gt' : '$lt';
+    pageFilter.$or = [
+      { [sort]: { [op]: cursor.value } },
+      { [sort]: cursor.value, _id: { [op]: cursor.id } },
+    ];
+  }
+
+  const repository = getTaskRepository();
+  const [tasks, total, statusCounts] = await Promise.all([
+    repository.list(pageFilter, { sort: { [sort]: direction, _id: direction }, limit: limit + 1 }),
+    repository.count(statusFilter),
+    repository.aggregate(filter, { groupBy: 'status' }),
+  ]);
+
+  const hasMore = tasks.length > limit;
+  const data = tasks.slice(0, limit);
+  const counts = Object.fromEntries(Task.TASK_STATUSES.map((status) => [status, 0]));
+  statusCounts.forEach(({ key: status, count }) => {
+    counts[status] = count;
+  });
+
+  return {
+    data,
+    total,
+    counts,
+    page: {
+      limit,
+      has_more: hasMore,
+      next_cursor: hasMore ? encodeCursor(data[data.length - 1], sort) : null,
+    },
+  };
+};
+
+// A task reaching one of these states is also announced to webhooks (see webhookService)
+const FINAL_EVENT_TYPES = [EVENT_TYPES.COMPLETED, EVENT_TYPES.FAILED, EVENT_TYPES.CANCELLED];
+
+/**
+ * Apply a change through the task repository and notify clients. The change
+ * only applies while the task is in one of `fromStatuses`, so a worker can
+ * never overwrite a cancellation that raced with it; a new `status` must
+ * also be allowed by the state machine (see repositories/taskTransitions).
+ * A task leaving processing gives up its worker lease.
+ * @param {string} taskId - Task ID
+ * @param {string[]} fromStatuses - Statuses the task must currently have
+ * @param {Object} changes - Fields to set, including `status` to move the task to another one
+ * @param {string} eventType - One of EVENT_TYPES
+ * @param {Object|Function} [eventData] - Extra event fields, or (updated task JSON) => fields
+ * @param {Object} [options]
+ * @param {Function} [options.where] - (task) => boolean; further condition for the change
+ * @param {Object|Function} [options.pushAttempt] - Attempt to append to the history
+ * @param {Object} [options.finishAttempt] - { status, error } closing the running attempt
+ * @param {number} [options.expectedVersion] - Version of the task the change was decided on
+ * @returns {Promise<Object|null>} - Updated task JSON, null if the task is missing or in another state
+ * @throws {ConflictError} - INVALID_TRANSITION or TASK_VERSION_CONFLICT
+ */
+const applyUpdate = async (
+  taskId,
+  fromStatuses,
+  { status, ...changes },
+  eventType,
+  eventData = {},
+  { where = null, pushAttempt = null, finishAttempt = null, expectedVersion } = {}
+) => {
+  const tasks = getTaskRepository();
+  let task = status
+    ? await tasks.transition(taskId, status, {
+        from: fromStatuses,
+        where,
+        changes: status === 'processing' ? changes : { ...changes, lease: null },
+        pushAttempt,
+        finishAttempt,
+        expectedVersion,
+      })
+    : await tasks.update(taskId, changes, {
+        where: (current) => fromStatuses.includes(current.status) && (!where || where(current)),
+        expectedVersion,
+      });
+  if (!task) return null;
+  if (FINAL_EVENT_TYPES.includes(eventType)) {
+    // Start the retention clock; the next sweep fills the dates in if this fails
+    task = await retentionService.refreshExpiry(task).catch((err) => {
+      logger.error('Failed to set retention expiry', { task_id: taskId, error: err.message });
+      return task;
+    });
+  }
+
+  const attemptData = pushAttempt || finishAttempt ? { attempts: task.attempts } : {};
+  const retentionData = FINAL_EVENT_TYPES.includes(eventType) ? { retention: task.retention } : {};
+  await publishTaskEvent(eventType, task, {
+    ...attemptData,
+    ...retentionData,
+    ...(typeof eventData === 'function' ? eventData(task) : eventData),
+  });
+  if (FINAL_EVENT_TYPES.includes(eventType)) {
+    // Failing to queue notifications never undoes the state change
+    await webhookService.notifyTaskEvent(task).catch((err) => {
+      logger.error('Failed to queue webhook deliveries', { task_id: taskId, error: err.message });
+    });
+  }
+  return task;
+};
+
+/**
+ * Expiry of a lease taken or renewed now
+ * @returns {Date}
+ */
+const leaseExpiry = () => new Date(Date.now() + config.worker.leaseTtlMs);
+
+/**
+ * Condition for changes only the worker holding a lease may make
+ * @param {string|undefined} leaseId - Lease ID; undefined places no condition
+ * @returns {Function|null}
+ */
+const holdsLease = (leaseId) =>
+  leaseId === undefined ? null : (task) => Boolean(task.lease) && task.lease.id === leaseId;
+
+/**
+ * Mark a task as picked up by a worker, open a new entry in its attempt
+ * history and give the worker a lease on it, which it has to renew (see
+ * renewLease) until it is done
+ * @param {string} taskId - Task ID
+ * @param {Object} attempt
+ * @param {number} attempt.jobAttempt - 1-based Bull attempt of the current job
+ * @param {string} attempt.worker - Worker ID (hostname:pid)
+ * @param {boolean} [attempt.recovered=false] - The job was queued again after its worker was lost
+ * @returns {Promise<Object|null>} - Task JSON with the lease, null if the task is not pending
+ */
+const markTaskProcessing = async (taskId, { jobAttempt, worker, recovered = false }) => {
+  // A job Bull restarts after a worker crash finds its task still processing;
+  // the attempt that crashed is closed before the new one starts
+  await getTaskRepository().transition(taskId, 'processing', {
+    from: ['processing'],
+    finishAttempt: { status: 'failed', error: workerCrashError() },
+  });
+
+  return applyUpdate(
+    taskId,
+    ['pending', 'processing'],
+    {
+      status: 'processing',
+      progress: 0,
+      error_message: null,
+      error: null,
+      lease: { id: uuidv4(), worker, expires_at: leaseExpiry() },
+    },
+    EVENT_TYPES.STARTED,
+    { attempt: jobAttempt },
+    {
+      // Built from the task as written, so the attempt number cannot be taken twice
+      pushAttempt: (task) => {
+        const previous = task.attempts[task.attempts.length - 1];
+        let trigger = 'upload';
+        if (jobAttempt > 1 || recovered) trigger = 'automatic_retry';
+        else if (previous) trigger = 'manual_retry';
+
+        return {
+          number: task.attempts.length + 1,
+          trigger,
+          retry_of: trigger === 'manual_retry' ? previous.number : null,
+          status: 'processing',
+          settings: task.settings,
+          worker,
+          started_at: new Date(),
+        };
+      },
+    }
+  );
+};
+
+/**
+ * Extend the lease of a worker on the task it is processing. No event is
+ * published; clients have nothing to show for it.
+ * @param {string} taskId - Task ID
+ * @param {string} leaseId - Lease ID given by markTaskProcessing
+ * @returns {Promise<Object|null>} - Task JSON, null once the lease is lost: the task
+ *   finished, was cancelled or deleted, or the reaper gave it to another worker
+ */
+const renewLease = (taskId, leaseId) =>
+  getTaskRepository().update(
+    taskId,
+    { 'lease.expires_at': leaseExpiry() },
+    { where: (task) => task.status === 'processing' && Boolean(task.lease) && task.lease.id === leaseId }
+  );
+
+/**
+ * Record processing progress
+ * @param {string} taskId - Task ID
+ * @param {number} progress - Percentage, 0-100
+ * @param {Object} [options]
+ * @param {string} [options.leaseId] - Only while the worker still holds this lease
+ */
+const updateTaskProgress = (taskId, progress, { leaseId } = {}) =>
+  applyUpdate(taskId, ['processing'], { progress }, EVENT_TYPES.PROGRESS, {}, { where: holdsLease(leaseId) });
+
+/**
+ * Record a successful run
+ * @param {string} taskId - Task ID
+ * @param {Object} result
+ * @param {string} result.output_file - Primary output
+ * @param {Object[]} result.outputs - All produced files
+ * @param {Object|null} result.hls - HLS master playlist and renditions, when packaged
+ * @param {Object|null} result.thumbnails - Thumbnails and sprite sheet, when generated
+ * @param {Object|null} result.audio - Extracted audio track, when requested
+ * @param {Object[]} result.captions - WebVTT caption tracks
+ * @param {number|null} result.duration - Duration of the output in seconds
+ * @param {Object} [options]
+ * @param {string} [options.leaseId] - Only while the worker still holds this lease
+ * @returns {Promise<Object|null>} - Task JSON, null if the task was cancelled or the lease lost
+ */
+const completeTask = (
+  taskId,
+  { output_file: outputFile, outputs, hls, thumbnails, audio, captions, duration },
+  { leaseId } = {}
+) =>
+  applyUpdate(
+    taskId,
+    ['processing'],
+    {
+      status: 'completed',
+      progress: 100,
+      output_file: outputFile,
+      outputs,
+      hls: hls || null,
+      thumbnails: thumbnails || null,
+      audio: audio || null,
+      captions: captions || [],
+      duration,
+      error_message: null,
+      error: null,
+    },
+    EVENT_TYPES.COMPLETED,
+    (task) => ({
+      output_file: outputFile,
+      hls_url: task.hls_url,
+      thumbnail_url: task.thumbnail_url,
+      media: getMediaLinks(task),
+    }),
+    { where: holdsLease(leaseId), finishAttempt: { status: 'completed' } }
+  );
+
+/**
+ * Record a failed run
+ * @param {string} taskId - Task ID
+ * @param {Object} error - Classified error, see utils/errorClassifier
+ * @param {Object} [options]
+ * @param {boolean} [options.willRetry=false] - Another attempt is scheduled; the task goes back to pending
+ * @param {string} [options.leaseId] - Only while the worker still holds this lease
+ * @param {number} [options.expectedVersion] - Version of the task the failure was decided on
+ * @returns {Promise<Object|null>} - Task JSON, null if the task was cancelled or the lease lost
+ * @throws {ConflictError} - TASK_VERSION_CONFLICT
+ */
+const failTask = (taskId, error, { willRetry = false, leaseId, expectedVersion } = {}) =>
+  applyUpdate(
+    taskId,
+    ['processing'],
+    {
+      status: willRetry ? 'pending' : 'failed',
+      progress: 0,
+      error_message: error.message,
+      error,
+    },
+    willRetry ? EVENT_TYPES.UPDATED : EVENT_TYPES.FAILED,
+    { error_message: error.message, error, will_retry: willRetry },
+    { where: holdsLease(leaseId), finishAttempt: { status: 'failed', error }, expectedVersion }
+  );
+
+/**
+ * Cancel a pending or processing task. Waiting jobs are removed from the
+ * queue; for running jobs the worker hears `task_cancelled`, kills ffmpeg and
+ * removes partial output.
+ * @param {string} taskId - Task ID
+ * @returns {Promise<Object>} - Cancelled task JSON
+ * @throws {NotFoundError}
+ * @throws {ConflictError} - Task already finished
+ */
+const cancelTask = async (taskId) => {
+  const cancelled = await applyUpdate(
+    taskId,
+    Task.CANCELLABLE_STATUSES,
+    { status: 'cancelled' },
+    EVENT_TYPES.CANCELLED,
+    {},
+    { finishAttempt: { status: 'cancelled' } }
+  );
+  if (cancelled) {
+    await removeQueuedJob(taskId);
+    return cancelled;
+  }
+
+  const task = await getTask(taskId);
+  throw new ConflictError(
+    `Task is already ${task.status} and cannot be cancelled`,
+    { task_id: taskId, status: task.status },
+    'TASK_NOT_CANCELLABLE'
+  );
+};
+
+/**
+ * Queue a failed or cancelled task again, optionally with changed settings.
+ * The worker records the run as a new attempt linked to the previous one.
+ * @param {string} taskId - Task ID
+ * @param {Object} [options]
+ * @param {Object} [options.settings] - Settings to change; omitted fields keep their current values
+ * @param {boolean} [options.enforceQuota=true] - Check the owner's quotas (see quotaService)
+ * @returns {Promise<Object>} - Task JSON, now pending
+ * @throws {NotFoundError}
+ * @throws {ValidationError} - Invalid settings
+ * @throws {ConflictError} - Task is not failed or cancelled, its source expired, or it changed meanwhile
+ * @throws {TooManyRequestsError} - The owner's job or processing quota is used up
+ */
+const retryTask = async (taskId, { settings, enforceQuota = true } = {}) => {
+  const current = await getTask(taskId);
+  const notRetryable = (status) =>
+    new ConflictError(
+      `Task is ${status}; only failed or cancelled tasks can be retried`,
+      { task_id: taskId, status },
+      'TASK_NOT_RETRYABLE'
+    );
+  if (!Task.RETRYABLE_STATUSES.includes(current.status)) {
+    throw notRetryable(current.status);
+  }
+  if (current.retention && current.retention.source_deleted_at) {
+    throw new ConflictError(
+      'The source upload was deleted by the retention policy; upload the video again',
+      { task_id: taskId, source_deleted_at: current.retention.source_deleted_at },
+      'SOURCE_EXPIRED'
+    );
+  }
+
+  const changes = {
+    status: 'pending',
+    progress: 0,
+    error_message: null,
+    error: null,
+    output_file: null,
+    outputs: [],
+    hls: null,
+    thumbnails: null,
+    audio: null,
+    captions: [],
+    // The retention clock restarts when the task finishes again
+    'retention.source_expires_at': null,
+    'retention.outputs_expires_at': null,
+    'retention.outputs_deleted_at': null,
+    // Back of the queue, waiting for a slot again
+    queued_at: new Date(),
+    dispatched_at: null,
+  };
+  if (settings !== undefined) {
+    if (settings === null || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new ValidationError('settings must be an object', null, 'INVALID_SETTINGS');
+    }
+    changes.settings = applyMediaConstraints(
+      validateProcessingSettings({ ...current.settings, ...settings }),
+      current.media
+    );
+  }
+  if (enforceQuota) {
+    await quotaService.assertCanQueue({ ...current, settings: changes.settings || current.settings });
+  }
+
+  // Settings and quota were checked against `current`; a change made since then fails the retry
+  const task = await applyUpdate(
+    taskId,
+    Task.RETRYABLE_STATUSES,
+    changes,
+    EVENT_TYPES.UPDATED,
+    { settings: changes.settings || current.settings },
+    { expectedVersion: current.version }
+  );
+  if (!task) {
+    // Deleted since it was read
+    throw new NotFoundError('Task not found', { task_id: taskId });
+  }
+
+  await queueTask(task);
+  // A retried task is no longer dead
+  await removeDeadLetter(taskId);
+  return task;
+};
+
+/**
+ * Delete a task together with its source upload and outputs. Active tasks
+ * are cancelled first so the worker stops writing files.
+ * @param {string} taskId - Task ID
+ * @returns {Promise<Object>} - The deleted task's JSON
+ * @throws {NotFoundError}
+ */
+const deleteTask = async (taskId) => {
+  const task = await getTask(taskId);
+
+  if (Task.CANCELLABLE_STATUSES.includes(task.status)) {
+    try {
+      await cancelTask(taskId);
+    } catch (err) {
+      // Finished in the meantime; nothing left to stop
+      if (!(err instanceof ConflictError)) throw err;
+    }
+  }
+
+  await getTaskRepository().remove(taskId);
+  await removeDeadLetter(taskId);
+  await taskLogService.deleteLogs(taskId);
+  await getStorage().deletePrefix(getTaskPrefix(taskId));
+  // Otherwise completing the upload again would bring the task back
+  await removeSession(taskId);
+  await publishTaskEvent(EVENT_TYPES.DELETED, task);
+  logger.info('Task deleted', { task_id: taskId });
+  return task;
+};
+
+module.exports = {
+  createTaskFromUpload,
+  queueTask,
+  cancelTask,
+  retryTask,
+  deleteTask,
+  getTask,
+  listTasks,
+  markTaskProcessing,
+  renewLease,
+  updateTaskProgress,
+  completeTask,
+  failTask,
+};
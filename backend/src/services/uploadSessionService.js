@@ -0,0 +1,547 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
+const config = require('../config');
+const UploadRecord = require('../models/UploadRecord');
+const { validateMedia } = require('./mediaProbeService');
+const { getStorage, getContentType } = require('../storage');
+const { getSourceKey, getCaptionSourceKey } = require('../utils/taskPaths');
+const { CAPTION_FORMATS, parseCaptions, toWebVtt } = require('../utils/subtitles');
+const {
+  validateProcessingSettings,
+  applyMediaConstraints,
+} = require('../validators/processingSettings');
+const { validateUploadWebhook } = require('../validators/webhook');
+const { validatePriority } = require('../validators/priority');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  PayloadTooLargeError,
+  MediaValidationError,
+} = require('../utils/errors');
+
+/**
+ * Resumable upload sessions.
+ *
+ * Each session lives in its own directory under TEMP_DIR/uploads:
+ *   {uploadId}/session.json  - metadata, including the acknowledged offset
+ *   {uploadId}/data.part     - bytes received so far
+ *   {uploadId}/captions/     - caption files sent with the video, converted to WebVTT
+ *
+ * Chunks must arrive in order: a chunk is only accepted when its offset
+ * equals the acknowledged offset, so the part file is assembled by appending.
+ * On completion the part file is moved to storage as {uploadId}/source.{ext}
+ * and the captions as {uploadId}/captions/{captionId}.vtt (see storage/index).
+ *
+ * A session belongs to the user who started it; to anyone else it does not exist.
+ * Every session also has an UploadRecord, which the quotas count.
+ */
+
+const SESSIONS_DIR = path.join(config.upload.tempDir, 'uploads');
+const SESSION_FILE = 'session.json';
+const PART_FILE = 'data.part';
+const CAPTIONS_DIR = 'captions';
+// Caption files are text; anything larger is not one
+const MAX_CAPTION_SIZE = 2 * 1024 * 1024;
+const MAX_CAPTIONS = 10;
+// BCP 47 tags such as "en", "pt-BR" or "zh-Hant"
+const LANGUAGE_TAG = /^[a-z]{2,3}(?:-[a-z0-9]{2,8})*$/i;
+
+// Sessions with a chunk, caption or completion in flight, to reject concurrent writes
+const activeWrites = new Set();
+
+const sessionDir = (uploadId) => path.join(SESSIONS_DIR, uploadId);
+
+/**
+ * Return the lower-cased extension of a filename without the dot
+ * @param {string} filename - Original filename
+ * @returns {string}
+ */
+const getExtension = (filename) => path.extname(filename).slice(1).toLowerCase();
+
+/**
+ * Shape a stored session for API responses
+ * @param {Object} session - Stored session
+ * @returns {Object}
+ */
+const toResponse = (session) => ({
+  upload_id: session.id,
+  filename: session.filename,
+  size: session.size,
+  offset: session.offset,
+  chunk_size: session.chunk_size,
+  status: session.status,
+  created_at: session.created_at,
+  updated_at: session.updated_at,
+  expires_at: session.expires_at,
+  settings: session.settings,
+  webhook: session.webhook ? { url: session.webhook.url } : null,
+  priority: session.priority,
+  captions: (session.captions || []).map((caption) => ({
+    id: caption.id,
+    language: caption.language,
+    label: caption.label,
+    filename: caption.filename,
+    cue_count: caption.cue_count,
+  })),
+});
+
+const writeSession = async (session) => {
+  const target = path.join(sessionDir(session.id), SESSION_FILE);
+  const tmp = `${target}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(session));
+  await fs.rename(tmp, target);
+};
+
+/**
+ * Load a session from disk
+ * @param {string} uploadId - Upload session ID
+ * @param {string} userId - ID of the user the session must belong to
+ * @returns {Promise<Object>} - Stored session
+ */
+const readSession = async (uploadId, userId) => {
+  if (!isUuid(uploadId)) {
+    throw new NotFoundError('Upload session not found');
+  }
+
+  let session;
+  try {
+    session = JSON.parse(await fs.readFile(path.join(sessionDir(uploadId), SESSION_FILE), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw new NotFoundError('Upload session not found');
+    }
+    throw err;
+  }
+
+  if ((session.user_id || null) !== userId) {
+    throw new NotFoundError('Upload session not found');
+  }
+  if (session.status !== 'completed' && new Date(session.expires_at) < new Date()) {
+    throw new NotFoundError('Upload session has expired', { upload_id: uploadId });
+  }
+  return session;
+};
+
+/**
+ * Sessions the temp sweep can remove: uploads that expired unfinished, and
+ * completed ones older than `retentionMs` whose source is already in storage.
+ * Directories without a readable session count as abandoned once as old.
+ * @param {Object} options
+ * @param {Date} options.now - Reference time
+ * @param {number} options.retentionMs - How long completed or unreadable sessions are kept
+ * @returns {Promise<Object[]>} - { upload_id, user_id, status, reason, bytes, updated_at }
+ */
+const findStaleSessions = async ({ now, retentionMs }) => {
+  let entries;
+  try {
+    entries = await fs.readdir(SESSIONS_DIR, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const cutoff = now.getTime() - retentionMs;
+  const stale = await Promise.all(
+    entries
+      .filter((entry) => entry.isDirectory() && !activeWrites.has(entry.name))
+      .map(async (entry) => {
+        const dir = sessionDir(entry.name);
+        const part = await fs.stat(path.join(dir, PART_FILE)).catch(() => null);
+        const bytes = part ? part.size : 0;
+
+        let session = null;
+        try {
+          session = JSON.parse(await fs.readFile(path.join(dir, SESSION_FILE), 'utf8'));
+        } catch (err) {
+          const stats = await fs.stat(dir).catch(() => null);
+          if (!stats || stats.mtime.getTime() >= cutoff) return null;
+          return {
+            upload_id: entry.name,
+            user_id: null,
+            status: null,
+            reason: 'unreadable',
+            bytes,
+            updated_at: stats.mtime.toISOString(),
+          };
+        }
+
+        const base = {
+          upload_id: session.id,
+          user_id: session.user_id || null,
+          status: session.status,
+          bytes,
+        };
+        if (session.status === 'uploading' && new Date(session.expires_at).getTime() < now.getTime()) {
+          return { ...base, reason: 'expired', updated_at: session.updated_at };
+        }
+        if (session.status === 'completed' && new Date(session.updated_at).getTime() < cutoff) {
+          return { ...base, reason: 'completed', updated_at: session.updated_at };
+        }
+        return null;
+      })
+  );
+  return stale.filter(Boolean);
+};
+
+/**
+ * Mark an unfinished session's record as finished
+ * @param {string} uploadId - Upload session ID
+ * @param {string} status - completed or aborted
+ */
+const finishRecord = async (uploadId, status) => {
+  await UploadRecord.updateOne(
+    { _id: uploadId, status: 'uploading' },
+    { $set: { status, finished_at: new Date() } }
+  );
+};
+
+/**
+ * Delete a session's directory, whatever its state
+ * @param {string} uploadId - Upload session ID
+ */
+const removeSession = async (uploadId) => {
+  if (!isUuid(uploadId)) return;
+  await fs.rm(sessionDir(uploadId), { recursive: true, force: true });
+  await finishRecord(uploadId, 'aborted');
+};
+
+/**
+ * Start a new upload session
+ * @param {Object} params
+ * @param {string} params.userId - ID of the uploading user
+ * @param {string} params.filename - Original filename
+ * @param {number} params.size - Total file size in bytes
+ * @param {string} [params.mimeType] - MIME type reported by the client
+ * @param {Object} [params.settings] - Processing settings for the task created on completion
+ * @param {Object} [params.webhook] - { url, secret } notified when the task finishes; the secret
+ *   is generated when missing
+ * @param {string} [params.priority] - Scheduling priority of the task (see validators/priority)
+ * @param {string} [params.role] - Role of the uploading user, which limits the priority
+ * @returns {Promise<Object>} - Session response; the only one including the webhook secret
+ */
+const createSession = async ({ userId, filename, size, mimeType, settings, webhook, priority, role }) => {
+  if (!filename || typeof filename !== 'string') {
+    throw new ValidationError('filename is required');
+  }
+  if (!Number.isInteger(size) || size <= 0) {
+    throw new ValidationError('size must be a positive integer');
+  }
+
+  const extension = getExtension(filename);
+  if (!config.upload.allowedVideoFormats.includes(extension)) {
+    throw new ValidationError(
+      `Invalid file extension. Allowed: ${config.upload.allowedVideoFormats.join(', ')}`,
+      { extension }
+    );
+  }
+  if (size > config.upload.maxFileSize) {
+    throw new PayloadTooLargeError('File size exceeds maximum limit', {
+      max_file_size: config.upload.maxFileSize,
+    });
+  }
+
+  // Validate before any bytes are sent so bad settings fail fast
+  const processingSettings = validateProcessingSettings(settings);
+  const uploadWebhook = validateUploadWebhook(webhook);
+  const taskPriority = validatePriority(priority, role);
+
+  const now = new Date();
+  const session = {
+    id: uuidv4(),
+    user_id: userId,
+    filename: path.basename(filename),
+    extension,
+    mime_type: mimeType || null,
+    size,
+    offset: 0,
+    chunk_size: config.upload.chunkSize,
+    status: 'uploading',
+    created_at: now.toISOString(),
+    updated_at: now.toISOString(),
+    expires_at: new Date(now.getTime() + config.upload.sessionTtlHours * 3600 * 1000).toISOString(),
+    settings: processingSettings,
+    webhook: uploadWebhook,
+    priority: taskPriority,
+  };
+
+  await UploadRecord.create({
+    _id: session.id,
+    user_id: userId,
+    size,
+    expires_at: session.expires_at,
+  });
+  await fs.mkdir(sessionDir(session.id), { recursive: true });
+  await fs.writeFile(path.join(sessionDir(session.id), PART_FILE), '');
+  await writeSession(session);
+
+  return { ...toResponse(session), webhook: uploadWebhook };
+};
+
+/**
+ * Get the current state of a session, used by clients to find the resume offset
+ * @param {string} uploadId - Upload session ID
+ * @param {string} userId - ID of the uploading user
+ * @returns {Promise<Object>} - Session response
+ */
+const getSession = async (uploadId, userId) => toResponse(await readSession(uploadId, userId));
+
+/**
+ * Append a chunk at the given offset
+ * @param {string} uploadId - Upload session ID
+ * @param {string} userId - ID of the uploading user
+ * @param {number} offset - Byte offset the chunk starts at
+ * @param {Buffer} chunk - Chunk data
+ * @returns {Promise<Object>} - Session response with the new offset
+ */
+const appendChunk = async (uploadId, userId, offset, chunk) => {
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new ValidationError('offset must be a non-negative integer');
+  }
+  if (!chunk || chunk.length === 0) {
+    throw new ValidationError('chunk is required');
+  }
+  if (activeWrites.has(uploadId)) {
+    throw new ConflictError('Another chunk is being written for this upload', null, 'UPLOAD_BUSY');
+  }
+
+  activeWrites.add(uploadId);
+  try {
+    const session = await readSession(uploadId, userId);
+
+    if (session.status !== 'uploading') {
+      throw new ConflictError('Upload is already complete', toResponse(session), 'UPLOAD_COMPLETE');
+    }
+    if (offset !== session.offset) {
+      throw new ConflictError('Chunk offset does not match upload offset', toResponse(session), 'OFFSET_MISMATCH');
+    }
+    if (offset + chunk.length > session.size) {
+      throw new ValidationError('Chunk extends past the declared file size', toResponse(session));
+    }
+
+    const partPath = path.join(sessionDir(uploadId), PART_FILE);
+    const handle = await fs.open(partPath, 'r+');
+    try {
+      // Write at the acknowledged offset rather than appending, so bytes left over
+      // from a write that failed before the session was saved are overwritten
+      await handle.write(chunk, 0, chunk.length, offset);
+      await handle.truncate(offset + chunk.length);
+    } finally {
+      await handle.close();
+    }
+
+    session.offset = offset + chunk.length;
+    session.updated_at = new Date().toISOString();
+    await writeSession(session);
+
+    return toResponse(session);
+  } finally {
+    activeWrites.delete(uploadId);
+  }
+};
+
+/**
+ * Attach a caption file to an upload that is still in progress. SRT files are
+ * converted to WebVTT; the worker adds the captions to the task's outputs.
+ * @param {string} uploadId - Upload session ID
+ * @param {string} userId - ID of the uploading user
+ * @param {Object} caption
+ * @param {Buffer} caption.buffer - File contents
+ * @param {string} caption.filename - Original filename; its extension gives the format
+ * @param {string} [caption.language] - BCP 47 language tag, e.g. "en"
+ * @param {string} [caption.label] - Name shown in players; defaults to the filename
+ * @returns {Promise<Object>} - Session response
+ * @throws {ValidationError} - CAPTIONS_DISABLED, or INVALID_CAPTIONS with `details.fields`
+ */
+const addCaption = async (uploadId, userId, { buffer, filename, language, label }) => {
+  if (!config.processing.enableSubtitles) {
+    throw new ValidationError('Captions are disabled', null, 'CAPTIONS_DISABLED');
+  }
+  if (!buffer || buffer.length === 0) {
+    throw new ValidationError('file is required');
+  }
+
+  const errors = {};
+  const extension = getExtension(filename || '');
+  if (!CAPTION_FORMATS.includes(extension)) {
+    errors.file = `Must be one of: ${CAPTION_FORMATS.join(', ')}`;
+  }
+  if (language && !LANGUAGE_TAG.test(language)) {
+    errors.language = 'Must be a language tag such as "en" or "pt-BR"';
+  }
+  if (label && (typeof label !== 'string' || label.length > 100)) {
+    errors.label = 'Must be at most 100 characters';
+  }
+  let cues = null;
+  if (!errors.file) {
+    try {
+      cues = parseCaptions(buffer.toString('utf8'), extension);
+    } catch (err) {
+      errors.file = err.message;
+    }
+  }
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError('Invalid caption file', { fields: errors }, 'INVALID_CAPTIONS');
+  }
+
+  if (activeWrites.has(uploadId)) {
+    throw new ConflictError('Another write is in progress for this upload', null, 'UPLOAD_BUSY');
+  }
+  activeWrites.add(uploadId);
+  try {
+    const session = await readSession(uploadId, userId);
+    if (session.status !== 'uploading') {
+      throw new ConflictError('Upload is already complete', toResponse(session), 'UPLOAD_COMPLETE');
+    }
+    const captions = session.captions || [];
+    if (captions.length >= MAX_CAPTIONS) {
+      throw new ValidationError(`At most ${MAX_CAPTIONS} caption files per upload`, null, 'INVALID_CAPTIONS');
+    }
+
+    const caption = {
+      id: `upload-${captions.length + 1}`,
+      language: language ? language.toLowerCase() : null,
+      label: label || path.parse(path.basename(filename)).name,
+      filename: path.basename(filename),
+      cue_count: cues.length,
+    };
+    const dir = path.join(sessionDir(uploadId), CAPTIONS_DIR);
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, `${caption.id}.vtt`), toWebVtt(cues));
+
+    session.captions = [...captions, caption];
+    session.updated_at = new Date().toISOString();
+    await writeSession(session);
+    return toResponse(session);
+  } finally {
+    activeWrites.delete(uploadId);
+  }
+};
+
+/**
+ * Finish an upload and move the assembled file into storage
+ * The assembled file is probed first; files that are not decodable video, or
+ * whose duration contradicts the trim settings, are discarded together with
+ * the session.
+ * @param {string} uploadId - Upload session ID
+ * @param {string} userId - ID of the uploading user
+ * @returns {Promise<Object>} - Stored video details
+ * @throws {MediaValidationError} - When the file is not usable video
+ * @throws {ValidationError} - When the settings do not fit the video
+ * @throws {ConflictError} - UPLOAD_BUSY while another request writes to or completes the upload
+ */
+const completeSession = async (uploadId, userId) => {
+  if (activeWrites.has(uploadId)) {
+    throw new ConflictError('Another write is in progress for this upload', null, 'UPLOAD_BUSY');
+  }
+  activeWrites.add(uploadId);
+  try {
+    return await finishSession(uploadId, userId);
+  } finally {
+    activeWrites.delete(uploadId);
+  }
+};
+
+/**
+ * Body of completeSession, run while it holds the session
+ * @param {string} uploadId - Upload session ID
+ * @param {string} userId - ID of the uploading user
+ * @returns {Promise<Object>} - Stored video details
+ */
+const finishSession = async (uploadId, userId) => {
+  const session = await readSession(uploadId, userId);
+
+  if (session.status === 'uploading') {
+    if (session.offset !== session.size) {
+      throw new ConflictError('Upload is incomplete', toResponse(session), 'UPLOAD_INCOMPLETE');
+    }
+
+    const partPath = path.join(sessionDir(uploadId), PART_FILE);
+    try {
+      session.media = await validateMedia(partPath);
+      session.settings = applyMediaConstraints(session.settings, session.media);
+    } catch (err) {
+      if (err instanceof MediaValidationError || err instanceof ValidationError) {
+        await removeSession(uploadId);
+      }
+      throw err;
+    }
+
+    const key = getSourceKey(uploadId, session.extension);
+    await getStorage().putFile(key, partPath, {
+      contentType: session.mime_type || getContentType(key),
+      move: true,
+    });
+    session.input_file = key;
+    for (const caption of session.captions || []) {
+      caption.key = getCaptionSourceKey(uploadId, caption.id);
+      await getStorage().putFile(
+        caption.key,
+        path.join(sessionDir(uploadId), CAPTIONS_DIR, `${caption.id}.vtt`),
+        { contentType: 'text/vtt', move: true }
+      );
+    }
+
+    session.status = 'completed';
+    session.updated_at = new Date().toISOString();
+    await writeSession(session);
+    await finishRecord(uploadId, 'completed');
+  }
+
+  return {
+    id: session.id,
+    user_id: session.user_id,
+    filename: session.filename,
+    file_size: session.size,
+    mime_type: session.mime_type,
+    input_file: session.input_file,
+    media: session.media,
+    settings: session.settings,
+    webhook: session.webhook || null,
+    priority: session.priority,
+    captions: (session.captions || []).map((caption) => ({
+      id: caption.id,
+      language: caption.language,
+      label: caption.label,
+      filename: caption.filename,
+      path: caption.key,
+    })),
+    created_at: session.created_at,
+  };
+};
+
+/**
+ * Abandon an upload and remove everything received so far
+ * @param {string} uploadId - Upload session ID
+ * @param {string} userId - ID of the uploading user
+ * @throws {ConflictError} - UPLOAD_BUSY while another request writes to or completes the upload
+ */
+const abortSession = async (uploadId, userId) => {
+  if (activeWrites.has(uploadId)) {
+    throw new ConflictError('Another write is in progress for this upload', null, 'UPLOAD_BUSY');
+  }
+  activeWrites.add(uploadId);
+  try {
+    const session = await readSession(uploadId, userId);
+    if (session.status === 'completed') {
+      throw new ConflictError('Upload is already complete', toResponse(session), 'UPLOAD_COMPLETE');
+    }
+    await removeSession(uploadId);
+  } finally {
+    activeWrites.delete(uploadId);
+  }
+};
+
+module.exports = {
+  SESSIONS_DIR,
+  MAX_CAPTION_SIZE,
+  findStaleSessions,
+  removeSession,
+  createSession,
+  getSession,
+  appendChunk,
+  addCaption,
+  completeSession,
+  abortSession,
+};
@@ -0,0 +1,461 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { getTaskRepository } = require('../repositories');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { enqueueDelivery, getRetryDelay } = require('../queue/webhookQueue');
+const { validateWebhookInput } = require('../validators/webhook');
+const { NotFoundError, ConflictError, ValidationError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const { publicLookup, assertPublicUrl } = require('../utils/network');
+
+/**
+ * Webhook notifications.
+ *
+ * When a task completes, fails for good or is cancelled, a delivery is
+ * recorded for every active webhook of its owner subscribed to the event and
+ * for the webhook given with its upload, then queued (see queue/webhookQueue).
+ * The worker POSTs the JSON payload, signed with the webhook's secret:
+ *
+ *   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ *
+ * Failed attempts are retried with exponential backoff; every attempt is kept
+ * in the delivery log. Receivers on loopback, private and link-local
+ * addresses are refused (see WEBHOOK_ALLOW_PRIVATE_HOSTS), and only the
+ * status code of their responses is recorded.
+ */
+
+const EVENTS_BY_STATUS = {
+  completed: 'task.completed',
+  failed: 'task.failed',
+  cancelled: 'task.cancelled',
+};
+const TEST_EVENT = 'webhook.test';
+// Error messages are recorded up to this length
+const MAX_ERROR_LENGTH = 200;
+
+// Agents that refuse to connect to private addresses
+const publicAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup }),
+};
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Signature header value for a request body
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Raw JSON body
+ * @param {number} [timestamp] - Unix seconds, now by default
+ * @returns {string}
+ */
+const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+/**
+ * What receivers get to know about a task
+ * @param {Object} task - Task JSON
+ * @returns {Object}
+ */
+const toTaskPayload = (task) => ({
+  id: task.id,
+  name: task.name,
+  user_id: task.user_id,
+  status: task.status,
+  file_size: task.file_size,
+  duration: task.duration,
+  output_file: task.output_file,
+  outputs: task.outputs,
+  hls_url: task.hls_url,
+  thumbnail_url: task.thumbnail_url,
+  error: task.error
+    ? {
+        code: task.error.code,
+        message: task.error.message,
+        retryable: task.error.retryable,
+        hint: task.error.hint,
+      }
+    : null,
+  attempts: task.attempts ? task.attempts.length : 0,
+  created_at: task.created_at,
+  updated_at: task.updated_at,
+});
+
+/**
+ * Event envelope; `id` identifies the event, so resends carry the same one
+ * @param {string} event - Event name
+ * @param {Object} data
+ * @returns {Object}
+ */
+const buildPayload = (event, data) => ({
+  id: uuidv4(),
+  event,
+  created_at: new Date().toISOString(),
+  data,
+});
+
+/**
+ * Record a delivery and queue it
+ * @param {Object} fields - WebhookDelivery fields
+ * @returns {Promise<Object>} - Delivery JSON
+ */
+const createDelivery = async (fields) => {
+  const delivery = await WebhookDelivery.create({ ...fields, next_attempt_at: new Date() });
+  await enqueueDelivery(delivery.id);
+  return delivery.toJSON();
+};
+
+/**
+ * Notify the webhooks interested in a task's new state. Other states are ignored.
+ * @param {Object} task - Task JSON after the change
+ * @returns {Promise<Object[]>} - Deliveries created
+ */
+const notifyTaskEvent = async (task) => {
+  const event = EVENTS_BY_STATUS[task.status];
+  if (!event) return [];
+
+  const [webhooks, uploadWebhook] = await Promise.all([
+    task.user_id ? Webhook.find({ user_id: task.user_id, active: true, events: event }) : [],
+    getTaskRepository().findWebhook(task.id),
+  ]);
+
+  const payload = buildPayload(event, { task: toTaskPayload(task) });
+  const common = { user_id: task.user_id, task_id: task.id, event, payload };
+  const deliveries = webhooks.map((webhook) =>
+    createDelivery({ ...common, webhook_id: webhook.id, url: webhook.url })
+  );
+  if (uploadWebhook) {
+    // The task may be deleted before the delivery is sent, so its secret travels with it
+    deliveries.push(createDelivery({ ...common, url: uploadWebhook.url, secret: uploadWebhook.secret }));
+  }
+
+  const created = await Promise.all(deliveries);
+  if (created.length > 0) {
+    logger.info('Webhook deliveries queued', { task_id: task.id, event, count: created.length });
+  }
+  return created;
+};
+
+/**
+ * Fetch one of the user's webhooks
+ * @param {string} webhookId - Webhook ID
+ * @param {string} userId - Owner
+ * @returns {Promise<import('mongoose').Document>}
+ * @throws {NotFoundError}
+ */
+const findWebhook = async (webhookId, userId) => {
+  const webhook = await Webhook.findOne({ _id: webhookId, user_id: userId });
+  if (!webhook) {
+    throw new NotFoundError('Webhook not found', { webhook_id: webhookId });
+  }
+  return webhook;
+};
+
+/**
+ * The user's webhooks, newest first
+ * @param {string} userId - Owner
+ * @returns {Promise<Object[]>}
+ */
+const listWebhooks = async (userId) => {
+  const webhooks = await Webhook.find({ user_id: userId }).sort({ created_at: -1 });
+  return webhooks.map((webhook) => webhook.toJSON());
+};
+
+/**
+ * Register a webhook for all of the user's tasks
+ * @param {string} userId - Owner
+ * @param {Object} input - { url, events, description, secret }
+ * @returns {Promise<Object>} - Webhook JSON including its secret, which is not shown again
+ * @throws {ValidationError}
+ */
+const createWebhook = async (userId, input) => {
+  const webhook = await Webhook.create({ ...validateWebhookInput(input), user_id: userId });
+  return { ...webhook.toJSON(), secret: webhook.secret };
+};
+
+/**
+ * Change a webhook; a new secret applies to deliveries sent from now on
+ * @param {string} webhookId - Webhook ID
+ * @param {string} userId - Owner
+ * @param {Object} input - Any of url, events, description, active, secret
+ * @returns {Promise<Object>} - Webhook JSON
+ * @throws {NotFoundError}
+ * @throws {ValidationError}
+ */
+const updateWebhook = async (webhookId, userId, input) => {
+  const webhook = await findWebhook(webhookId, userId);
+  webhook.set(validateWebhookInput(input, { partial: true }));
+  await webhook.save();
+  return webhook.toJSON();
+};
+
+/**
+ * Remove a webhook. Its delivery log is kept; pending retries fail.
+ * @param {string} webhookId - Webhook ID
+ * @param {string} userId - Owner
+ * @throws {NotFoundError}
+ */
+const deleteWebhook = async (webhookId, userId) => {
+  const webhook = await findWebhook(webhookId, userId);
+  await webhook.deleteOne();
+};
+
+/**
+ * Send a test event so the receiver can check its signature verification
+ * @param {string} webhookId - Webhook ID
+ * @param {string} userId - Owner
+ * @returns {Promise<Object>} - Delivery JSON
+ * @throws {NotFoundError}
+ */
+const sendTestEvent = async (webhookId, userId) => {
+  const webhook = await findWebhook(webhookId, userId);
+  return createDelivery({
+    user_id: userId,
+    webhook_id: webhook.id,
+    url: webhook.url,
+    event: TEST_EVENT,
+    payload: buildPayload(TEST_EVENT, { webhook_id: webhook.id }),
+  });
+};
+
+/**
+ * Parse the query of GET /api/webhooks/deliveries
+ * @param {Object} query - Express query object
+ * @returns {Object} - { filter, offset, limit }
+ * @throws {ValidationError}
+ */
+const parseDeliveryQuery = ({
+  task_id: taskId,
+  webhook_id: webhookId,
+  status,
+  offset = '0',
+  limit = String(DEFAULT_LIMIT),
+} = {}) => {
+  const errors = {};
+  const filter = {};
+  if (taskId) filter.task_id = String(taskId);
+  if (webhookId) filter.webhook_id = String(webhookId);
+  if (status) {
+    if (!WebhookDelivery.DELIVERY_STATUSES.includes(status)) {
+      errors.status = `Must be one of: ${WebhookDelivery.DELIVERY_STATUSES.join(', ')}`;
+    } else {
+      filter.status = status;
+    }
+  }
+
+  const parsedOffset = Number(offset);
+  const parsedLimit = Number(limit);
+  if (!Number.isInteger(parsedOffset) || parsedOffset < 0) {
+    errors.offset = 'Must be an integer, 0 or more';
+  }
+  if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_LIMIT) {
+    errors.limit = `Must be an integer between 1 and ${MAX_LIMIT}`;
+  }
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError('Invalid query', { fields: errors }, 'INVALID_QUERY');
+  }
+  return { filter, offset: parsedOffset, limit: parsedLimit };
+};
+
+/**
+ * One page of the delivery log, newest first
+ * @param {Object} query - Express query object: task_id, webhook_id, status, offset, limit
+ * @param {Object} [scope] - Filter the caller is limited to (see middleware/auth getTaskScope)
+ * @returns {Promise<Object>} - { data, total, page: { offset, limit } }
+ */
+const listDeliveries = async (query, scope = {}) => {
+  const { filter, offset, limit } = parseDeliveryQuery(query);
+  const where = { ...filter, ...scope };
+  const [deliveries, total] = await Promise.all([
+    WebhookDelivery.find(where).sort({ created_at: -1, _id: -1 }).skip(offset).limit(limit),
+    WebhookDelivery.countDocuments(where),
+  ]);
+  return {
+    data: deliveries.map((delivery) => delivery.toJSON()),
+    total,
+    page: { offset, limit },
+  };
+};
+
+/**
+ * Fetch a delivery document
+ * @param {string} deliveryId - Delivery ID
+ * @param {Object} scope - Filter the caller is limited to
+ * @param {string} [select] - Extra fields to load
+ * @returns {Promise<import('mongoose').Document>}
+ * @throws {NotFoundError}
+ */
+const findDelivery = async (deliveryId, scope, select = '') => {
+  const delivery = await WebhookDelivery.findOne({ ...scope, _id: deliveryId }).select(select);
+  if (!delivery) {
+    throw new NotFoundError('Webhook delivery not found', { delivery_id: deliveryId });
+  }
+  return delivery;
+};
+
+/**
+ * Fetch a delivery with its payload and attempts
+ * @param {string} deliveryId - Delivery ID
+ * @param {Object} [scope] - Filter the caller is limited to
+ * @returns {Promise<Object>}
+ * @throws {NotFoundError}
+ */
+const getDelivery = async (deliveryId, scope = {}) => (await findDelivery(deliveryId, scope)).toJSON();
+
+/**
+ * Send a delivery's payload again as a new delivery, with the webhook's current URL and secret
+ * @param {string} deliveryId - Delivery ID
+ * @param {Object} [scope] - Filter the caller is limited to
+ * @returns {Promise<Object>} - The new delivery's JSON
+ * @throws {NotFoundError}
+ * @throws {ConflictError} - The webhook was deleted, or the original is still being retried
+ */
+const resendDelivery = async (deliveryId, scope = {}) => {
+  const original = await findDelivery(deliveryId, scope, '+secret');
+  if (original.status === 'pending') {
+    throw new ConflictError(
+      'Delivery is still being retried',
+      { delivery_id: deliveryId, next_attempt_at: original.next_attempt_at },
+      'DELIVERY_PENDING'
+    );
+  }
+
+  const fields = {
+    user_id: original.user_id,
+    task_id: original.task_id,
+    event: original.event,
+    payload: original.payload,
+    resend_of: original.id,
+  };
+  if (original.webhook_id) {
+    const webhook = await Webhook.findById(original.webhook_id);
+    if (!webhook) {
+      throw new ConflictError(
+        'The webhook of this delivery was deleted',
+        { delivery_id: deliveryId, webhook_id: original.webhook_id },
+        'WEBHOOK_DELETED'
+      );
+    }
+    Object.assign(fields, { webhook_id: webhook.id, url: webhook.url });
+  } else {
+    Object.assign(fields, { url: original.url, secret: original.secret });
+  }
+  return createDelivery(fields);
+};
+
+/**
+ * URL and secret to send a delivery with
+ * @param {Object} delivery - WebhookDelivery document
+ * @returns {Promise<{ url: string, secret: string }|{ error: string }>}
+ */
+const resolveTarget = async (delivery) => {
+  if (!delivery.webhook_id) return { url: delivery.url, secret: delivery.secret };
+
+  const webhook = await Webhook.findById(delivery.webhook_id);
+  if (!webhook) return { error: 'Webhook was deleted' };
+  // Disabling a webhook stops its retries; test events are sent regardless
+  if (!webhook.active && delivery.event !== TEST_EVENT) return { error: 'Webhook is disabled' };
+  return { url: webhook.url, secret: webhook.secret };
+};
+
+/**
+ * POST a delivery once and record the attempt
+ * @param {string} deliveryId - Delivery ID
+ * @param {Object} attempt
+ * @param {number} attempt.number - 1-based attempt
+ * @param {boolean} attempt.isLast - No retry follows a failure
+ * @returns {Promise<Object|null>} - Delivery JSON, null when there was nothing to send
+ * @throws {Error} - The attempt failed and will be retried
+ */
+const sendDelivery = async (deliveryId, { number, isLast }) => {
+  const delivery = await WebhookDelivery.findById(deliveryId).select('+secret');
+  if (!delivery || delivery.status !== 'pending') return null;
+
+  const target = await resolveTarget(delivery);
+  if (target.error) {
+    delivery.set({ status: 'failed', next_attempt_at: null });
+    delivery.attempts.push({ number, sent_at: new Date(), error: target.error });
+    await delivery.save();
+    return delivery.toJSON();
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const sentAt = new Date();
+  const record = { number, sent_at: sentAt };
+  try {
+    if (!config.webhooks.allowPrivateHosts) await assertPublicUrl(target.url);
+    const response = await axios.post(target.url, body, {
+      ...(config.webhooks.allowPrivateHosts ? {} : publicAgents),
+      timeout: config.webhooks.timeoutMs,
+      maxRedirects: 0,
+      // Receivers' responses are not kept, nor followed through proxies
+      responseType: 'stream',
+      proxy: false,
+      validateStatus: () => true,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': `${config.appName}-webhooks`,
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Signature': signPayload(target.secret, body),
+      },
+    });
+    record.status_code = response.status;
+    response.data.destroy();
+    if (response.status < 200 || response.status >= 300) {
+      record.error = `Receiver responded with ${response.status}`;
+    }
+  } catch (err) {
+    record.error =
+      err.code === 'ECONNABORTED'
+        ? `Timed out after ${config.webhooks.timeoutMs} ms`
+        : String(err.message).slice(0, MAX_ERROR_LENGTH);
+  }
+  record.duration_ms = Date.now() - sentAt.getTime();
+
+  // Follows changes to the webhook's URL
+  delivery.url = target.url;
+  delivery.attempts.push(record);
+  if (!record.error) {
+    delivery.set({ status: 'succeeded', delivered_at: new Date(), next_attempt_at: null });
+  } else if (isLast) {
+    delivery.set({ status: 'failed', next_attempt_at: null });
+  } else {
+    delivery.set({ next_attempt_at: new Date(Date.now() + getRetryDelay(number)) });
+  }
+  await delivery.save();
+
+  if (record.error) {
+    logger.warn('Webhook delivery failed', {
+      delivery_id: delivery.id,
+      url: target.url,
+      attempt: number,
+      will_retry: !isLast,
+      error: record.error,
+    });
+    if (!isLast) throw new Error(record.error);
+  }
+  return delivery.toJSON();
+};
+
+module.exports = {
+  TEST_EVENT,
+  signPayload,
+  notifyTaskEvent,
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  sendTestEvent,
+  listDeliveries,
+  getDelivery,
+  resendDelivery,
+  sendDelivery,
+};
@@ -0,0 +1,213 @@
+const config = require('../config');
+const { getTaskRepository } = require('../repositories');
+const Worker = require('../models/Worker');
+const { ConflictError } = require('../utils/errors');
+const { workerLostError } = require('../utils/errorClassifier');
+const { removeUnlockedJob } = require('../queue/videoQueue');
+const { addDeadLetter } = require('../queue/deadLetterQueue');
+const { getStorage } = require('../storage');
+const { getOutputPrefix } = require('../utils/taskPaths');
+const taskService = require('./taskService');
+const taskLogService = require('./taskLogService');
+const logger = require('../utils/logger');
+
+/**
+ * Worker heartbeats and stuck-job recovery.
+ *
+ * Every WORKER_HEARTBEAT_INTERVAL_MS a video worker records its status here
+ * and renews the lease on each task it is processing (see
+ * taskService.renewLease). A lease that is not renewed within
+ * WORKER_LEASE_TTL_MS means the worker died, hung or lost its database
+ * connection; the reaper (WORKER_REAPER_CRON, run by the API) then closes
+ * the attempt with WORKER_LOST and queues the task again, or fails it once
+ * its attempts are used up.
+ */
+
+// Tasks recovered per reaper run; the rest wait for the next one
+const REAP_BATCH_SIZE = 100;
+
+/**
+ * Record a worker's heartbeat
+ * @param {Object} worker
+ * @param {string} worker.id - Worker ID (hostname:pid)
+ * @param {string} worker.hostname
+ * @param {number} worker.pid
+ * @param {Date} worker.started_at - When the process started
+ * @param {number} worker.concurrency - Jobs it runs at once
+ * @param {Object[]} worker.current_jobs - { task_id, attempt, started_at }
+ * @param {Object} worker.load - { active_jobs, cpu_load_1m, cpus, memory_rss }
+ * @returns {Promise<Object>} - Worker JSON
+ */
+const recordHeartbeat = async ({
+  id,
+  hostname,
+  pid,
+  started_at: startedAt,
+  concurrency,
+  current_jobs: currentJobs,
+  load,
+}) => {
+  const now = new Date();
+  const worker = await Worker.findOneAndUpdate(
+    { _id: id },
+    {
+      $set: {
+        hostname,
+        pid,
+        started_at: startedAt,
+        last_heartbeat_at: now,
+        stopped_at: null,
+        concurrency,
+        current_jobs: currentJobs,
+        load,
+        expires_at: new Date(now.getTime() + config.worker.offlineRetentionMs),
+      },
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+  return worker.toJSON();
+};
+
+/**
+ * Note that a worker shut down cleanly
+ * @param {string} workerId - Worker ID
+ */
+const markWorkerStopped = async (workerId) => {
+  await Worker.updateOne(
+    { _id: workerId },
+    { $set: { stopped_at: new Date(), current_jobs: [], 'load.active_jobs': 0 } }
+  );
+};
+
+/**
+ * Whether a worker is still reporting
+ * @param {Object} worker - Worker JSON
+ * @param {Date} now
+ * @returns {string} - online, offline (no heartbeat for longer than a lease lasts) or stopped
+ */
+const getWorkerStatus = (worker, now) => {
+  if (worker.stopped_at) return 'stopped';
+  const silentMs = now.getTime() - new Date(worker.last_heartbeat_at).getTime();
+  return silentMs > config.worker.leaseTtlMs ? 'offline' : 'online';
+};
+
+/**
+ * Every worker heard from within the offline retention
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} - { data, heartbeat_interval_ms, lease_ttl_ms }
+ */
+const listWorkers = async ({ now = new Date() } = {}) => {
+  const workers = await Worker.find({ expires_at: { $gt: now } }).sort({ _id: 1 });
+  return {
+    data: workers.map((worker) => {
+      const json = worker.toJSON();
+      return { ...json, status: getWorkerStatus(json, now) };
+    }),
+    heartbeat_interval_ms: config.worker.heartbeatIntervalMs,
+    lease_ttl_ms: config.worker.leaseTtlMs,
+  };
+};
+
+/**
+ * Number of attempts made since the task was last queued by an upload or a
+ * manual retry; they share one budget of WORKER_MAX_ATTEMPTS
+ * @param {Object} task - Task JSON
+ * @returns {number}
+ */
+const countRunAttempts = (task) => {
+  let count = 0;
+  for (let i = task.attempts.length - 1; i >= 0; i -= 1) {
+    count += 1;
+    if (task.attempts[i].trigger !== 'automatic_retry') break;
+  }
+  return count;
+};
+
+/**
+ * Take a processing task away from the worker that lost its lease
+ * @param {Object} task - Task JSON, as found by the reaper
+ * @returns {Promise<string>} - requeued, failed or skipped
+ */
+const recoverTask = async (task) => {
+  // Bull still holding the job's lock means its worker is alive; it gives up
+  // on its own when it cannot renew the lease
+  if (!(await removeUnlockedJob(task.id))) return 'skipped';
+
+  const lease = task.lease || {};
+  const error = workerLostError(lease.worker || null, lease.expires_at || null);
+  const attempts = countRunAttempts(task);
+  const willRetry = attempts < config.worker.maxAttempts;
+
+  let released;
+  try {
+    // Based on the version the lease was found expired at, so a late renewal wins
+    released = await taskService.failTask(task.id, error, { willRetry, expectedVersion: task.version });
+  } catch (err) {
+    if (!(err instanceof ConflictError)) throw err;
+    logger.info('Task changed while being recovered; leaving it', { task_id: task.id });
+    return 'skipped';
+  }
+  if (!released) return 'skipped';
+
+  await taskLogService.recordLog(task.id, {
+    event: 'message',
+    level: 'error',
+    message: willRetry
+      ? `${error.message}; queued again`
+      : `${error.message}; giving up after ${attempts} attempts`,
+    data: { error_code: error.code, worker: lease.worker || null },
+  });
+  if (willRetry) {
+    await taskService.queueTask(released, {
+      attempts: config.worker.maxAttempts - attempts,
+      recovered: true,
+    });
+    return 'requeued';
+  }
+  // Partial outputs the lost worker may have stored
+  await getStorage().deletePrefix(getOutputPrefix(task.id));
+  await addDeadLetter(released, { error, jobAttempts: attempts }).catch((err) => {
+    logger.error('Failed to move task to dead-letter queue', { task_id: task.id, error: err.message });
+  });
+  return 'failed';
+};
+
+/**
+ * Recover processing tasks whose lease expired
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} - { requeued, failed, skipped } task IDs
+ */
+const reapExpiredLeases = async ({ now = new Date() } = {}) => {
+  const result = { requeued: [], failed: [], skipped: [] };
+  const tasks = await getTaskRepository().list(
+    { status: 'processing', 'lease.expires_at': { $lt: now } },
+    { sort: { 'lease.expires_at': 1 }, limit: REAP_BATCH_SIZE }
+  );
+
+  for (const task of tasks) {
+    try {
+      result[await recoverTask(task)].push(task.id);
+    } catch (err) {
+      logger.error('Failed to recover task', { task_id: task.id, error: err.message });
+      result.skipped.push(task.id);
+    }
+  }
+
+  if (result.requeued.length > 0 || result.failed.length > 0) {
+    logger.warn('Recovered tasks of lost workers', {
+      requeued: result.requeued.length,
+      failed: result.failed.length,
+      skipped: result.skipped.length,
+    });
+  }
+  return result;
+};
+
+module.exports = {
+  recordHeartbeat,
+  markWorkerStopped,
+  listWorkers,
+  reapExpiredLeases,
+};
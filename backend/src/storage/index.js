@@ -0,0 +1,136 @@
+const fsp = require('fs/promises');
+const path = require('path');
+const config = require('../config');
+const { createLocalStorage } = require('./localStorage');
+const { createS3Storage } = require('./s3Storage');
+const { createSignedParams } = require('./urlSigner');
+
+/**
+ * Pluggable file storage.
+ *
+ * Everything the service keeps (source uploads and processed outputs) is
+ * addressed by a key such as "{taskId}/output/720p.mp4" and goes through the
+ * driver chosen by STORAGE_BACKEND. Every driver implements:
+ *
+ *   put(key, body, { contentType })               -> { key, size }
+ *   putFile(key, filePath, { contentType, move })  -> { key, size }
+ *   stat(key)                                      -> { size, last_modified, content_type } | null
+ *   getStream(key, { start, end })                 -> Readable (inclusive byte range)
+ *   fetchToFile(key, targetPath)                   -> local path of the object's contents
+ *   delete(key), deletePrefix(prefix)
+ *   list(prefix)                                   -> [{ key, size, last_modified }]
+ *   getSignedUrl(key, { expiresIn, fileName, contentType }) -> expiring URL
+ *
+ * Missing objects raise NotFoundError from getStream and fetchToFile.
+ */
+
+const CONTENT_TYPES = {
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mov': 'video/quicktime',
+  '.mkv': 'video/x-matroska',
+  '.avi': 'video/x-msvideo',
+  '.flv': 'video/x-flv',
+  '.wmv': 'video/x-ms-wmv',
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.m4s': 'video/iso.segment',
+  '.jpg': 'image/jpeg',
+  '.vtt': 'text/vtt',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.flac': 'audio/flac',
+  '.wav': 'audio/wav',
+};
+
+/**
+ * Content type for a key, from its extension
+ * @param {string} key - Storage key
+ * @returns {string}
+ */
+const getContentType = (key) => CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+/**
+ * Build the driver described by a storage config
+ * @param {Object} storageConfig - See config.storage
+ * @returns {Object} - Storage driver
+ */
+const createStorage = (storageConfig) => {
+  switch (storageConfig.backend) {
+    case 'local':
+      return createLocalStorage({
+        root: storageConfig.localRoot,
+        signingSecret: storageConfig.signingSecret,
+        signedUrlTtl: storageConfig.signedUrlTtlSeconds,
+      });
+    case 's3':
+      return createS3Storage({ ...storageConfig.s3, signedUrlTtl: storageConfig.signedUrlTtlSeconds });
+    default:
+      throw new Error(`Unsupported STORAGE_BACKEND "${storageConfig.backend}" (use local or s3)`);
+  }
+};
+
+let storage = null;
+
+/**
+ * Shared driver for the configured backend
+ * @returns {Object}
+ */
+const getStorage = () => {
+  if (!storage) storage = createStorage(config.storage);
+  return storage;
+};
+
+/**
+ * Signed, expiring URL for every file below a key prefix, for content whose
+ * files reference each other by relative path (an HLS playlist and its
+ * segments). The signature sits in the path, so relative URLs resolved
+ * against the returned one carry it too. Served by the API for every backend
+ * (see routes/files).
+ * @param {string} prefix - Key prefix ending in "/"
+ * @param {string} fileName - File below the prefix to link to, e.g. "master.m3u8"
+ * @param {Object} [options]
+ * @param {number} [options.expiresIn] - Seconds the URL stays valid
+ * @returns {string}
+ */
+const getSignedPrefixUrl = (prefix, fileName, { expiresIn = config.storage.signedUrlTtlSeconds } = {}) => {
+  // Keys never end in "/", so a prefix signature cannot be passed off as one for a file
+  const params = createSignedParams(config.storage.signingSecret, prefix, { expiresIn });
+  const scope = Buffer.from(prefix).toString('base64url');
+  return `/api/files/scoped/${params.get('expires')}/${params.get('signature')}/${scope}/${fileName}`;
+};
+
+/**
+ * Store every file below a local directory under a key prefix
+ * @param {string} dir - Local directory
+ * @param {string} prefix - Key prefix ending in "/"
+ * @param {Object} [options]
+ * @param {boolean} [options.move=false] - Remove the local files once stored
+ * @param {AbortSignal} [options.signal] - Stops before the next file once aborted
+ * @returns {Promise<Object[]>} - [{ key, size }]
+ */
+const putDirectory = async (dir, prefix, { move = false, signal } = {}) => {
+  const stored = [];
+  const entries = await fsp.readdir(dir, { withFileTypes: true });
+  for (const entry of entries) {
+    signal?.throwIfAborted();
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      stored.push(...(await putDirectory(entryPath, `${prefix}${entry.name}/`, { move, signal })));
+    } else if (entry.isFile()) {
+      const key = `${prefix}${entry.name}`;
+      stored.push(await getStorage().putFile(key, entryPath, { contentType: getContentType(key), move }));
+    }
+  }
+  return stored;
+};
+
+module.exports = {
+  CONTENT_TYPES,
+  getContentType,
+  createStorage,
+  getStorage,
+  getSignedPrefixUrl,
+  putDirectory,
+};
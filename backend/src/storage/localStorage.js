@@ -0,0 +1,151 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { NotFoundError } = require('../utils/errors');
+const { createSignedParams } = require('./urlSigner');
+
+/**
+ * Storage driver keeping objects as files below a root directory.
+ * Keys are POSIX-style paths relative to the root.
+ * @param {Object} options
+ * @param {string} options.root - Root directory
+ * @param {string} options.signingSecret - Secret for signed URLs
+ * @param {string} [options.urlPrefix=/api/files] - Route serving signed URLs (see routes/files)
+ * @param {number} [options.signedUrlTtl=3600] - Default signed URL lifetime in seconds
+ * @returns {Object} - Storage driver, see storage/index
+ */
+const createLocalStorage = ({ root, signingSecret, urlPrefix = '/api/files', signedUrlTtl = 3600 }) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (path.isAbsolute(key) || !filePath.startsWith(root + path.sep)) {
+      throw new NotFoundError('File not found', { key });
+    }
+    return filePath;
+  };
+
+  const toKey = (filePath) => path.relative(root, filePath).split(path.sep).join('/');
+
+  const notFound = (err, key) => (err.code === 'ENOENT' ? new NotFoundError('File not found', { key }) : err);
+
+  const put = async (key, body) => {
+    const filePath = resolveKey(key);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    if (Buffer.isBuffer(body) || typeof body === 'string') {
+      await fsp.writeFile(filePath, body);
+    } else {
+      await pipeline(body, fs.createWriteStream(filePath));
+    }
+    const { size } = await fsp.stat(filePath);
+    return { key, size };
+  };
+
+  const putFile = async (key, sourcePath, { move = false } = {}) => {
+    const filePath = resolveKey(key);
+    if (filePath !== path.resolve(sourcePath)) {
+      await fsp.mkdir(path.dirname(filePath), { recursive: true });
+      if (move) {
+        try {
+          await fsp.rename(sourcePath, filePath);
+        } catch (err) {
+          // Work and storage directories on different devices
+          if (err.code !== 'EXDEV') throw err;
+          await fsp.copyFile(sourcePath, filePath);
+          await fsp.rm(sourcePath, { force: true });
+        }
+      } else {
+        await fsp.copyFile(sourcePath, filePath);
+      }
+    }
+    const { size } = await fsp.stat(filePath);
+    return { key, size };
+  };
+
+  const stat = async (key) => {
+    try {
+      const stats = await fsp.stat(resolveKey(key));
+      if (!stats.isFile()) return null;
+      return { size: stats.size, last_modified: stats.mtime, content_type: null };
+    } catch (err) {
+      if (err.code === 'ENOENT' || err instanceof NotFoundError) return null;
+      throw err;
+    }
+  };
+
+  const getStream = async (key, { start, end } = {}) => {
+    const filePath = resolveKey(key);
+    try {
+      await fsp.access(filePath);
+    } catch (err) {
+      throw notFound(err, key);
+    }
+    return fs.createReadStream(filePath, { start, end });
+  };
+
+  // Files are already local; nothing to copy
+  const fetchToFile = async (key) => {
+    const filePath = resolveKey(key);
+    try {
+      await fsp.access(filePath);
+    } catch (err) {
+      throw notFound(err, key);
+    }
+    return filePath;
+  };
+
+  const remove = async (key) => {
+    await fsp.rm(resolveKey(key), { force: true });
+  };
+
+  const removePrefix = async (prefix) => {
+    const target = resolveKey(prefix.replace(/\/+$/, ''));
+    await fsp.rm(target, { recursive: true, force: true });
+  };
+
+  const list = async (prefix = '') => {
+    const start = prefix ? resolveKey(prefix.replace(/\/+$/, '')) : root;
+    const results = [];
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fsp.readdir(dir, { withFileTypes: true });
+      } catch (err) {
+        if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return;
+        throw err;
+      }
+      for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+        } else if (entry.isFile()) {
+          const stats = await fsp.stat(entryPath);
+          results.push({ key: toKey(entryPath), size: stats.size, last_modified: stats.mtime });
+        }
+      }
+    };
+    await walk(start);
+    return results.sort((a, b) => a.key.localeCompare(b.key));
+  };
+
+  const getSignedUrl = async (key, { expiresIn = signedUrlTtl, fileName } = {}) => {
+    const normalized = toKey(resolveKey(key));
+    const params = createSignedParams(signingSecret, normalized, { expiresIn, fileName });
+    const encodedKey = normalized.split('/').map(encodeURIComponent).join('/');
+    return `${urlPrefix}/${encodedKey}?${params}`;
+  };
+
+  return {
+    name: 'local',
+    put,
+    putFile,
+    stat,
+    getStream,
+    fetchToFile,
+    delete: remove,
+    deletePrefix: removePrefix,
+    list,
+    getSignedUrl,
+  };
+};
+
+module.exports = { createLocalStorage };
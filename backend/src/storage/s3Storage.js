@@ -0,0 +1,191 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl: presign } = require('@aws-sdk/s3-request-presigner');
+const { NotFoundError } = require('../utils/errors');
+
+// DeleteObjects accepts at most this many keys per request
+const DELETE_BATCH_SIZE = 1000;
+
+const isMissing = (err) =>
+  err.name === 'NoSuchKey' || err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404;
+
+/**
+ * Storage driver for Amazon S3 and S3-compatible services (MinIO, LocalStack, ...)
+ * @param {Object} options - See config.storage.s3
+ * @param {number} [options.signedUrlTtl=3600] - Default signed URL lifetime in seconds
+ * @param {Object} [options.client] - S3 client to use instead of one built from the options
+ * @returns {Object} - Storage driver, see storage/index
+ */
+const createS3Storage = ({
+  bucket,
+  region,
+  endpoint,
+  forcePathStyle,
+  accessKeyId,
+  secretAccessKey,
+  keyPrefix = '',
+  encryption = false,
+  kmsKeyId = null,
+  signedUrlTtl = 3600,
+  client: providedClient,
+}) => {
+  if (!bucket) {
+    throw new Error('AWS_S3_BUCKET is required for the s3 storage backend');
+  }
+
+  const client =
+    providedClient ||
+    new S3Client({
+      region,
+      endpoint: endpoint || undefined,
+      forcePathStyle,
+      // Fall back to the SDK's default credential chain (instance roles, profiles)
+      credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined,
+    });
+
+  const toObjectKey = (key) => `${keyPrefix}${key}`;
+  const fromObjectKey = (objectKey) => objectKey.slice(keyPrefix.length);
+
+  const encryptionParams = () => {
+    if (!encryption) return {};
+    return kmsKeyId
+      ? { ServerSideEncryption: 'aws:kms', SSEKMSKeyId: kmsKeyId }
+      : { ServerSideEncryption: 'AES256' };
+  };
+
+  const put = async (key, body, { contentType, contentLength } = {}) => {
+    await client.send(
+      new PutObjectCommand({
+        Bucket: bucket,
+        Key: toObjectKey(key),
+        Body: body,
+        ContentType: contentType || undefined,
+        ContentLength: contentLength,
+        ...encryptionParams(),
+      })
+    );
+    const size = contentLength ?? (Buffer.isBuffer(body) || typeof body === 'string' ? Buffer.byteLength(body) : null);
+    return { key, size };
+  };
+
+  const putFile = async (key, sourcePath, { contentType, move = false } = {}) => {
+    const { size } = await fsp.stat(sourcePath);
+    await put(key, fs.createReadStream(sourcePath), { contentType, contentLength: size });
+    if (move) await fsp.rm(sourcePath, { force: true });
+    return { key, size };
+  };
+
+  const stat = async (key) => {
+    try {
+      const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: toObjectKey(key) }));
+      return {
+        size: head.ContentLength,
+        last_modified: head.LastModified,
+        content_type: head.ContentType || null,
+      };
+    } catch (err) {
+      if (isMissing(err)) return null;
+      throw err;
+    }
+  };
+
+  const getStream = async (key, { start, end } = {}) => {
+    let range;
+    if (start !== undefined || end !== undefined) {
+      range = `bytes=${start || 0}-${end !== undefined ? end : ''}`;
+    }
+    try {
+      const object = await client.send(
+        new GetObjectCommand({ Bucket: bucket, Key: toObjectKey(key), Range: range })
+      );
+      return object.Body;
+    } catch (err) {
+      if (isMissing(err)) throw new NotFoundError('File not found', { key });
+      throw err;
+    }
+  };
+
+  const fetchToFile = async (key, targetPath) => {
+    await fsp.mkdir(path.dirname(targetPath), { recursive: true });
+    await pipeline(await getStream(key), fs.createWriteStream(targetPath));
+    return targetPath;
+  };
+
+  const remove = async (key) => {
+    await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: toObjectKey(key) }));
+  };
+
+  const list = async (prefix = '') => {
+    const results = [];
+    let continuationToken;
+    do {
+      const page = await client.send(
+        new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: toObjectKey(prefix),
+          ContinuationToken: continuationToken,
+        })
+      );
+      (page.Contents || []).forEach((object) => {
+        results.push({ key: fromObjectKey(object.Key), size: object.Size, last_modified: object.LastModified });
+      });
+      continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (continuationToken);
+    return results;
+  };
+
+  const removePrefix = async (prefix) => {
+    const keys = (await list(prefix)).map((object) => toObjectKey(object.key));
+    for (let index = 0; index < keys.length; index += DELETE_BATCH_SIZE) {
+      await client.send(
+        new DeleteObjectsCommand({
+          Bucket: bucket,
+          Delete: {
+            Objects: keys.slice(index, index + DELETE_BATCH_SIZE).map((Key) => ({ Key })),
+            Quiet: true,
+          },
+        })
+      );
+    }
+  };
+
+  const getSignedUrl = (key, { expiresIn = signedUrlTtl, fileName, contentType } = {}) =>
+    presign(
+      client,
+      new GetObjectCommand({
+        Bucket: bucket,
+        Key: toObjectKey(key),
+        ResponseContentDisposition: fileName
+          ? `attachment; filename="${fileName.replace(/"/g, '')}"`
+          : undefined,
+        ResponseContentType: contentType || undefined,
+      }),
+      { expiresIn }
+    );
+
+  return {
+    name: 's3',
+    put,
+    putFile,
+    stat,
+    getStream,
+    fetchToFile,
+    delete: remove,
+    deletePrefix: removePrefix,
+    list,
+    getSignedUrl,
+  };
+};
+
+module.exports = { createS3Storage };
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+
+/**
+ * HMAC signatures for expiring file URLs of the local storage driver.
+ * The signature covers the storage key, expiry and download name, so none
+ * of them can be changed without invalidating the URL.
+ */
+
+const sign = (secret, key, expires, fileName) =>
+  crypto
+    .createHmac('sha256', secret)
+    .update(`${key}\n${expires}\n${fileName || ''}`)
+    .digest('base64url');
+
+/**
+ * Query parameters for a signed URL
+ * @param {string} secret - Signing secret
+ * @param {string} key - Storage key
+ * @param {Object} options
+ * @param {number} options.expiresIn - Seconds the URL stays valid
+ * @param {string} [options.fileName] - Download name; served as an attachment when set
+ * @returns {URLSearchParams}
+ */
+const createSignedParams = (secret, key, { expiresIn, fileName }) => {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const params = new URLSearchParams({ expires: String(expires) });
+  if (fileName) params.set('filename', fileName);
+  params.set('signature', sign(secret, key, expires, fileName));
+  return params;
+};
+
+/**
+ * Check the query of a signed URL
+ * @param {string} secret - Signing secret
+ * @param {string} key - Storage key from the URL path
+ * @param {Object} query - { expires, filename, signature }
+ * @returns {'valid'|'expired'|'invalid'}
+ */
+const verifySignedParams = (secret, key, { expires, filename, signature } = {}) => {
+  const expiresAt = Number(expires);
+  if (!Number.isInteger(expiresAt) || typeof signature !== 'string') return 'invalid';
+
+  const expected = Buffer.from(sign(secret, key, expiresAt, filename));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return 'invalid';
+  return expiresAt < Date.now() / 1000 ? 'expired' : 'valid';
+};
+
+module.exports = { createSignedParams, verifySignedParams };
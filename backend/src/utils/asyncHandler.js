@@ -0,0 +1,10 @@
+/**
+ * Wrap an async route handler so rejected promises reach the error middleware
+ * @param {Function} handler - Async (req, res, next) handler
+ * @returns {Function} - Express middleware
+ */
+const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+module.exports = asyncHandler;
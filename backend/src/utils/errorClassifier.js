@@ -0,0 +1,134 @@
+/**
+ * Turn worker failures into structured task errors: a stable code, whether
+ * another attempt can help, a remediation hint for users and the tail of
+ * ffmpeg's log.
+ */
+
+// Lines of ffmpeg stderr kept on the task
+const LOG_EXCERPT_LINES = 25;
+
+const ERROR_CODES = {
+  CORRUPT_INPUT: 'CORRUPT_INPUT',
+  UNSUPPORTED_CODEC: 'UNSUPPORTED_CODEC',
+  TIMEOUT: 'TIMEOUT',
+  OUT_OF_DISK: 'OUT_OF_DISK',
+  WORKER_CRASH: 'WORKER_CRASH',
+  WORKER_LOST: 'WORKER_LOST',
+  INVALID_SETTINGS: 'INVALID_SETTINGS',
+  PROCESSING_FAILED: 'PROCESSING_FAILED',
+};
+
+/**
+ * Checked in order; the first match wins. `match` tests the error message
+ * and ffmpeg's stderr together.
+ */
+const RULES = [
+  {
+    code: ERROR_CODES.INVALID_SETTINGS,
+    retryable: false,
+    match: (err) => err.name === 'InvalidSettingsError',
+    hint: 'The processing settings cannot be applied to this video. Retry it with other settings.',
+  },
+  {
+    code: ERROR_CODES.OUT_OF_DISK,
+    retryable: true,
+    match: (err, text) => err.code === 'ENOSPC' || /No space left on device/i.test(text),
+    hint: 'The worker ran out of disk space. It is retried automatically; free up storage if this keeps happening.',
+  },
+  {
+    code: ERROR_CODES.TIMEOUT,
+    retryable: true,
+    match: (err, text) => err.name === 'ProcessingTimeoutError' || /ran into a timeout/i.test(text),
+    hint: 'Processing took longer than allowed. Trimming the video or choosing fewer outputs or a lower quality makes it faster.',
+  },
+  {
+    code: ERROR_CODES.UNSUPPORTED_CODEC,
+    retryable: false,
+    match: (err, text) =>
+      /Decoder \([^)]*\) not found|Unknown (de|en)coder|Encoder .* not found|codec not currently supported|Unsupported codec|no decoder found/i.test(
+        text
+      ),
+    hint: 'The video uses a codec this server cannot decode. Re-encode it to H.264 or VP9 and upload it again.',
+  },
+  {
+    code: ERROR_CODES.CORRUPT_INPUT,
+    retryable: false,
+    match: (err, text) =>
+      /Invalid data found when processing input|moov atom not found|could not find codec parameters|Error while decoding stream|EBML header parsing failed|corrupt/i.test(
+        text
+      ),
+    hint: 'The source file is damaged or incomplete. Check that it plays locally and upload it again.',
+  },
+  {
+    code: ERROR_CODES.WORKER_CRASH,
+    retryable: true,
+    match: (err, text) => /killed with signal|SIGSEGV|SIGBUS|SIGKILL/i.test(text),
+    hint: 'The processing worker stopped unexpectedly. It is retried automatically.',
+  },
+];
+
+const FALLBACK = {
+  code: ERROR_CODES.PROCESSING_FAILED,
+  retryable: true,
+  hint: 'Processing failed for an unexpected reason. Retrying may help; see the log below for details.',
+};
+
+/**
+ * Keep the end of ffmpeg's log without progress noise
+ * @param {string} [stderr] - Captured stderr
+ * @returns {string|null}
+ */
+const getLogExcerpt = (stderr) => {
+  if (!stderr) return null;
+  const lines = String(stderr)
+    .split(/\r?\n|\r/)
+    .filter((line) => line.trim() && !/^(frame|size)=\s*\S/.test(line.trim()));
+  return lines.slice(-LOG_EXCERPT_LINES).join('\n') || null;
+};
+
+/**
+ * Classify a processing failure
+ * @param {Error} err - Error thrown while processing
+ * @returns {{ code: string, message: string, retryable: boolean, hint: string, log: string|null }}
+ */
+const classifyError = (err) => {
+  const text = `${err.message || ''}\n${err.stderr || ''}`;
+  const rule = RULES.find((candidate) => candidate.match(err, text)) || FALLBACK;
+  return {
+    code: rule.code,
+    message: err.message,
+    retryable: rule.retryable,
+    hint: rule.hint,
+    log: getLogExcerpt(err.stderr),
+  };
+};
+
+/**
+ * Error for an attempt whose worker disappeared before it finished
+ * @returns {Object} - Classified error
+ */
+const workerCrashError = () => ({
+  code: ERROR_CODES.WORKER_CRASH,
+  message: 'Worker stopped before the attempt finished',
+  retryable: true,
+  hint: RULES.find((rule) => rule.code === ERROR_CODES.WORKER_CRASH).hint,
+  log: null,
+});
+
+/**
+ * Error for an attempt whose worker stopped renewing its lease (see services/workerService)
+ * @param {string|null} worker - Worker ID holding the lease
+ * @param {Date|string|null} leaseExpiredAt - When the lease ran out
+ * @returns {Object} - Classified error
+ */
+const workerLostError = (worker, leaseExpiredAt) => ({
+  code: ERROR_CODES.WORKER_LOST,
+  message: `Worker ${worker || 'unknown'} stopped sending heartbeats${
+    leaseExpiredAt ? `; its lease expired at ${new Date(leaseExpiredAt).toISOString()}` : ''
+  }`,
+  retryable: true,
+  hint: 'The worker processing this video stopped responding, e.g. because its machine went down. It is retried automatically while attempts remain.',
+  log: null,
+});
+
+module.exports = { ERROR_CODES, classifyError, workerCrashError, workerLostError };
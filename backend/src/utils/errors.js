@@ -0,0 +1,86 @@
+/**
+ * Base error for anything the API reports back to the client.
+ * `code` is a stable machine readable identifier, `details` is optional
+ * structured context that is serialised alongside the message.
+ */
+class AppError extends Error {
+  constructor(message, statusCode = 500, code = 'INTERNAL_ERROR', details = null) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message, details = null, code = 'VALIDATION_ERROR') {
+    super(message, 400, code, details);
+  }
+}
+
+/**
+ * Missing, invalid or expired credentials. Clients refresh their access token
+ * on TOKEN_EXPIRED and send the user to sign in on anything else.
+ */
+class AuthenticationError extends AppError {
+  constructor(message = 'Authentication required', code = 'AUTH_REQUIRED') {
+    super(message, 401, code);
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'You do not have access to this resource', details = null) {
+    super(message, 403, 'FORBIDDEN', details);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Resource not found', details = null) {
+    super(message, 404, 'NOT_FOUND', details);
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, details = null, code = 'CONFLICT') {
+    super(message, 409, code, details);
+  }
+}
+
+class PayloadTooLargeError extends AppError {
+  constructor(message, details = null, code = 'PAYLOAD_TOO_LARGE') {
+    super(message, 413, code, details);
+  }
+}
+
+/**
+ * A limit was reached; `retryAfter` (seconds) is sent as the Retry-After header
+ */
+class TooManyRequestsError extends AppError {
+  constructor(message, details = null, code = 'RATE_LIMITED', retryAfter = null) {
+    super(message, 429, code, details);
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * The file was received but is not usable media (unknown container,
+ * no decodable video stream, ...)
+ */
+class MediaValidationError extends AppError {
+  constructor(message, details = null) {
+    super(message, 422, 'INVALID_MEDIA', details);
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PayloadTooLargeError,
+  TooManyRequestsError,
+  MediaValidationError,
+};
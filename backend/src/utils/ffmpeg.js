@@ -0,0 +1,8 @@
+const ffmpeg = require('fluent-ffmpeg');
+const config = require('../config');
+
+// Point fluent-ffmpeg at the configured binaries once, for every consumer
+ffmpeg.setFfmpegPath(config.ffmpeg.ffmpegPath);
+ffmpeg.setFfprobePath(config.ffmpeg.ffprobePath);
+
+module.exports = ffmpeg;
@@ -0,0 +1,25 @@
+const winston = require('winston');
+const config = require('../config');
+
+/**
+ * Application logger
+ * JSON output in production, colourised single-line output everywhere else
+ */
+const logger = winston.createLogger({
+  level: config.logLevel,
+  defaultMeta: { service: config.appName },
+  format:
+    config.env === 'production'
+      ? winston.format.combine(winston.format.timestamp(), winston.format.json())
+      : winston.format.combine(
+          winston.format.colorize(),
+          winston.format.timestamp(),
+          winston.format.printf(({ timestamp, level, message, service, ...meta }) => {
+            const extra = Object.keys(meta).length ? ` ${JSON.stringify(meta)}` : '';
+            return `${timestamp} [${service}] ${level}: ${message}${extra}`;
+          })
+        ),
+  transports: [new winston.transports.Console()],
+});
+
+module.exports = logger;
@@ -0,0 +1,43 @@
+const path = require('path');
+const config = require('../config');
+const { getSignedPrefixUrl } = require('../storage');
+const { getOutputPrefix } = require('./taskPaths');
+
+/**
+ * Signed, expiring links to the media of a completed task that browsers load
+ * without an Authorization header: the HLS stream, the poster, the sprite
+ * sheet and the caption tracks. One signature covers the task's output
+ * prefix (see storage.getSignedPrefixUrl), so HLS playlists and segments
+ * resolved by relative path are covered too.
+ * @param {Object} task - Task JSON
+ * @param {Object} [options]
+ * @param {number} [options.expiresIn] - Seconds the links stay valid
+ * @returns {Object|null} - { expires_at, hls, thumbnail, sprite, captions: { [caption id]: url } },
+ *   null unless the task is completed
+ */
+const getMediaLinks = (task, { expiresIn = config.storage.signedUrlTtlSeconds } = {}) => {
+  if (task.status !== 'completed') return null;
+
+  const prefix = getOutputPrefix(task.id);
+  const link = (key) =>
+    key && key.startsWith(prefix) ? getSignedPrefixUrl(prefix, key.slice(prefix.length), { expiresIn }) : null;
+  // Task JSON gives thumbnails as API URLs; the files sit in the output's thumbnails/ directory
+  const thumbnailKey = (url) => (url ? `${prefix}thumbnails/${path.posix.basename(url)}` : null);
+
+  return {
+    expires_at: new Date(Date.now() + expiresIn * 1000).toISOString(),
+    hls: task.hls ? link(task.hls.master_playlist) : null,
+    thumbnail: link(thumbnailKey(task.thumbnail_url)),
+    sprite: task.thumbnails ? link(thumbnailKey(task.thumbnails.sprite.url)) : null,
+    captions: Object.fromEntries((task.captions || []).map((caption) => [caption.id, link(caption.path)])),
+  };
+};
+
+/**
+ * Task JSON with its media links (see getMediaLinks) as `media`
+ * @param {Object} task - Task JSON
+ * @returns {Object}
+ */
+const withMediaLinks = (task) => ({ ...task, media: getMediaLinks(task) });
+
+module.exports = { getMediaLinks, withMediaLinks };
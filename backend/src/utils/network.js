@@ -0,0 +1,95 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Requests made to user-supplied URLs (webhooks) must not reach the
+ * server's own network: loopback, private, link-local (cloud metadata
+ * services), shared, multicast and reserved ranges.
+ */
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// IPv4 written as IPv6, e.g. ::ffff:127.0.0.1
+const MAPPED_IPV4 = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i;
+
+/**
+ * Whether an IP address is in a range user-supplied URLs may not reach
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - true as well for anything that is not an IP address
+ */
+const isPrivateAddress = (address) => {
+  const mapped = MAPPED_IPV4.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Error for a host that resolves into a blocked range
+ * @param {string} hostname
+ * @param {string} address
+ * @returns {Error}
+ */
+const privateAddressError = (hostname, address) => {
+  const error = new Error(`${hostname} resolves to a private address (${address})`);
+  error.code = 'EPRIVATEADDRESS';
+  return error;
+};
+
+/**
+ * dns.lookup for http(s) agents that refuses hosts resolving into a blocked
+ * range. Checking when connecting, rather than only beforehand, stops a host
+ * from resolving to a public address first and a private one afterwards.
+ * @param {string} hostname
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) return callback(privateAddressError(hostname, blocked.address));
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Check that a URL's host is public. IP literals are connected to without
+ * a lookup, so publicLookup never sees them; names are resolved here too to
+ * fail with a clear message before anything is sent.
+ * @param {string} url
+ * @returns {Promise<void>}
+ * @throws {Error} - code EPRIVATEADDRESS when the host is not public, or the DNS error
+ */
+const assertPublicUrl = async (url) => {
+  // IPv6 literals keep their brackets in URL.hostname
+  const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname }]
+    : await dns.promises.lookup(hostname, { all: true });
+  const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+  if (blocked) throw privateAddressError(hostname, blocked.address);
+};
+
+module.exports = { isPrivateAddress, publicLookup, assertPublicUrl };
@@ -0,0 +1,98 @@
+const { pipeline } = require('stream');
+const { getStorage } = require('../storage');
+const { AppError, NotFoundError } = require('./errors');
+const logger = require('./logger');
+
+/**
+ * Parse a single-range Range header against a file size
+ * @param {string} header - Range header value
+ * @param {number} size - File size in bytes
+ * @returns {{ start: number, end: number } | null | false} - Range, null when the
+ *   header should be ignored (whole file), false when it cannot be satisfied
+ */
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  // Multiple ranges and other units are not supported; serve the whole file
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const length = Number(match[2]);
+    if (length === 0) return false;
+    start = Math.max(size - length, 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  if (start >= size || start > end) return false;
+  return { start, end };
+};
+
+/**
+ * Stream a stored object to the client with HTTP range and conditional
+ * request support
+ * @param {import('express').Request} req - Request
+ * @param {import('express').Response} res - Response
+ * @param {string} key - Storage key
+ * @param {Object} [headers] - Extra headers, e.g. Content-Type and Cache-Control
+ * @returns {Promise<void>}
+ * @throws {NotFoundError|AppError} - Before anything was sent
+ */
+const sendStoredFile = async (req, res, key, headers = {}) => {
+  const storage = getStorage();
+  const info = await storage.stat(key);
+  if (!info) {
+    throw new NotFoundError('File not found');
+  }
+
+  const lastModified = new Date(info.last_modified);
+  const etag = `W/"${info.size.toString(16)}-${lastModified.getTime().toString(16)}"`;
+  const cacheHeaders = { 'Last-Modified': lastModified.toUTCString(), ETag: etag };
+
+  if (req.headers['if-none-match'] === etag) {
+    res.status(304).set(cacheHeaders).end();
+    return;
+  }
+
+  const range = req.headers.range ? parseRange(req.headers.range, info.size) : null;
+  if (range === false) {
+    res.set('Content-Range', `bytes */${info.size}`);
+    throw new AppError('Requested range not satisfiable', 416, 'RANGE_NOT_SATISFIABLE');
+  }
+
+  // Open the stream before any media headers go on, so a vanished object is still a JSON 404
+  const stream = req.method === 'HEAD' || info.size === 0 ? null : await storage.getStream(key, range || {});
+
+  res.set({
+    'Content-Type': info.content_type || 'application/octet-stream',
+    ...headers,
+    ...cacheHeaders,
+    'Accept-Ranges': 'bytes',
+  });
+  if (range) {
+    res.status(206).set({
+      'Content-Range': `bytes ${range.start}-${range.end}/${info.size}`,
+      'Content-Length': range.end - range.start + 1,
+    });
+  } else {
+    res.status(200).set('Content-Length', info.size);
+  }
+
+  if (!stream) {
+    res.end();
+    return;
+  }
+
+  pipeline(stream, res, (err) => {
+    // Errors after the headers went out are mostly client aborts
+    if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      logger.warn('Stored file stream failed', { key, error: err.message });
+    }
+  });
+};
+
+module.exports = { parseRange, sendStoredFile };
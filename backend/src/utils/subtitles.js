@@ -0,0 +1,129 @@
+/**
+ * Caption files: SRT and WebVTT in, WebVTT out.
+ *
+ * Files are reduced to their cues ({ start, end, settings, text }, times in
+ * seconds); styles, regions and notes are dropped. Cues are written back out
+ * as plain WebVTT, which browsers and HLS players both read.
+ */
+
+// Formats accepted for uploaded caption files
+const CAPTION_FORMATS = ['srt', 'vtt'];
+
+// [hh:]mm:ss,mmm (SRT) or [hh:]mm:ss.mmm (WebVTT)
+const TIMESTAMP = /^(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})$/;
+const TIMING_LINE = /^(\S+)\s+-->\s+(\S+)(?:\s+(.*))?$/;
+
+/**
+ * Parse a cue timestamp
+ * @param {string} value - e.g. "00:01:02,500"
+ * @returns {number|null} - Seconds, null when malformed
+ */
+const parseTimestamp = (value) => {
+  const match = TIMESTAMP.exec(value);
+  if (!match) return null;
+  const [, hours = '0', minutes, seconds, millis] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(millis.padEnd(3, '0')) / 1000;
+};
+
+/**
+ * Format seconds as a WebVTT timestamp
+ * @param {number} seconds
+ * @returns {string} - hh:mm:ss.mmm
+ */
+const formatTimestamp = (seconds) => {
+  const totalMs = Math.max(Math.round(seconds * 1000), 0);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(Math.floor(totalMs / 3600000))}:${pad(Math.floor(totalMs / 60000) % 60)}:${pad(
+    Math.floor(totalMs / 1000) % 60
+  )}.${pad(totalMs % 1000, 3)}`;
+};
+
+/**
+ * Read the cues of an SRT or WebVTT file
+ * @param {string} text - File contents
+ * @param {string} format - srt or vtt
+ * @returns {Object[]} - [{ start, end, settings, text }], in file order
+ * @throws {Error} - When the file is not in the format or has no cues
+ */
+const parseCaptions = (text, format) => {
+  const blocks = String(text)
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .trim()
+    .split(/\n(?:[ \t]*\n)+/)
+    .filter((block) => block !== '')
+    .map((block) => block.split('\n'));
+
+  if (format === 'vtt') {
+    if (!blocks.length || !/^WEBVTT(?:[ \t].*)?$/.test(blocks[0][0])) {
+      throw new Error('WebVTT files must start with "WEBVTT"');
+    }
+    // Header, which may carry metadata lines
+    blocks.shift();
+  }
+
+  const cues = [];
+  blocks.forEach((lines) => {
+    if (format === 'vtt' && /^(NOTE|STYLE|REGION)\b/.test(lines[0])) return;
+    // Cue identifier (the sequence number in SRT) before the timing line
+    const timingIndex = TIMING_LINE.test(lines[0]) ? 0 : 1;
+    const timing = TIMING_LINE.exec(lines[timingIndex] || '');
+    if (!timing) {
+      throw new Error(`Cue ${cues.length + 1} has no valid timing line`);
+    }
+
+    const start = parseTimestamp(timing[1]);
+    const end = parseTimestamp(timing[2]);
+    if (start === null || end === null || end < start) {
+      throw new Error(`Cue ${cues.length + 1} has invalid times "${lines[timingIndex]}"`);
+    }
+    cues.push({
+      start,
+      end,
+      // SRT has no cue settings; position hints some tools append are dropped
+      settings: format === 'vtt' ? timing[3] || '' : '',
+      // "-->" would end the cue text early
+      text: lines.slice(timingIndex + 1).join('\n').replace(/-->/g, '->'),
+    });
+  });
+
+  if (cues.length === 0) {
+    throw new Error('No captions found');
+  }
+  return cues;
+};
+
+/**
+ * Fit cues to a trimmed output: shift them by where the output starts and
+ * drop or cut those outside it
+ * @param {Object[]} cues
+ * @param {Object} options
+ * @param {number} [options.offset=0] - Source second the output starts at
+ * @param {number|null} [options.duration] - Output length in seconds; null keeps every cue
+ * @returns {Object[]}
+ */
+const trimCues = (cues, { offset = 0, duration = null }) =>
+  cues
+    .map((cue) => ({ ...cue, start: cue.start - offset, end: cue.end - offset }))
+    .filter((cue) => cue.end > 0 && (duration === null || cue.start < duration))
+    .map((cue) => ({
+      ...cue,
+      start: Math.max(cue.start, 0),
+      end: duration === null ? cue.end : Math.min(cue.end, duration),
+    }));
+
+/**
+ * Write cues as a WebVTT file
+ * @param {Object[]} cues
+ * @returns {string}
+ */
+const toWebVtt = (cues) =>
+  [
+    'WEBVTT',
+    ...cues.map((cue) => {
+      const timing = `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}`;
+      return `${cue.settings ? `${timing} ${cue.settings}` : timing}\n${cue.text}`;
+    }),
+  ].join('\n\n') + '\n';
+
+module.exports = { CAPTION_FORMATS, parseTimestamp, formatTimestamp, parseCaptions, trimCues, toWebVtt };
@@ -0,0 +1,55 @@
+const path = require('path');
+const config = require('../config');
+
+/**
+ * Storage key prefix holding everything stored for a task (source upload and outputs)
+ * @param {string} taskId - Task ID
+ * @returns {string}
+ */
+const getTaskPrefix = (taskId) => `${taskId}/`;
+
+/**
+ * Storage key prefix holding a task's processed files
+ * @param {string} taskId - Task ID
+ * @returns {string}
+ */
+const getOutputPrefix = (taskId) => `${getTaskPrefix(taskId)}output/`;
+
+/**
+ * Storage key of a task's source upload
+ * @param {string} taskId - Task ID
+ * @param {string} extension - File extension without the dot
+ * @returns {string}
+ */
+const getSourceKey = (taskId, extension) => `${getTaskPrefix(taskId)}source.${extension}`;
+
+/**
+ * Storage key of a caption file uploaded with a task's source, as WebVTT
+ * @param {string} taskId - Task ID
+ * @param {string} captionId - Caption ID, e.g. "upload-1"
+ * @returns {string}
+ */
+const getCaptionSourceKey = (taskId, captionId) => `${getTaskPrefix(taskId)}captions/${captionId}.vtt`;
+
+/**
+ * Local scratch directory the worker processes a task in
+ * @param {string} taskId - Task ID
+ * @returns {string}
+ */
+const getWorkDir = (taskId) => path.join(config.storage.workDir, taskId);
+
+/**
+ * Local directory the worker writes a task's outputs to before storing them
+ * @param {string} taskId - Task ID
+ * @returns {string}
+ */
+const getOutputDir = (taskId) => path.join(getWorkDir(taskId), 'output');
+
+module.exports = {
+  getTaskPrefix,
+  getOutputPrefix,
+  getSourceKey,
+  getCaptionSourceKey,
+  getWorkDir,
+  getOutputDir,
+};
@@ -0,0 +1,45 @@
+const config = require('../config');
+const { PRIORITIES } = require('../models/Task');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Priorities a role may pick, lowest first
+ * @param {string} role - User role
+ * @returns {string[]}
+ */
+const getAllowedPriorities = (role) => {
+  const max = PRIORITIES.indexOf(config.scheduling.maxPriority[role]);
+  // Roles without a configured limit get the default priority at most
+  const limit = max === -1 ? PRIORITIES.indexOf(config.scheduling.defaultPriority) : max;
+  return PRIORITIES.slice(0, limit + 1);
+};
+
+/**
+ * Priority to give the task of an upload
+ * @param {*} priority - From the request body; unset picks the default, lowered to what the role may use
+ * @param {string} role - Role of the uploading user
+ * @returns {string}
+ * @throws {ValidationError} - INVALID_PRIORITY: unknown, or higher than the role allows
+ */
+const validatePriority = (priority, role) => {
+  const allowed = getAllowedPriorities(role);
+  if (priority === undefined || priority === null || priority === '') {
+    return allowed.includes(config.scheduling.defaultPriority)
+      ? config.scheduling.defaultPriority
+      : allowed[allowed.length - 1];
+  }
+
+  let problem = null;
+  if (!PRIORITIES.includes(priority)) problem = `Must be one of: ${PRIORITIES.join(', ')}`;
+  else if (!allowed.includes(priority)) problem = `Your account can use up to ${allowed[allowed.length - 1]}`;
+  if (problem) {
+    throw new ValidationError(
+      'Invalid priority',
+      { fields: { priority: problem }, allowed },
+      'INVALID_PRIORITY'
+    );
+  }
+  return priority;
+};
+
+module.exports = { getAllowedPriorities, validatePriority };
@@ -0,0 +1,164 @@
+const config = require('../config');
+const { ValidationError } = require('../utils/errors');
+
+const RESOLUTIONS = ['240p', '360p', '480p', '720p', '1080p', '1440p', '2160p'];
+const QUALITY_PRESETS = ['low', 'medium', 'high'];
+const MAX_THUMBNAIL_COUNT = 20;
+// Formats an audio track can be extracted to (see worker/audioExtractor)
+const AUDIO_FORMATS = ['mp3', 'aac', 'flac', 'wav'];
+
+/**
+ * Audio formats enabled by ALLOWED_AUDIO_FORMATS
+ * @returns {string[]}
+ */
+const getAllowedAudioFormats = () =>
+  AUDIO_FORMATS.filter((format) => config.upload.allowedAudioFormats.includes(format));
+
+/**
+ * Settings used when the client does not send any
+ * @returns {Object}
+ */
+const getDefaultSettings = () => ({
+  output_formats: config.processing.outputFormats.filter(
+    (format) => format !== 'hls' || config.processing.enableHls
+  ),
+  resolutions: ['720p'],
+  quality: QUALITY_PRESETS.includes(config.processing.outputQuality)
+    ? config.processing.outputQuality
+    : 'medium',
+  thumbnail_count: config.processing.enableThumbnails ? config.processing.thumbnailCount : 0,
+  extract_audio: false,
+  audio_format: getAllowedAudioFormats()[0] || null,
+  trim_start: null,
+  trim_end: null,
+});
+
+const isNonNegativeNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Validate and normalise processing settings sent with an upload.
+ * Missing fields fall back to the configured defaults; every problem is
+ * reported at once in `details.fields`.
+ * @param {Object} [input] - Settings from the request body
+ * @returns {Object} - Normalised settings
+ * @throws {ValidationError}
+ */
+const validateProcessingSettings = (input = {}) => {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    throw new ValidationError('settings must be an object', null, 'INVALID_SETTINGS');
+  }
+
+  const settings = { ...getDefaultSettings(), ...input };
+  const errors = {};
+
+  const allowedFormats = config.processing.outputFormats.filter(
+    (format) => format !== 'hls' || config.processing.enableHls
+  );
+  if (
+    !Array.isArray(settings.output_formats) ||
+    settings.output_formats.length === 0 ||
+    settings.output_formats.some((format) => !allowedFormats.includes(format))
+  ) {
+    errors.output_formats = `Choose one or more of: ${allowedFormats.join(', ')}`;
+  }
+
+  if (
+    !Array.isArray(settings.resolutions) ||
+    settings.resolutions.length === 0 ||
+    settings.resolutions.some((resolution) => !RESOLUTIONS.includes(resolution))
+  ) {
+    errors.resolutions = `Choose one or more of: ${RESOLUTIONS.join(', ')}`;
+  }
+
+  if (!QUALITY_PRESETS.includes(settings.quality)) {
+    errors.quality = `Must be one of: ${QUALITY_PRESETS.join(', ')}`;
+  }
+
+  if (
+    !Number.isInteger(settings.thumbnail_count) ||
+    settings.thumbnail_count < 0 ||
+    settings.thumbnail_count > MAX_THUMBNAIL_COUNT
+  ) {
+    errors.thumbnail_count = `Must be an integer between 0 and ${MAX_THUMBNAIL_COUNT}`;
+  } else if (settings.thumbnail_count > 0 && !config.processing.enableThumbnails) {
+    errors.thumbnail_count = 'Thumbnail generation is disabled';
+  }
+
+  if (typeof settings.extract_audio !== 'boolean') {
+    errors.extract_audio = 'Must be true or false';
+  }
+  const audioFormats = getAllowedAudioFormats();
+  // Settings saved before the format could be chosen have none
+  if (settings.audio_format === null || settings.audio_format === undefined) {
+    settings.audio_format = audioFormats[0] || null;
+  }
+  if (settings.extract_audio === true) {
+    if (audioFormats.length === 0) {
+      errors.extract_audio = 'Audio extraction is disabled';
+    } else if (!audioFormats.includes(settings.audio_format)) {
+      errors.audio_format = `Must be one of: ${audioFormats.join(', ')}`;
+    }
+  }
+
+  if (settings.trim_start !== null && !isNonNegativeNumber(settings.trim_start)) {
+    errors.trim_start = 'Must be a number of seconds, 0 or more';
+  }
+  if (settings.trim_end !== null && !isNonNegativeNumber(settings.trim_end)) {
+    errors.trim_end = 'Must be a number of seconds, 0 or more';
+  } else if (
+    settings.trim_end !== null &&
+    isNonNegativeNumber(settings.trim_start) &&
+    settings.trim_end <= settings.trim_start
+  ) {
+    errors.trim_end = 'Must be after trim start';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError('Invalid processing settings', { fields: errors }, 'INVALID_SETTINGS');
+  }
+
+  return {
+    output_formats: [...new Set(settings.output_formats)],
+    resolutions: RESOLUTIONS.filter((resolution) => settings.resolutions.includes(resolution)),
+    quality: settings.quality,
+    thumbnail_count: settings.thumbnail_count,
+    extract_audio: settings.extract_audio,
+    audio_format: settings.extract_audio ? settings.audio_format : null,
+    trim_start: settings.trim_start,
+    trim_end: settings.trim_end,
+  };
+};
+
+/**
+ * Check settings against the probed source, once its duration is known
+ * @param {Object} settings - Normalised settings
+ * @param {Object} media - Media summary from ffprobe
+ * @returns {Object} - Settings with trim_end clamped to the source duration
+ * @throws {ValidationError} - When the trim range starts past the end of the video
+ */
+const applyMediaConstraints = (settings, media) => {
+  const duration = media && media.duration;
+  if (!duration) return settings;
+
+  if (settings.trim_start !== null && settings.trim_start >= duration) {
+    throw new ValidationError(
+      'Invalid processing settings',
+      { fields: { trim_start: `Must be less than the video duration (${duration}s)` } },
+      'INVALID_SETTINGS'
+    );
+  }
+  return {
+    ...settings,
+    trim_end: settings.trim_end !== null ? Math.min(settings.trim_end, duration) : null,
+  };
+};
+
+module.exports = {
+  RESOLUTIONS,
+  QUALITY_PRESETS,
+  AUDIO_FORMATS,
+  getAllowedAudioFormats,
+  getDefaultSettings,
+  validateProcessingSettings,
+  applyMediaConstraints,
+};
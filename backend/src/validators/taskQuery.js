@@ -0,0 +1,112 @@
+const { TASK_STATUSES } = require('../models/Task');
+const { ValidationError } = require('../utils/errors');
+
+const SORT_FIELDS = ['created_at', 'updated_at', 'name', 'status'];
+const SORT_ORDERS = ['asc', 'desc'];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Parse an optional ISO date query value
+ * @param {string|undefined} value - Raw query value
+ * @returns {Date|null|undefined} - Date, null when absent, undefined when invalid
+ */
+const parseDate = (value) => {
+  if (value === undefined || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Opaque cursor pointing just after the last task of a page
+ * @param {Object} task - Last task JSON of the page
+ * @param {string} sort - Sort field
+ * @returns {string}
+ */
+const encodeCursor = (task, sort) =>
+  Buffer.from(JSON.stringify({ v: task[sort], id: task.id })).toString('base64url');
+
+/**
+ * @param {string} cursor - Cursor from a previous page
+ * @param {string} sort - Sort field the cursor must belong to
+ * @returns {{ value: *, id: string }|undefined} - undefined when malformed
+ */
+const decodeCursor = (cursor, sort) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    // Every sort field is a string or a date as JSON; anything else (e.g. an
+    // object) would end up as an operator in the page query
+    if (typeof id !== 'string' || typeof v !== 'string') return undefined;
+    const value = sort === 'created_at' || sort === 'updated_at' ? new Date(v) : v;
+    if (value instanceof Date && Number.isNaN(value.getTime())) return undefined;
+    return { value, id };
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * Validate and normalise the GET /api/tasks query string. Every problem is
+ * reported at once in `details.fields`.
+ * @param {Object} [query] - Express req.query
+ * @returns {Object} - { statuses, createdFrom, createdTo, updatedSince, name, sort, order, limit, cursor }
+ * @throws {ValidationError}
+ */
+const parseTaskQuery = (query = {}) => {
+  const errors = {};
+
+  const statuses = query.status
+    ? String(query.status).split(',').map((status) => status.trim()).filter(Boolean)
+    : [];
+  if (statuses.some((status) => !TASK_STATUSES.includes(status))) {
+    errors.status = `Use one or more of: ${TASK_STATUSES.join(', ')}`;
+  }
+
+  const createdFrom = parseDate(query.created_from);
+  if (createdFrom === undefined) errors.created_from = 'Must be an ISO 8601 date';
+  const createdTo = parseDate(query.created_to);
+  if (createdTo === undefined) errors.created_to = 'Must be an ISO 8601 date';
+  if (createdFrom && createdTo && createdFrom > createdTo) {
+    errors.created_to = 'Must not be before created_from';
+  }
+  const updatedSince = parseDate(query.updated_since);
+  if (updatedSince === undefined) errors.updated_since = 'Must be an ISO 8601 date';
+
+  const sort = query.sort || 'created_at';
+  if (!SORT_FIELDS.includes(sort)) {
+    errors.sort = `Must be one of: ${SORT_FIELDS.join(', ')}`;
+  }
+  const order = query.order || (sort === 'name' || sort === 'status' ? 'asc' : 'desc');
+  if (!SORT_ORDERS.includes(order)) {
+    errors.order = `Must be one of: ${SORT_ORDERS.join(', ')}`;
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    errors.limit = `Must be an integer between 1 and ${MAX_LIMIT}`;
+  }
+
+  let cursor = null;
+  if (query.cursor && !errors.sort) {
+    cursor = decodeCursor(String(query.cursor), sort);
+    if (!cursor) errors.cursor = 'Invalid cursor';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError('Invalid task query', { fields: errors }, 'INVALID_QUERY');
+  }
+
+  return {
+    statuses,
+    createdFrom,
+    createdTo,
+    updatedSince,
+    name: query.name ? String(query.name).trim() : '',
+    sort,
+    order,
+    limit,
+    cursor,
+  };
+};
+
+module.exports = { SORT_FIELDS, DEFAULT_LIMIT, MAX_LIMIT, parseTaskQuery, encodeCursor, decodeCursor };
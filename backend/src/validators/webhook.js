@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const net = require('net');
+const config = require('../config');
+const { isPrivateAddress } = require('../utils/network');
+const { ValidationError } = require('../utils/errors');
+const { WEBHOOK_EVENTS } = require('../models/Webhook');
+
+const MIN_SECRET_LENGTH = 16;
+const MAX_DESCRIPTION_LENGTH = 200;
+
+/**
+ * Random signing secret for webhooks created without one
+ * @returns {string}
+ */
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Problem with a webhook URL, if any
+ * @param {*} url
+ * @returns {string|null}
+ */
+const checkUrl = (url) => {
+  if (typeof url !== 'string' || url.length === 0) return 'Required';
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    return 'Must be an absolute URL';
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return 'Must be an http or https URL';
+  if (!config.webhooks.allowPrivateHosts) {
+    // Host names are checked again when sending (see utils/network)
+    const hostname = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+    if (
+      hostname === 'localhost' ||
+      hostname.endsWith('.localhost') ||
+      (net.isIP(hostname) && isPrivateAddress(hostname))
+    ) {
+      return 'Must be a public address';
+    }
+  }
+  return null;
+};
+
+/**
+ * Problem with a signing secret, if any
+ * @param {*} secret
+ * @returns {string|null}
+ */
+const checkSecret = (secret) =>
+  typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH
+    ? `Must be a string of at least ${MIN_SECRET_LENGTH} characters`
+    : null;
+
+const throwIfInvalid = (errors, message, code) => {
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(message, { fields: errors }, code);
+  }
+};
+
+/**
+ * Validate the webhook sent with an upload. A missing secret is generated.
+ * @param {Object|null|undefined} input - { url, secret } from the request body
+ * @returns {Object|null} - { url, secret }, null without a webhook
+ * @throws {ValidationError}
+ */
+const validateUploadWebhook = (input) => {
+  if (input === undefined || input === null) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new ValidationError('webhook must be an object', null, 'INVALID_WEBHOOK');
+  }
+
+  const errors = {};
+  const urlError = checkUrl(input.url);
+  if (urlError) errors.url = urlError;
+  if (input.secret !== undefined && input.secret !== null) {
+    const secretError = checkSecret(input.secret);
+    if (secretError) errors.secret = secretError;
+  }
+  throwIfInvalid(errors, 'Invalid webhook', 'INVALID_WEBHOOK');
+
+  return { url: input.url, secret: input.secret || generateSecret() };
+};
+
+/**
+ * Validate the body of POST /api/webhooks, or of PATCH with `partial`
+ * @param {Object} input - Request body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Only validate the fields present
+ * @returns {Object} - Fields to store
+ * @throws {ValidationError}
+ */
+const validateWebhookInput = (input, { partial = false } = {}) => {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    throw new ValidationError('Body must be an object', null, 'INVALID_WEBHOOK');
+  }
+
+  const errors = {};
+  const fields = {};
+  const has = (field) => input[field] !== undefined;
+
+  if (!partial || has('url')) {
+    const urlError = checkUrl(input.url);
+    if (urlError) errors.url = urlError;
+    else fields.url = input.url;
+  }
+  if (has('secret')) {
+    const secretError = checkSecret(input.secret);
+    if (secretError) errors.secret = secretError;
+    else fields.secret = input.secret;
+  } else if (!partial) {
+    fields.secret = generateSecret();
+  }
+  if (has('events')) {
+    if (
+      !Array.isArray(input.events) ||
+      input.events.length === 0 ||
+      input.events.some((event) => !WEBHOOK_EVENTS.includes(event))
+    ) {
+      errors.events = `Choose one or more of: ${WEBHOOK_EVENTS.join(', ')}`;
+    } else {
+      fields.events = [...new Set(input.events)];
+    }
+  }
+  if (has('description')) {
+    const { description } = input;
+    if (
+      description !== null &&
+      (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)
+    ) {
+      errors.description = `Must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`;
+    } else {
+      fields.description = description || null;
+    }
+  }
+  if (has('active')) {
+    if (typeof input.active !== 'boolean') errors.active = 'Must be true or false';
+    else fields.active = input.active;
+  }
+  throwIfInvalid(errors, 'Invalid webhook', 'INVALID_WEBHOOK');
+
+  return fields;
+};
+
+module.exports = {
+  generateSecret,
+  validateUploadWebhook,
+  validateWebhookInput,
+};
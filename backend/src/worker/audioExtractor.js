@@ -0,0 +1,70 @@
+const path = require('path');
+const { runFfmpeg } = require('./ffmpegRunner');
+
+/**
+ * Encoder settings per audio format. Lossy bitrates are indexed by the
+ * quality preset chosen at upload time; FLAC and WAV are lossless.
+ */
+const AUDIO_ENCODERS = {
+  mp3: {
+    extension: 'mp3',
+    codec: 'libmp3lame',
+    bitrate: { low: 128000, medium: 192000, high: 320000 },
+  },
+  aac: {
+    // AAC in an MP4 container, which players seek in far better than raw ADTS
+    extension: 'm4a',
+    codec: 'aac',
+    bitrate: { low: 128000, medium: 192000, high: 256000 },
+  },
+  flac: { extension: 'flac', codec: 'flac', bitrate: null },
+  wav: { extension: 'wav', codec: 'pcm_s16le', bitrate: null },
+};
+
+/**
+ * Extract the source's first audio stream to the format chosen at upload
+ * time, trimmed like the video outputs
+ * @param {Object} task - Task JSON
+ * @param {Object} options
+ * @param {string} options.outputDir - Directory receiving audio.{extension}
+ * @param {string[]} options.inputOptions - Input options (trim start)
+ * @param {string[]} options.durationOptions - Output duration options (trim end)
+ * @param {number|null} options.duration - Expected duration in seconds, for progress
+ * @param {Function} [options.onProgress] - Called with a 0-1 fraction
+ * @param {Function} [options.onStart] - Called with the ffmpeg command line
+ * @param {AbortSignal} [options.signal] - Aborts ffmpeg
+ * @returns {Promise<{ format: string, codec: string, bitrate: number|null, path: string }>}
+ */
+const extractAudio = async (
+  task,
+  { outputDir, inputOptions, durationOptions, duration, onProgress, onStart, signal }
+) => {
+  const format = task.settings.audio_format;
+  const encoder = AUDIO_ENCODERS[format];
+  if (!encoder) {
+    throw new Error(`Unsupported audio format "${format}"`);
+  }
+  const bitrate = encoder.bitrate ? encoder.bitrate[task.settings.quality] || encoder.bitrate.medium : null;
+  const output = path.join(outputDir, `audio.${encoder.extension}`);
+
+  await runFfmpeg({
+    input: task.input_file,
+    output,
+    inputOptions,
+    outputOptions: [
+      '-map 0:a:0',
+      '-vn',
+      `-c:a ${encoder.codec}`,
+      ...(bitrate ? [`-b:a ${bitrate}`] : []),
+      ...durationOptions,
+    ],
+    duration,
+    onProgress,
+    onStart,
+    signal,
+  });
+
+  return { format, codec: encoder.codec, bitrate, path: output };
+};
+
+module.exports = { AUDIO_ENCODERS, extractAudio };
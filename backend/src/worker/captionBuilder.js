@@ -0,0 +1,95 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { runFfmpeg } = require('./ffmpegRunner');
+const { parseCaptions, trimCues, toWebVtt } = require('../utils/subtitles');
+
+// Language tag ffmpeg and muxers use for "not specified"
+const UNDETERMINED_LANGUAGE = 'und';
+
+/**
+ * Write the task's caption tracks as WebVTT, fitted to the trimmed output:
+ * caption files uploaded with the video first, then the text subtitle
+ * streams of the source. Image-based subtitle streams and tracks left
+ * without cues by trimming are skipped.
+ *   {outputDir}/{id}.vtt   - id is "upload-N" or "stream-{stream index}"
+ * @param {Object} task - Task JSON; `caption_files` paths are local copies (see worker/processor)
+ * @param {Object} options
+ * @param {string} options.outputDir - Directory receiving the tracks
+ * @param {number|null} options.duration - Output duration in seconds; null keeps every cue
+ * @param {Function} [options.onStart] - Called with each ffmpeg command line
+ * @param {Function} [options.log] - Records a log line, see worker/stageRecorder
+ * @param {AbortSignal} [options.signal] - Aborts ffmpeg
+ * @returns {Promise<Object[]>} - [{ id, language, label, source, path, cue_count }]
+ */
+const buildCaptions = async (task, { outputDir, duration, onStart, log = () => {}, signal }) => {
+  const offset = task.settings.trim_start || 0;
+  const tracks = [];
+  await fs.mkdir(outputDir, { recursive: true });
+
+  const write = async (track, cues) => {
+    const trimmed = trimCues(cues, { offset, duration });
+    if (trimmed.length === 0) {
+      await fs.rm(track.path, { force: true });
+      await log(`Skipping captions "${track.label}", none fall within the trimmed video`, {
+        stage: 'captions',
+        level: 'warn',
+      });
+      return;
+    }
+    await fs.writeFile(track.path, toWebVtt(trimmed));
+    tracks.push({ ...track, cue_count: trimmed.length });
+  };
+
+  for (const file of task.caption_files || []) {
+    const track = {
+      id: file.id,
+      language: file.language,
+      label: file.label,
+      source: 'upload',
+      path: path.join(outputDir, `${file.id}.vtt`),
+    };
+    // Converted and checked when uploaded
+    await write(track, parseCaptions(await fs.readFile(file.path, 'utf8'), 'vtt'));
+  }
+
+  const streams = (task.media && task.media.subtitles) || [];
+  for (const [number, stream] of streams.entries()) {
+    const language = stream.language && stream.language !== UNDETERMINED_LANGUAGE ? stream.language : null;
+    const label = stream.title || (language ? language.toUpperCase() : `Subtitles ${number + 1}`);
+    if (!stream.text) {
+      await log(`Skipping subtitle stream ${stream.index} (${stream.codec}), it is image-based`, {
+        stage: 'captions',
+        level: 'warn',
+      });
+      continue;
+    }
+
+    const track = {
+      id: `stream-${stream.index}`,
+      language,
+      label,
+      source: 'embedded',
+      path: path.join(outputDir, `stream-${stream.index}.vtt`),
+    };
+    await runFfmpeg({
+      input: task.input_file,
+      output: track.path,
+      outputOptions: [`-map 0:${stream.index}`, '-c:s webvtt'],
+      onStart,
+      signal,
+    });
+    let cues;
+    try {
+      cues = parseCaptions(await fs.readFile(track.path, 'utf8'), 'vtt');
+    } catch (err) {
+      await fs.rm(track.path, { force: true });
+      await log(`Skipping subtitle stream ${stream.index}: ${err.message}`, { stage: 'captions', level: 'warn' });
+      continue;
+    }
+    await write(track, cues);
+  }
+
+  return tracks;
+};
+
+module.exports = { buildCaptions };
@@ -0,0 +1,98 @@
+const ffmpeg = require('../utils/ffmpeg');
+const config = require('../config');
+
+const STDERR_EXCERPT_LENGTH = 2000;
+
+/**
+ * Parse an ffmpeg timemark ("HH:MM:SS.xx") into seconds
+ * @param {string} timemark - Timemark reported by fluent-ffmpeg
+ * @returns {number}
+ */
+const parseTimemark = (timemark) => {
+  if (!timemark) return 0;
+  return String(timemark)
+    .split(':')
+    .reduce((total, part) => total * 60 + (parseFloat(part) || 0), 0);
+};
+
+/**
+ * Turn option entries into individual arguments. Strings are "-flag value"
+ * pairs; arrays are passed through untouched for values that contain spaces
+ * (filter graphs, stream maps).
+ * @param {Array<string|string[]>} options - Option entries
+ * @returns {string[]}
+ */
+const toArgs = (options) =>
+  options.flatMap((option) => {
+    if (Array.isArray(option)) return option;
+    const index = option.indexOf(' ');
+    return index === -1 ? [option] : [option.slice(0, index), option.slice(index + 1)];
+  });
+
+/**
+ * Run a single ffmpeg command
+ * @param {Object} options
+ * @param {string} options.input - Input file
+ * @param {string} options.output - Output file
+ * @param {Array<string|string[]>} [options.inputOptions] - Options placed before the input
+ * @param {Array<string|string[]>} [options.outputOptions] - Options placed before the output
+ * @param {number} [options.duration] - Expected output duration in seconds, used for progress
+ * @param {Function} [options.onProgress] - Called with a 0-1 fraction
+ * @param {Function} [options.onStart] - Called with the command line once ffmpeg is spawned
+ * @param {AbortSignal} [options.signal] - Kills ffmpeg when aborted
+ * @returns {Promise<void>}
+ */
+const runFfmpeg = ({
+  input,
+  output,
+  inputOptions = [],
+  outputOptions = [],
+  duration,
+  onProgress,
+  onStart,
+  signal,
+}) =>
+  new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const command = ffmpeg(input, { timeout: Math.ceil(config.ffmpeg.timeoutMs / 1000) })
+      .output(output);
+    // Passed as separate arguments so fluent-ffmpeg does not split them again
+    if (inputOptions.length > 0) command.inputOptions(...toArgs(inputOptions));
+    if (outputOptions.length > 0) command.outputOptions(...toArgs(outputOptions));
+
+    const onAbort = () => command.kill('SIGKILL');
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    const cleanup = () => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+
+    command
+      .on('start', (commandLine) => {
+        if (onStart) onStart(commandLine);
+      })
+      .on('progress', (progress) => {
+        if (!onProgress || !duration) return;
+        onProgress(Math.min(parseTimemark(progress.timemark) / duration, 1));
+      })
+      .on('end', () => {
+        cleanup();
+        resolve();
+      })
+      .on('error', (err, stdout, stderr) => {
+        cleanup();
+        if (signal && signal.aborted) {
+          reject(signal.reason);
+          return;
+        }
+        const error = new Error(`ffmpeg failed: ${err.message}`);
+        error.stderr = stderr ? String(stderr).slice(-STDERR_EXCERPT_LENGTH) : '';
+        reject(error);
+      })
+      .run();
+  });
+
+module.exports = { runFfmpeg, parseTimemark, toArgs };
@@ -0,0 +1,208 @@
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config');
+const { runFfmpeg } = require('./ffmpegRunner');
+const { parseCaptions } = require('../utils/subtitles');
+
+const MASTER_PLAYLIST = 'master.m3u8';
+const VARIANT_PLAYLIST = 'index.m3u8';
+const AUDIO_BITRATE = 128000;
+const SUBTITLE_GROUP = 'subs';
+const SUBTITLE_SEGMENT = 'captions.vtt';
+
+/**
+ * Adaptive bitrate ladder, lowest first. Bitrates are H.264 targets for
+ * typical 16:9 content; `low`/`high` quality presets scale them.
+ */
+const HLS_LADDER = [
+  { resolution: '240p', height: 240, videoBitrate: 400000 },
+  { resolution: '360p', height: 360, videoBitrate: 800000 },
+  { resolution: '480p', height: 480, videoBitrate: 1400000 },
+  { resolution: '720p', height: 720, videoBitrate: 2800000 },
+  { resolution: '1080p', height: 1080, videoBitrate: 5000000 },
+];
+
+const QUALITY_BITRATE_FACTOR = { low: 0.7, medium: 1, high: 1.4 };
+
+/**
+ * Renditions to produce: every ladder step the source can fill. A source
+ * below the lowest step gets a single rendition at its own height.
+ * @param {Object} task - Task JSON
+ * @returns {Object[]} - [{ resolution, height, videoBitrate }]
+ */
+const planRenditions = (task) => {
+  const sourceHeight = task.media && task.media.video ? task.media.video.height : null;
+  const factor = QUALITY_BITRATE_FACTOR[task.settings.quality] || 1;
+
+  let ladder = sourceHeight ? HLS_LADDER.filter((step) => step.height <= sourceHeight) : HLS_LADDER;
+  if (ladder.length === 0) {
+    const height = sourceHeight - (sourceHeight % 2);
+    ladder = [{ ...HLS_LADDER[0], resolution: `${height}p`, height }];
+  }
+
+  return ladder.map((step) => ({ ...step, videoBitrate: Math.round(step.videoBitrate * factor) }));
+};
+
+/**
+ * Encode the ladder in a single ffmpeg pass and write segments, one playlist
+ * per rendition and the master playlist:
+ *   {outputDir}/master.m3u8
+ *   {outputDir}/{resolution}/index.m3u8
+ *   {outputDir}/{resolution}/segment_000.ts
+ * @param {Object} task - Task JSON
+ * @param {Object} options
+ * @param {string} options.outputDir - Directory receiving the HLS tree
+ * @param {string[]} options.inputOptions - Input options (trim start)
+ * @param {string[]} options.durationOptions - Output duration options (trim end)
+ * @param {number|null} options.duration - Expected duration in seconds, for progress
+ * @param {Function} [options.onProgress] - Called with a 0-1 fraction
+ * @param {Function} [options.onStart] - Called with the ffmpeg command line
+ * @param {AbortSignal} [options.signal] - Aborts ffmpeg
+ * @returns {Promise<{ master_playlist: string, renditions: Object[] }>}
+ */
+const packageHls = async (
+  task,
+  { outputDir, inputOptions, durationOptions, duration, onProgress, onStart, signal }
+) => {
+  const renditions = planRenditions(task);
+  const hasAudio = Boolean(task.media && task.media.audio);
+  const segmentDuration = config.processing.hlsSegmentDuration;
+
+  await fs.mkdir(outputDir, { recursive: true });
+
+  const splitOutputs = renditions.map((_, index) => `[s${index}]`).join('');
+  const filterGraph = [
+    `[0:v]split=${renditions.length}${splitOutputs}`,
+    ...renditions.map((rendition, index) => `[s${index}]scale=-2:${rendition.height}[v${index}]`),
+  ].join(';');
+
+  const streamOptions = renditions.flatMap((rendition, index) => [
+    ['-map', `[v${index}]`],
+    `-c:v:${index} libx264`,
+    `-b:v:${index} ${rendition.videoBitrate}`,
+    `-maxrate:v:${index} ${Math.round(rendition.videoBitrate * 1.07)}`,
+    `-bufsize:v:${index} ${rendition.videoBitrate * 2}`,
+    ...(hasAudio ? [['-map', '0:a:0'], `-c:a:${index} aac`, `-b:a:${index} ${AUDIO_BITRATE}`] : []),
+  ]);
+
+  const streamMap = renditions
+    .map((rendition, index) =>
+      hasAudio ? `v:${index},a:${index},name:${rendition.resolution}` : `v:${index},name:${rendition.resolution}`
+    )
+    .join(' ');
+
+  await runFfmpeg({
+    input: task.input_file,
+    output: path.join(outputDir, '%v', VARIANT_PLAYLIST),
+    inputOptions,
+    outputOptions: [
+      ['-filter_complex', filterGraph],
+      ...streamOptions,
+      '-preset veryfast',
+      '-pix_fmt yuv420p',
+      // Keyframes on segment boundaries so every rendition can switch at any segment
+      ['-force_key_frames', `expr:gte(t,n_forced*${segmentDuration})`],
+      '-sc_threshold 0',
+      ...durationOptions,
+      '-f hls',
+      `-hls_time ${segmentDuration}`,
+      '-hls_playlist_type vod',
+      '-hls_flags independent_segments',
+      ['-hls_segment_filename', path.join(outputDir, '%v', 'segment_%03d.ts')],
+      `-master_pl_name ${MASTER_PLAYLIST}`,
+      ['-var_stream_map', streamMap],
+    ],
+    duration,
+    onProgress,
+    onStart,
+    signal,
+  });
+
+  return {
+    master_playlist: path.join(outputDir, MASTER_PLAYLIST),
+    renditions: renditions.map((rendition) => ({
+      resolution: rendition.resolution,
+      height: rendition.height,
+      bandwidth: rendition.videoBitrate + (hasAudio ? AUDIO_BITRATE : 0),
+      playlist: path.join(outputDir, rendition.resolution, VARIANT_PLAYLIST),
+    })),
+  };
+};
+
+/**
+ * Quote a value for a playlist attribute, which cannot contain double quotes
+ * @param {string} value
+ * @returns {string}
+ */
+const quoteAttribute = (value) => `"${String(value).replace(/["\r\n]/g, "'")}"`;
+
+/**
+ * Add caption tracks to a packaged stream as WebVTT subtitle renditions, each
+ * a single segment spanning the video, and list them in the master playlist:
+ *   {outputDir}/subtitles/{id}/index.m3u8
+ *   {outputDir}/subtitles/{id}/captions.vtt
+ * @param {Object} hls - Result of packageHls
+ * @param {Object[]} captions - Tracks written by worker/captionBuilder
+ * @param {Object} options
+ * @param {string} options.outputDir - Directory holding the HLS tree
+ * @param {number|null} options.duration - Output duration in seconds; the last cue's end when unknown
+ * @returns {Promise<Object>} - `hls` with subtitles: [{ id, language, label, playlist }]
+ */
+const addSubtitleRenditions = async (hls, captions, { outputDir, duration }) => {
+  if (captions.length === 0) return hls;
+
+  const subtitles = [];
+  for (const caption of captions) {
+    const dir = path.join(outputDir, 'subtitles', caption.id);
+    await fs.mkdir(dir, { recursive: true });
+    const text = await fs.readFile(caption.path, 'utf8');
+    await fs.writeFile(path.join(dir, SUBTITLE_SEGMENT), text);
+
+    const length = duration || Math.max(...parseCaptions(text, 'vtt').map((cue) => cue.end));
+    const playlist = path.join(dir, VARIANT_PLAYLIST);
+    await fs.writeFile(
+      playlist,
+      [
+        '#EXTM3U',
+        '#EXT-X-VERSION:3',
+        `#EXT-X-TARGETDURATION:${Math.max(Math.ceil(length), 1)}`,
+        '#EXT-X-MEDIA-SEQUENCE:0',
+        '#EXT-X-PLAYLIST-TYPE:VOD',
+        `#EXTINF:${length.toFixed(3)},`,
+        SUBTITLE_SEGMENT,
+        '#EXT-X-ENDLIST',
+        '',
+      ].join('\n')
+    );
+    subtitles.push({ id: caption.id, language: caption.language, label: caption.label, playlist });
+  }
+
+  const media = subtitles.map((subtitle) =>
+    [
+      '#EXT-X-MEDIA:TYPE=SUBTITLES',
+      `GROUP-ID="${SUBTITLE_GROUP}"`,
+      `NAME=${quoteAttribute(subtitle.label)}`,
+      ...(subtitle.language ? [`LANGUAGE=${quoteAttribute(subtitle.language)}`] : []),
+      'DEFAULT=NO',
+      'AUTOSELECT=YES',
+      `URI="subtitles/${subtitle.id}/${VARIANT_PLAYLIST}"`,
+    ].join(',')
+  );
+  const lines = (await fs.readFile(hls.master_playlist, 'utf8')).split('\n');
+  const firstVariant = lines.findIndex((line) => line.startsWith('#EXT-X-STREAM-INF'));
+  const headerEnd = firstVariant === -1 ? lines.length : firstVariant;
+  const master = [
+    ...lines.slice(0, headerEnd),
+    ...media,
+    ...lines
+      .slice(headerEnd)
+      .map((line) =>
+        line.startsWith('#EXT-X-STREAM-INF:') ? `${line},SUBTITLES="${SUBTITLE_GROUP}"` : line
+      ),
+  ];
+  await fs.writeFile(hls.master_playlist, master.join('\n'));
+
+  return { ...hls, subtitles };
+};
+
+module.exports = { HLS_LADDER, MASTER_PLAYLIST, planRenditions, packageHls, addSubtitleRenditions };
@@ -0,0 +1,370 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const taskService = require('../services/taskService');
+const workerService = require('../services/workerService');
+const { NotFoundError } = require('../utils/errors');
+const { EVENT_TYPES, subscribeTaskEvents } = require('../events/taskEvents');
+const { probe, summarize } = require('../services/mediaProbeService');
+const { getOutputDir, getOutputPrefix, getWorkDir } = require('../utils/taskPaths');
+const { getStorage, putDirectory } = require('../storage');
+const { classifyError } = require('../utils/errorClassifier');
+const { addDeadLetter } = require('../queue/deadLetterQueue');
+const { transcode } = require('./transcoder');
+const { createStageRecorder } = require('./stageRecorder');
+
+// Progress is written to the task at most this often (plus on every whole percent change)
+const PROGRESS_INTERVAL_MS = 1000;
+
+class TaskCancelledError extends Error {
+  constructor() {
+    super('Task was cancelled');
+    this.name = 'TaskCancelledError';
+  }
+}
+
+// The reaper gave the task away after this worker failed to renew its lease
+class LeaseLostError extends Error {
+  constructor() {
+    super('Lease on the task was lost');
+    this.name = 'LeaseLostError';
+  }
+}
+
+class ProcessingTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`Processing timed out after ${timeoutMs} ms`);
+    this.name = 'ProcessingTimeoutError';
+  }
+}
+
+// Recorded on each attempt so failures can be traced to a machine and process
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const STARTED_AT = new Date();
+
+// Jobs this process is running, by task ID: { controller, leaseId, attempt, startedAt, renewedAt }
+const activeJobs = new Map();
+
+/**
+ * Stop running jobs when their task is cancelled through the API
+ * @returns {Function} - Stop listening
+ */
+const listenForCancellations = () =>
+  subscribeTaskEvents((event) => {
+    if (event.type !== EVENT_TYPES.CANCELLED) return;
+    const active = activeJobs.get(event.task_id);
+    if (active) {
+      logger.info('Cancelling running task', { task_id: event.task_id });
+      active.controller.abort(new TaskCancelledError());
+    }
+  });
+
+/**
+ * Renew the lease on a running task; a job whose lease is gone, or could not
+ * be renewed for as long as it lasts, is stopped
+ * @param {string} taskId - Task ID
+ * @param {Object} active - Entry of activeJobs
+ */
+const renewLease = async (taskId, active) => {
+  try {
+    if (await taskService.renewLease(taskId, active.leaseId)) {
+      active.renewedAt = Date.now();
+      return;
+    }
+    // Cancellations stop the job through listenForCancellations, which also removes its outputs
+    const task = await taskService.getTask(taskId).catch(() => null);
+    if (task && task.status === 'cancelled') return;
+  } catch (err) {
+    logger.warn('Failed to renew lease', { task_id: taskId, error: err.message });
+    if (Date.now() - active.renewedAt < config.worker.leaseTtlMs) return;
+  }
+  logger.warn('Lease lost, stopping task', { task_id: taskId });
+  active.controller.abort(new LeaseLostError());
+};
+
+/**
+ * Report this worker's status and renew the leases of its running tasks
+ * every WORKER_HEARTBEAT_INTERVAL_MS (see services/workerService)
+ * @param {Object} options
+ * @param {number} options.concurrency - Jobs this worker runs at once
+ * @returns {Function} - Stop the heartbeat and note the worker as stopped
+ */
+const startHeartbeat = ({ concurrency }) => {
+  const beat = async () => {
+    await Promise.all([...activeJobs].map(([taskId, active]) => renewLease(taskId, active)));
+    await workerService
+      .recordHeartbeat({
+        id: WORKER_ID,
+        hostname: os.hostname(),
+        pid: process.pid,
+        started_at: STARTED_AT,
+        concurrency,
+        current_jobs: [...activeJobs].map(([taskId, { attempt, startedAt }]) => ({
+          task_id: taskId,
+          attempt,
+          started_at: startedAt,
+        })),
+        load: {
+          active_jobs: activeJobs.size,
+          cpu_load_1m: os.loadavg()[0],
+          cpus: os.cpus().length,
+          memory_rss: process.memoryUsage().rss,
+        },
+      })
+      .catch((err) => logger.warn('Failed to record heartbeat', { error: err.message }));
+  };
+
+  beat();
+  const timer = setInterval(beat, config.worker.heartbeatIntervalMs);
+  return async () => {
+    clearInterval(timer);
+    await workerService.markWorkerStopped(WORKER_ID).catch((err) => {
+      logger.warn('Failed to record worker shutdown', { error: err.message });
+    });
+  };
+};
+
+/**
+ * Remove everything a run produced, locally and in storage
+ * @param {string} taskId - Task ID
+ */
+const removeOutputs = async (taskId) => {
+  await fs.rm(getWorkDir(taskId), { recursive: true, force: true });
+  await getStorage().deletePrefix(getOutputPrefix(taskId));
+};
+
+/**
+ * Error to stop a run with once the task refuses its updates
+ * @param {string} taskId - Task ID
+ * @returns {Promise<Error>} - TaskCancelledError if the task was cancelled (or
+ *   deleted), LeaseLostError if the reaper gave it to another run
+ */
+const getStopError = async (taskId) => {
+  const current = await taskService.getTask(taskId).catch(() => null);
+  return current && current.status !== 'cancelled' ? new LeaseLostError() : new TaskCancelledError();
+};
+
+/**
+ * Replace the local paths in a transcode result with the storage keys the
+ * files were stored under
+ * @param {Object} result - Result of transcode
+ * @param {string} outputDir - Local directory the result was written to
+ * @param {string} prefix - Storage key prefix it was stored under
+ * @returns {Object}
+ */
+const toStorageKeys = (result, outputDir, prefix) => {
+  const toKey = (filePath) => prefix + path.relative(outputDir, filePath).split(path.sep).join('/');
+  const { hls, thumbnails, audio } = result;
+
+  return {
+    output_file: toKey(result.output_file),
+    outputs: result.outputs.map((output) => ({ ...output, path: toKey(output.path) })),
+    hls: hls && {
+      ...hls,
+      master_playlist: toKey(hls.master_playlist),
+      renditions: hls.renditions.map((rendition) => ({ ...rendition, playlist: toKey(rendition.playlist) })),
+      ...(hls.subtitles && {
+        subtitles: hls.subtitles.map((subtitle) => ({ ...subtitle, playlist: toKey(subtitle.playlist) })),
+      }),
+    },
+    audio: audio && { ...audio, path: toKey(audio.path) },
+    captions: result.captions.map((caption) => ({ ...caption, path: toKey(caption.path) })),
+    thumbnails: thumbnails && {
+      ...thumbnails,
+      poster: toKey(thumbnails.poster),
+      images: thumbnails.images.map((image) => ({ ...image, path: toKey(image.path) })),
+      sprite: { ...thumbnails.sprite, path: toKey(thumbnails.sprite.path), vtt: toKey(thumbnails.sprite.vtt) },
+    },
+  };
+};
+
+/**
+ * Report progress without flooding the database and clients with updates
+ * @param {import('bull').Job} job - Bull job
+ * @param {string} taskId - Task ID
+ * @param {string} leaseId - Lease the worker holds on the task
+ * @returns {Function} - Called with a 0-100 percentage
+ */
+const createProgressReporter = (job, taskId, leaseId) => {
+  let lastProgress = 0;
+  let lastReportedAt = 0;
+
+  return (percentage) => {
+    const progress = Math.min(Math.floor(percentage), 99);
+    const now = Date.now();
+    if (progress <= lastProgress || now - lastReportedAt < PROGRESS_INTERVAL_MS) return;
+
+    lastProgress = progress;
+    lastReportedAt = now;
+    job.progress(progress).catch(() => {});
+    taskService.updateTaskProgress(taskId, progress, { leaseId }).catch((err) => {
+      logger.warn('Failed to record task progress', { task_id: taskId, error: err.message });
+    });
+  };
+};
+
+/**
+ * Bull processor for video jobs
+ * @param {import('bull').Job} job - Job with `data.task_id`
+ * @returns {Promise<Object>} - Job result
+ */
+const processVideoJob = async (job) => {
+  const taskId = job.data.task_id;
+  const attempt = job.attemptsMade + 1;
+  const maxAttempts = job.opts.attempts || 1;
+
+  let task;
+  try {
+    task = await taskService.getTask(taskId);
+  } catch (err) {
+    if (!(err instanceof NotFoundError)) throw err;
+    // Deleted tasks have nothing left to process; do not retry
+    logger.warn('Dropping job for missing task', { task_id: taskId });
+    return { skipped: true };
+  }
+
+  // Only pending tasks are picked up; one cancelled while queued is skipped
+  const started = await taskService.markTaskProcessing(taskId, {
+    jobAttempt: attempt,
+    worker: WORKER_ID,
+    recovered: Boolean(job.data.recovered),
+  });
+  if (!started) {
+    logger.info('Skipping task that is no longer pending', { task_id: taskId, status: task.status });
+    return { skipped: true };
+  }
+  // Settings as recorded on the new attempt
+  task = started;
+  const { runStage, log } = createStageRecorder(taskId, task.attempts[task.attempts.length - 1].number);
+  logger.info('Processing task', { task_id: taskId, attempt, max_attempts: maxAttempts, worker: WORKER_ID });
+
+  // Overall deadline for the job, covering every ffmpeg run it makes
+  const controller = new AbortController();
+  const leaseId = started.lease.id;
+  activeJobs.set(taskId, {
+    controller,
+    leaseId,
+    attempt: task.attempts[task.attempts.length - 1].number,
+    startedAt: new Date(),
+    renewedAt: Date.now(),
+  });
+  const timer = setTimeout(
+    () => controller.abort(new ProcessingTimeoutError(config.worker.timeoutMs)),
+    config.worker.timeoutMs
+  );
+
+  let leaseLost = false;
+  try {
+    // ffmpeg reads a local copy; the local driver hands out the stored file itself
+    const { inputPath, captionFiles } = await runStage('probing', { label: 'Probing source' }, async () => {
+      const localPath = await getStorage().fetchToFile(
+        task.input_file,
+        path.join(getWorkDir(taskId), `source${path.extname(task.input_file)}`)
+      );
+      // Caption files uploaded with the video, already WebVTT
+      const captionFiles = [];
+      for (const file of task.caption_files || []) {
+        captionFiles.push({
+          ...file,
+          path: await getStorage().fetchToFile(
+            file.path,
+            path.join(getWorkDir(taskId), 'captions', `${file.id}.vtt`)
+          ),
+        });
+      }
+      // Duration and streams were recorded when the upload completed; this only
+      // checks that the copy fetched from storage still decodes
+      await probe(localPath);
+      return { inputPath: localPath, captionFiles };
+    });
+    task = { ...task, input_file: inputPath, caption_files: captionFiles };
+
+    const result = await transcode(task, {
+      signal: controller.signal,
+      onProgress: createProgressReporter(job, taskId, leaseId),
+      runStage,
+      log,
+    });
+
+    const stored = await runStage('storing', { label: 'Storing outputs' }, async () => {
+      const media = summarize(await probe(result.output_file));
+      const outputDir = getOutputDir(taskId);
+      const prefix = getOutputPrefix(taskId);
+      // The prefix is shared by every run of the task; only the one holding the
+      // lease may touch it. Renewing also keeps the lease from running out
+      // mid-upload, and the heartbeat stops the upload if it is lost after all.
+      if (!(await taskService.renewLease(taskId, leaseId))) throw await getStopError(taskId);
+      // Outputs of an earlier attempt are replaced, not merged
+      await getStorage().deletePrefix(prefix);
+      await putDirectory(outputDir, prefix, { move: true, signal: controller.signal });
+
+      const keys = toStorageKeys(result, outputDir, prefix);
+      const completed = await taskService.completeTask(
+        taskId,
+        { ...keys, duration: media.duration },
+        { leaseId }
+      );
+      // Cancelled after the last ffmpeg run finished, or the lease was lost
+      if (!completed) throw await getStopError(taskId);
+      return keys;
+    });
+    logger.info('Task completed', { task_id: taskId, output_file: stored.output_file });
+    return { output_file: stored.output_file };
+  } catch (err) {
+    if (err instanceof LeaseLostError || controller.signal.reason instanceof LeaseLostError) {
+      // The task now belongs to the run the reaper queued; leave it and its files alone
+      leaseLost = true;
+      await log('Lease lost; attempt abandoned', { level: 'warn' });
+      logger.warn('Task lease lost while processing', { task_id: taskId });
+      return { lease_lost: true };
+    }
+    if (err instanceof TaskCancelledError || controller.signal.reason instanceof TaskCancelledError) {
+      await removeOutputs(taskId);
+      await log('Cancelled; partial outputs removed', { level: 'warn' });
+      logger.info('Task cancelled while processing', { task_id: taskId });
+      // Finish the job normally so Bull does not retry it
+      return { cancelled: true };
+    }
+
+    const error = classifyError(err);
+    // Errors another attempt cannot fix skip the remaining attempts
+    const willRetry = error.retryable && attempt < maxAttempts;
+    logger.error('Task processing failed', {
+      task_id: taskId,
+      attempt,
+      will_retry: willRetry,
+      error_code: error.code,
+      error: err.message,
+      stderr: err.stderr,
+    });
+
+    await log(
+      willRetry
+        ? `Attempt failed (${error.code}), retrying`
+        : `Attempt failed (${error.code}), giving up`,
+      { level: 'error', data: { error_code: error.code } }
+    );
+    if (!willRetry) job.discard();
+    const failed = await taskService.failTask(taskId, error, { willRetry, leaseId });
+    if (!failed) {
+      // Cancelled or given away meanwhile; another run of this job would find nothing to do
+      job.discard();
+    } else if (!willRetry) {
+      await removeOutputs(taskId);
+      await addDeadLetter(failed, { error, jobAttempts: attempt }).catch((dlqErr) => {
+        logger.error('Failed to move task to dead-letter queue', { task_id: taskId, error: dlqErr.message });
+      });
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+    activeJobs.delete(taskId);
+    // The work dir is per task, so after losing the lease it may be the new run's
+    if (!leaseLost) await fs.rm(getWorkDir(taskId), { recursive: true, force: true }).catch(() => {});
+  }
+};
+
+module.exports = { processVideoJob, listenForCancellations, startHeartbeat };
@@ -0,0 +1,69 @@
+const logger = require('../utils/logger');
+const taskLogService = require('../services/taskLogService');
+
+/**
+ * Write an attempt's stage events to the task log. Logging is best effort: a
+ * failed write is reported but never fails the job.
+ * @param {string} taskId - Task ID
+ * @param {number} attempt - Attempt number, see Task.attempts
+ * @returns {{ runStage: Function, log: Function }}
+ */
+const createStageRecorder = (taskId, attempt) => {
+  const record = async (entry) => {
+    try {
+      await taskLogService.recordLog(taskId, { attempt, ...entry });
+    } catch (err) {
+      logger.warn('Failed to record task log entry', { task_id: taskId, error: err.message });
+    }
+  };
+
+  /**
+   * Run one stage, recording when it starts and how it ends
+   * @param {string} stage - One of TaskLog.STAGES
+   * @param {Object} info
+   * @param {string} info.label - What the stage does, e.g. "Transcoding mp4 720p (1 of 3)"
+   * @param {Object} [info.data] - Extra fields stored on the entries
+   * @param {Function} fn - Stage body
+   * @returns {Promise<*>} - What `fn` returns
+   */
+  const runStage = async (stage, { label, data = null }, fn) => {
+    const startedAt = Date.now();
+    await record({ event: 'stage_started', stage, message: label, data });
+    try {
+      const result = await fn();
+      await record({
+        event: 'stage_completed',
+        stage,
+        message: `${label} done`,
+        duration_ms: Date.now() - startedAt,
+        data,
+      });
+      return result;
+    } catch (err) {
+      await record({
+        event: 'stage_failed',
+        stage,
+        level: 'error',
+        message: `${label} failed: ${err.message}`,
+        duration_ms: Date.now() - startedAt,
+        data,
+      });
+      throw err;
+    }
+  };
+
+  /**
+   * Record a free-form line
+   * @param {string} message - Log line
+   * @param {Object} [options]
+   * @param {string} [options.stage] - Stage the line belongs to
+   * @param {string} [options.level=info] - info, warn or error
+   * @param {Object} [options.data] - Extra fields
+   */
+  const log = (message, { stage = null, level = 'info', data = null } = {}) =>
+    record({ event: 'message', stage, level, message, data });
+
+  return { runStage, log };
+};
+
+module.exports = { createStageRecorder };
@@ -0,0 +1,162 @@
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const { runFfmpeg } = require('./ffmpegRunner');
+
+const THUMBNAIL_WIDTH = 320;
+const TILE_WIDTH = 160;
+const SPRITE_COLUMNS = 5;
+const SPRITE_FILE = 'sprite.jpg';
+const VTT_FILE = 'sprite.vtt';
+
+/**
+ * Round down to an even number (JPEG encoders and CSS scaling behave better)
+ * @param {number} value
+ * @returns {number}
+ */
+const even = (value) => Math.max(2, Math.floor(value / 2) * 2);
+
+/**
+ * Format seconds as a WebVTT timestamp (HH:MM:SS.mmm)
+ * @param {number} seconds
+ * @returns {string}
+ */
+const toVttTime = (seconds) => {
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(ms, 3)}`;
+};
+
+/**
+ * WebVTT thumbnail track mapping each slice of the timeline to a sprite tile
+ * @param {Object[]} tiles - [{ start, end, x, y }]
+ * @param {number} tileWidth
+ * @param {number} tileHeight
+ * @returns {string}
+ */
+const buildVtt = (tiles, tileWidth, tileHeight) =>
+  [
+    'WEBVTT',
+    ...tiles.map(
+      (tile) =>
+        `${toVttTime(tile.start)} --> ${toVttTime(tile.end)}\n` +
+        `${SPRITE_FILE}#xywh=${tile.x},${tile.y},${tileWidth},${tileHeight}`
+    ),
+  ].join('\n\n') + '\n';
+
+/**
+ * Extract `count` evenly spaced frames and build thumbnails, a sprite sheet
+ * and its WebVTT track:
+ *   {outputDir}/thumb_01.jpg ... thumb_NN.jpg   (THUMBNAIL_WIDTH wide)
+ *   {outputDir}/sprite.jpg                      (TILE_WIDTH wide tiles, SPRITE_COLUMNS per row)
+ *   {outputDir}/sprite.vtt
+ * Times in the result are on the output timeline, i.e. after trimming.
+ * @param {Object} task - Task JSON
+ * @param {Object} options
+ * @param {string} options.outputDir - Directory receiving the images
+ * @param {number} options.count - Number of frames
+ * @param {number} options.duration - Output duration in seconds
+ * @param {Function} [options.onProgress] - Called with a 0-1 fraction
+ * @param {AbortSignal} [options.signal] - Aborts ffmpeg
+ * @returns {Promise<Object>} - { poster, images: [{ time, path, width, height }], sprite }
+ */
+const generateThumbnails = async (task, { outputDir, count, duration, onProgress, signal }) => {
+  await fs.mkdir(outputDir, { recursive: true });
+
+  const offset = task.settings.trim_start || 0;
+  const slice = duration / count;
+  const video = task.media && task.media.video;
+  const aspect = video && video.width && video.height ? video.height / video.width : 9 / 16;
+  const thumbnailHeight = even(THUMBNAIL_WIDTH * aspect);
+  const tileHeight = even(TILE_WIDTH * aspect);
+
+  const images = [];
+  for (let index = 0; index < count; index += 1) {
+    // Middle of each slice, so the first frame is not a black lead-in
+    const time = slice * (index + 0.5);
+    const framePath = path.join(outputDir, `frame_${index}.png`);
+    await runFfmpeg({
+      input: task.input_file,
+      output: framePath,
+      inputOptions: [`-ss ${(offset + time).toFixed(3)}`],
+      outputOptions: ['-frames:v 1'],
+      signal,
+    });
+
+    const imagePath = path.join(outputDir, `thumb_${String(index + 1).padStart(2, '0')}.jpg`);
+    await sharp(framePath)
+      .resize(THUMBNAIL_WIDTH, thumbnailHeight, { fit: 'cover' })
+      .jpeg({ quality: 80 })
+      .toFile(imagePath);
+    images.push({ time, path: imagePath, frame: framePath });
+
+    if (onProgress) onProgress((index + 1) / (count + 1));
+  }
+
+  const columns = Math.min(SPRITE_COLUMNS, count);
+  const rows = Math.ceil(count / columns);
+  const tiles = await Promise.all(
+    images.map(async (image, index) => ({
+      input: await sharp(image.frame).resize(TILE_WIDTH, tileHeight, { fit: 'cover' }).toBuffer(),
+      left: (index % columns) * TILE_WIDTH,
+      top: Math.floor(index / columns) * tileHeight,
+    }))
+  );
+
+  const spritePath = path.join(outputDir, SPRITE_FILE);
+  await sharp({
+    create: {
+      width: columns * TILE_WIDTH,
+      height: rows * tileHeight,
+      channels: 3,
+      background: '#000000',
+    },
+  })
+    .composite(tiles)
+    .jpeg({ quality: 75 })
+    .toFile(spritePath);
+
+  const vttPath = path.join(outputDir, VTT_FILE);
+  await fs.writeFile(
+    vttPath,
+    buildVtt(
+      tiles.map((tile, index) => ({
+        start: index * slice,
+        end: (index + 1) * slice,
+        x: tile.left,
+        y: tile.top,
+      })),
+      TILE_WIDTH,
+      tileHeight
+    )
+  );
+
+  await Promise.all(images.map((image) => fs.rm(image.frame, { force: true })));
+  if (onProgress) onProgress(1);
+
+  return {
+    poster: images[0].path,
+    images: images.map((image) => ({
+      time: Math.round(image.time * 1000) / 1000,
+      path: image.path,
+      width: THUMBNAIL_WIDTH,
+      height: thumbnailHeight,
+    })),
+    sprite: {
+      path: spritePath,
+      vtt: vttPath,
+      columns,
+      rows,
+      count,
+      tile_width: TILE_WIDTH,
+      tile_height: tileHeight,
+      interval: Math.round(slice * 1000) / 1000,
+    },
+  };
+};
+
+module.exports = { generateThumbnails, buildVtt, toVttTime };
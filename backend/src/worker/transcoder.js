@@ -0,0 +1,352 @@
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getOutputDir } = require('../utils/taskPaths');
+const { runFfmpeg } = require('./ffmpegRunner');
+const { packageHls, addSubtitleRenditions } = require('./hlsPackager');
+const { generateThumbnails } = require('./thumbnailGenerator');
+const { extractAudio } = require('./audioExtractor');
+const { buildCaptions } = require('./captionBuilder');
+
+/**
+ * Encoder settings per output container. `crf` and `preset` are indexed by
+ * the quality preset chosen at upload time.
+ */
+const ENCODERS = {
+  mp4: {
+    crf: { low: 28, medium: 23, high: 18 },
+    preset: { low: 'veryfast', medium: 'medium', high: 'slow' },
+    options: (quality, encoder) => [
+      '-c:v libx264',
+      `-preset ${encoder.preset[quality]}`,
+      `-crf ${encoder.crf[quality]}`,
+      '-pix_fmt yuv420p',
+      '-c:a aac',
+      '-b:a 128k',
+      '-movflags +faststart',
+    ],
+  },
+  webm: {
+    crf: { low: 40, medium: 33, high: 28 },
+    preset: { low: 5, medium: 3, high: 1 },
+    options: (quality, encoder) => [
+      '-c:v libvpx-vp9',
+      `-crf ${encoder.crf[quality]}`,
+      '-b:v 0',
+      '-deadline good',
+      `-cpu-used ${encoder.preset[quality]}`,
+      '-row-mt 1',
+      '-c:a libopus',
+      '-b:a 128k',
+    ],
+  },
+};
+
+// Settings the worker cannot turn into outputs; retrying with them fails again
+class InvalidSettingsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidSettingsError';
+  }
+}
+
+/**
+ * Seconds of video the outputs will contain once trimming is applied
+ * @param {Object} task - Task JSON
+ * @returns {number|null}
+ */
+const getOutputDuration = (task) => {
+  const { trim_start: trimStart, trim_end: trimEnd } = task.settings;
+  const end = trimEnd !== null && trimEnd !== undefined ? trimEnd : task.duration;
+  if (!end) return null;
+  return Math.max(end - (trimStart || 0), 0);
+};
+
+/**
+ * Whether the task asked for HLS and HLS streaming is enabled
+ * @param {Object} task - Task JSON
+ * @returns {boolean}
+ */
+const shouldPackageHls = (task) => {
+  if (!task.settings.output_formats.includes('hls')) return false;
+  if (!config.processing.enableHls) {
+    logger.warn('Skipping HLS output, ENABLE_HLS_STREAMING is off', { task_id: task.id });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Whether the task asked for its audio track and the source has one
+ * @param {Object} task - Task JSON
+ * @param {Function} log - Records a log line
+ * @returns {boolean}
+ */
+const shouldExtractAudio = (task, log) => {
+  if (!task.settings.extract_audio) return false;
+  if (task.media && !task.media.audio) {
+    log('Skipping audio extraction, the video has no audio track', { stage: 'audio', level: 'warn' });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Whether there are caption tracks to build and captions are enabled
+ * @param {Object} task - Task JSON
+ * @returns {boolean}
+ */
+const shouldBuildCaptions = (task) => {
+  const subtitles = (task.media && task.media.subtitles) || [];
+  if ((task.caption_files || []).length === 0 && subtitles.length === 0) return false;
+  if (!config.processing.enableSubtitles) {
+    logger.warn('Skipping captions, ENABLE_SUBTITLES is off', { task_id: task.id });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Number of thumbnails to extract; 0 when disabled or the duration is unknown
+ * @param {Object} task - Task JSON
+ * @param {number|null} duration - Output duration in seconds
+ * @returns {number}
+ */
+const getThumbnailCount = (task, duration) => {
+  if (!config.processing.enableThumbnails || !duration) return 0;
+  const count = task.settings.thumbnail_count;
+  return Number.isInteger(count) ? count : config.processing.thumbnailCount;
+};
+
+/**
+ * Total size of the files in a directory (not recursive)
+ * @param {string} dir - Directory
+ * @returns {Promise<number>}
+ */
+const getDirectorySize = async (dir) => {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const sizes = await Promise.all(
+    entries.filter((entry) => entry.isFile()).map(async (entry) => (await fs.stat(path.join(dir, entry.name))).size)
+  );
+  return sizes.reduce((total, size) => total + size, 0);
+};
+
+/**
+ * Work out which single-file outputs to produce: every requested format at every requested
+ * resolution the source can fill. Sources smaller than all requested
+ * resolutions are encoded once at their own height rather than upscaled.
+ * @param {Object} task - Task JSON
+ * @returns {Object[]} - [{ format, resolution, height, path }]
+ * @throws {InvalidSettingsError} - No resolutions were requested and the source height is unknown
+ */
+const planOutputs = (task) => {
+  const { settings } = task;
+  const sourceHeight = task.media && task.media.video ? task.media.video.height : null;
+
+  const formats = settings.output_formats.filter((format) => {
+    // HLS has its own ladder, see hlsPackager
+    if (format === 'hls') return false;
+    if (ENCODERS[format]) return true;
+    logger.warn('Skipping output format without a transcoder', { task_id: task.id, format });
+    return false;
+  });
+
+  const requested = settings.resolutions
+    .map((resolution) => ({ resolution, height: parseInt(resolution, 10) }))
+    .sort((a, b) => a.height - b.height);
+  let renditions = sourceHeight ? requested.filter((r) => r.height <= sourceHeight) : requested;
+  if (renditions.length === 0) {
+    if (!sourceHeight) throw new InvalidSettingsError('No resolution requested and the source height is unknown');
+    // Even height keeps yuv420p encoders happy
+    const height = sourceHeight - (sourceHeight % 2);
+    renditions = [{ resolution: `${height}p`, height }];
+  }
+
+  const outputDir = getOutputDir(task.id);
+  return formats.flatMap((format) =>
+    renditions.map(({ resolution, height }) => ({
+      format,
+      resolution,
+      height,
+      path: path.join(outputDir, `${resolution}.${format}`),
+    }))
+  );
+};
+
+// Stage hooks used when the caller does not record stages
+const runStageDirectly = (stage, info, fn) => fn();
+const ignoreLog = () => {};
+
+/**
+ * Transcode a task's source file according to its settings
+ * @param {Object} task - Task JSON
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with overall progress, 0-100
+ * @param {AbortSignal} [options.signal] - Aborts the running ffmpeg process
+ * @param {Function} [options.runStage] - Wraps each step, see worker/stageRecorder
+ * @param {Function} [options.log] - Records a log line, see worker/stageRecorder
+ * @returns {Promise<Object>} - { output_file, outputs, hls, thumbnails, audio, captions }
+ */
+const transcode = async (
+  task,
+  { onProgress, signal, runStage = runStageDirectly, log = ignoreLog } = {}
+) => {
+  const plan = planOutputs(task);
+  const withHls = shouldPackageHls(task);
+  const duration = getOutputDuration(task);
+  const thumbnailCount = getThumbnailCount(task, duration);
+  const withAudio = shouldExtractAudio(task, log);
+  const withCaptions = shouldBuildCaptions(task);
+  const steps =
+    plan.length + (withHls ? 1 : 0) + (withAudio ? 1 : 0) + (thumbnailCount > 0 ? 1 : 0);
+  if (plan.length === 0 && !withHls) {
+    throw new Error('None of the requested output formats can be produced');
+  }
+
+  // Start every attempt from a clean directory so retries never pick up partial files
+  const outputDir = getOutputDir(task.id);
+  await fs.rm(outputDir, { recursive: true, force: true });
+  await fs.mkdir(outputDir, { recursive: true });
+
+  const { quality, trim_start: trimStart } = task.settings;
+  const inputOptions = trimStart ? [`-ss ${trimStart}`] : [];
+  const durationOptions = duration && task.settings.trim_end !== null ? [`-t ${duration}`] : [];
+
+  const outputs = [];
+  for (const [index, output] of plan.entries()) {
+    const encoder = ENCODERS[output.format];
+    const label = `Transcoding ${output.format} ${output.resolution} (${index + 1} of ${plan.length})`;
+    const stageData = { format: output.format, resolution: output.resolution };
+
+    const size = await runStage('transcoding', { label, data: stageData }, async () => {
+      await runFfmpeg({
+        input: task.input_file,
+        output: output.path,
+        inputOptions,
+        outputOptions: [
+          '-map 0:v:0',
+          '-map 0:a:0?',
+          `-vf scale=-2:${output.height}`,
+          ...encoder.options(quality, encoder),
+          ...durationOptions,
+        ],
+        duration,
+        signal,
+        onStart: (commandLine) => log(commandLine, { stage: 'transcoding', data: stageData }),
+        onProgress: (fraction) => {
+          if (onProgress) onProgress(((index + fraction) / steps) * 100);
+        },
+      });
+      return (await fs.stat(output.path)).size;
+    });
+
+    outputs.push({
+      format: output.format,
+      resolution: output.resolution,
+      path: output.path,
+      size,
+    });
+  }
+
+  // Text only, so quick enough not to count towards progress
+  let captions = [];
+  if (withCaptions) {
+    captions = await runStage('captions', { label: 'Building caption tracks' }, () =>
+      buildCaptions(task, {
+        outputDir: path.join(outputDir, 'captions'),
+        duration,
+        signal,
+        onStart: (commandLine) => log(commandLine, { stage: 'captions' }),
+        log,
+      })
+    );
+    for (const caption of captions) {
+      caption.size = (await fs.stat(caption.path)).size;
+    }
+  }
+
+  let hls = null;
+  if (withHls) {
+    hls = await runStage('packaging', { label: 'Packaging HLS' }, () =>
+      packageHls(task, {
+        outputDir: path.join(outputDir, 'hls'),
+        inputOptions,
+        durationOptions,
+        duration,
+        signal,
+        onStart: (commandLine) => log(commandLine, { stage: 'packaging' }),
+        onProgress: (fraction) => {
+          if (onProgress) onProgress(((plan.length + fraction) / steps) * 100);
+        },
+      })
+    );
+
+    hls = await addSubtitleRenditions(hls, captions, { outputDir: path.join(outputDir, 'hls'), duration });
+
+    for (const rendition of hls.renditions) {
+      outputs.push({
+        format: 'hls',
+        resolution: rendition.resolution,
+        path: rendition.playlist,
+        size: await getDirectorySize(path.dirname(rendition.playlist)),
+      });
+    }
+  }
+
+  let audio = null;
+  if (withAudio) {
+    const completedSteps = plan.length + (withHls ? 1 : 0);
+    audio = await runStage(
+      'audio',
+      { label: `Extracting audio (${task.settings.audio_format})`, data: { format: task.settings.audio_format } },
+      async () => {
+        const track = await extractAudio(task, {
+          outputDir,
+          inputOptions,
+          durationOptions,
+          duration,
+          signal,
+          onStart: (commandLine) => log(commandLine, { stage: 'audio' }),
+          onProgress: (fraction) => {
+            if (onProgress) onProgress(((completedSteps + fraction) / steps) * 100);
+          },
+        });
+        return { ...track, size: (await fs.stat(track.path)).size };
+      }
+    );
+  }
+
+  let thumbnails = null;
+  if (thumbnailCount > 0) {
+    const completedSteps = steps - 1;
+    thumbnails = await runStage(
+      'thumbnails',
+      { label: `Generating ${thumbnailCount} thumbnails and sprite sheet` },
+      () =>
+        generateThumbnails(task, {
+          outputDir: path.join(outputDir, 'thumbnails'),
+          count: thumbnailCount,
+          duration,
+          signal,
+          onProgress: (fraction) => {
+            if (onProgress) onProgress(((completedSteps + fraction) / steps) * 100);
+          },
+        })
+    );
+  }
+
+  // The highest resolution of the first file format is the primary output,
+  // or the master playlist when only HLS was requested
+  const files = outputs.filter((output) => output.format === plan[0]?.format);
+  const primary =
+    files.length > 0
+      ? files.reduce((best, output) =>
+          parseInt(output.resolution, 10) > parseInt(best.resolution, 10) ? output : best
+        ).path
+      : hls.master_playlist;
+
+  return { output_file: primary, outputs, hls, thumbnails, audio, captions };
+};
+
+module.exports = { transcode, planOutputs, getOutputDuration, InvalidSettingsError };
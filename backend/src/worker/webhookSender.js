@@ -0,0 +1,17 @@
+const webhookService = require('../services/webhookService');
+
+/**
+ * Bull processor for the webhook queue: one attempt at sending a delivery.
+ * A failed attempt rejects, and Bull schedules the next one (see queue/webhookQueue).
+ * @param {import('bull').Job} job - Job with { delivery_id }
+ * @returns {Promise<Object|null>}
+ */
+const processWebhookJob = (job) => {
+  const number = job.attemptsMade + 1;
+  return webhookService.sendDelivery(job.data.delivery_id, {
+    number,
+    isLast: number >= job.opts.attempts,
+  });
+};
+
+module.exports = { processWebhookJob };
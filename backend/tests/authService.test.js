@@ -0,0 +1,249 @@
+const jwt = require('jsonwebtoken');
+const User = require('../src/models/User');
+const RefreshToken = require('../src/models/RefreshToken');
+const { matches } = require('../src/repositories/queryMatcher');
+const { setTaskRepository, createMemoryTaskRepository, getTaskRepository } = require('../src/repositories');
+const authService = require('../src/services/authService');
+const taskService = require('../src/services/taskService');
+const { hashPassword } = require('../src/utils/password');
+const { getStreamUser, getTaskScope } = require('../src/middleware/auth');
+const { taskFields } = require('./helpers');
+
+const PASSWORD = 'correct horse battery';
+
+/**
+ * Keep users and refresh tokens in memory instead of MongoDB
+ * @param {Object[]} users - User fields, with id
+ * @returns {Object[]} - Stored refresh token records
+ */
+const memoryAccounts = (users) => {
+  const toDocument = (fields) => ({
+    ...fields,
+    toJSON: () => ({ id: fields.id, email: fields.email, role: fields.role }),
+    save: async () => {},
+  });
+  const findUser = async (filter) => {
+    const user = users.find((candidate) => matches({ ...candidate, _id: candidate.id }, filter));
+    return user ? toDocument(user) : null;
+  };
+  jest.spyOn(User, 'findOne').mockImplementation(findUser);
+  jest.spyOn(User, 'findById').mockImplementation((id) => findUser({ _id: id }));
+
+  const tokens = [];
+  const apply = (record, update) => Object.assign(record, update.$set || update);
+  jest.spyOn(RefreshToken, 'create').mockImplementation(async (fields) => {
+    const record = { revoked_at: null, replaced_by: null, ...fields };
+    tokens.push(record);
+    return record;
+  });
+  jest
+    .spyOn(RefreshToken, 'findById')
+    .mockImplementation(async (id) => tokens.find((record) => record._id === id) || null);
+  jest.spyOn(RefreshToken, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const record = tokens.find((candidate) => matches(candidate, filter));
+    return record ? apply(record, update) : null;
+  });
+  jest.spyOn(RefreshToken, 'updateOne').mockImplementation(async (filter, update) => {
+    const record = tokens.find((candidate) => matches(candidate, filter));
+    if (record) apply(record, update);
+  });
+  jest.spyOn(RefreshToken, 'updateMany').mockImplementation(async (filter, update) => {
+    tokens.filter((candidate) => matches(candidate, filter)).forEach((record) => apply(record, update));
+  });
+  return tokens;
+};
+
+describe('authentication', () => {
+  let users;
+  let tokens;
+
+  beforeAll(async () => {
+    const passwordHash = await hashPassword(PASSWORD);
+    users = [
+      { id: 'alice', email: 'alice@example.com', role: 'user', password_hash: passwordHash },
+      { id: 'root', email: 'root@example.com', role: 'admin', password_hash: passwordHash },
+    ];
+  });
+
+  beforeEach(() => {
+    tokens = memoryAccounts(users);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const login = () => authService.login({ email: 'Alice@example.com ', password: PASSWORD });
+
+  describe('sign-in', () => {
+    it('issues an access token carrying the user', async () => {
+      const session = await login();
+      expect(session).toMatchObject({ token_type: 'Bearer', user: { id: 'alice' } });
+      expect(session).not.toHaveProperty('jti');
+      expect(authService.verifyAccessToken(session.access_token)).toEqual({
+        id: 'alice',
+        role: 'user',
+        email: 'alice@example.com',
+      });
+    });
+
+    it('gives the same answer for unknown accounts and wrong passwords', async () => {
+      const refused = { code: 'INVALID_CREDENTIALS', statusCode: 401 };
+      const attempt = (email, password) => authService.login({ email, password });
+      await expect(attempt('alice@example.com', 'wrong')).rejects.toMatchObject(refused);
+      await expect(attempt('nobody@example.com', PASSWORD)).rejects.toMatchObject(refused);
+    });
+  });
+
+  describe('refresh token rotation', () => {
+    it('replaces the refresh token on every use', async () => {
+      const first = await login();
+      const second = await authService.refresh(first.refresh_token);
+
+      expect(second.refresh_token).not.toBe(first.refresh_token);
+      expect(authService.verifyAccessToken(second.access_token).id).toBe('alice');
+      const [used, issued] = tokens;
+      expect(used).toMatchObject({ replaced_by: issued._id, revoked_at: expect.any(Date) });
+      expect(issued).toMatchObject({ family: used.family, revoked_at: null });
+
+      await expect(authService.refresh(second.refresh_token)).resolves.toHaveProperty('access_token');
+    });
+
+    it('revokes the whole login when a replaced token is used again', async () => {
+      const first = await login();
+      const second = await authService.refresh(first.refresh_token);
+
+      await expect(authService.refresh(first.refresh_token)).rejects.toMatchObject({
+        code: 'INVALID_REFRESH_TOKEN',
+      });
+      // The legitimate holder's token went with it
+      await expect(authService.refresh(second.refresh_token)).rejects.toMatchObject({
+        code: 'INVALID_REFRESH_TOKEN',
+      });
+      expect(tokens.every((record) => record.revoked_at)).toBe(true);
+    });
+
+    it('leaves other logins alone', async () => {
+      const stolen = await login();
+      const other = await login();
+      await authService.refresh(stolen.refresh_token);
+      await expect(authService.refresh(stolen.refresh_token)).rejects.toThrow();
+
+      await expect(authService.refresh(other.refresh_token)).resolves.toHaveProperty('refresh_token');
+    });
+
+    it('lets only one of two concurrent refreshes through', async () => {
+      const session = await login();
+      const results = await Promise.allSettled([
+        authService.refresh(session.refresh_token),
+        authService.refresh(session.refresh_token),
+      ]);
+      expect(results.map((result) => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    });
+
+    it('ends the login on logout', async () => {
+      const session = await login();
+      await authService.logout(session.refresh_token);
+      await expect(authService.refresh(session.refresh_token)).rejects.toMatchObject({
+        code: 'INVALID_REFRESH_TOKEN',
+      });
+      // Unknown tokens are ignored
+      await expect(authService.logout('not-a-token')).resolves.toBeUndefined();
+    });
+
+    it('does not take access tokens as refresh tokens or the other way round', async () => {
+      const session = await login();
+      await expect(authService.refresh(session.access_token)).rejects.toMatchObject({
+        code: 'INVALID_REFRESH_TOKEN',
+      });
+      expect(() => authService.verifyAccessToken(session.refresh_token)).toThrow(
+        expect.objectContaining({ code: 'INVALID_TOKEN' })
+      );
+    });
+  });
+
+  describe('stream tickets', () => {
+    const user = { id: 'alice', role: 'user', email: 'alice@example.com' };
+    const request = (url, headers = {}) => ({ url, headers });
+
+    it('are accepted by the stream endpoints', () => {
+      const { ticket, expires_in: expiresIn } = authService.issueStreamTicket(user);
+      expect(expiresIn).toBe(60);
+      expect(authService.verifyStreamTicket(ticket)).toEqual(user);
+      expect(getStreamUser(request(`/api/tasks/events?ticket=${ticket}`))).toEqual(user);
+    });
+
+    it('are not access tokens, and access tokens are not tickets', async () => {
+      const { ticket } = authService.issueStreamTicket(user);
+      const { access_token: accessToken } = await login();
+
+      expect(() => authService.verifyAccessToken(ticket)).toThrow(expect.objectContaining({ code: 'INVALID_TOKEN' }));
+      expect(() => authService.verifyStreamTicket(accessToken)).toThrow(
+        expect.objectContaining({ code: 'INVALID_TICKET' })
+      );
+      expect(() => getStreamUser(request(`/api/tasks/events?ticket=${accessToken}`))).toThrow(
+        expect.objectContaining({ code: 'INVALID_TICKET' })
+      );
+      // Access tokens only count in the Authorization header
+      expect(() => getStreamUser(request(`/api/tasks/events?token=${accessToken}`))).toThrow(
+        expect.objectContaining({ statusCode: 401 })
+      );
+      expect(getStreamUser(request('/api/tasks/events', { authorization: `Bearer ${accessToken}` }))).toEqual(user);
+    });
+
+    it('expire after a minute', () => {
+      jest.useFakeTimers({ now: new Date('2026-01-01T10:00:00Z') });
+      const { ticket } = authService.issueStreamTicket(user);
+      jest.setSystemTime(new Date('2026-01-01T10:01:01Z'));
+      expect(() => authService.verifyStreamTicket(ticket)).toThrow(
+        expect.objectContaining({ code: 'TICKET_EXPIRED' })
+      );
+    });
+
+    it('cannot be forged with another secret', () => {
+      const forged = jwt.sign({ role: 'admin', use: 'stream' }, 'guessed-secret', { subject: 'alice' });
+      expect(() => authService.verifyStreamTicket(forged)).toThrow(
+        expect.objectContaining({ code: 'INVALID_TICKET' })
+      );
+    });
+  });
+});
+
+describe('task scoping', () => {
+  let aliceTask;
+  let bobTask;
+
+  beforeEach(async () => {
+    setTaskRepository(createMemoryTaskRepository());
+    aliceTask = await getTaskRepository().create(taskFields({ user_id: 'alice' }));
+    bobTask = await getTaskRepository().create(taskFields({ user_id: 'bob' }));
+  });
+
+  afterAll(() => {
+    setTaskRepository(null);
+  });
+
+  it('limits users to their own tasks and lets admins see all', () => {
+    expect(getTaskScope({ id: 'alice', role: 'user' })).toEqual({ user_id: 'alice' });
+    expect(getTaskScope({ id: 'root', role: 'admin' })).toEqual({});
+  });
+
+  it('reports tasks of other users as not found', async () => {
+    const scope = getTaskScope({ id: 'alice', role: 'user' });
+    await expect(taskService.getTask(aliceTask.id, scope)).resolves.toMatchObject({ id: aliceTask.id });
+    await expect(taskService.getTask(bobTask.id, scope)).rejects.toMatchObject({ statusCode: 404 });
+    await expect(taskService.getTask(bobTask.id, getTaskScope({ id: 'root', role: 'admin' }))).resolves.toMatchObject(
+      { id: bobTask.id }
+    );
+  });
+
+  it('lists and counts only the caller’s tasks', async () => {
+    const page = await taskService.listTasks({}, getTaskScope({ id: 'alice', role: 'user' }));
+    expect(page.data.map((task) => task.id)).toEqual([aliceTask.id]);
+    expect(page).toMatchObject({ total: 1, counts: expect.objectContaining({ pending: 1 }) });
+
+    const all = await taskService.listTasks({}, getTaskScope({ id: 'root', role: 'admin' }));
+    expect(all.total).toBe(2);
+  });
+});
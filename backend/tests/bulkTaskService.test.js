@@ -0,0 +1,230 @@
+jest.mock('../src/queue/videoQueue', () => ({
+  enqueueTask: jest.fn(async () => {}),
+  removeQueuedJob: jest.fn(async () => {}),
+  removeUnlockedJob: jest.fn(async () => true),
+}));
+jest.mock('../src/queue/deadLetterQueue', () => ({
+  addDeadLetter: jest.fn(async () => {}),
+  removeDeadLetter: jest.fn(async () => {}),
+}));
+jest.mock('../src/events/taskEvents', () => ({
+  ...jest.requireActual('../src/events/taskEvents'),
+  publishTaskEvent: jest.fn(async () => {}),
+}));
+jest.mock('../src/services/taskLogService', () => ({
+  ...jest.requireActual('../src/services/taskLogService'),
+  recordLog: jest.fn(async () => {}),
+}));
+jest.mock('../src/services/webhookService', () => ({ notifyTaskEvent: jest.fn(async () => []) }));
+jest.mock('../src/services/retentionService', () => ({
+  ...jest.requireActual('../src/services/retentionService'),
+  refreshExpiry: jest.fn(async (task) => task),
+}));
+jest.mock('../src/services/schedulerService', () => ({
+  ...jest.requireActual('../src/services/schedulerService'),
+  requestDispatch: jest.fn(async () => {}),
+}));
+
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const config = require('../src/config');
+const createApp = require('../src/app');
+const User = require('../src/models/User');
+const { setTaskRepository, createMemoryTaskRepository, getTaskRepository } = require('../src/repositories');
+const taskService = require('../src/services/taskService');
+const bulkTaskService = require('../src/services/bulkTaskService');
+const { parseTaskQuery } = require('../src/validators/taskQuery');
+const { taskFields } = require('./helpers');
+
+const ALICE = { user_id: 'alice' };
+
+/**
+ * Store tasks for alice
+ * @param {number} count
+ * @param {Object} [fields]
+ * @returns {Promise<Object[]>} - Task JSON
+ */
+const createTasks = async (count, fields = {}) => {
+  const tasks = [];
+  for (let i = 0; i < count; i += 1) {
+    tasks.push(await getTaskRepository().create(taskFields({ user_id: 'alice', name: `clip-${i}.mp4`, ...fields })));
+  }
+  return tasks;
+};
+
+describe('bulk task actions', () => {
+  beforeEach(() => {
+    setTaskRepository(createMemoryTaskRepository());
+    // Retrying checks the owner's quotas
+    jest.spyOn(User, 'findById').mockImplementation(async (id) => ({ id, role: 'user', quotas: {} }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    setTaskRepository(null);
+  });
+
+  describe('explicit selections', () => {
+    it('report a result per task, in the order given', async () => {
+      const [pending] = await createTasks(1);
+      const [completed] = await createTasks(1, { status: 'completed' });
+      const [bobs] = await createTasks(1, { user_id: 'bob' });
+
+      const result = await bulkTaskService.runBatch({
+        action: 'cancel',
+        taskIds: [completed.id, pending.id, 'missing', bobs.id, pending.id],
+        scope: ALICE,
+      });
+
+      expect(result).toEqual({
+        action: 'cancel',
+        total: 4,
+        succeeded: 1,
+        failed: 3,
+        results: [
+          {
+            task_id: completed.id,
+            ok: false,
+            error: { code: 'TASK_NOT_CANCELLABLE', message: 'Task is already completed and cannot be cancelled' },
+          },
+          { task_id: pending.id, ok: true, task: expect.objectContaining({ status: 'cancelled' }) },
+          { task_id: 'missing', ok: false, error: expect.objectContaining({ code: 'NOT_FOUND' }) },
+          // Tasks of other users look missing
+          { task_id: bobs.id, ok: false, error: expect.objectContaining({ code: 'NOT_FOUND' }) },
+        ],
+      });
+      expect(await getTaskRepository().findById(bobs.id)).toMatchObject({ status: 'pending' });
+    });
+
+    it('hide unexpected errors behind INTERNAL_ERROR and carry on', async () => {
+      const tasks = await createTasks(3);
+      const { cancelTask } = taskService;
+      jest.spyOn(taskService, 'cancelTask').mockImplementation(async (taskId) => {
+        if (taskId === tasks[1].id) throw new Error('connection reset');
+        return cancelTask(taskId);
+      });
+
+      const result = await bulkTaskService.runBatch({
+        action: 'cancel',
+        taskIds: tasks.map((task) => task.id),
+        scope: ALICE,
+      });
+
+      expect(result).toMatchObject({ succeeded: 2, failed: 1 });
+      expect(result.results[1]).toEqual({
+        task_id: tasks[1].id,
+        ok: false,
+        error: { code: 'INTERNAL_ERROR', message: 'Internal server error' },
+      });
+    });
+
+    const tooMany = Array.from({ length: bulkTaskService.MAX_BATCH_SIZE + 1 }, (_, i) => `task-${i}`);
+
+    it.each([
+      ['unknown actions', { action: 'archive', taskIds: ['task-1'] }, 'INVALID_BATCH'],
+      ['empty selections', { action: 'cancel', taskIds: [] }, 'INVALID_BATCH'],
+      ['more tasks than a batch takes', { action: 'cancel', taskIds: tooMany }, 'BATCH_TOO_LARGE'],
+    ])('reject %s', async (description, batch, code) => {
+      await expect(bulkTaskService.runBatch({ ...batch, scope: ALICE })).rejects.toMatchObject({ code });
+    });
+  });
+
+  describe('select all matching', () => {
+    it('resolves every page of the filter, minus the excluded tasks', async () => {
+      // More than one page of the list the filter is resolved with
+      const pending = await createTasks(105);
+      await createTasks(3, { status: 'completed' });
+      await createTasks(2, { user_id: 'bob' });
+      const excluded = [pending[0].id, pending[50].id];
+
+      const result = await bulkTaskService.runBatch({
+        action: 'cancel',
+        filter: parseTaskQuery({ status: 'pending', sort: 'name' }),
+        excludeIds: excluded,
+        scope: ALICE,
+      });
+
+      expect(result).toMatchObject({ total: 103, succeeded: 103, failed: 0 });
+      expect(result.results.map((entry) => entry.task_id).sort()).toEqual(
+        pending
+          .map((task) => task.id)
+          .filter((id) => !excluded.includes(id))
+          .sort()
+      );
+      expect(await getTaskRepository().count({ status: 'pending' })).toBe(4);
+    });
+
+    it('applies the rest of the query as the list does', async () => {
+      await createTasks(2, { status: 'failed', name: 'holiday.mp4' });
+      await createTasks(2, { status: 'failed', name: 'meeting.mp4' });
+
+      const result = await bulkTaskService.runBatch({
+        action: 'retry',
+        filter: parseTaskQuery({ status: 'failed', name: 'holiday' }),
+        scope: ALICE,
+      });
+
+      expect(result.results).toEqual([
+        expect.objectContaining({ ok: true, task: expect.objectContaining({ name: 'holiday.mp4', status: 'pending' }) }),
+        expect.objectContaining({ ok: true, task: expect.objectContaining({ name: 'holiday.mp4', status: 'pending' }) }),
+      ]);
+    });
+
+    it('refuses filters matching more than a batch', async () => {
+      await createTasks(bulkTaskService.MAX_BATCH_SIZE + 1);
+
+      await expect(
+        bulkTaskService.runBatch({ action: 'cancel', filter: parseTaskQuery({ status: 'pending' }), scope: ALICE })
+      ).rejects.toMatchObject({
+        code: 'BATCH_TOO_LARGE',
+        details: { max_batch_size: bulkTaskService.MAX_BATCH_SIZE },
+      });
+      expect(await getTaskRepository().count({ status: 'pending' })).toBe(bulkTaskService.MAX_BATCH_SIZE + 1);
+    });
+
+    it('fails when nothing matches', async () => {
+      await expect(
+        bulkTaskService.runBatch({ action: 'cancel', filter: parseTaskQuery({ status: 'failed' }), scope: ALICE })
+      ).rejects.toMatchObject({ code: 'INVALID_BATCH' });
+    });
+  });
+
+  describe('POST /api/tasks/batch', () => {
+    const token = jwt.sign({ role: 'user', email: 'alice@example.com' }, config.auth.accessTokenSecret, {
+      subject: 'alice',
+    });
+    const post = (body) =>
+      request(createApp()).post('/api/tasks/batch').set('Authorization', `Bearer ${token}`).send(body);
+
+    it('runs a filter selection for the signed-in user', async () => {
+      await createTasks(2);
+      await createTasks(1, { user_id: 'bob' });
+
+      const response = await post({ action: 'cancel', filter: { status: 'pending' } });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ action: 'cancel', total: 2, succeeded: 2 });
+    });
+
+    it.each([
+      ['an array as the filter', { action: 'cancel', filter: ['pending'] }],
+      ['a string as the filter', { action: 'cancel', filter: 'status=pending' }],
+      ['excluded IDs that are not a list', { action: 'cancel', filter: {}, exclude_ids: 'task-1' }],
+      ['task IDs that are not strings', { action: 'cancel', task_ids: [1, 2] }],
+      ['no selection', { action: 'cancel' }],
+    ])('rejects %s', async (description, body) => {
+      const response = await post(body);
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatchObject({ code: 'INVALID_BATCH' });
+    });
+
+    it('rejects filters the task list would reject', async () => {
+      const response = await post({ action: 'cancel', filter: { status: 'unknown' } });
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatchObject({ code: 'INVALID_QUERY' });
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const {
+  ERROR_CODES,
+  classifyError,
+  workerCrashError,
+  workerLostError,
+} = require('../src/utils/errorClassifier');
+
+/**
+ * Error as ffmpegRunner rejects with it
+ * @param {string} stderr - What ffmpeg wrote before exiting
+ * @param {string} [message]
+ * @returns {Error}
+ */
+const ffmpegError = (stderr, message = 'ffmpeg exited with code 1') =>
+  Object.assign(new Error(message), { stderr });
+
+describe('error classification', () => {
+  it.each([
+    [
+      'a truncated mp4',
+      '[mov,mp4,m4a,3gp,3g2,mj2 @ 0x55d0c8] moov atom not found\nsource.mp4: Invalid data found when processing input',
+      ERROR_CODES.CORRUPT_INPUT,
+      false,
+    ],
+    ['a damaged mkv', '[matroska,webm @ 0x5581] EBML header parsing failed', ERROR_CODES.CORRUPT_INPUT, false],
+    [
+      'undecodable frames',
+      '[h264 @ 0x7f] error while decoding MB 12 4, bytestream -7\nError while decoding stream #0:0: Invalid argument',
+      ERROR_CODES.CORRUPT_INPUT,
+      false,
+    ],
+    [
+      'an unknown decoder',
+      'Stream #0:0: Video: none (apcn / 0x6E637061)\nDecoder (codec none) not found for input stream #0:0',
+      ERROR_CODES.UNSUPPORTED_CODEC,
+      false,
+    ],
+    ['a missing encoder', "Unknown encoder 'libx265'", ERROR_CODES.UNSUPPORTED_CODEC, false],
+    ['a full disk', 'av_interleaved_write_frame(): No space left on device', ERROR_CODES.OUT_OF_DISK, true],
+    ['ffmpeg killed by the OOM killer', 'ffmpeg was killed with signal SIGKILL', ERROR_CODES.WORKER_CRASH, true],
+    ['a segfault', 'Segmentation fault (SIGSEGV)', ERROR_CODES.WORKER_CRASH, true],
+    ["ffmpeg's own timeout", 'Error: ffmpeg ran into a timeout (600s)', ERROR_CODES.TIMEOUT, true],
+    ['anything else', 'Conversion failed!', ERROR_CODES.PROCESSING_FAILED, true],
+  ])('classifies %s', (description, stderr, code, retryable) => {
+    expect(classifyError(ffmpegError(stderr))).toMatchObject({ code, retryable });
+  });
+
+  it('checks out of disk before corrupt input, since a failed write reads like both', () => {
+    const stderr = 'Error writing trailer: No space left on device\nmoov atom not found';
+    expect(classifyError(ffmpegError(stderr)).code).toBe(ERROR_CODES.OUT_OF_DISK);
+  });
+
+  it.each([
+    [
+      'ENOSPC from the file system',
+      Object.assign(new Error('write failed'), { code: 'ENOSPC' }),
+      ERROR_CODES.OUT_OF_DISK,
+    ],
+    [
+      'the job deadline',
+      Object.assign(new Error('Processing timed out after 3600000 ms'), { name: 'ProcessingTimeoutError' }),
+      ERROR_CODES.TIMEOUT,
+    ],
+    [
+      'settings the worker cannot plan',
+      Object.assign(new Error('No resolution requested'), { name: 'InvalidSettingsError' }),
+      ERROR_CODES.INVALID_SETTINGS,
+    ],
+    ['an error without stderr', new Error('connect ECONNREFUSED 127.0.0.1:9000'), ERROR_CODES.PROCESSING_FAILED],
+  ])('classifies %s', (description, err, code) => {
+    expect(classifyError(err).code).toBe(code);
+  });
+
+  it('gives users a hint and the message', () => {
+    const error = classifyError(ffmpegError('moov atom not found', 'ffmpeg exited with code 183'));
+    expect(error).toEqual({
+      code: ERROR_CODES.CORRUPT_INPUT,
+      message: 'ffmpeg exited with code 183',
+      retryable: false,
+      hint: expect.stringContaining('upload it again'),
+      log: 'moov atom not found',
+    });
+  });
+
+  it('keeps the end of the log without progress lines', () => {
+    const progress = 'frame=  120 fps= 30 q=28.0 size=    512kB time=00:00:04.00 bitrate=1048.6kbits/s speed=1x';
+    const lines = Array.from({ length: 30 }, (_, index) => `line ${index + 1}`);
+    const stderr = [...lines.slice(0, 20), progress, `${progress}\r${progress}`, ...lines.slice(20)].join('\n');
+
+    const { log } = classifyError(ffmpegError(stderr));
+
+    expect(log.split('\n')).toEqual(lines.slice(5));
+    expect(classifyError(new Error('no log')).log).toBeNull();
+  });
+
+  it('describes workers that went away', () => {
+    expect(workerCrashError()).toMatchObject({ code: ERROR_CODES.WORKER_CRASH, retryable: true, log: null });
+    expect(workerLostError('worker-a:1', '2026-01-01T10:00:00Z')).toMatchObject({
+      code: ERROR_CODES.WORKER_LOST,
+      retryable: true,
+      message: 'Worker worker-a:1 stopped sending heartbeats; its lease expired at 2026-01-01T10:00:00.000Z',
+    });
+    expect(workerLostError(null, null).message).toBe('Worker unknown stopped sending heartbeats');
+  });
+});
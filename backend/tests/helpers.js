@@ -0,0 +1,49 @@
+const { randomUUID } = require('crypto');
+const UploadRecord = require('../src/models/UploadRecord');
+const { matches } = require('../src/repositories/queryMatcher');
+const { validateProcessingSettings } = require('../src/validators/processingSettings');
+
+/**
+ * Fields of a new task as createTaskFromUpload stores them
+ * @param {Object} [overrides]
+ * @returns {Object}
+ */
+const taskFields = (overrides = {}) => {
+  const id = overrides._id || randomUUID();
+  return {
+    _id: id,
+    name: 'clip.mp4',
+    user_id: 'user-1',
+    input_file: `${id}/source.mp4`,
+    file_size: 1000,
+    duration: 60,
+    settings: validateProcessingSettings({}),
+    priority: 'normal',
+    ...overrides,
+  };
+};
+
+/**
+ * Keep UploadRecord documents in memory instead of MongoDB
+ * @returns {Object[]} - The stored records, for inspection
+ */
+const memoryUploadRecords = () => {
+  const records = [];
+  jest.spyOn(UploadRecord, 'create').mockImplementation(async (fields) => {
+    const record = new UploadRecord(fields).toObject();
+    record.created_at = record.created_at || new Date();
+    records.push(record);
+    return record;
+  });
+  jest.spyOn(UploadRecord, 'updateOne').mockImplementation(async (filter, { $set }) => {
+    const record = records.find((candidate) => matches(candidate, filter));
+    if (record) Object.assign(record, $set);
+    return { matchedCount: record ? 1 : 0 };
+  });
+  jest.spyOn(UploadRecord, 'find').mockImplementation((filter) => ({
+    select: () => ({ lean: async () => records.filter((record) => matches(record, filter)) }),
+  }));
+  return records;
+};
+
+module.exports = { taskFields, memoryUploadRecords };
@@ -0,0 +1,50 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalStorage } = require('../src/storage/localStorage');
+const { verifySignedParams } = require('../src/storage/urlSigner');
+
+const SECRET = 'signing-secret';
+
+describe('local storage keys', () => {
+  let root;
+  let storage;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+    storage = createLocalStorage({ root, signingSecret: SECRET });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('stores and reads objects by key below the root', async () => {
+    await storage.put('task-1/source.mp4', Buffer.from('video'));
+    expect(fs.readFileSync(path.join(root, 'task-1', 'source.mp4'), 'utf8')).toBe('video');
+    expect(await storage.stat('task-1/source.mp4')).toMatchObject({ size: 5 });
+    expect(await storage.list('task-1/')).toEqual([expect.objectContaining({ key: 'task-1/source.mp4' })]);
+  });
+
+  it.each(['/etc/passwd', '../outside.mp4', 'task-1/../../outside.mp4', ''])('rejects the key %p', async (key) => {
+    await expect(storage.fetchToFile(key)).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('rejects absolute paths even inside the root', async () => {
+    await storage.put('task-1/source.mp4', Buffer.from('video'));
+    await expect(storage.fetchToFile(path.join(root, 'task-1', 'source.mp4'))).rejects.toMatchObject({
+      statusCode: 404,
+    });
+    expect(await storage.stat(path.join(root, 'task-1', 'source.mp4'))).toBeNull();
+  });
+
+  it('signs URLs for the normalised key', async () => {
+    const url = new URL(await storage.getSignedUrl('task-1//output/720p.mp4', { expiresIn: 60 }), 'http://x');
+    expect(url.pathname).toBe('/api/files/task-1/output/720p.mp4');
+
+    const query = Object.fromEntries(url.searchParams);
+    expect(verifySignedParams(SECRET, 'task-1/output/720p.mp4', query)).toBe('valid');
+    expect(verifySignedParams(SECRET, 'task-2/output/720p.mp4', query)).toBe('invalid');
+    expect(verifySignedParams('other-secret', 'task-1/output/720p.mp4', query)).toBe('invalid');
+  });
+});
@@ -0,0 +1,37 @@
+const { isPrivateAddress, assertPublicUrl } = require('../src/utils/network');
+
+describe('isPrivateAddress', () => {
+  it.each([
+    '127.0.0.1',
+    '10.1.2.3',
+    '172.16.0.1',
+    '192.168.1.1',
+    '169.254.169.254',
+    '100.64.0.1',
+    '0.0.0.0',
+    '::1',
+    'fd00::1',
+    'fe80::1',
+    '::ffff:127.0.0.1',
+    'not-an-address',
+  ])('blocks %s', (address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  it.each(['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111', '::ffff:8.8.8.8'])('allows %s', (address) => {
+    expect(isPrivateAddress(address)).toBe(false);
+  });
+});
+
+describe('assertPublicUrl', () => {
+  it.each(['http://127.0.0.1:8080/hook', 'http://[::1]/hook', 'http://169.254.169.254/latest', 'http://localhost/'])(
+    'rejects %s',
+    async (url) => {
+      await expect(assertPublicUrl(url)).rejects.toMatchObject({ code: 'EPRIVATEADDRESS' });
+    }
+  );
+
+  it('accepts public IP literals without a lookup', async () => {
+    await expect(assertPublicUrl('https://8.8.8.8/hook')).resolves.toBeUndefined();
+  });
+});
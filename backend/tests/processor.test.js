@@ -0,0 +1,199 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+
+jest.mock('../src/queue/videoQueue', () => ({
+  enqueueTask: jest.fn(async () => {}),
+  removeQueuedJob: jest.fn(async () => {}),
+  removeUnlockedJob: jest.fn(async () => true),
+}));
+jest.mock('../src/queue/deadLetterQueue', () => ({
+  addDeadLetter: jest.fn(async () => {}),
+  removeDeadLetter: jest.fn(async () => {}),
+}));
+jest.mock('../src/events/taskEvents', () => ({
+  ...jest.requireActual('../src/events/taskEvents'),
+  publishTaskEvent: jest.fn(async () => {}),
+}));
+jest.mock('../src/services/taskLogService', () => ({
+  ...jest.requireActual('../src/services/taskLogService'),
+  recordLog: jest.fn(async () => {}),
+}));
+jest.mock('../src/services/webhookService', () => ({ notifyTaskEvent: jest.fn(async () => []) }));
+jest.mock('../src/services/retentionService', () => ({ refreshExpiry: jest.fn(async (task) => task) }));
+jest.mock('../src/services/schedulerService', () => ({
+  ...jest.requireActual('../src/services/schedulerService'),
+  requestDispatch: jest.fn(async () => {}),
+}));
+jest.mock('../src/services/mediaProbeService', () => ({
+  ...jest.requireActual('../src/services/mediaProbeService'),
+  probe: jest.fn(async () => ({})),
+  summarize: jest.fn(() => ({ duration: 60 })),
+}));
+jest.mock('../src/worker/transcoder', () => ({
+  ...jest.requireActual('../src/worker/transcoder'),
+  transcode: jest.fn(),
+}));
+
+// Stored files and work directories live below a scratch directory; set before storage is first used
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'processor-test-'));
+config.storage.localRoot = path.join(tmpDir, 'uploads');
+config.storage.workDir = path.join(tmpDir, 'work');
+
+const { setTaskRepository, createMemoryTaskRepository, getTaskRepository } = require('../src/repositories');
+const { addDeadLetter } = require('../src/queue/deadLetterQueue');
+const { getStorage } = require('../src/storage');
+const { transcode, InvalidSettingsError } = require('../src/worker/transcoder');
+const { getOutputDir, getWorkDir } = require('../src/utils/taskPaths');
+const taskService = require('../src/services/taskService');
+const { processVideoJob } = require('../src/worker/processor');
+const { taskFields } = require('./helpers');
+
+/**
+ * Bull job for a task, as the video queue hands it to the processor
+ * @param {string} taskId
+ * @param {Object} [options]
+ * @param {number} [options.attemptsMade=0] - Attempts Bull has already run
+ * @param {number} [options.attempts=3] - Attempts the job is allowed
+ * @returns {Object}
+ */
+const createJob = (taskId, { attemptsMade = 0, attempts = 3 } = {}) => ({
+  data: { task_id: taskId },
+  attemptsMade,
+  opts: { attempts },
+  progress: jest.fn(async () => {}),
+  discard: jest.fn(),
+});
+
+/**
+ * Have transcode write one mp4 output, after running `during` with the task
+ * @param {Function} [during] - Stands in for whatever happens while ffmpeg runs
+ */
+const transcodeTo720p = (during = async () => {}) => {
+  transcode.mockImplementation(async (task) => {
+    await during(task);
+    const outputFile = path.join(getOutputDir(task.id), '720p.mp4');
+    fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+    fs.writeFileSync(outputFile, 'this run');
+    return {
+      output_file: outputFile,
+      outputs: [{ format: 'mp4', resolution: '720p', path: outputFile }],
+      hls: null,
+      audio: null,
+      captions: [],
+      thumbnails: null,
+    };
+  });
+};
+
+const readStored = (key) => fs.readFileSync(path.join(config.storage.localRoot, key), 'utf8');
+
+describe('video job processor', () => {
+  let task;
+
+  beforeEach(async () => {
+    setTaskRepository(createMemoryTaskRepository());
+    task = await getTaskRepository().create(taskFields());
+    await getStorage().put(task.input_file, Buffer.from('source'));
+    transcodeTo720p();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    setTaskRepository(null);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('stores the outputs and completes the task', async () => {
+    const job = createJob(task.id);
+    await expect(processVideoJob(job)).resolves.toEqual({ output_file: `${task.id}/output/720p.mp4` });
+
+    expect(await getTaskRepository().findById(task.id)).toMatchObject({
+      status: 'completed',
+      progress: 100,
+      lease: null,
+      output_file: `${task.id}/output/720p.mp4`,
+    });
+    expect(readStored(`${task.id}/output/720p.mp4`)).toBe('this run');
+    expect(fs.existsSync(getWorkDir(task.id))).toBe(false);
+    expect(job.discard).not.toHaveBeenCalled();
+  });
+
+  it('skips tasks that are no longer pending', async () => {
+    await taskService.cancelTask(task.id);
+    await expect(processVideoJob(createJob(task.id))).resolves.toEqual({ skipped: true });
+    expect(transcode).not.toHaveBeenCalled();
+  });
+
+  it('leaves storage and the work dir alone once the lease went to another run', async () => {
+    await getStorage().put(`${task.id}/output/720p.mp4`, Buffer.from('new run'));
+    // The reaper gives the task to another worker while ffmpeg runs
+    transcodeTo720p((current) =>
+      getTaskRepository().update(current.id, { lease: { ...current.lease, id: 'other-lease' } })
+    );
+
+    await expect(processVideoJob(createJob(task.id))).resolves.toEqual({ lease_lost: true });
+
+    expect(readStored(`${task.id}/output/720p.mp4`)).toBe('new run');
+    expect(fs.existsSync(getWorkDir(task.id))).toBe(true);
+    expect(await getTaskRepository().findById(task.id)).toMatchObject({
+      status: 'processing',
+      lease: expect.objectContaining({ id: 'other-lease' }),
+    });
+  });
+
+  it('removes the outputs of a task cancelled before they were stored', async () => {
+    transcodeTo720p((current) => taskService.cancelTask(current.id));
+
+    await expect(processVideoJob(createJob(task.id))).resolves.toEqual({ cancelled: true });
+
+    expect(await getStorage().list(`${task.id}/output/`)).toEqual([]);
+    expect(fs.existsSync(getWorkDir(task.id))).toBe(false);
+  });
+
+  it('hands retryable failures back to the queue', async () => {
+    transcode.mockRejectedValue(
+      Object.assign(new Error('ffmpeg exited with code 1'), { stderr: 'ffmpeg was killed with signal SIGKILL' })
+    );
+    const job = createJob(task.id);
+
+    await expect(processVideoJob(job)).rejects.toThrow('ffmpeg exited with code 1');
+
+    expect(job.discard).not.toHaveBeenCalled();
+    expect(addDeadLetter).not.toHaveBeenCalled();
+    expect(await getTaskRepository().findById(task.id)).toMatchObject({
+      status: 'pending',
+      error: expect.objectContaining({ code: 'WORKER_CRASH', retryable: true }),
+    });
+  });
+
+  it('fails for good on errors another attempt cannot fix', async () => {
+    transcode.mockRejectedValue(new InvalidSettingsError('No resolution requested and the source height is unknown'));
+    const job = createJob(task.id);
+
+    await expect(processVideoJob(job)).rejects.toThrow(InvalidSettingsError);
+
+    expect(job.discard).toHaveBeenCalled();
+    const failed = await getTaskRepository().findById(task.id);
+    expect(failed).toMatchObject({ status: 'failed', error: expect.objectContaining({ code: 'INVALID_SETTINGS' }) });
+    expect(addDeadLetter).toHaveBeenCalledWith(
+      expect.objectContaining({ id: task.id }),
+      expect.objectContaining({ jobAttempts: 1 })
+    );
+  });
+
+  it('fails for good once the last attempt fails', async () => {
+    transcode.mockRejectedValue(new Error('ffmpeg exited with code 1'));
+    const job = createJob(task.id, { attemptsMade: 2, attempts: 3 });
+
+    await expect(processVideoJob(job)).rejects.toThrow();
+
+    expect(job.discard).toHaveBeenCalled();
+    expect(await getTaskRepository().findById(task.id)).toMatchObject({ status: 'failed' });
+    expect(addDeadLetter).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+
+// Sessions are kept below a scratch directory; set before the services load
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quota-test-'));
+config.upload.tempDir = tmpDir;
+
+const User = require('../src/models/User');
+const { setTaskRepository, createMemoryTaskRepository, getTaskRepository } = require('../src/repositories');
+const uploads = require('../src/services/uploadSessionService');
+const quotaService = require('../src/services/quotaService');
+const { taskFields, memoryUploadRecords } = require('./helpers');
+
+const USER = 'user-1';
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('upload quotas', () => {
+  const start = new Date('2026-01-01T10:00:00Z');
+  let records;
+
+  const startUpload = (size = 100) => uploads.createSession({ userId: USER, filename: 'clip.mp4', size });
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: start, doNotFake: ['nextTick', 'setImmediate'] });
+    setTaskRepository(createMemoryTaskRepository());
+    records = memoryUploadRecords();
+    jest.spyOn(User, 'findById').mockResolvedValue({ id: USER, role: 'user', quotas: { uploads_per_hour: 2 } });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    setTaskRepository(null);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('counts uploads that were aborted', async () => {
+    for (let i = 0; i < 2; i += 1) {
+      const { upload_id: uploadId } = await startUpload();
+      await uploads.abortSession(uploadId, USER);
+    }
+
+    const usage = await quotaService.getUsage(USER);
+    expect(usage.uploads).toMatchObject({
+      used: 2,
+      limit: 2,
+      resets_at: new Date(start.getTime() + HOUR_MS).toISOString(),
+    });
+    await expect(quotaService.assertCanUpload(USER, 100)).rejects.toMatchObject({
+      code: 'UPLOAD_RATE_LIMITED',
+      retryAfter: HOUR_MS / 1000,
+    });
+  });
+
+  it('counts uploads whose task was deleted', async () => {
+    const { upload_id: uploadId } = await startUpload();
+    await uploads.removeSession(uploadId);
+    expect((await quotaService.getUsage(USER)).uploads.used).toBe(1);
+  });
+
+  it('lets uploads drop out of the window after an hour', async () => {
+    await startUpload();
+    jest.setSystemTime(new Date(start.getTime() + 30 * 60 * 1000));
+    await startUpload();
+    jest.setSystemTime(new Date(start.getTime() + HOUR_MS + 1));
+
+    const usage = await quotaService.getUsage(USER);
+    expect(usage.uploads.used).toBe(1);
+    await expect(quotaService.assertCanUpload(USER, 100)).resolves.toBeUndefined();
+  });
+
+  it('counts the declared size of unfinished uploads against storage', async () => {
+    await getTaskRepository().create(taskFields({ user_id: USER, file_size: 1000 }));
+    const { upload_id: aborted } = await startUpload(300);
+    await startUpload(500);
+    await uploads.abortSession(aborted, USER);
+
+    const usage = await quotaService.getUsage(USER);
+    expect(usage.storage).toMatchObject({ used_bytes: 1500, uploading_bytes: 500 });
+  });
+
+  it('stops counting uploads that expired unfinished', async () => {
+    await startUpload(500);
+    jest.setSystemTime(new Date(start.getTime() + config.upload.sessionTtlHours * HOUR_MS + 1));
+    expect((await quotaService.getUsage(USER)).storage.uploading_bytes).toBe(0);
+    expect(records).toHaveLength(1);
+  });
+
+  it('limits tasks queued at once for every owner', async () => {
+    User.findById.mockResolvedValue({ id: USER, role: 'user', quotas: { concurrent_jobs: 1 } });
+    const queued = await getTaskRepository().create(taskFields({ user_id: USER }));
+
+    await expect(quotaService.assertCanQueue(taskFields({ user_id: USER }))).rejects.toMatchObject({
+      code: 'CONCURRENT_JOBS_LIMIT',
+      details: { limit: 1, active: 1 },
+    });
+    // Retrying the queued task itself does not count it twice
+    await expect(quotaService.assertCanQueue(queued)).resolves.toBeUndefined();
+  });
+});
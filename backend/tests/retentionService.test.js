@@ -0,0 +1,286 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+
+jest.mock('../src/events/taskEvents', () => ({
+  ...jest.requireActual('../src/events/taskEvents'),
+  publishTaskEvent: jest.fn(async () => {}),
+}));
+
+// Sessions, stored files and work directories live below a scratch directory; set before the services load
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'retention-test-'));
+config.upload.tempDir = path.join(tmpDir, 'temp');
+config.storage.localRoot = path.join(tmpDir, 'uploads');
+config.storage.workDir = path.join(tmpDir, 'work');
+
+const User = require('../src/models/User');
+const { setTaskRepository, createMemoryTaskRepository, getTaskRepository } = require('../src/repositories');
+const { getStorage } = require('../src/storage');
+const uploads = require('../src/services/uploadSessionService');
+const retentionService = require('../src/services/retentionService');
+const { taskFields, memoryUploadRecords } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FINISHED_AT = new Date('2026-01-01T10:00:00Z');
+const afterDays = (days) => new Date(FINISHED_AT.getTime() + days * DAY_MS);
+const { sourceDays, outputDays } = config.retention;
+
+const USERS = {
+  alice: { id: 'alice', retention: {} },
+  // Keeps sources a day and outputs for the default time
+  bob: { id: 'bob', retention: { source_days: 1, output_days: null } },
+};
+
+/**
+ * Store a task that finished at FINISHED_AT, with its source and one output in storage
+ * @param {Object} [fields]
+ * @returns {Promise<Object>} - Task JSON
+ */
+const finishedTask = async (fields = {}) => {
+  const base = taskFields({ user_id: 'alice', ...fields });
+  const outputKey = `${base._id}/output/720p.mp4`;
+  await getStorage().put(base.input_file, Buffer.from('source'));
+  await getStorage().put(outputKey, Buffer.from('output'));
+  return getTaskRepository().create({
+    status: 'completed',
+    output_file: outputKey,
+    outputs: [{ format: 'mp4', resolution: '720p', path: outputKey, size: 400 }],
+    attempts: [
+      { number: 1, trigger: 'upload', status: 'completed', started_at: FINISHED_AT, finished_at: FINISHED_AT },
+    ],
+    ...base,
+  });
+};
+
+const stored = async (key) => Boolean(await getStorage().stat(key));
+
+describe('retention', () => {
+  beforeEach(() => {
+    setTaskRepository(createMemoryTaskRepository());
+    jest.spyOn(User, 'findById').mockImplementation(async (id) => USERS[id] || null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(config.storage.localRoot, { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    setTaskRepository(null);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('expiry dates', () => {
+    const expiry = (taskChanges = {}, user = USERS.alice) =>
+      retentionService.computeExpiry(
+        {
+          status: 'completed',
+          updated_at: afterDays(5),
+          attempts: [{ finished_at: FINISHED_AT }],
+          ...taskChanges,
+          retention: { keep: false, source_days: null, output_days: null, ...taskChanges.retention },
+        },
+        user
+      );
+
+    it('count from when the last attempt finished, by the default rules', () => {
+      expect(expiry()).toEqual({
+        source_expires_at: afterDays(sourceDays),
+        outputs_expires_at: afterDays(outputDays),
+      });
+      // Cancelled before any attempt finished
+      expect(expiry({ status: 'cancelled', attempts: [] }).source_expires_at).toEqual(afterDays(5 + sourceDays));
+    });
+
+    it('take the task over the owner over the default', () => {
+      expect(expiry({}, USERS.bob)).toEqual({
+        source_expires_at: afterDays(1),
+        outputs_expires_at: afterDays(outputDays),
+      });
+      expect(expiry({ retention: { source_days: 3, output_days: 10 } }, USERS.bob)).toEqual({
+        source_expires_at: afterDays(3),
+        outputs_expires_at: afterDays(10),
+      });
+    });
+
+    it('are cleared for files kept forever, kept tasks, unfinished tasks and deleted files', () => {
+      expect(expiry({ retention: { output_days: 0 } })).toEqual({
+        source_expires_at: afterDays(sourceDays),
+        outputs_expires_at: null,
+      });
+      expect(expiry({ retention: { keep: true } })).toEqual({ source_expires_at: null, outputs_expires_at: null });
+      expect(expiry({ status: 'processing' })).toEqual({ source_expires_at: null, outputs_expires_at: null });
+      expect(expiry({ retention: { source_deleted_at: afterDays(sourceDays) } }).source_expires_at).toBeNull();
+    });
+  });
+
+  describe('expired files sweep', () => {
+    it('deletes sources and outputs once their retention has passed', async () => {
+      const task = await finishedTask();
+
+      const early = await retentionService.sweepExpiredArtifacts({ now: afterDays(sourceDays - 1) });
+      expect(early).toMatchObject({ sources: { count: 0 }, outputs: { count: 0 } });
+      // The sweep stores the expiry dates it worked out
+      expect((await getTaskRepository().findById(task.id)).retention).toMatchObject({
+        source_expires_at: afterDays(sourceDays),
+        outputs_expires_at: afterDays(outputDays),
+      });
+
+      const sources = await retentionService.sweepExpiredArtifacts({ now: afterDays(sourceDays) });
+      expect(sources).toMatchObject({
+        sources: { count: 1, bytes: task.file_size, items: [expect.objectContaining({ task_id: task.id })] },
+        outputs: { count: 0 },
+      });
+      expect(await stored(task.input_file)).toBe(false);
+      expect(await stored(task.output_file)).toBe(true);
+
+      const outputs = await retentionService.sweepExpiredArtifacts({ now: afterDays(outputDays) });
+      expect(outputs).toMatchObject({ sources: { count: 0 }, outputs: { count: 1, bytes: 400 } });
+      expect(await stored(task.output_file)).toBe(false);
+      expect(await getTaskRepository().findById(task.id)).toMatchObject({
+        output_file: null,
+        outputs: [],
+        retention: {
+          source_deleted_at: afterDays(sourceDays),
+          outputs_deleted_at: afterDays(outputDays),
+          source_expires_at: null,
+          outputs_expires_at: null,
+        },
+      });
+    });
+
+    it('applies the owner’s rules', async () => {
+      const task = await finishedTask({ user_id: 'bob' });
+      const result = await retentionService.sweepExpiredArtifacts({ now: afterDays(1) });
+      expect(result.sources.items).toEqual([expect.objectContaining({ task_id: task.id, user_id: 'bob' })]);
+    });
+
+    it('leaves kept tasks and unfinished ones alone', async () => {
+      const kept = await finishedTask({ retention: { keep: true } });
+      const running = await finishedTask({ status: 'processing' });
+
+      const result = await retentionService.sweepExpiredArtifacts({ now: afterDays(outputDays + 1) });
+
+      expect(result).toMatchObject({ sources: { count: 0 }, outputs: { count: 0 } });
+      for (const task of [kept, running]) {
+        expect(await stored(task.input_file)).toBe(true);
+        expect(await stored(task.output_file)).toBe(true);
+      }
+    });
+
+    it('only reports on a dry run', async () => {
+      const task = await finishedTask();
+
+      const report = await retentionService.sweepExpiredArtifacts({ dryRun: true, now: afterDays(outputDays) });
+
+      expect(report).toMatchObject({ sources: { count: 1 }, outputs: { count: 1, bytes: 400 } });
+      expect(await stored(task.input_file)).toBe(true);
+      expect(await stored(task.output_file)).toBe(true);
+      expect((await getTaskRepository().findById(task.id)).retention.source_expires_at).toBeNull();
+    });
+  });
+
+  describe('upload session sweep', () => {
+    let records;
+
+    beforeEach(() => {
+      records = memoryUploadRecords();
+    });
+
+    afterEach(() => {
+      fs.rmSync(config.upload.tempDir, { recursive: true, force: true });
+    });
+
+    const startUpload = () => uploads.createSession({ userId: 'alice', filename: 'clip.mp4', size: 100 });
+    const sessionExists = (uploadId) => fs.existsSync(path.join(config.upload.tempDir, 'uploads', uploadId));
+
+    /**
+     * Mark a session completed at `updatedAt`, as finishSession leaves it
+     * @param {string} uploadId
+     * @param {Date} updatedAt
+     */
+    const completeSession = (uploadId, updatedAt) => {
+      const file = path.join(config.upload.tempDir, 'uploads', uploadId, 'session.json');
+      const session = JSON.parse(fs.readFileSync(file, 'utf8'));
+      fs.writeFileSync(file, JSON.stringify({ ...session, status: 'completed', updated_at: updatedAt.toISOString() }));
+    };
+
+    it('removes uploads that expired unfinished', async () => {
+      const { upload_id: uploadId, expires_at: expiresAt } = await startUpload();
+
+      const before = await retentionService.sweepUploadSessions({ now: new Date(expiresAt) });
+      expect(before.count).toBe(0);
+
+      const after = await retentionService.sweepUploadSessions({ now: new Date(Date.parse(expiresAt) + 1) });
+      expect(after).toMatchObject({
+        count: 1,
+        items: [expect.objectContaining({ upload_id: uploadId, reason: 'expired' })],
+      });
+      expect(sessionExists(uploadId)).toBe(false);
+      expect(records[0]).toMatchObject({ _id: uploadId, status: 'aborted' });
+    });
+
+    it('removes completed uploads after the temp retention, and the source of those without a task', async () => {
+      const retentionMs = config.retention.tempFileRetentionHours * 60 * 60 * 1000;
+      const now = new Date();
+      const orphan = await startUpload();
+      const withTask = await startUpload();
+      for (const { upload_id: uploadId } of [orphan, withTask]) {
+        completeSession(uploadId, new Date(now.getTime() - retentionMs - 1));
+        await getStorage().put(`${uploadId}/source.mp4`, Buffer.from('source'));
+      }
+      await getTaskRepository().create(taskFields({ _id: withTask.upload_id }));
+
+      const result = await retentionService.sweepUploadSessions({ now });
+
+      expect(result.items.map((item) => item.reason)).toEqual(['completed', 'completed']);
+      expect(sessionExists(orphan.upload_id)).toBe(false);
+      expect(sessionExists(withTask.upload_id)).toBe(false);
+      expect(await stored(`${orphan.upload_id}/source.mp4`)).toBe(false);
+      expect(await stored(`${withTask.upload_id}/source.mp4`)).toBe(true);
+    });
+
+    it('only reports on a dry run', async () => {
+      const { upload_id: uploadId, expires_at: expiresAt } = await startUpload();
+      const now = new Date(Date.parse(expiresAt) + 1);
+
+      expect((await retentionService.sweepUploadSessions({ dryRun: true, now })).count).toBe(1);
+      expect(sessionExists(uploadId)).toBe(true);
+    });
+  });
+
+  describe('work directory sweep', () => {
+    const workDir = (taskId, modifiedAt) => {
+      const dir = path.join(config.storage.workDir, taskId);
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, 'source.mp4'), 'source');
+      fs.utimesSync(dir, modifiedAt, modifiedAt);
+    };
+
+    afterEach(() => {
+      fs.rmSync(config.storage.workDir, { recursive: true, force: true });
+    });
+
+    it('removes old directories unless their task is still processing', async () => {
+      const now = new Date();
+      const old = new Date(now.getTime() - (config.retention.tempFileRetentionHours + 1) * 60 * 60 * 1000);
+      const running = await getTaskRepository().create(taskFields({ status: 'processing' }));
+      const failed = await getTaskRepository().create(taskFields({ status: 'failed' }));
+      workDir(running.id, old);
+      workDir(failed.id, old);
+      workDir('deleted-task', old);
+      workDir('recent-task', now);
+
+      const result = await retentionService.sweepWorkDirs({ now });
+
+      expect(result.items.map(({ task_id: taskId, reason }) => [taskId, reason]).sort()).toEqual(
+        [
+          [failed.id, 'task failed'],
+          ['deleted-task', 'task deleted'],
+        ].sort()
+      );
+      expect(fs.readdirSync(config.storage.workDir).sort()).toEqual([running.id, 'recent-task'].sort());
+    });
+  });
+});
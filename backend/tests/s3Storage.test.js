@@ -0,0 +1,188 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { text } = require('stream/consumers');
+const { S3Client } = require('@aws-sdk/client-s3');
+const { createS3Storage } = require('../src/storage/s3Storage');
+
+const BUCKET = 'videos';
+// S3 returns at most this many keys per ListObjectsV2 page
+const LIST_PAGE_SIZE = 1000;
+
+/**
+ * Answer the commands the driver sends from an in-memory bucket
+ * @param {S3Client} client - Client whose `send` is replaced
+ * @returns {Map<string, Object>} - Stored objects by object key: { body, contentType, params }
+ */
+const stubBucket = (client) => {
+  const objects = new Map();
+  const missing = () => Object.assign(new Error('The specified key does not exist.'), { name: 'NoSuchKey' });
+
+  const handlers = {
+    PutObjectCommand: async ({ Key, Body, ContentType, ...params }) => {
+      // Files are uploaded as streams
+      const body = typeof Body.pipe === 'function' ? Buffer.concat(await Body.toArray()) : Buffer.from(Body);
+      objects.set(Key, { body, contentType: ContentType, params });
+      return {};
+    },
+    HeadObjectCommand: async ({ Key }) => {
+      const object = objects.get(Key);
+      if (!object) throw Object.assign(new Error('Not Found'), { name: 'NotFound' });
+      return { ContentLength: object.body.length, ContentType: object.contentType, LastModified: new Date(0) };
+    },
+    GetObjectCommand: async ({ Key, Range }) => {
+      const object = objects.get(Key);
+      if (!object) throw missing();
+      const [, start, end] = Range ? /^bytes=(\d+)-(\d*)$/.exec(Range) : [];
+      const body = Range ? object.body.subarray(Number(start), end ? Number(end) + 1 : undefined) : object.body;
+      return { Body: Readable.from([body]) };
+    },
+    DeleteObjectCommand: async ({ Key }) => {
+      objects.delete(Key);
+      return {};
+    },
+    DeleteObjectsCommand: async ({ Delete }) => {
+      Delete.Objects.forEach(({ Key }) => objects.delete(Key));
+      return {};
+    },
+    ListObjectsV2Command: async ({ Prefix, ContinuationToken }) => {
+      const keys = [...objects.keys()].filter((key) => key.startsWith(Prefix)).sort();
+      const offset = Number(ContinuationToken || 0);
+      const page = keys.slice(offset, offset + LIST_PAGE_SIZE);
+      const next = offset + page.length;
+      return {
+        Contents: page.map((Key) => ({ Key, Size: objects.get(Key).body.length, LastModified: new Date(0) })),
+        IsTruncated: next < keys.length,
+        NextContinuationToken: next < keys.length ? String(next) : undefined,
+      };
+    },
+  };
+
+  jest.spyOn(client, 'send').mockImplementation((command) => handlers[command.constructor.name](command.input));
+  return objects;
+};
+
+describe('s3 storage', () => {
+  let client;
+  let objects;
+  let storage;
+
+  beforeEach(() => {
+    // A real client, so URLs are presigned as they would be against S3; no request leaves the test
+    client = new S3Client({
+      region: 'eu-west-1',
+      credentials: { accessKeyId: 'AKIDTEST', secretAccessKey: 'secret' },
+    });
+    objects = stubBucket(client);
+    storage = createS3Storage({ bucket: BUCKET, keyPrefix: 'media/', client });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const commandsSent = (name) =>
+    client.send.mock.calls.filter(([command]) => command.constructor.name === name).map(([command]) => command.input);
+
+  it('requires a bucket', () => {
+    expect(() => createS3Storage({ client })).toThrow('AWS_S3_BUCKET');
+  });
+
+  it('stores and reads objects by key below the key prefix', async () => {
+    expect(await storage.put('task-1/source.mp4', Buffer.from('video'), { contentType: 'video/mp4' })).toEqual({
+      key: 'task-1/source.mp4',
+      size: 5,
+    });
+    expect([...objects.keys()]).toEqual(['media/task-1/source.mp4']);
+    expect(await storage.stat('task-1/source.mp4')).toMatchObject({ size: 5, content_type: 'video/mp4' });
+    expect(await storage.list('task-1/')).toEqual([expect.objectContaining({ key: 'task-1/source.mp4', size: 5 })]);
+    expect(await text(await storage.getStream('task-1/source.mp4'))).toBe('video');
+  });
+
+  it('uploads local files and removes them when moving', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 's3-test-'));
+    try {
+      const file = path.join(dir, '720p.mp4');
+      fs.writeFileSync(file, 'rendition');
+
+      expect(await storage.putFile('task-1/output/720p.mp4', file, { move: true })).toEqual({
+        key: 'task-1/output/720p.mp4',
+        size: 9,
+      });
+      expect(commandsSent('PutObjectCommand')[0]).toMatchObject({ Bucket: BUCKET, ContentLength: 9 });
+      expect(objects.get('media/task-1/output/720p.mp4').body.toString()).toBe('rendition');
+      expect(fs.existsSync(file)).toBe(false);
+
+      const copy = await storage.fetchToFile('task-1/output/720p.mp4', path.join(dir, 'copy', 'source.mp4'));
+      expect(fs.readFileSync(copy, 'utf8')).toBe('rendition');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('reads byte ranges', async () => {
+    await storage.put('task-1/source.mp4', Buffer.from('0123456789'));
+
+    expect(await text(await storage.getStream('task-1/source.mp4', { start: 2, end: 5 }))).toBe('2345');
+    expect(await text(await storage.getStream('task-1/source.mp4', { start: 7 }))).toBe('789');
+    expect(commandsSent('GetObjectCommand').map((input) => input.Range)).toEqual(['bytes=2-5', 'bytes=7-']);
+  });
+
+  it('reports missing objects', async () => {
+    expect(await storage.stat('task-1/missing.mp4')).toBeNull();
+    await expect(storage.getStream('task-1/missing.mp4')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('lists every page and only below the prefix', async () => {
+    await Promise.all(
+      Array.from({ length: LIST_PAGE_SIZE + 1 }, (_, index) => storage.put(`task-1/output/${index}.ts`, 'x'))
+    );
+    await storage.put('task-10/source.mp4', 'x');
+
+    const listed = await storage.list('task-1/');
+    expect(listed).toHaveLength(LIST_PAGE_SIZE + 1);
+    expect(listed.every((object) => object.key.startsWith('task-1/output/'))).toBe(true);
+    expect(commandsSent('ListObjectsV2Command')).toHaveLength(2);
+  });
+
+  it('deletes everything below a prefix in batches', async () => {
+    await Promise.all(
+      Array.from({ length: LIST_PAGE_SIZE + 1 }, (_, index) => storage.put(`task-1/output/${index}.ts`, 'x'))
+    );
+    await storage.put('task-1/source.mp4', 'x');
+    await storage.put('task-2/output/720p.mp4', 'x');
+
+    await storage.deletePrefix('task-1/output/');
+
+    expect([...objects.keys()].sort()).toEqual(['media/task-1/source.mp4', 'media/task-2/output/720p.mp4']);
+    expect(commandsSent('DeleteObjectsCommand').map((input) => input.Delete.Objects.length)).toEqual([
+      LIST_PAGE_SIZE,
+      1,
+    ]);
+  });
+
+  it('encrypts objects when asked to', async () => {
+    const kms = createS3Storage({ bucket: BUCKET, encryption: true, kmsKeyId: 'key-1', client });
+    await kms.put('a.mp4', 'x');
+    await createS3Storage({ bucket: BUCKET, encryption: true, client }).put('b.mp4', 'x');
+
+    expect(objects.get('a.mp4').params).toMatchObject({ ServerSideEncryption: 'aws:kms', SSEKMSKeyId: 'key-1' });
+    expect(objects.get('b.mp4').params).toMatchObject({ ServerSideEncryption: 'AES256' });
+    expect(objects.get('media/a.mp4')).toBeUndefined();
+  });
+
+  it('presigns URLs for the object key', async () => {
+    const url = new URL(
+      await storage.getSignedUrl('task-1/output/720p.mp4', { expiresIn: 60, fileName: 'my "clip".mp4' })
+    );
+
+    expect(url.hostname).toBe(`${BUCKET}.s3.eu-west-1.amazonaws.com`);
+    expect(url.pathname).toBe('/media/task-1/output/720p.mp4');
+    expect(url.searchParams.get('X-Amz-Expires')).toBe('60');
+    expect(url.searchParams.get('X-Amz-Signature')).toMatch(/^[0-9a-f]{64}$/);
+    expect(url.searchParams.get('response-content-disposition')).toBe('attachment; filename="my clip.mp4"');
+    // Signing happens locally
+    expect(client.send).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,222 @@
+jest.mock('../src/queue/videoQueue', () => ({ enqueueTask: jest.fn(async () => {}) }));
+
+const config = require('../src/config');
+const Worker = require('../src/models/Worker');
+const { setTaskRepository, createMemoryTaskRepository, getTaskRepository } = require('../src/repositories');
+const { enqueueTask } = require('../src/queue/videoQueue');
+const schedulerService = require('../src/services/schedulerService');
+const { getAllowedPriorities, validatePriority } = require('../src/validators/priority');
+const { taskFields } = require('./helpers');
+
+const NOW = new Date('2026-01-01T10:00:00Z');
+const at = (seconds) => new Date(NOW.getTime() + seconds * 1000);
+
+/**
+ * Store a task waiting for a slot
+ * @param {string} userId
+ * @param {string} priority
+ * @param {number} queuedAt - Seconds relative to NOW
+ * @param {Object} [fields]
+ * @returns {Promise<Object>} - Task JSON
+ */
+const waiting = (userId, priority, queuedAt, fields = {}) =>
+  getTaskRepository().create(taskFields({ user_id: userId, priority, queued_at: at(queuedAt), ...fields }));
+
+/**
+ * Store a task a worker is running
+ * @param {string} userId
+ * @param {number} startedAt - Seconds relative to NOW
+ * @param {Object} [fields]
+ * @returns {Promise<Object>} - Task JSON
+ */
+const processing = (userId, startedAt, fields = {}) =>
+  getTaskRepository().create(
+    taskFields({
+      user_id: userId,
+      status: 'processing',
+      dispatched_at: at(startedAt),
+      attempts: [{ number: 1, trigger: 'upload', status: 'processing', started_at: at(startedAt) }],
+      ...fields,
+    })
+  );
+
+describe('scheduler', () => {
+  const { concurrency } = config.worker;
+
+  beforeEach(() => {
+    setTaskRepository(createMemoryTaskRepository());
+    config.worker.concurrency = 1;
+    // No worker has reported in; capacity falls back to WORKER_CONCURRENCY
+    jest.spyOn(Worker, 'aggregate').mockResolvedValue([]);
+    enqueueTask.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    config.worker.concurrency = concurrency;
+    setTaskRepository(null);
+  });
+
+  describe('dispatch order', () => {
+    const names = (tasks) => tasks.map((task) => task.name);
+
+    it('starts higher priorities first, then the longest waiting', async () => {
+      const tasks = [
+        await waiting('alice', 'low', 0, { name: 'low.mp4' }),
+        await waiting('alice', 'normal', 10, { name: 'normal-late.mp4' }),
+        await waiting('alice', 'high', 20, { name: 'high.mp4' }),
+        await waiting('alice', 'normal', 5, { name: 'normal-early.mp4' }),
+      ];
+      tasks.sort((a, b) => a.queued_at - b.queued_at);
+      expect(names(schedulerService.orderWaiting(tasks, []))).toEqual([
+        'high.mp4',
+        'normal-early.mp4',
+        'normal-late.mp4',
+        'low.mp4',
+      ]);
+    });
+
+    it('takes turns between users instead of draining the first queue', async () => {
+      const tasks = [
+        await waiting('alice', 'normal', 0, { name: 'a1' }),
+        await waiting('alice', 'normal', 1, { name: 'a2' }),
+        await waiting('alice', 'normal', 2, { name: 'a3' }),
+        await waiting('bob', 'normal', 3, { name: 'b1' }),
+        await waiting('bob', 'normal', 4, { name: 'b2' }),
+      ];
+      expect(names(schedulerService.orderWaiting(tasks, []))).toEqual(['a1', 'b1', 'a2', 'b2', 'a3']);
+    });
+
+    it('counts the slots a user already holds', async () => {
+      const running = [await processing('alice', -60), await processing('alice', -30)];
+      const tasks = [
+        await waiting('alice', 'normal', 0, { name: 'a1' }),
+        await waiting('bob', 'normal', 5, { name: 'b1' }),
+      ];
+      expect(names(schedulerService.orderWaiting(tasks, running))).toEqual(['b1', 'a1']);
+    });
+
+    it('lets priority outrank fair share', async () => {
+      const running = [await processing('alice', -60)];
+      const tasks = [
+        await waiting('bob', 'normal', 0, { name: 'b1' }),
+        await waiting('alice', 'high', 5, { name: 'a1' }),
+      ];
+      expect(names(schedulerService.orderWaiting(tasks, running))).toEqual(['a1', 'b1']);
+    });
+
+    it('gives high priority jobs the first Bull priority', () => {
+      const jobPriority = (priority) => schedulerService.getJobPriority({ priority });
+      expect(['high', 'normal', 'low'].map(jobPriority)).toEqual([1, 2, 3]);
+    });
+  });
+
+  describe('dispatch', () => {
+    it('fills free slots only, in dispatch order', async () => {
+      Worker.aggregate.mockResolvedValue([{ _id: null, concurrency: 3 }]);
+      await processing('alice', -60);
+      const a2 = await waiting('alice', 'normal', 0);
+      const b1 = await waiting('bob', 'normal', 10);
+      const c1 = await waiting('carol', 'low', 5);
+
+      const result = await schedulerService.dispatch({ now: NOW });
+
+      expect(result).toEqual({ capacity: 3, dispatched: [b1.id, a2.id] });
+      expect(enqueueTask.mock.calls.map(([task, options]) => [task.id, options])).toEqual([
+        [b1.id, { priority: 2 }],
+        [a2.id, { priority: 2 }],
+      ]);
+      expect(await getTaskRepository().findById(c1.id)).toMatchObject({ dispatched_at: null });
+      expect((await getTaskRepository().findById(b1.id)).dispatched_at).toBeInstanceOf(Date);
+    });
+
+    it('does nothing while every slot is taken', async () => {
+      await processing('alice', -60);
+      await waiting('bob', 'high', 0);
+      expect(await schedulerService.dispatch({ now: NOW })).toEqual({ capacity: 1, dispatched: [] });
+      expect(enqueueTask).not.toHaveBeenCalled();
+    });
+
+    it('gives the slot back when the job cannot be queued', async () => {
+      const task = await waiting('alice', 'normal', 0);
+      enqueueTask.mockRejectedValueOnce(new Error('Redis is down'));
+
+      await expect(schedulerService.dispatch({ now: NOW })).rejects.toThrow('Redis is down');
+      expect(await getTaskRepository().findById(task.id)).toMatchObject({ status: 'pending', dispatched_at: null });
+    });
+  });
+
+  describe('queue positions', () => {
+    beforeEach(async () => {
+      // Completed tasks took two seconds per second of video
+      await getTaskRepository().create(
+        taskFields({
+          status: 'completed',
+          duration: 60,
+          attempts: [
+            { number: 1, trigger: 'upload', status: 'completed', started_at: at(-600), finished_at: at(-480) },
+          ],
+        })
+      );
+    });
+
+    it('estimates when each waiting task starts', async () => {
+      // Expected to finish at +40s
+      await processing('alice', -20, { duration: 30 });
+      const bob = await waiting('bob', 'normal', -10, { duration: 10 });
+      const alice = await waiting('alice', 'high', -5, { duration: 15 });
+
+      const queue = await schedulerService.getQueue({ now: NOW });
+
+      expect(queue).toMatchObject({ waiting: 2, capacity: 1 });
+      expect(queue.data).toEqual([
+        { task_id: alice.id, position: 1, priority: 'high', estimated_start_at: at(40) },
+        { task_id: bob.id, position: 2, priority: 'normal', estimated_start_at: at(70) },
+      ]);
+    });
+
+    it('shows users their own tasks with positions counting everyone', async () => {
+      await waiting('bob', 'normal', -10);
+      const alice = await waiting('alice', 'normal', -5);
+
+      const queue = await schedulerService.getQueue({ scope: { user_id: 'alice' }, now: NOW });
+      expect(queue.data).toEqual([expect.objectContaining({ task_id: alice.id, position: 2 })]);
+      expect(queue.waiting).toBe(2);
+    });
+
+    it('puts tasks already handed to the workers first', async () => {
+      const waitingTask = await waiting('bob', 'high', -60);
+      const dispatched = await waiting('alice', 'low', -5, { dispatched_at: at(-1) });
+
+      const queue = await schedulerService.getQueue({ now: NOW });
+      expect(queue.data.map((entry) => entry.task_id)).toEqual([dispatched.id, waitingTask.id]);
+    });
+  });
+
+  describe('role limits', () => {
+    it('lets users pick up to normal and admins up to high', () => {
+      expect(getAllowedPriorities('user')).toEqual(['low', 'normal']);
+      expect(getAllowedPriorities('admin')).toEqual(['low', 'normal', 'high']);
+      expect(validatePriority('high', 'admin')).toBe('high');
+      expect(validatePriority('low', 'user')).toBe('low');
+    });
+
+    it('defaults the priority explicitly', () => {
+      expect(validatePriority(undefined, 'user')).toBe(config.scheduling.defaultPriority);
+      expect(validatePriority('', 'admin')).toBe(config.scheduling.defaultPriority);
+    });
+
+    it('rejects priorities above the role or unknown ones', () => {
+      expect(() => validatePriority('high', 'user')).toThrow(
+        expect.objectContaining({
+          code: 'INVALID_PRIORITY',
+          details: expect.objectContaining({ allowed: ['low', 'normal'] }),
+        })
+      );
+      expect(() => validatePriority('urgent', 'admin')).toThrow(expect.objectContaining({ code: 'INVALID_PRIORITY' }));
+    });
+  });
+});
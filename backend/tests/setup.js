@@ -0,0 +1,2 @@
+// Expected failures in tests log errors; keep the output to test results
+require('../src/utils/logger').silent = true;
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../src/worker/ffmpegRunner', () => ({
+  ...jest.requireActual('../src/worker/ffmpegRunner'),
+  runFfmpeg: jest.fn(),
+}));
+
+const { runFfmpeg } = require('../src/worker/ffmpegRunner');
+const { parseCaptions, toWebVtt, trimCues } = require('../src/utils/subtitles');
+const { buildCaptions } = require('../src/worker/captionBuilder');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'captions');
+
+const readFixture = (name) => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+const parseFixture = (name) => parseCaptions(readFixture(name), path.extname(name).slice(1));
+
+describe('caption parsing', () => {
+  it('reads SRT saved with a BOM and Windows line endings', () => {
+    expect(parseFixture('windows.srt')).toEqual([
+      { start: 1, end: 3.5, settings: '', text: 'Hello there.' },
+      // Position hints are not WebVTT settings
+      { start: 4, end: 6.25, settings: '', text: 'Two lines,\none cue.' },
+      // Short milliseconds are fractions, and "-->" cannot end the cue early
+      { start: 3723.5, end: 3724.75, settings: '', text: 'Much later -> still talking' },
+    ]);
+  });
+
+  it('reads WebVTT cues with identifiers and settings, skipping header, styles and notes', () => {
+    expect(parseFixture('styled.vtt')).toEqual([
+      { start: 1, end: 3, settings: 'align:start line:10%', text: '<v Narrator>Welcome</v>' },
+      { start: 4, end: 5.5, settings: '', text: 'Second cue\nwith two lines' },
+    ]);
+  });
+
+  it.each([
+    ['no-header.vtt', 'WebVTT files must start with "WEBVTT"'],
+    ['bad-timing.srt', 'Cue 2 has invalid times "00:00:03 --> 00:00:04,000"'],
+    ['reversed.srt', 'Cue 1 has invalid times "00:00:05,000 --> 00:00:04,000"'],
+    ['notes-only.vtt', 'No captions found'],
+  ])('rejects %s', (name, message) => {
+    expect(() => parseFixture(name)).toThrow(message);
+  });
+
+  it('rejects files that are not captions at all', () => {
+    expect(() => parseCaptions('', 'srt')).toThrow('No captions found');
+    expect(() => parseCaptions('\u0000\u0001binary', 'srt')).toThrow('Cue 1 has no valid timing line');
+    expect(() => parseCaptions(readFixture('windows.srt'), 'vtt')).toThrow('must start with "WEBVTT"');
+  });
+});
+
+describe('WebVTT output', () => {
+  it('writes cues with hour timestamps and their settings', () => {
+    expect(toWebVtt(parseFixture('styled.vtt'))).toBe(
+      [
+        'WEBVTT',
+        '',
+        '00:00:01.000 --> 00:00:03.000 align:start line:10%',
+        '<v Narrator>Welcome</v>',
+        '',
+        '00:00:04.000 --> 00:00:05.500',
+        'Second cue',
+        'with two lines',
+        '',
+      ].join('\n')
+    );
+  });
+
+  it('converts SRT to WebVTT that reads back the same', () => {
+    const cues = parseFixture('windows.srt');
+    const vtt = toWebVtt(cues);
+    expect(vtt).toContain('01:02:03.500 --> 01:02:04.750\nMuch later -> still talking');
+    expect(parseCaptions(vtt, 'vtt')).toEqual(cues);
+  });
+
+  it('shifts and cuts cues to a trimmed output', () => {
+    const cues = parseFixture('windows.srt');
+    expect(trimCues(cues, { offset: 2, duration: 3 })).toEqual([
+      expect.objectContaining({ start: 0, end: 1.5, text: 'Hello there.' }),
+      expect.objectContaining({ start: 2, end: 3, text: 'Two lines,\none cue.' }),
+    ]);
+  });
+});
+
+describe('caption tracks', () => {
+  let dir;
+  let log;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'captions-test-'));
+    log = jest.fn(async () => {});
+    // ffmpeg extracts embedded text streams as WebVTT; these come from the fixtures instead
+    runFfmpeg.mockImplementation(async ({ output, outputOptions }) => {
+      const index = outputOptions[0].split(':')[1];
+      fs.writeFileSync(output, readFixture(index === '2' ? 'styled.vtt' : 'notes-only.vtt'));
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  const captionTask = (settings = {}) => ({
+    input_file: path.join(dir, 'source.mkv'),
+    settings: { trim_start: null, ...settings },
+    caption_files: [
+      { id: 'upload-1', language: 'en', label: 'English', path: path.join(FIXTURES, 'styled.vtt') },
+    ],
+    media: {
+      subtitles: [
+        { index: 2, codec: 'subrip', language: 'fra', title: null, text: true },
+        { index: 3, codec: 'hdmv_pgs_subtitle', language: 'deu', title: null, text: false },
+        { index: 4, codec: 'ass', language: 'und', title: null, text: true },
+      ],
+    },
+  });
+
+  it('writes uploaded files first, then the embedded text streams', async () => {
+    const outputDir = path.join(dir, 'captions');
+    const tracks = await buildCaptions(captionTask(), { outputDir, duration: null, log });
+
+    expect(tracks).toEqual([
+      {
+        id: 'upload-1',
+        language: 'en',
+        label: 'English',
+        source: 'upload',
+        path: path.join(outputDir, 'upload-1.vtt'),
+        cue_count: 2,
+      },
+      {
+        id: 'stream-2',
+        language: 'fra',
+        label: 'FRA',
+        source: 'embedded',
+        path: path.join(outputDir, 'stream-2.vtt'),
+        cue_count: 2,
+      },
+    ]);
+    expect(fs.readFileSync(tracks[0].path, 'utf8')).toBe(toWebVtt(parseFixture('styled.vtt')));
+    expect(runFfmpeg).toHaveBeenCalledTimes(2);
+    expect(log.mock.calls.map(([message]) => message)).toEqual([
+      'Skipping subtitle stream 3 (hdmv_pgs_subtitle), it is image-based',
+      'Skipping subtitle stream 4: No captions found',
+    ]);
+    expect(fs.readdirSync(outputDir).sort()).toEqual(['stream-2.vtt', 'upload-1.vtt']);
+  });
+
+  it('fits the cues to the trimmed video and drops tracks left empty', async () => {
+    const outputDir = path.join(dir, 'captions');
+    const task = captionTask({ trim_start: 4 });
+    task.caption_files.push({
+      id: 'upload-2',
+      language: 'en',
+      label: 'Intro only',
+      path: path.join(dir, 'intro.vtt'),
+    });
+    fs.writeFileSync(task.caption_files[1].path, 'WEBVTT\n\n00:00.500 --> 00:02.000\nIntro\n');
+
+    const tracks = await buildCaptions(task, { outputDir, duration: 1, log });
+
+    expect(tracks.map((track) => [track.id, track.cue_count])).toEqual([
+      ['upload-1', 1],
+      ['stream-2', 1],
+    ]);
+    expect(fs.readFileSync(tracks[0].path, 'utf8')).toBe(
+      'WEBVTT\n\n00:00:00.000 --> 00:00:01.000\nSecond cue\nwith two lines\n'
+    );
+    expect(log).toHaveBeenCalledWith('Skipping captions "Intro only", none fall within the trimmed video', {
+      stage: 'captions',
+      level: 'warn',
+    });
+  });
+});
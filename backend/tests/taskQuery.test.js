@@ -0,0 +1,100 @@
+const { setTaskRepository, createMemoryTaskRepository, getTaskRepository } = require('../src/repositories');
+const taskService = require('../src/services/taskService');
+const { parseTaskQuery, encodeCursor, decodeCursor } = require('../src/validators/taskQuery');
+const { taskFields } = require('./helpers');
+
+const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+describe('task list cursors', () => {
+  const task = { id: 'task-1', name: 'clip.mp4', status: 'completed', created_at: new Date('2026-01-01T10:00:00Z') };
+
+  it('round-trip the sort value and task ID', () => {
+    expect(decodeCursor(encodeCursor(task, 'created_at'), 'created_at')).toEqual({
+      value: new Date('2026-01-01T10:00:00Z'),
+      id: 'task-1',
+    });
+    expect(decodeCursor(encodeCursor(task, 'name'), 'name')).toEqual({ value: 'clip.mp4', id: 'task-1' });
+    expect(parseTaskQuery({ sort: 'status', cursor: encodeCursor(task, 'status') }).cursor).toEqual({
+      value: 'completed',
+      id: 'task-1',
+    });
+  });
+
+  it('are opaque URL-safe strings', () => {
+    expect(encodeCursor({ ...task, name: '???>>>.mp4' }, 'name')).toMatch(/^[A-Za-z0-9_-]+$/);
+  });
+
+  it.each([
+    ['not base64 JSON', 'not-a-cursor'],
+    ['empty JSON', encode({})],
+    ['a JSON array', encode(['clip.mp4', 'task-1'])],
+    ['a JSON string', encode('task-1')],
+    ['no task ID', encode({ v: 'clip.mp4' })],
+    ['a numeric task ID', encode({ v: 'clip.mp4', id: 1 })],
+    ['no value', encode({ id: 'task-1' })],
+    ['a query operator as the value', encode({ v: { $gt: '' }, id: 'task-1' })],
+    ['a number as the value', encode({ v: 5, id: 'task-1' })],
+    ['a null value', encode({ v: null, id: 'task-1' })],
+  ])('reject %s', (description, cursor) => {
+    expect(decodeCursor(cursor, 'name')).toBeUndefined();
+    expect(() => parseTaskQuery({ sort: 'name', cursor })).toThrow(
+      expect.objectContaining({ code: 'INVALID_QUERY', details: { fields: { cursor: 'Invalid cursor' } } })
+    );
+  });
+
+  it.each([
+    ['a value that is not a date', encode({ v: 'clip.mp4', id: 'task-1' })],
+    ['a timestamp number', encode({ v: 1767261600000, id: 'task-1' })],
+    ['a boolean', encode({ v: true, id: 'task-1' })],
+  ])('reject %s when sorting by date', (description, cursor) => {
+    expect(decodeCursor(cursor, 'created_at')).toBeUndefined();
+  });
+
+  it('are only checked against a valid sort field', () => {
+    expect(() => parseTaskQuery({ sort: 'size', cursor: 'not-a-cursor' })).toThrow(
+      expect.objectContaining({ details: { fields: { sort: expect.any(String) } } })
+    );
+  });
+});
+
+describe('task list pages', () => {
+  beforeAll(async () => {
+    setTaskRepository(createMemoryTaskRepository());
+    const names = ['e.mp4', 'a.mp4', 'd.mp4', 'b.mp4', 'c.mp4'];
+    for (const [index, name] of names.entries()) {
+      await getTaskRepository().create(
+        taskFields({ name, created_at: new Date(Date.UTC(2026, 0, 1, 10, index)) })
+      );
+    }
+  });
+
+  afterAll(() => {
+    setTaskRepository(null);
+  });
+
+  /**
+   * Follow next_cursor through every page
+   * @param {Object} query - GET /api/tasks query
+   * @returns {Promise<string[][]>} - Task names of each page
+   */
+  const readPages = async (query) => {
+    const pages = [];
+    let cursor;
+    do {
+      const page = await taskService.listTasks(parseTaskQuery({ ...query, ...(cursor && { cursor }) }));
+      pages.push(page.data.map((task) => task.name));
+      cursor = page.page.next_cursor;
+      expect(page.page.has_more).toBe(Boolean(cursor));
+    } while (cursor);
+    return pages;
+  };
+
+  it('continue after the last task of the previous page', async () => {
+    expect(await readPages({ limit: '2' })).toEqual([['c.mp4', 'b.mp4'], ['d.mp4', 'a.mp4'], ['e.mp4']]);
+    expect(await readPages({ sort: 'name', limit: '2' })).toEqual([['a.mp4', 'b.mp4'], ['c.mp4', 'd.mp4'], ['e.mp4']]);
+    expect(await readPages({ sort: 'name', order: 'desc', limit: '3' })).toEqual([
+      ['e.mp4', 'd.mp4', 'c.mp4'],
+      ['b.mp4', 'a.mp4'],
+    ]);
+  });
+});
@@ -0,0 +1,239 @@
+const { createMemoryTaskRepository } = require('../src/repositories');
+const { canTransition, TASK_TRANSITIONS } = require('../src/repositories/taskTransitions');
+const { createTaskRepository, MAX_WRITE_ATTEMPTS } = require('../src/repositories/taskRepository');
+const { createMemoryTaskStore } = require('../src/repositories/memoryTaskStore');
+const { taskFields } = require('./helpers');
+
+/**
+ * Repository whose next `races` writes are each overtaken by a competing
+ * write that bumps the progress
+ * @param {number} races
+ * @returns {Object}
+ */
+const racingRepository = (races) => {
+  const store = createMemoryTaskStore();
+  let remaining = races;
+  return createTaskRepository({
+    ...store,
+    write: async (taskId, version, changes) => {
+      if (remaining > 0) {
+        remaining -= 1;
+        const current = await store.read(taskId);
+        await store.write(taskId, version, { set: { progress: current.progress + 1 } });
+      }
+      return store.write(taskId, version, changes);
+    },
+  });
+};
+
+describe('task state machine', () => {
+  it.each([
+    ['pending', 'processing'],
+    ['pending', 'cancelled'],
+    ['processing', 'processing'],
+    ['processing', 'pending'],
+    ['processing', 'completed'],
+    ['processing', 'failed'],
+    ['processing', 'cancelled'],
+    ['failed', 'pending'],
+    ['cancelled', 'pending'],
+  ])('allows %s -> %s', (from, to) => {
+    expect(canTransition(from, to)).toBe(true);
+  });
+
+  it.each([
+    ['pending', 'completed'],
+    ['pending', 'failed'],
+    ['completed', 'pending'],
+    ['completed', 'processing'],
+    ['failed', 'processing'],
+    ['cancelled', 'completed'],
+    ['unknown', 'pending'],
+  ])('rejects %s -> %s', (from, to) => {
+    expect(canTransition(from, to)).toBe(false);
+  });
+
+  it('lets nothing leave completed', () => {
+    expect(TASK_TRANSITIONS.completed).toEqual([]);
+  });
+});
+
+describe('task repository', () => {
+  let repository;
+
+  beforeEach(() => {
+    repository = createMemoryTaskRepository();
+  });
+
+  it('creates tasks pending at version 0', async () => {
+    const task = await repository.create(taskFields());
+    expect(task).toMatchObject({ status: 'pending', version: 0 });
+    expect(await repository.findById(task.id)).toMatchObject({ id: task.id, version: 0 });
+  });
+
+  it('increments the version on every write', async () => {
+    const task = await repository.create(taskFields());
+    const started = await repository.transition(task.id, 'processing');
+    const updated = await repository.update(task.id, { progress: 40 });
+    expect(started.version).toBe(1);
+    expect(updated).toMatchObject({ status: 'processing', progress: 40, version: 2 });
+  });
+
+  it('applies allowed transitions', async () => {
+    const task = await repository.create(taskFields());
+    await repository.transition(task.id, 'processing');
+    const completed = await repository.transition(task.id, 'completed', { changes: { progress: 100 } });
+    expect(completed).toMatchObject({ status: 'completed', progress: 100 });
+  });
+
+  it('rejects transitions the state machine does not allow', async () => {
+    const task = await repository.create(taskFields());
+    await expect(repository.transition(task.id, 'completed')).rejects.toMatchObject({
+      code: 'INVALID_TRANSITION',
+      statusCode: 409,
+      details: { from: 'pending', to: 'completed' },
+    });
+    expect(await repository.findById(task.id)).toMatchObject({ status: 'pending', version: 0 });
+  });
+
+  it('leaves tasks outside the expected statuses alone', async () => {
+    const task = await repository.create(taskFields());
+    await repository.transition(task.id, 'cancelled');
+    // A worker finishing a task that was cancelled meanwhile
+    const result = await repository.transition(task.id, 'completed', { from: ['processing'] });
+    expect(result).toBeNull();
+    expect(await repository.findById(task.id)).toMatchObject({ status: 'cancelled' });
+  });
+
+  it('refuses status changes through update', async () => {
+    const task = await repository.create(taskFields());
+    await expect(repository.update(task.id, { status: 'processing' })).rejects.toThrow(/transition/);
+  });
+
+  it('fails with TASK_VERSION_CONFLICT when the expected version is stale', async () => {
+    const task = await repository.create(taskFields());
+    await repository.update(task.id, { progress: 10 });
+
+    await expect(
+      repository.update(task.id, { progress: 20 }, { expectedVersion: task.version })
+    ).rejects.toMatchObject({
+      code: 'TASK_VERSION_CONFLICT',
+      details: { task_id: task.id, expected_version: 0, version: 1 },
+    });
+    expect(await repository.findById(task.id)).toMatchObject({ progress: 10, version: 1 });
+  });
+
+  it('re-reads and re-checks a write that loses a race', async () => {
+    const racing = racingRepository(1);
+    const task = await racing.create(taskFields());
+    const checked = [];
+
+    const updated = await racing.transition(task.id, 'processing', {
+      where: (current) => {
+        checked.push(current.version);
+        return true;
+      },
+    });
+    expect(checked).toEqual([0, 1]);
+    expect(updated).toMatchObject({ status: 'processing', progress: 1, version: 2 });
+  });
+
+  it('gives up after repeated lost races', async () => {
+    const racing = racingRepository(MAX_WRITE_ATTEMPTS);
+    const task = await racing.create(taskFields());
+
+    await expect(racing.update(task.id, { name: 'renamed.mp4' })).rejects.toMatchObject({
+      code: 'TASK_VERSION_CONFLICT',
+    });
+    expect(await racing.findById(task.id)).toMatchObject({ name: 'clip.mp4', version: MAX_WRITE_ATTEMPTS });
+  });
+
+  it('runs concurrent version-checked writes one at a time', async () => {
+    const task = await repository.create(taskFields());
+    const results = await Promise.allSettled([
+      repository.transition(task.id, 'processing', { expectedVersion: 0 }),
+      repository.transition(task.id, 'cancelled', { expectedVersion: 0 }),
+    ]);
+    expect(results.map((result) => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect((await repository.findById(task.id)).version).toBe(1);
+  });
+
+  it('keeps the attempt history', async () => {
+    const task = await repository.create(taskFields());
+    await repository.transition(task.id, 'processing', {
+      pushAttempt: { number: 1, trigger: 'upload', status: 'processing', started_at: new Date() },
+    });
+    const failed = await repository.transition(task.id, 'failed', {
+      finishAttempt: { status: 'failed', error: { code: 'FFMPEG_FAILED', message: 'boom' } },
+    });
+    expect(failed.attempts).toHaveLength(1);
+    expect(failed.attempts[0]).toMatchObject({
+      status: 'failed',
+      error_code: 'FFMPEG_FAILED',
+      error_message: 'boom',
+    });
+  });
+});
+
+describe('task repository queries', () => {
+  let repository;
+
+  beforeEach(async () => {
+    repository = createMemoryTaskRepository();
+    await repository.create(taskFields({ name: 'a.mp4', user_id: 'alice', file_size: 100 }));
+    await repository.create(
+      taskFields({
+        name: 'b.mp4',
+        user_id: 'alice',
+        file_size: 200,
+        status: 'completed',
+        outputs: [
+          { format: 'mp4', quality: '720p', path: 'x/720p.mp4', size: 30 },
+          { format: 'mp4', quality: '480p', path: 'x/480p.mp4', size: 20 },
+        ],
+      })
+    );
+    await repository.create(taskFields({ name: 'C.mp4', user_id: 'bob', file_size: 400, status: 'failed' }));
+  });
+
+  it('lists with filters, sorting and limits', async () => {
+    const names = async (filter, options) => (await repository.list(filter, options)).map((task) => task.name);
+    expect(await names({ user_id: 'alice' }, { sort: { name: -1 } })).toEqual(['b.mp4', 'a.mp4']);
+    expect(await names({ status: { $in: ['completed', 'failed'] } }, { sort: { file_size: 1 } })).toEqual([
+      'b.mp4',
+      'C.mp4',
+    ]);
+    expect(await names({ name: { $regex: 'c', $options: 'i' } })).toEqual(['C.mp4']);
+    const either = { $or: [{ user_id: 'bob' }, { file_size: { $lt: 150 } }] };
+    expect(await names(either, { sort: { name: 1 } })).toEqual(['C.mp4', 'a.mp4']);
+    expect(await names({}, { sort: { file_size: -1 }, limit: 1 })).toEqual(['C.mp4']);
+    // null matches fields that are not set
+    expect(await names({ dispatched_at: null, user_id: { $ne: 'alice' } })).toEqual(['C.mp4']);
+  });
+
+  it('counts', async () => {
+    expect(await repository.count({ user_id: 'alice' })).toBe(2);
+    expect(await repository.count({ status: 'processing' })).toBe(0);
+  });
+
+  it('aggregates counts and sums, adding up arrays', async () => {
+    expect(await repository.aggregate({ user_id: 'alice' }, { sum: ['file_size', 'outputs.size'] })).toEqual([
+      { key: null, count: 2, sums: { file_size: 300, 'outputs.size': 50 } },
+    ]);
+    const byStatus = await repository.aggregate({}, { groupBy: 'status' });
+    expect(Object.fromEntries(byStatus.map(({ key, count }) => [key, count]))).toEqual({
+      pending: 1,
+      completed: 1,
+      failed: 1,
+    });
+    expect(await repository.aggregate({ user_id: 'nobody' })).toEqual([]);
+  });
+
+  it('hands out the upload webhook secret only through findWebhook', async () => {
+    const task = await repository.create(
+      taskFields({ webhook: { url: 'https://example.com/hook', secret: 'shh' } })
+    );
+    expect(task.webhook).toEqual({ url: 'https://example.com/hook' });
+    expect(await repository.findWebhook(task.id)).toEqual({ url: 'https://example.com/hook', secret: 'shh' });
+  });
+});
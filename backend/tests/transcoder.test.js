@@ -0,0 +1,104 @@
+const path = require('path');
+const { planOutputs, getOutputDuration, InvalidSettingsError } = require('../src/worker/transcoder');
+const { parseTimemark, toArgs } = require('../src/worker/ffmpegRunner');
+const { classifyError } = require('../src/utils/errorClassifier');
+const { getOutputDir } = require('../src/utils/taskPaths');
+
+/**
+ * Task with the settings and source height planOutputs reads
+ * @param {Object} settings
+ * @param {number|null} height - Source height, null when not probed
+ * @returns {Object}
+ */
+const plannedTask = (settings, height) => ({
+  id: 'task-1',
+  settings: { output_formats: ['mp4'], resolutions: ['720p'], ...settings },
+  media: height === null ? null : { video: { height } },
+});
+
+describe('output planning', () => {
+  const plan = (settings, height) =>
+    planOutputs(plannedTask(settings, height)).map(({ format, resolution }) => `${resolution}.${format}`);
+
+  it('encodes every format at every resolution the source fills, smallest first', () => {
+    expect(plan({ output_formats: ['mp4', 'webm'], resolutions: ['1080p', '480p', '720p'] }, 720)).toEqual([
+      '480p.mp4',
+      '720p.mp4',
+      '480p.webm',
+      '720p.webm',
+    ]);
+  });
+
+  it('writes each output below the task output directory', () => {
+    expect(planOutputs(plannedTask({}, 1080))).toEqual([
+      { format: 'mp4', resolution: '720p', height: 720, path: path.join(getOutputDir('task-1'), '720p.mp4') },
+    ]);
+  });
+
+  it('encodes small sources once at their own even height instead of upscaling', () => {
+    expect(plan({ resolutions: ['720p', '1080p'] }, 361)).toEqual(['360p.mp4']);
+  });
+
+  it('keeps every requested resolution when the source height is unknown', () => {
+    expect(plan({ resolutions: ['480p', '2160p'] }, null)).toEqual(['480p.mp4', '2160p.mp4']);
+  });
+
+  it('leaves HLS and formats without an encoder to others', () => {
+    expect(plan({ output_formats: ['hls', 'mp4', 'gif'] }, 1080)).toEqual(['720p.mp4']);
+    expect(plan({ output_formats: ['hls'] }, 1080)).toEqual([]);
+  });
+
+  it('uses the source height when no resolution was requested', () => {
+    expect(plan({ resolutions: [] }, 1080)).toEqual(['1080p.mp4']);
+  });
+
+  it('rejects plans without resolutions for sources of unknown height', () => {
+    let error;
+    try {
+      planOutputs(plannedTask({ resolutions: [] }, null));
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toBeInstanceOf(InvalidSettingsError);
+    expect(classifyError(error)).toMatchObject({ code: 'INVALID_SETTINGS', retryable: false });
+  });
+});
+
+describe('output duration', () => {
+  const duration = (trimStart, trimEnd, sourceDuration = 60) =>
+    getOutputDuration({ duration: sourceDuration, settings: { trim_start: trimStart, trim_end: trimEnd } });
+
+  it.each([
+    [null, null, 60],
+    [10, null, 50],
+    [null, 45, 45],
+    [10, 45, 35],
+    [70, null, 0],
+  ])('is %p to %p of a 60 s source: %p', (trimStart, trimEnd, expected) => {
+    expect(duration(trimStart, trimEnd)).toBe(expected);
+  });
+
+  it('is unknown when the source duration is', () => {
+    expect(duration(null, null, null)).toBeNull();
+    expect(duration(5, 20, null)).toBe(15);
+  });
+});
+
+describe('ffmpeg arguments', () => {
+  it.each([
+    ['00:00:07.50', 7.5],
+    ['01:02:03.25', 3723.25],
+    ['12.5', 12.5],
+    ['N/A', 0],
+    ['', 0],
+    [undefined, 0],
+  ])('reads the timemark %p as %p seconds', (timemark, seconds) => {
+    expect(parseTimemark(timemark)).toBeCloseTo(seconds);
+  });
+
+  it('splits options at the first space and passes arrays through', () => {
+    expect(
+      toArgs(['-c:v libx264', '-an', '-metadata title=A B', ['-filter_complex', '[0:v]scale=-2:720 [v]']])
+    ).toEqual(['-c:v', 'libx264', '-an', '-metadata', 'title=A B', '-filter_complex', '[0:v]scale=-2:720 [v]']);
+  });
+});
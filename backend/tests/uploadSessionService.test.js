@@ -0,0 +1,180 @@
+jest.mock('../src/services/mediaProbeService', () => ({
+  ...jest.requireActual('../src/services/mediaProbeService'),
+  validateMedia: jest.fn(async () => ({
+    duration: 12.5,
+    width: 1280,
+    height: 720,
+    has_audio: true,
+    video_codec: 'h264',
+    audio_codec: 'aac',
+    format: 'mov,mp4,m4a,3gp,3g2,mj2',
+  })),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const { memoryUploadRecords } = require('./helpers');
+
+const USER = 'user-1';
+const CONTENT = Buffer.from('0123456789abcdefghij');
+
+describe('resumable uploads', () => {
+  let tmpDir;
+  let uploads;
+  let getStorage;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-test-'));
+    config.upload.tempDir = path.join(tmpDir, 'temp');
+    config.storage.localRoot = path.join(tmpDir, 'storage');
+    uploads = require('../src/services/uploadSessionService');
+    ({ getStorage } = require('../src/storage'));
+  });
+
+  let records;
+
+  beforeEach(() => {
+    records = memoryUploadRecords();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const start = () => uploads.createSession({ userId: USER, filename: 'clip.mp4', size: CONTENT.length });
+  const partFile = (uploadId) => path.join(uploads.SESSIONS_DIR, uploadId, 'data.part');
+
+  it('starts at offset 0', async () => {
+    const session = await start();
+    expect(session).toMatchObject({ offset: 0, size: CONTENT.length, status: 'uploading' });
+    expect(session.chunk_size).toBe(config.upload.chunkSize);
+  });
+
+  it('advances the offset with every chunk and reports it for resuming', async () => {
+    const { upload_id: uploadId } = await start();
+    const first = await uploads.appendChunk(uploadId, USER, 0, CONTENT.subarray(0, 8));
+    expect(first.offset).toBe(8);
+
+    // A client coming back asks where to continue
+    expect((await uploads.getSession(uploadId, USER)).offset).toBe(8);
+    const second = await uploads.appendChunk(uploadId, USER, 8, CONTENT.subarray(8));
+    expect(second.offset).toBe(CONTENT.length);
+    expect(fs.readFileSync(partFile(uploadId))).toEqual(CONTENT);
+  });
+
+  it('rejects chunks at any other offset with the current one', async () => {
+    const { upload_id: uploadId } = await start();
+    await uploads.appendChunk(uploadId, USER, 0, CONTENT.subarray(0, 8));
+
+    for (const offset of [0, 4, 12]) {
+      await expect(uploads.appendChunk(uploadId, USER, offset, CONTENT.subarray(offset, offset + 4))).rejects.toMatchObject({
+        statusCode: 409,
+        code: 'OFFSET_MISMATCH',
+        details: expect.objectContaining({ offset: 8 }),
+      });
+    }
+    expect(fs.readFileSync(partFile(uploadId))).toEqual(CONTENT.subarray(0, 8));
+  });
+
+  it('rejects chunks past the declared size', async () => {
+    const { upload_id: uploadId } = await start();
+    await expect(
+      uploads.appendChunk(uploadId, USER, 0, Buffer.concat([CONTENT, Buffer.from('extra')]))
+    ).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    expect((await uploads.getSession(uploadId, USER)).offset).toBe(0);
+  });
+
+  it('overwrites bytes left behind by a write that was never acknowledged', async () => {
+    const { upload_id: uploadId } = await start();
+    await uploads.appendChunk(uploadId, USER, 0, CONTENT.subarray(0, 5));
+    // A write that crashed before the session was saved
+    fs.appendFileSync(partFile(uploadId), 'garbage');
+
+    await uploads.appendChunk(uploadId, USER, 5, CONTENT.subarray(5, 10));
+    expect(fs.readFileSync(partFile(uploadId))).toEqual(CONTENT.subarray(0, 10));
+  });
+
+  it('writes one chunk at a time', async () => {
+    const { upload_id: uploadId } = await start();
+    const results = await Promise.allSettled([
+      uploads.appendChunk(uploadId, USER, 0, CONTENT.subarray(0, 10)),
+      uploads.appendChunk(uploadId, USER, 0, CONTENT.subarray(0, 10)),
+    ]);
+    expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.find((result) => result.status === 'rejected').reason.code).toBe('UPLOAD_BUSY');
+    expect((await uploads.getSession(uploadId, USER)).offset).toBe(10);
+  });
+
+  it('keeps sessions to their owner', async () => {
+    const { upload_id: uploadId } = await start();
+    await expect(uploads.appendChunk(uploadId, 'someone-else', 0, CONTENT)).rejects.toMatchObject({
+      statusCode: 404,
+    });
+  });
+
+  it('refuses to complete before every byte arrived', async () => {
+    const { upload_id: uploadId } = await start();
+    await uploads.appendChunk(uploadId, USER, 0, CONTENT.subarray(0, 10));
+    await expect(uploads.completeSession(uploadId, USER)).rejects.toMatchObject({
+      code: 'UPLOAD_INCOMPLETE',
+      details: expect.objectContaining({ offset: 10 }),
+    });
+  });
+
+  it('moves the assembled file into storage under its key', async () => {
+    const { upload_id: uploadId } = await start();
+    await uploads.appendChunk(uploadId, USER, 0, CONTENT);
+
+    const video = await uploads.completeSession(uploadId, USER);
+    expect(video).toMatchObject({ id: uploadId, input_file: `${uploadId}/source.mp4`, file_size: CONTENT.length });
+    expect(video.media.duration).toBe(12.5);
+    const stored = await getStorage().fetchToFile(video.input_file, path.join(tmpDir, 'unused'));
+    expect(fs.readFileSync(stored)).toEqual(CONTENT);
+
+    expect(records).toEqual([expect.objectContaining({ _id: uploadId, user_id: USER, status: 'completed' })]);
+
+    // Completing again hands back the same upload; no more chunks are taken
+    expect((await uploads.completeSession(uploadId, USER)).input_file).toBe(video.input_file);
+    await expect(uploads.appendChunk(uploadId, USER, CONTENT.length, Buffer.from('x'))).rejects.toMatchObject({
+      code: 'UPLOAD_COMPLETE',
+    });
+  });
+
+  it('completes an upload once when completed concurrently', async () => {
+    const { upload_id: uploadId } = await start();
+    await uploads.appendChunk(uploadId, USER, 0, CONTENT);
+
+    const results = await Promise.allSettled([
+      uploads.completeSession(uploadId, USER),
+      uploads.completeSession(uploadId, USER),
+    ]);
+    expect(results.map((result) => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find((result) => result.status === 'rejected').reason.code).toBe('UPLOAD_BUSY');
+  });
+
+  it('refuses to abort while a chunk is being written', async () => {
+    const { upload_id: uploadId } = await start();
+    const results = await Promise.allSettled([
+      uploads.appendChunk(uploadId, USER, 0, CONTENT.subarray(0, 10)),
+      uploads.abortSession(uploadId, USER),
+    ]);
+    expect(results[0].status).toBe('fulfilled');
+    expect(results[1].reason.code).toBe('UPLOAD_BUSY');
+    expect((await uploads.getSession(uploadId, USER)).offset).toBe(10);
+  });
+
+  it('discards everything when aborted', async () => {
+    const { upload_id: uploadId } = await start();
+    await uploads.appendChunk(uploadId, USER, 0, CONTENT.subarray(0, 4));
+    await uploads.abortSession(uploadId, USER);
+    await expect(uploads.getSession(uploadId, USER)).rejects.toMatchObject({ statusCode: 404 });
+    // The record stays for the hourly upload limit
+    expect(records).toEqual([expect.objectContaining({ _id: uploadId, status: 'aborted' })]);
+  });
+});
@@ -0,0 +1,249 @@
+jest.mock('../src/queue/webhookQueue', () => ({
+  ...jest.requireActual('../src/queue/webhookQueue'),
+  enqueueDelivery: jest.fn(async () => {}),
+}));
+
+const crypto = require('crypto');
+const http = require('http');
+const config = require('../src/config');
+const Webhook = require('../src/models/Webhook');
+const WebhookDelivery = require('../src/models/WebhookDelivery');
+const { enqueueDelivery, getRetryDelay } = require('../src/queue/webhookQueue');
+const { setTaskRepository, createMemoryTaskRepository, getTaskRepository } = require('../src/repositories');
+const { processWebhookJob } = require('../src/worker/webhookSender');
+const webhookService = require('../src/services/webhookService');
+const { taskFields } = require('./helpers');
+
+const SECRET = 'whsec_test';
+
+/**
+ * Check a signature header the way a receiver would
+ * @param {string} header - X-Webhook-Signature
+ * @param {string} body - Raw request body
+ * @param {string} secret
+ * @returns {boolean}
+ */
+const verifySignature = (header, body, secret) => {
+  const { t, v1 } = Object.fromEntries(header.split(',').map((part) => part.split('=')));
+  const expected = crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+  return crypto.timingSafeEqual(Buffer.from(v1, 'hex'), Buffer.from(expected, 'hex'));
+};
+
+/**
+ * Local receiver answering each request with the next status code
+ * @param {number[]} statuses
+ * @returns {Promise<Object>} - { url, requests, close }
+ */
+const startReceiver = (statuses) =>
+  new Promise((resolve) => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        requests.push({ headers: req.headers, body });
+        res.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+        res.end('receiver response');
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        requests,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+
+/**
+ * Stored delivery that sendDelivery loads; saves are kept in memory
+ * @param {Object} fields
+ * @returns {Object} - WebhookDelivery document
+ */
+const storeDelivery = (fields) => {
+  const delivery = new WebhookDelivery({
+    task_id: 'task-1',
+    event: 'task.completed',
+    payload: { id: 'event-1', event: 'task.completed', data: { task: { id: 'task-1' } } },
+    secret: SECRET,
+    ...fields,
+  });
+  delivery.save = jest.fn(async () => delivery);
+  jest.spyOn(WebhookDelivery, 'findById').mockReturnValue({ select: async () => delivery });
+  return delivery;
+};
+
+describe('webhook signatures', () => {
+  it('signs the timestamp and body with HMAC-SHA256', () => {
+    const body = JSON.stringify({ hello: 'world' });
+    const header = webhookService.signPayload(SECRET, body, 1700000000);
+    const digest = crypto.createHmac('sha256', SECRET).update(`1700000000.${body}`).digest('hex');
+    expect(header).toBe(`t=1700000000,v1=${digest}`);
+  });
+
+  it('gives a different signature for another secret or body', () => {
+    const header = webhookService.signPayload(SECRET, '{"a":1}', 1700000000);
+    expect(webhookService.signPayload('other', '{"a":1}', 1700000000)).not.toBe(header);
+    expect(webhookService.signPayload(SECRET, '{"a":2}', 1700000000)).not.toBe(header);
+  });
+});
+
+describe('webhook retries', () => {
+  it('doubles the delay after every failed attempt', () => {
+    const base = config.webhooks.backoffDelay;
+    expect([1, 2, 3, 4].map(getRetryDelay)).toEqual([base, base * 2, base * 4, base * 8]);
+  });
+
+  it('numbers attempts from the Bull job and marks the last one', async () => {
+    const sendDelivery = jest.spyOn(webhookService, 'sendDelivery').mockResolvedValue(null);
+    await processWebhookJob({ data: { delivery_id: 'd-1' }, attemptsMade: 0, opts: { attempts: 3 } });
+    await processWebhookJob({ data: { delivery_id: 'd-1' }, attemptsMade: 2, opts: { attempts: 3 } });
+    expect(sendDelivery.mock.calls).toEqual([
+      ['d-1', { number: 1, isLast: false }],
+      ['d-1', { number: 3, isLast: true }],
+    ]);
+    sendDelivery.mockRestore();
+  });
+});
+
+describe('webhook delivery', () => {
+  const { allowPrivateHosts } = config.webhooks;
+  let receiver;
+
+  beforeEach(() => {
+    // The receiver listens on loopback
+    config.webhooks.allowPrivateHosts = true;
+  });
+
+  afterEach(async () => {
+    config.webhooks.allowPrivateHosts = allowPrivateHosts;
+    jest.restoreAllMocks();
+    if (receiver) await receiver.close();
+    receiver = null;
+  });
+
+  it('posts the payload with a signature the receiver can verify', async () => {
+    receiver = await startReceiver([200]);
+    const delivery = storeDelivery({ url: receiver.url });
+
+    const result = await webhookService.sendDelivery(delivery.id, { number: 1, isLast: false });
+
+    expect(receiver.requests).toHaveLength(1);
+    const [request] = receiver.requests;
+    expect(JSON.parse(request.body)).toEqual(delivery.payload);
+    expect(request.headers).toMatchObject({
+      'content-type': 'application/json',
+      'x-webhook-id': delivery.id,
+      'x-webhook-event': 'task.completed',
+    });
+    expect(verifySignature(request.headers['x-webhook-signature'], request.body, SECRET)).toBe(true);
+    expect(result).toMatchObject({ status: 'succeeded', next_attempt_at: null });
+    expect(result.attempts).toEqual([expect.objectContaining({ number: 1, status_code: 200, error: null })]);
+    // Receivers' responses are not stored
+    expect(JSON.stringify(result)).not.toContain('receiver response');
+  });
+
+  it('schedules a retry and throws when the receiver fails', async () => {
+    receiver = await startReceiver([500]);
+    const delivery = storeDelivery({ url: receiver.url });
+    const before = Date.now();
+
+    await expect(webhookService.sendDelivery(delivery.id, { number: 1, isLast: false })).rejects.toThrow(
+      'Receiver responded with 500'
+    );
+    expect(delivery.status).toBe('pending');
+    expect(delivery.attempts[0]).toMatchObject({ number: 1, status_code: 500 });
+    expect(delivery.next_attempt_at.getTime()).toBeGreaterThanOrEqual(before + getRetryDelay(1));
+    expect(delivery.save).toHaveBeenCalled();
+  });
+
+  it('succeeds on a later attempt', async () => {
+    receiver = await startReceiver([503, 200]);
+    const delivery = storeDelivery({ url: receiver.url });
+
+    await expect(webhookService.sendDelivery(delivery.id, { number: 1, isLast: false })).rejects.toThrow();
+    const result = await webhookService.sendDelivery(delivery.id, { number: 2, isLast: false });
+
+    expect(result.status).toBe('succeeded');
+    expect(result.attempts.map((attempt) => attempt.status_code)).toEqual([503, 200]);
+    // Every attempt is signed afresh
+    receiver.requests.forEach((request) => {
+      expect(verifySignature(request.headers['x-webhook-signature'], request.body, SECRET)).toBe(true);
+    });
+  });
+
+  it('gives up after the last attempt without throwing', async () => {
+    receiver = await startReceiver([500]);
+    const delivery = storeDelivery({ url: receiver.url });
+
+    const result = await webhookService.sendDelivery(delivery.id, { number: 6, isLast: true });
+    expect(result).toMatchObject({ status: 'failed', next_attempt_at: null });
+  });
+
+  it('does not send deliveries that are no longer pending', async () => {
+    receiver = await startReceiver([200]);
+    const delivery = storeDelivery({ url: receiver.url, status: 'succeeded' });
+
+    expect(await webhookService.sendDelivery(delivery.id, { number: 1, isLast: false })).toBeNull();
+    expect(receiver.requests).toHaveLength(0);
+  });
+
+  it('refuses private addresses unless they are allowed', async () => {
+    config.webhooks.allowPrivateHosts = false;
+    receiver = await startReceiver([200]);
+    const delivery = storeDelivery({ url: receiver.url });
+
+    await expect(webhookService.sendDelivery(delivery.id, { number: 1, isLast: false })).rejects.toThrow(
+      /private address/
+    );
+    expect(receiver.requests).toHaveLength(0);
+    expect(delivery.attempts[0]).toMatchObject({ status_code: null });
+  });
+});
+
+describe('task event notifications', () => {
+  beforeEach(() => {
+    setTaskRepository(createMemoryTaskRepository());
+    jest.spyOn(Webhook, 'find').mockResolvedValue([
+      { id: 'webhook-1', url: 'https://hooks.example.com/videos' },
+    ]);
+    jest.spyOn(WebhookDelivery, 'create').mockImplementation(async (fields) => new WebhookDelivery(fields));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    enqueueDelivery.mockClear();
+  });
+
+  afterAll(() => {
+    setTaskRepository(null);
+  });
+
+  it('queues a delivery for every webhook and the one given with the upload', async () => {
+    const task = await getTaskRepository().create(
+      taskFields({ status: 'completed', webhook: { url: 'https://upload.example.com/hook', secret: SECRET } })
+    );
+
+    const deliveries = await webhookService.notifyTaskEvent(task);
+
+    expect(deliveries.map((delivery) => delivery.url).sort()).toEqual([
+      'https://hooks.example.com/videos',
+      'https://upload.example.com/hook',
+    ]);
+    expect(WebhookDelivery.create).toHaveBeenCalledWith(
+      expect.objectContaining({ url: 'https://upload.example.com/hook', secret: SECRET })
+    );
+    expect(enqueueDelivery).toHaveBeenCalledTimes(2);
+    // Both carry the same event
+    expect(new Set(deliveries.map((delivery) => delivery.payload.id)).size).toBe(1);
+    expect(deliveries[0].payload).toMatchObject({ event: 'task.completed', data: { task: { id: task.id } } });
+  });
+
+  it('ignores states webhooks are not told about', async () => {
+    const task = await getTaskRepository().create(taskFields());
+    expect(await webhookService.notifyTaskEvent(task)).toEqual([]);
+    expect(WebhookDelivery.create).not.toHaveBeenCalled();
+  });
+});
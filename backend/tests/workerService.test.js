@@ -0,0 +1,168 @@
+jest.mock('../src/queue/videoQueue', () => ({
+  enqueueTask: jest.fn(async () => {}),
+  removeQueuedJob: jest.fn(async () => {}),
+  removeUnlockedJob: jest.fn(async () => true),
+}));
+jest.mock('../src/queue/deadLetterQueue', () => ({
+  addDeadLetter: jest.fn(async () => {}),
+  removeDeadLetter: jest.fn(async () => {}),
+}));
+jest.mock('../src/events/taskEvents', () => ({
+  ...jest.requireActual('../src/events/taskEvents'),
+  publishTaskEvent: jest.fn(async () => {}),
+}));
+jest.mock('../src/services/taskLogService', () => ({
+  ...jest.requireActual('../src/services/taskLogService'),
+  recordLog: jest.fn(async () => {}),
+}));
+jest.mock('../src/services/webhookService', () => ({ notifyTaskEvent: jest.fn(async () => []) }));
+jest.mock('../src/services/retentionService', () => ({ refreshExpiry: jest.fn(async (task) => task) }));
+jest.mock('../src/services/schedulerService', () => ({
+  ...jest.requireActual('../src/services/schedulerService'),
+  requestDispatch: jest.fn(async () => {}),
+}));
+jest.mock('../src/storage', () => {
+  const storage = { deletePrefix: jest.fn(async () => {}) };
+  return { ...jest.requireActual('../src/storage'), getStorage: () => storage };
+});
+
+const config = require('../src/config');
+const { setTaskRepository, createMemoryTaskRepository, getTaskRepository } = require('../src/repositories');
+const { enqueueTask, removeUnlockedJob } = require('../src/queue/videoQueue');
+const { addDeadLetter } = require('../src/queue/deadLetterQueue');
+const { getStorage } = require('../src/storage');
+const { requestDispatch } = require('../src/services/schedulerService');
+const { ERROR_CODES } = require('../src/utils/errorClassifier');
+const taskService = require('../src/services/taskService');
+const workerService = require('../src/services/workerService');
+const { taskFields } = require('./helpers');
+
+const WORKER = 'worker-a:1';
+
+/**
+ * A task picked up by a worker at `startedAt`, as the worker leaves it
+ * @param {Date} startedAt
+ * @param {Object} [fields]
+ * @returns {Promise<Object>} - Task JSON with its lease
+ */
+const startTask = async (startedAt, fields = {}) => {
+  jest.setSystemTime(startedAt);
+  const task = await getTaskRepository().create(taskFields(fields));
+  return taskService.markTaskProcessing(task.id, { jobAttempt: 1, worker: WORKER });
+};
+
+describe('worker leases', () => {
+  const start = new Date('2026-01-01T10:00:00Z');
+  const afterLease = (ms = 1) => new Date(start.getTime() + config.worker.leaseTtlMs + ms);
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: start, doNotFake: ['nextTick', 'setImmediate'] });
+    setTaskRepository(createMemoryTaskRepository());
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  afterAll(() => {
+    setTaskRepository(null);
+  });
+
+  it('hands out a lease that runs for WORKER_LEASE_TTL_MS', async () => {
+    const task = await startTask(start);
+    expect(task.status).toBe('processing');
+    expect(task.lease).toMatchObject({ worker: WORKER });
+    expect(new Date(task.lease.expires_at).getTime()).toBe(start.getTime() + config.worker.leaseTtlMs);
+  });
+
+  it('extends the lease only for the worker holding it', async () => {
+    const task = await startTask(start);
+    jest.setSystemTime(new Date(start.getTime() + 30000));
+
+    const renewed = await taskService.renewLease(task.id, task.lease.id);
+    expect(new Date(renewed.lease.expires_at).getTime()).toBe(start.getTime() + 30000 + config.worker.leaseTtlMs);
+    expect(await taskService.renewLease(task.id, 'someone-else')).toBeNull();
+  });
+
+  it('leaves tasks with a live lease alone', async () => {
+    const task = await startTask(start);
+    const result = await workerService.reapExpiredLeases({ now: new Date(start.getTime() + 1000) });
+    expect(result).toEqual({ requeued: [], failed: [], skipped: [] });
+    expect(await getTaskRepository().findById(task.id)).toMatchObject({ status: 'processing' });
+  });
+
+  it('requeues a task whose lease expired', async () => {
+    const task = await startTask(start);
+    const now = afterLease();
+    jest.setSystemTime(now);
+
+    const result = await workerService.reapExpiredLeases({ now });
+    expect(result).toEqual({ requeued: [task.id], failed: [], skipped: [] });
+
+    const recovered = await getTaskRepository().findById(task.id);
+    expect(recovered).toMatchObject({ status: 'pending', lease: null });
+    expect(recovered.attempts[0]).toMatchObject({ status: 'failed', error_code: ERROR_CODES.WORKER_LOST });
+    // Never dispatched, so it waits for a slot like any queued task
+    expect(requestDispatch).toHaveBeenCalled();
+    expect(enqueueTask).not.toHaveBeenCalled();
+  });
+
+  it('sends a requeued task holding a slot straight back to the workers', async () => {
+    const task = await startTask(start, { dispatched_at: start });
+    const now = afterLease();
+    jest.setSystemTime(now);
+
+    await workerService.reapExpiredLeases({ now });
+    expect(enqueueTask).toHaveBeenCalledWith(
+      expect.objectContaining({ id: task.id, status: 'pending' }),
+      expect.objectContaining({ attempts: config.worker.maxAttempts - 1, recovered: true })
+    );
+  });
+
+  it('fails the task once its attempts are used up', async () => {
+    let task = await startTask(start);
+    for (let attempt = 2; attempt <= config.worker.maxAttempts; attempt += 1) {
+      await taskService.failTask(task.id, { code: 'FFMPEG_FAILED', message: 'boom' }, { willRetry: true });
+      task = await taskService.markTaskProcessing(task.id, { jobAttempt: attempt, worker: WORKER });
+    }
+    const now = afterLease();
+    jest.setSystemTime(now);
+
+    const result = await workerService.reapExpiredLeases({ now });
+    expect(result.failed).toEqual([task.id]);
+    expect(await getTaskRepository().findById(task.id)).toMatchObject({
+      status: 'failed',
+      error: expect.objectContaining({ code: ERROR_CODES.WORKER_LOST }),
+    });
+    expect(addDeadLetter).toHaveBeenCalledWith(expect.objectContaining({ id: task.id }), expect.anything());
+    expect(getStorage().deletePrefix).toHaveBeenCalledWith(`${task.id}/output/`);
+  });
+
+  it('skips tasks whose job Bull still has locked', async () => {
+    const task = await startTask(start);
+    removeUnlockedJob.mockResolvedValueOnce(false);
+
+    const result = await workerService.reapExpiredLeases({ now: afterLease() });
+    expect(result.skipped).toEqual([task.id]);
+    expect(await getTaskRepository().findById(task.id)).toMatchObject({ status: 'processing' });
+  });
+
+  it('lets a lease renewed while the reaper runs win', async () => {
+    const task = await startTask(start);
+    const now = afterLease();
+    jest.setSystemTime(now);
+    // The worker renews after the reaper found the lease expired
+    removeUnlockedJob.mockImplementationOnce(async () => {
+      await taskService.renewLease(task.id, task.lease.id);
+      return true;
+    });
+
+    const result = await workerService.reapExpiredLeases({ now });
+    expect(result.skipped).toEqual([task.id]);
+    expect(await getTaskRepository().findById(task.id)).toMatchObject({
+      status: 'processing',
+      lease: expect.objectContaining({ id: task.lease.id }),
+    });
+  });
+});
@@ -0,0 +1,57 @@
+require('dotenv').config();
+
+const config = require('./src/config');
+const logger = require('./src/utils/logger');
+const { connectDatabase, disconnectDatabase } = require('./src/config/database');
+const { initTaskEvents, closeTaskEvents } = require('./src/events/taskEvents');
+const { getVideoQueue, closeVideoQueue } = require('./src/queue/videoQueue');
+const { closeDeadLetterQueue } = require('./src/queue/deadLetterQueue');
+const { getWebhookQueue, closeWebhookQueue } = require('./src/queue/webhookQueue');
+const { processVideoJob, listenForCancellations, startHeartbeat } = require('./src/worker/processor');
+const { processWebhookJob } = require('./src/worker/webhookSender');
+const { startWorkerJobs } = require('./src/jobs/retentionJobs');
+
+const start = async () => {
+  await connectDatabase();
+  // Subscribed so that cancellations made through the API reach running jobs
+  await initTaskEvents();
+  const stopListening = listenForCancellations();
+
+  const queue = getVideoQueue();
+  queue.process(config.worker.concurrency, processVideoJob);
+  logger.info('Video worker started', {
+    queue: config.redis.queueName,
+    concurrency: config.worker.concurrency,
+  });
+
+  getWebhookQueue().process(config.webhooks.concurrency, processWebhookJob);
+  logger.info('Webhook sender started', {
+    queue: config.redis.webhookQueueName,
+    concurrency: config.webhooks.concurrency,
+  });
+
+  const stopJobs = startWorkerJobs();
+  const stopHeartbeat = startHeartbeat({ concurrency: config.worker.concurrency });
+
+  const shutdown = async (signal) => {
+    logger.info(`Received ${signal}, waiting for active jobs to finish`);
+    stopJobs();
+    await closeVideoQueue();
+    // After active jobs finished, so their leases are renewed until then
+    await stopHeartbeat();
+    await closeDeadLetterQueue();
+    await closeWebhookQueue();
+    stopListening();
+    await closeTaskEvents();
+    await disconnectDatabase();
+    process.exit(0);
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+};
+
+start().catch((err) => {
+  logger.error('Failed to start video worker', { error: err.stack || err.message });
+  process.exit(1);
+});
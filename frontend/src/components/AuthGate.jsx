@@ -0,0 +1,93 @@
+import React, { useEffect, useState } from 'react';
+import {
+  AUTH_CHANGED_EVENT,
+  AUTH_EXPIRED_EVENT,
+  getAccessToken,
+  getCurrentUser,
+  logout,
+} from '../utils/auth';
+import LoginForm from './LoginForm';
+
+/**
+ * AuthGate Component
+ * Shows the sign-in form until the user is signed in, then its children with
+ * the signed-in account and a sign-out button. When the session expires the
+ * children stay mounted behind a sign-in dialog, so uploads and the task
+ * list pick up where they stopped after signing in again.
+ */
+const AuthGate = ({ children }) => {
+  const [user, setUser] = useState(() => (getAccessToken() ? getCurrentUser() : null));
+  // The account stays on screen while its expired session is renewed
+  const [expired, setExpired] = useState(false);
+
+  useEffect(() => {
+    const handleChanged = () => {
+      if (getAccessToken()) {
+        setUser(getCurrentUser());
+        setExpired(false);
+      }
+    };
+    const handleExpired = () => setExpired(true);
+    window.addEventListener(AUTH_CHANGED_EVENT, handleChanged);
+    window.addEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+    return () => {
+      window.removeEventListener(AUTH_CHANGED_EVENT, handleChanged);
+      window.removeEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+    };
+  }, []);
+
+  const handleLogout = async () => {
+    setUser(null);
+    setExpired(false);
+    await logout();
+  };
+
+  if (!user) {
+    return (
+      <div className="auth-gate">
+        <LoginForm />
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <div className="auth-bar">
+        <span className="auth-bar-user">
+          {user.name || user.email}
+          {user.role === 'admin' && <span className="auth-bar-role">Admin</span>}
+        </span>
+        <button className="btn btn-secondary" onClick={handleLogout}>
+          Sign out
+        </button>
+      </div>
+
+      {/* Signing in as someone else on the expired-session dialog starts over */}
+      <React.Fragment key={user.id}>{children}</React.Fragment>
+
+      {expired && (
+        <div className="confirm-dialog-backdrop">
+          <div
+            className="confirm-dialog"
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="login-form-title"
+          >
+            <LoginForm
+              title="Session expired"
+              message="Sign in again to continue. Paused uploads resume where they stopped."
+              initialEmail={user.email}
+            />
+            <div className="confirm-dialog-actions">
+              <button className="btn btn-secondary" onClick={handleLogout}>
+                Sign out
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default AuthGate;
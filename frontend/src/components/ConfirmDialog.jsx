@@ -0,0 +1,73 @@
+import React, { useEffect, useRef } from 'react';
+
+const MAX_LISTED_ITEMS = 10;
+
+/**
+ * ConfirmDialog Component
+ * Modal confirmation listing the items an action will affect.
+ * Items are { id, label }; labels such as task names need not be unique.
+ */
+const ConfirmDialog = ({
+  title,
+  message,
+  items = [],
+  totalCount = items.length,
+  confirmLabel = 'Confirm',
+  danger = false,
+  busy = false,
+  onConfirm,
+  onCancel,
+}) => {
+  const confirmRef = useRef(null);
+
+  // Focus the confirm button and close on Escape
+  useEffect(() => {
+    confirmRef.current?.focus();
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape' && !busy) onCancel();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [busy, onCancel]);
+
+  const listed = items.slice(0, MAX_LISTED_ITEMS);
+  const remaining = totalCount - listed.length;
+
+  return (
+    <div className="confirm-dialog-backdrop" onClick={busy ? undefined : onCancel}>
+      <div
+        className="confirm-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="confirm-dialog-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 id="confirm-dialog-title" className="confirm-dialog-title">{title}</h3>
+        {message && <p className="confirm-dialog-message">{message}</p>}
+        {listed.length > 0 && (
+          <ul className="confirm-dialog-items">
+            {listed.map((item) => (
+              <li key={item.id}>{item.label}</li>
+            ))}
+            {remaining > 0 && <li className="confirm-dialog-more">…and {remaining} more</li>}
+          </ul>
+        )}
+        <div className="confirm-dialog-actions">
+          <button className="btn btn-secondary" onClick={onCancel} disabled={busy}>
+            Back
+          </button>
+          <button
+            ref={confirmRef}
+            className={`btn ${danger ? 'btn-danger' : 'btn-primary'}`}
+            onClick={onConfirm}
+            disabled={busy}
+          >
+            {busy ? 'Working...' : confirmLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConfirmDialog;
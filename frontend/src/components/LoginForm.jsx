@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import { login } from '../utils/auth';
+
+/**
+ * LoginForm Component
+ * Email and password sign-in through POST /api/auth/login
+ */
+const LoginForm = ({ title = 'Sign in', message, initialEmail = '', onSignedIn }) => {
+  const [email, setEmail] = useState(initialEmail);
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const user = await login(email, password);
+      onSignedIn?.(user);
+    } catch (err) {
+      setError(err.message);
+      setPassword('');
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form className="login-form" onSubmit={handleSubmit}>
+      <h3 id="login-form-title" className="login-form-title">{title}</h3>
+      {message && <p className="login-form-message">{message}</p>}
+
+      <label className="login-form-field">
+        <span>Email</span>
+        <input
+          type="email"
+          autoComplete="username"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          required
+          autoFocus={!initialEmail}
+        />
+      </label>
+      <label className="login-form-field">
+        <span>Password</span>
+        <input
+          type="password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          required
+          autoFocus={Boolean(initialEmail)}
+        />
+      </label>
+
+      {error && (
+        <p className="login-form-error" role="alert">
+          {error}
+        </p>
+      )}
+
+      <button type="submit" className="btn btn-primary" disabled={busy}>
+        {busy ? 'Signing in...' : 'Sign in'}
+      </button>
+    </form>
+  );
+};
+
+export default LoginForm;
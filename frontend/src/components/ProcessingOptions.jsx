@@ -0,0 +1,226 @@
+import React from 'react';
+
+// Keep in sync with backend/src/validators/processingSettings.js
+export const OUTPUT_FORMATS = [
+  { value: 'mp4', label: 'MP4 (H.264)' },
+  { value: 'webm', label: 'WebM (VP9)' },
+  { value: 'hls', label: 'HLS (adaptive streaming)' },
+];
+export const RESOLUTIONS = ['240p', '360p', '480p', '720p', '1080p', '1440p', '2160p'];
+export const QUALITY_PRESETS = ['low', 'medium', 'high'];
+export const MAX_THUMBNAIL_COUNT = 20;
+export const AUDIO_FORMATS = [
+  { value: 'mp3', label: 'MP3' },
+  { value: 'aac', label: 'AAC (.m4a)' },
+  { value: 'flac', label: 'FLAC (lossless)' },
+  { value: 'wav', label: 'WAV (uncompressed)' },
+];
+
+export const DEFAULT_PROCESSING_SETTINGS = {
+  output_formats: ['mp4'],
+  resolutions: ['720p'],
+  quality: 'medium',
+  thumbnail_count: 5,
+  extract_audio: false,
+  audio_format: 'mp3',
+  trim_start: null,
+  trim_end: null,
+};
+
+/**
+ * Validate processing settings before they are sent with an upload
+ * @param {Object} settings - Settings to validate
+ * @returns {Object} - Map of field name to error message, empty when valid
+ */
+export const validateProcessingSettings = (settings) => {
+  const errors = {};
+
+  if (settings.output_formats.length === 0) {
+    errors.output_formats = 'Select at least one output format';
+  }
+  if (settings.resolutions.length === 0) {
+    errors.resolutions = 'Select at least one resolution';
+  }
+  if (
+    !Number.isInteger(settings.thumbnail_count) ||
+    settings.thumbnail_count < 0 ||
+    settings.thumbnail_count > MAX_THUMBNAIL_COUNT
+  ) {
+    errors.thumbnail_count = `Enter a whole number between 0 and ${MAX_THUMBNAIL_COUNT}`;
+  }
+  if (settings.extract_audio && !AUDIO_FORMATS.some((format) => format.value === settings.audio_format)) {
+    errors.audio_format = 'Choose an audio format';
+  }
+  if (settings.trim_start !== null && settings.trim_start < 0) {
+    errors.trim_start = 'Trim start cannot be negative';
+  }
+  if (settings.trim_end !== null) {
+    if (settings.trim_end <= 0) {
+      errors.trim_end = 'Trim end must be greater than 0';
+    } else if (settings.trim_start !== null && settings.trim_end <= settings.trim_start) {
+      errors.trim_end = 'Trim end must be after trim start';
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * ProcessingOptions Component
+ * Form for the processing settings attached to each upload
+ * @param {string[]} [audioFormats] - Audio formats the server allows; every known one when omitted
+ */
+const ProcessingOptions = ({ settings, onChange, errors = {}, disabled = false, audioFormats }) => {
+  const audioOptions = AUDIO_FORMATS.filter(
+    (format) => !audioFormats || audioFormats.includes(format.value)
+  );
+
+  /**
+   * Add or remove a value from a multi-select setting
+   * @param {string} field - Settings field holding an array
+   * @param {string} value - Value to toggle
+   */
+  const toggleValue = (field, value) => {
+    const current = settings[field];
+    onChange({
+      ...settings,
+      [field]: current.includes(value)
+        ? current.filter((item) => item !== value)
+        : [...current, value],
+    });
+  };
+
+  /**
+   * Update a numeric setting; an empty input clears optional fields
+   * @param {string} field - Settings field
+   * @param {string} rawValue - Input value
+   * @param {boolean} optional - Whether the field may be null
+   */
+  const setNumber = (field, rawValue, optional = false) => {
+    if (rawValue === '') {
+      onChange({ ...settings, [field]: optional ? null : 0 });
+      return;
+    }
+    onChange({ ...settings, [field]: Number(rawValue) });
+  };
+
+  return (
+    <fieldset className="processing-options" disabled={disabled}>
+      <legend>Processing Settings</legend>
+
+      <div className="option-group">
+        <span className="option-label">Output formats</span>
+        {OUTPUT_FORMATS.map((format) => (
+          <label key={format.value} className="option-checkbox">
+            <input
+              type="checkbox"
+              checked={settings.output_formats.includes(format.value)}
+              onChange={() => toggleValue('output_formats', format.value)}
+            />
+            {format.label}
+          </label>
+        ))}
+        {errors.output_formats && <p className="option-error">{errors.output_formats}</p>}
+      </div>
+
+      <div className="option-group">
+        <span className="option-label">Resolutions</span>
+        {RESOLUTIONS.map((resolution) => (
+          <label key={resolution} className="option-checkbox">
+            <input
+              type="checkbox"
+              checked={settings.resolutions.includes(resolution)}
+              onChange={() => toggleValue('resolutions', resolution)}
+            />
+            {resolution}
+          </label>
+        ))}
+        {errors.resolutions && <p className="option-error">{errors.resolutions}</p>}
+      </div>
+
+      <div className="option-group">
+        <label htmlFor="quality-preset" className="option-label">Quality preset</label>
+        <select
+          id="quality-preset"
+          value={settings.quality}
+          onChange={(e) => onChange({ ...settings, quality: e.target.value })}
+        >
+          {QUALITY_PRESETS.map((preset) => (
+            <option key={preset} value={preset}>
+              {preset.charAt(0).toUpperCase() + preset.slice(1)}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="option-group">
+        <label htmlFor="thumbnail-count" className="option-label">Thumbnails</label>
+        <input
+          id="thumbnail-count"
+          type="number"
+          min="0"
+          max={MAX_THUMBNAIL_COUNT}
+          step="1"
+          value={settings.thumbnail_count}
+          onChange={(e) => setNumber('thumbnail_count', e.target.value)}
+        />
+        {errors.thumbnail_count && <p className="option-error">{errors.thumbnail_count}</p>}
+      </div>
+
+      {audioOptions.length > 0 && (
+        <div className="option-group">
+          <label className="option-checkbox">
+            <input
+              type="checkbox"
+              checked={settings.extract_audio}
+              onChange={(e) => onChange({ ...settings, extract_audio: e.target.checked })}
+            />
+            Extract audio track
+          </label>
+          {settings.extract_audio && (
+            <select
+              aria-label="Audio format"
+              value={settings.audio_format}
+              onChange={(e) => onChange({ ...settings, audio_format: e.target.value })}
+            >
+              {audioOptions.map((format) => (
+                <option key={format.value} value={format.value}>
+                  {format.label}
+                </option>
+              ))}
+            </select>
+          )}
+          {errors.audio_format && <p className="option-error">{errors.audio_format}</p>}
+        </div>
+      )}
+
+      <div className="option-group">
+        <span className="option-label">Trim (seconds)</span>
+        <label htmlFor="trim-start">Start</label>
+        <input
+          id="trim-start"
+          type="number"
+          min="0"
+          step="0.1"
+          placeholder="Beginning"
+          value={settings.trim_start ?? ''}
+          onChange={(e) => setNumber('trim_start', e.target.value, true)}
+        />
+        <label htmlFor="trim-end">End</label>
+        <input
+          id="trim-end"
+          type="number"
+          min="0"
+          step="0.1"
+          placeholder="End of video"
+          value={settings.trim_end ?? ''}
+          onChange={(e) => setNumber('trim_end', e.target.value, true)}
+        />
+        {errors.trim_start && <p className="option-error">{errors.trim_start}</p>}
+        {errors.trim_end && <p className="option-error">{errors.trim_end}</p>}
+      </div>
+    </fieldset>
+  );
+};
+
+export default ProcessingOptions;
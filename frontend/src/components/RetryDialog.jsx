@@ -0,0 +1,92 @@
+import React, { useEffect, useState } from 'react';
+import ProcessingOptions, {
+  DEFAULT_PROCESSING_SETTINGS,
+  validateProcessingSettings,
+} from './ProcessingOptions';
+import { retryTaskWithSettings } from '../utils/taskActions';
+
+/**
+ * RetryDialog Component
+ * Modal for retrying a task with its settings open for editing
+ */
+const RetryDialog = ({ task, onRetried, onCancel }) => {
+  const [settings, setSettings] = useState(() => ({
+    ...DEFAULT_PROCESSING_SETTINGS,
+    ...task.settings,
+  }));
+  const [serverErrors, setServerErrors] = useState({});
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const errors = { ...serverErrors, ...validateProcessingSettings(settings) };
+  const hasErrors = Object.keys(errors).length > 0;
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape' && !busy) onCancel();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [busy, onCancel]);
+
+  /**
+   * Apply an edit and drop server errors for the fields it changed
+   * @param {Object} next - Edited settings
+   */
+  const handleChange = (next) => {
+    setServerErrors((prev) =>
+      Object.fromEntries(Object.entries(prev).filter(([field]) => next[field] === settings[field]))
+    );
+    setSettings(next);
+  };
+
+  const handleSubmit = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      onRetried(await retryTaskWithSettings(task.id, settings));
+    } catch (err) {
+      // Settings validation reports one message per field
+      if (err.details?.fields) setServerErrors(err.details.fields);
+      setError(err.message);
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="confirm-dialog-backdrop" onClick={busy ? undefined : onCancel}>
+      <div
+        className="confirm-dialog retry-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="retry-dialog-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 id="retry-dialog-title" className="confirm-dialog-title">
+          Retry “{task.name}”
+        </h3>
+        <p className="confirm-dialog-message">
+          The task is processed again as a new attempt. Change any settings first if needed.
+        </p>
+        <ProcessingOptions
+          settings={settings}
+          onChange={handleChange}
+          errors={errors}
+          disabled={busy}
+        />
+        {error && <p className="error-message">{error}</p>}
+        <div className="confirm-dialog-actions">
+          <button className="btn btn-secondary" onClick={onCancel} disabled={busy}>
+            Back
+          </button>
+          <button className="btn btn-primary" onClick={handleSubmit} disabled={busy || hasErrors}>
+            {busy ? 'Working...' : 'Retry'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RetryDialog;
@@ -0,0 +1,152 @@
+import React, { useEffect, useState } from 'react';
+import { fetchTaskArtifacts } from '../utils/taskActions';
+
+const KIND_LABELS = {
+  source: 'Original',
+  video: 'Video',
+  hls: 'Stream',
+  poster: 'Image',
+  thumbnail: 'Image',
+  sprite: 'Image',
+  thumbnail_track: 'Track',
+  audio: 'Audio',
+  caption: 'Captions',
+};
+
+// Links are fetched again this long before they expire
+const REFRESH_MARGIN_MS = 30 * 1000;
+const COPIED_RESET_MS = 2000;
+
+const formatSize = (bytes) => {
+  if (bytes === null || bytes === undefined) return '—';
+  const sizes = ['B', 'KB', 'MB', 'GB'];
+  const i = bytes > 0 ? Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), sizes.length - 1) : 0;
+  return `${Math.round((bytes / Math.pow(1024, i)) * 10) / 10} ${sizes[i]}`;
+};
+
+/**
+ * TaskDownloads Component
+ * Signed links to every output of a completed task, refreshed before they expire
+ */
+const TaskDownloads = ({ task }) => {
+  const [artifacts, setArtifacts] = useState(null);
+  const [expiresAt, setExpiresAt] = useState(null);
+  const [error, setError] = useState(null);
+  const [copiedId, setCopiedId] = useState(null);
+  const [showImages, setShowImages] = useState(false);
+
+  // Outputs change when a completed task is retried with other settings
+  useEffect(() => {
+    let stopped = false;
+    let timer = null;
+
+    const load = async () => {
+      try {
+        const result = await fetchTaskArtifacts(task.id);
+        if (stopped) return;
+        setArtifacts(result.data);
+        setExpiresAt(result.expires_at);
+        setError(null);
+        const refreshIn = new Date(result.expires_at).getTime() - Date.now() - REFRESH_MARGIN_MS;
+        timer = setTimeout(load, Math.max(refreshIn, REFRESH_MARGIN_MS));
+      } catch (err) {
+        if (!stopped) setError(err.message);
+      }
+    };
+    load();
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  }, [task.id, task.updated_at]);
+
+  useEffect(() => {
+    if (!copiedId) return undefined;
+    const timer = setTimeout(() => setCopiedId(null), COPIED_RESET_MS);
+    return () => clearTimeout(timer);
+  }, [copiedId]);
+
+  const copyLink = async (artifact) => {
+    try {
+      await navigator.clipboard.writeText(new URL(artifact.url, window.location.origin).href);
+      setCopiedId(artifact.id);
+    } catch {
+      setError('Could not copy the link; your browser blocked clipboard access');
+    }
+  };
+
+  // Individual thumbnails are many and rarely needed; keep them folded away
+  const images = artifacts?.filter((artifact) => artifact.kind === 'thumbnail') || [];
+  const visible = artifacts?.filter((artifact) => artifact.kind !== 'thumbnail' || showImages) || [];
+
+  return (
+    <div className="detail-section task-downloads">
+      <h4 className="detail-section-title">
+        Downloads
+        {expiresAt && (
+          <span className="downloads-expiry">
+            Links expire at {new Date(expiresAt).toLocaleTimeString()}
+          </span>
+        )}
+      </h4>
+
+      {error && <p className="error-message">{error}</p>}
+      {!artifacts && !error && <p className="downloads-loading">Loading links…</p>}
+
+      {artifacts && (
+        <table className="downloads-table">
+          <thead>
+            <tr>
+              <th>File</th>
+              <th>Type</th>
+              <th>Format</th>
+              <th>Size</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map((artifact) => (
+              <tr key={`${artifact.kind}:${artifact.id}`} className={`download-${artifact.kind}`}>
+                <td className="download-label">{artifact.label}</td>
+                <td>{KIND_LABELS[artifact.kind] || artifact.kind}</td>
+                <td>
+                  {artifact.format.toUpperCase()}
+                  {artifact.resolution && ` · ${artifact.resolution}`}
+                </td>
+                <td>{formatSize(artifact.size)}</td>
+                <td className="download-actions">
+                  <button className="btn btn-secondary btn-small" onClick={() => copyLink(artifact)}>
+                    {copiedId === artifact.id ? '✓ Copied' : '📋 Copy link'}
+                  </button>
+                  {artifact.download_url ? (
+                    <a className="btn btn-primary btn-small" href={artifact.download_url} download>
+                      ⬇ Download
+                    </a>
+                  ) : (
+                    <a
+                      className="btn btn-primary btn-small"
+                      href={artifact.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                    >
+                      ▶ Open
+                    </a>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {images.length > 0 && (
+        <button className="btn btn-secondary btn-downloads-toggle" onClick={() => setShowImages(!showImages)}>
+          {showImages ? 'Hide thumbnails' : `Show ${images.length} thumbnails`}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TaskDownloads;
@@ -1,50 +1,169 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import useTaskUpdates, { CONNECTION_STATES } from '../hooks/useTaskUpdates';
+import useTaskPages from '../hooks/useTaskPages';
+import useTaskQueue from '../hooks/useTaskQueue';
+import {
+  DEFAULT_TASK_QUERY,
+  hasActiveFilters,
+  readQueryFromUrl,
+  writeQueryToUrl,
+} from '../utils/taskQuery';
+import { BULK_ACTIONS, runBulkAction, startDownloads } from '../utils/taskActions';
+import {
+  AUTH_CHANGED_EVENT,
+  AUTH_EXPIRED_EVENT,
+  getAccessToken,
+  isAdmin,
+} from '../utils/auth';
+import ConfirmDialog from './ConfirmDialog';
+import RetryDialog from './RetryDialog';
+import ThumbnailScrubber from './ThumbnailScrubber';
+import TaskTimeline from './TaskTimeline';
+import TaskDownloads from './TaskDownloads';
+import TaskRetention from './TaskRetention';
+import VideoPlayer from './VideoPlayer';
 import '../styles/TaskList.css';
 
+const CANCELLABLE_STATUSES = ['pending', 'processing'];
+const RETRYABLE_STATUSES = ['failed', 'cancelled'];
+// Files of these tasks are deleted by the retention policy once they expire
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+const STATUS_OPTIONS = ['pending', 'processing', 'completed', 'failed', 'cancelled'];
+const SORT_OPTIONS = [
+  { value: 'created_at:desc', label: 'Newest first' },
+  { value: 'created_at:asc', label: 'Oldest first' },
+  { value: 'updated_at:desc', label: 'Recently updated' },
+  { value: 'name:asc', label: 'Name (A-Z)' },
+  { value: 'name:desc', label: 'Name (Z-A)' },
+  { value: 'status:asc', label: 'Status' },
+];
+const SEARCH_DEBOUNCE_MS = 300;
+// Signed media links are fetched again this long before they expire, and no more often
+const MEDIA_REFRESH_MARGIN_MS = 60 * 1000;
+const ATTEMPT_TRIGGER_LABELS = {
+  upload: 'Upload',
+  automatic_retry: 'Automatic retry',
+  manual_retry: 'Manual retry',
+};
+// allMatching selects every task matching the query, minus excludedIds
+const EMPTY_SELECTION = { ids: new Set(), allMatching: false, excludedIds: new Set() };
+
+// Lines of the confirmation dialog; task names are not unique, ids are
+const toConfirmItem = (task) => ({ id: task.id, label: task.name });
+
 /**
  * TaskList Component
- * Displays and manages video processing tasks with real-time status updates
+ * Displays and manages video processing tasks with real-time status updates.
+ * Filtering, sorting and paging happen on the server; the query is kept in the URL.
  */
-const TaskList = ({ tasks = [], onTaskDelete, onTaskRetry, onRefresh }) => {
-  const [filteredTasks, setFilteredTasks] = useState(tasks);
-  const [filterStatus, setFilterStatus] = useState('all'); // all, pending, processing, completed, failed
-  const [sortBy, setSortBy] = useState('created_at'); // created_at, status, name
-  const [searchQuery, setSearchQuery] = useState('');
+const TaskList = ({ onTaskDelete, onTaskRetry, onTaskCancel, onRefresh }) => {
+  const [query, setQuery] = useState(readQueryFromUrl);
+  const [searchInput, setSearchInput] = useState(query.name);
   const [expandedTaskId, setExpandedTaskId] = useState(null);
+  const [selection, setSelection] = useState(EMPTY_SELECTION);
+  const [pendingAction, setPendingAction] = useState(null); // { action, selection, items, count }
+  const [actionBusy, setActionBusy] = useState(false);
+  const [actionResult, setActionResult] = useState(null);
+  const [retryingTask, setRetryingTask] = useState(null);
+  const [playingTask, setPlayingTask] = useState(null);
+  const [sessionExpired, setSessionExpired] = useState(false);
+  const sessionExpiredRef = useRef(false);
+  const sentinelRef = useRef(null);
+
+  const { tasks: pageTasks, total, counts, hasMore, loading, error, loadMore, reload } =
+    useTaskPages(query);
+  // Live status/progress pushed by the backend, merged over the loaded pages.
+  // New tasks are only prepended when they are certain to belong at the top.
+  const { tasks, connectionState } = useTaskUpdates(pageTasks, {
+    includeCreated:
+      !hasActiveFilters(query) && query.sort === 'created_at' && query.order === 'desc',
+  });
+  const { positions: queuePositions } = useTaskQueue(
+    tasks
+      .filter((task) => task.status === 'pending')
+      .map((task) => task.id)
+      .join(',')
+  );
 
-  // Filter and sort tasks
+  /**
+   * Update part of the query
+   * @param {Object} changes - Query fields to change
+   */
+  const updateQuery = (changes) => {
+    setQuery((prev) => ({ ...prev, ...changes }));
+  };
+
+  // Keep the URL in sync so filtered views can be bookmarked and shared.
+  // A different query shows different tasks, so the selection starts over.
   useEffect(() => {
-    let filtered = tasks;
+    writeQueryToUrl(query);
+    setSelection(EMPTY_SELECTION);
+  }, [query]);
 
-    // Apply status filter
-    if (filterStatus !== 'all') {
-      filtered = filtered.filter(task => task.status === filterStatus);
-    }
+  // Debounce the search box before it becomes part of the query
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setQuery((prev) => (prev.name === searchInput ? prev : { ...prev, name: searchInput }));
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
 
-    // Apply search filter
-    if (searchQuery.trim()) {
-      filtered = filtered.filter(
-        task =>
-          task.name.toLowerCase().includes(searchQuery.toLowerCase()) ||
-          task.id.toLowerCase().includes(searchQuery.toLowerCase())
-      );
-    }
+  // Infinite scroll: load the next page when the end of the list comes into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore || typeof IntersectionObserver === 'undefined') return undefined;
 
-    // Apply sorting
-    const sorted = [...filtered].sort((a, b) => {
-      switch (sortBy) {
-        case 'status':
-          return a.status.localeCompare(b.status);
-        case 'name':
-          return a.name.localeCompare(b.name);
-        case 'created_at':
-        default:
-          return new Date(b.created_at) - new Date(a.created_at);
-      }
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadMore();
     });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, loadMore]);
 
-    setFilteredTasks(sorted);
-  }, [tasks, filterStatus, searchQuery, sortBy]);
+  // A request answered 401 ended the session; load the list again once the
+  // user has signed in again
+  useEffect(() => {
+    const handleExpired = () => {
+      sessionExpiredRef.current = true;
+      setSessionExpired(true);
+    };
+    const handleChanged = () => {
+      if (!getAccessToken() || !sessionExpiredRef.current) return;
+      sessionExpiredRef.current = false;
+      setSessionExpired(false);
+      reload();
+    };
+    window.addEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+    window.addEventListener(AUTH_CHANGED_EVENT, handleChanged);
+    return () => {
+      window.removeEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+      window.removeEventListener(AUTH_CHANGED_EVENT, handleChanged);
+    };
+  }, [reload]);
+
+  // Thumbnails, captions and stream links are signed and expire; reload the
+  // list before the first of them does
+  useEffect(() => {
+    const expiries = tasks
+      .filter((task) => task.media)
+      .map((task) => new Date(task.media.expires_at).getTime());
+    if (expiries.length === 0) return undefined;
+    const timer = setTimeout(
+      reload,
+      Math.max(Math.min(...expiries) - Date.now() - MEDIA_REFRESH_MARGIN_MS, MEDIA_REFRESH_MARGIN_MS)
+    );
+    return () => clearTimeout(timer);
+  }, [tasks, reload]);
+
+  const handleRefresh = () => {
+    reload();
+    onRefresh?.();
+  };
+
+  const handleClearFilters = () => {
+    setSearchInput('');
+    setQuery({ ...DEFAULT_TASK_QUERY });
+  };
 
   const getStatusBadgeClass = (status) => {
     const statusMap = {
@@ -52,13 +171,25 @@ const TaskList = ({ tasks = [], onTaskDelete, onTaskRetry, onRefresh }) => {
       processing: 'status-badge status-processing',
       completed: 'status-badge status-completed',
       failed: 'status-badge status-failed',
+      cancelled: 'status-badge status-cancelled',
     };
     return statusMap[status] || 'status-badge status-default';
   };
 
+  const connectionLabels = {
+    [CONNECTION_STATES.CONNECTING]: { label: 'Connecting...', title: 'Connecting to live updates' },
+    [CONNECTION_STATES.LIVE]: { label: '● Live', title: 'Live updates over WebSocket' },
+    [CONNECTION_STATES.SSE]: { label: '● Live', title: 'Live updates over server-sent events' },
+    [CONNECTION_STATES.POLLING]: {
+      label: '◌ Auto-refresh',
+      title: 'Live connection unavailable, checking for updates periodically',
+    },
+  };
+
   const getProgressPercentage = (task) => {
     if (task.status === 'completed') return 100;
     if (task.status === 'failed') return 0;
+    // Cancelled tasks keep the progress they had reached
     return task.progress || 0;
   };
 
@@ -71,6 +202,17 @@ const TaskList = ({ tasks = [], onTaskDelete, onTaskRetry, onRefresh }) => {
     }
   };
 
+  /**
+   * The first date the retention policy deletes some of a task's files
+   * @param {Object} task
+   * @returns {string|null} - ISO date
+   */
+  const getNextExpiry = (task) => {
+    const { source_expires_at: sourceExpiresAt, outputs_expires_at: outputsExpiresAt } =
+      task.retention || {};
+    return [sourceExpiresAt, outputsExpiresAt].filter(Boolean).sort()[0] || null;
+  };
+
   const formatFileSize = (bytes) => {
     if (!bytes) return 'Unknown';
     const sizes = ['B', 'KB', 'MB', 'GB'];
@@ -90,14 +232,160 @@ const TaskList = ({ tasks = [], onTaskDelete, onTaskRetry, onRefresh }) => {
     return `${minutes}m ${secs}s`;
   };
 
-  const handleTaskDelete = (taskId) => {
-    if (window.confirm('Are you sure you want to delete this task?')) {
-      onTaskDelete?.(taskId);
+  const formatSettingValue = (value) => {
+    if (value === null || value === undefined) return 'None';
+    if (Array.isArray(value)) return value.join(', ');
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  };
+
+  /**
+   * One-line summary of the settings an attempt ran with
+   * @param {Object} settings - Attempt settings
+   * @returns {string}
+   */
+  const summarizeSettings = (settings) => {
+    if (!settings) return 'Unknown';
+    const parts = [
+      formatSettingValue(settings.output_formats),
+      formatSettingValue(settings.resolutions),
+      `${settings.quality} quality`,
+    ];
+    if (settings.trim_start !== null || settings.trim_end !== null) {
+      parts.push(`trim ${settings.trim_start ?? 0}s–${settings.trim_end ?? 'end'}`);
+    }
+    return parts.join(' · ');
+  };
+
+  /**
+   * A manual retry was queued from the retry dialog
+   * @param {Object} task - The task, now pending
+   */
+  const handleRetried = (task) => {
+    setRetryingTask(null);
+    onTaskRetry?.(task.id);
+    reload();
+  };
+
+  const isSelected = (taskId) =>
+    selection.allMatching ? !selection.excludedIds.has(taskId) : selection.ids.has(taskId);
+
+  const selectedCount = selection.allMatching
+    ? Math.max(total - selection.excludedIds.size, 0)
+    : selection.ids.size;
+  const allLoadedSelected = tasks.length > 0 && tasks.every((task) => isSelected(task.id));
+
+  /**
+   * Tick or untick one task
+   * @param {string} taskId - Task ID
+   */
+  const toggleSelected = (taskId) => {
+    setSelection((prev) => {
+      const key = prev.allMatching ? 'excludedIds' : 'ids';
+      const next = new Set(prev[key]);
+      if (next.has(taskId)) {
+        next.delete(taskId);
+      } else {
+        next.add(taskId);
+      }
+      return { ...prev, [key]: next };
+    });
+  };
+
+  const toggleAllLoaded = () => {
+    setSelection(
+      allLoadedSelected
+        ? EMPTY_SELECTION
+        : { ...EMPTY_SELECTION, ids: new Set(tasks.map((task) => task.id)) }
+    );
+  };
+
+  const selectAllMatching = () => {
+    setSelection({ ...EMPTY_SELECTION, allMatching: true });
+  };
+
+  const clearSelection = () => {
+    setSelection(EMPTY_SELECTION);
+  };
+
+  /**
+   * Run an action through the batch endpoint and report per-task results
+   * @param {Object} request - { action, selection } as built by requestAction
+   */
+  const executeAction = async ({ action, selection: target }) => {
+    setActionBusy(true);
+    setActionResult(null);
+
+    try {
+      const result = await runBulkAction(action, target);
+      if (action === 'download') startDownloads(result.results);
+
+      const namesById = Object.fromEntries(tasks.map((task) => [task.id, task.name]));
+      setActionResult({
+        action,
+        succeeded: result.succeeded,
+        failures: result.results
+          .filter((item) => !item.ok)
+          .map((item) => ({
+            id: item.task_id,
+            name: namesById[item.task_id] || item.task_id,
+            message: item.error.message,
+          })),
+      });
+
+      // Let the parent know about each task that changed
+      result.results
+        .filter((item) => item.ok)
+        .forEach((item) => {
+          if (action === 'delete') onTaskDelete?.(item.task_id);
+          if (action === 'retry') onTaskRetry?.(item.task_id);
+          if (action === 'cancel') onTaskCancel?.(item.task);
+        });
+
+      if (action !== 'download') {
+        clearSelection();
+        reload();
+      }
+    } catch (err) {
+      setActionResult({ action, succeeded: 0, failures: [], error: err.message });
+    } finally {
+      setActionBusy(false);
+      setPendingAction(null);
     }
   };
 
-  const handleTaskRetry = (taskId) => {
-    onTaskRetry?.(taskId);
+  /**
+   * Start an action, asking for confirmation first unless told otherwise
+   * @param {string} action - Key of BULK_ACTIONS
+   * @param {Object[]} [targetTasks] - Tasks to act on; the current selection when omitted
+   * @param {boolean} [confirm=true] - Show the confirmation dialog
+   */
+  const requestAction = (action, targetTasks, confirm = true) => {
+    let request;
+    if (targetTasks) {
+      request = {
+        action,
+        selection: { taskIds: targetTasks.map((task) => task.id) },
+        items: targetTasks.map(toConfirmItem),
+        count: targetTasks.length,
+      };
+    } else {
+      request = {
+        action,
+        selection: selection.allMatching
+          ? { query, excludeIds: [...selection.excludedIds] }
+          : { taskIds: [...selection.ids] },
+        items: tasks.filter((task) => isSelected(task.id)).map(toConfirmItem),
+        count: selectedCount,
+      };
+    }
+
+    if (confirm) {
+      setPendingAction(request);
+    } else {
+      executeAction(request);
+    }
   };
 
   const toggleTaskExpanded = (taskId) => {
@@ -109,7 +397,13 @@ const TaskList = ({ tasks = [], onTaskDelete, onTaskRetry, onRefresh }) => {
       {/* Header Section */}
       <div className="task-list-header">
         <h1 className="task-list-title">Video Processing Tasks</h1>
-        <button className="btn-refresh" onClick={onRefresh} title="Refresh tasks">
+        <span
+          className={`connection-status connection-${connectionState}`}
+          title={connectionLabels[connectionState].title}
+        >
+          {connectionLabels[connectionState].label}
+        </span>
+        <button className="btn-refresh" onClick={handleRefresh} title="Refresh tasks">
           🔄 Refresh
         </button>
       </div>
@@ -121,14 +415,14 @@ const TaskList = ({ tasks = [], onTaskDelete, onTaskRetry, onRefresh }) => {
           <input
             type="text"
             className="search-input"
-            placeholder="Search by task name or ID..."
-            value={searchQuery}
-            onChange={(e) => setSearchQuery(e.target.value)}
+            placeholder="Search by task name..."
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
           />
-          {searchQuery && (
+          {searchInput && (
             <button
               className="btn-clear-search"
-              onClick={() => setSearchQuery('')}
+              onClick={() => setSearchInput('')}
               title="Clear search"
             >
               ✕
@@ -143,46 +437,188 @@ const TaskList = ({ tasks = [], onTaskDelete, onTaskRetry, onRefresh }) => {
             <select
               id="status-filter"
               className="filter-select"
-              value={filterStatus}
-              onChange={(e) => setFilterStatus(e.target.value)}
+              value={query.status}
+              onChange={(e) => updateQuery({ status: e.target.value })}
             >
               <option value="all">All</option>
-              <option value="pending">Pending</option>
-              <option value="processing">Processing</option>
-              <option value="completed">Completed</option>
-              <option value="failed">Failed</option>
+              {STATUS_OPTIONS.map((status) => (
+                <option key={status} value={status}>
+                  {status.charAt(0).toUpperCase() + status.slice(1)}
+                  {counts[status] !== undefined ? ` (${counts[status]})` : ''}
+                </option>
+              ))}
             </select>
           </div>
 
+          <div className="filter-group">
+            <label htmlFor="created-from">Created:</label>
+            <input
+              id="created-from"
+              type="date"
+              className="filter-date"
+              value={query.created_from}
+              max={query.created_to || undefined}
+              onChange={(e) => updateQuery({ created_from: e.target.value })}
+            />
+            <span className="filter-date-separator">to</span>
+            <input
+              id="created-to"
+              type="date"
+              className="filter-date"
+              aria-label="Created to"
+              value={query.created_to}
+              min={query.created_from || undefined}
+              onChange={(e) => updateQuery({ created_to: e.target.value })}
+            />
+          </div>
+
           <div className="filter-group">
             <label htmlFor="sort-by">Sort by:</label>
             <select
               id="sort-by"
               className="filter-select"
-              value={sortBy}
-              onChange={(e) => setSortBy(e.target.value)}
+              value={`${query.sort}:${query.order}`}
+              onChange={(e) => {
+                const [sort, order] = e.target.value.split(':');
+                updateQuery({ sort, order });
+              }}
             >
-              <option value="created_at">Date Created</option>
-              <option value="status">Status</option>
-              <option value="name">Name</option>
+              {SORT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
             </select>
           </div>
+
+          {hasActiveFilters(query) && (
+            <button className="btn-clear-filters" onClick={handleClearFilters}>
+              Clear filters
+            </button>
+          )}
         </div>
       </div>
 
+      {sessionExpired ? (
+        <div className="task-list-error" role="alert">
+          <p>Your session has expired. Sign in again to see your tasks.</p>
+        </div>
+      ) : error && (
+        <div className="task-list-error" role="alert">
+          <p>{error}</p>
+          <button className="btn-retry-load" onClick={reload}>
+            Try again
+          </button>
+        </div>
+      )}
+
+      {/* Bulk Action Bar */}
+      {tasks.length > 0 && (
+        <div className={`bulk-action-bar ${selectedCount > 0 ? 'active' : ''}`}>
+          <label className="bulk-select-all">
+            <input type="checkbox" checked={allLoadedSelected} onChange={toggleAllLoaded} />
+            {selectedCount > 0 ? `${selectedCount} selected` : 'Select all'}
+          </label>
+
+          {allLoadedSelected && !selection.allMatching && total > tasks.length && (
+            <button className="btn-link" onClick={selectAllMatching}>
+              Select all {total} matching tasks
+            </button>
+          )}
+
+          {selectedCount > 0 && (
+            <div className="bulk-actions">
+              {Object.entries(BULK_ACTIONS).map(([action, { label }]) => (
+                <button
+                  key={action}
+                  className={`btn btn-bulk-${action}`}
+                  onClick={() => requestAction(action)}
+                  disabled={actionBusy}
+                >
+                  {label}
+                </button>
+              ))}
+              <button className="btn-link" onClick={clearSelection}>
+                Clear selection
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {actionResult && (
+        <div
+          className={`bulk-action-result ${
+            actionResult.error || actionResult.failures.length > 0 ? 'has-failures' : ''
+          }`}
+          role="status"
+        >
+          {actionResult.error ? (
+            <p>{actionResult.error}</p>
+          ) : (
+            <p>
+              {actionResult.succeeded} task(s) {BULK_ACTIONS[actionResult.action].verb}
+              {actionResult.failures.length > 0 && `, ${actionResult.failures.length} failed`}
+            </p>
+          )}
+          {actionResult.failures.length > 0 && (
+            <ul className="bulk-action-failures">
+              {actionResult.failures.map((failure) => (
+                <li key={failure.id}>
+                  <strong>{failure.name}</strong>: {failure.message}
+                </li>
+              ))}
+            </ul>
+          )}
+          <button className="btn-clear-search" onClick={() => setActionResult(null)} title="Dismiss">
+            ✕
+          </button>
+        </div>
+      )}
+
+      {pendingAction && (
+        <ConfirmDialog
+          title={`${BULK_ACTIONS[pendingAction.action].label} ${pendingAction.count} task(s)?`}
+          message={
+            pendingAction.action === 'delete'
+              ? 'Source files and all outputs will be removed. This cannot be undone.'
+              : null
+          }
+          items={pendingAction.items}
+          totalCount={pendingAction.count}
+          confirmLabel={BULK_ACTIONS[pendingAction.action].label}
+          danger={pendingAction.action === 'delete' || pendingAction.action === 'cancel'}
+          busy={actionBusy}
+          onConfirm={() => executeAction(pendingAction)}
+          onCancel={() => setPendingAction(null)}
+        />
+      )}
+
+      {retryingTask && (
+        <RetryDialog
+          task={retryingTask}
+          onRetried={handleRetried}
+          onCancel={() => setRetryingTask(null)}
+        />
+      )}
+
+      {playingTask && <VideoPlayer task={playingTask} onClose={() => setPlayingTask(null)} />}
+
       {/* Task List Section */}
       <div className="task-list-content">
-        {filteredTasks.length === 0 ? (
+        {tasks.length === 0 ? (
           <div className="task-list-empty">
             <p className="empty-message">
-              {tasks.length === 0
-                ? 'No tasks available. Start processing a video!'
-                : 'No tasks match your filters.'}
+              {loading
+                ? 'Loading tasks...'
+                : hasActiveFilters(query)
+                  ? 'No tasks match your filters.'
+                  : 'No tasks available. Start processing a video!'}
             </p>
           </div>
         ) : (
           <div className="task-list">
-            {filteredTasks.map((task) => (
+            {tasks.map((task) => (
               <div
                 key={task.id}
                 className={`task-card ${task.status} ${
@@ -195,11 +631,49 @@ const TaskList = ({ tasks = [], onTaskDelete, onTaskRetry, onRefresh }) => {
                   onClick={() => toggleTaskExpanded(task.id)}
                 >
                   <div className="task-info-summary">
+                    <input
+                      type="checkbox"
+                      className="task-select"
+                      aria-label={`Select ${task.name}`}
+                      checked={isSelected(task.id)}
+                      onClick={(e) => e.stopPropagation()}
+                      onChange={() => toggleSelected(task.id)}
+                    />
+                    {task.media?.thumbnail && (
+                      <img
+                        className="task-poster"
+                        src={task.media.thumbnail}
+                        alt=""
+                        loading="lazy"
+                      />
+                    )}
                     <h3 className="task-name">{task.name}</h3>
                     <span className={getStatusBadgeClass(task.status)}>
                       {task.status.charAt(0).toUpperCase() +
                         task.status.slice(1)}
                     </span>
+                    {task.priority && task.priority !== 'normal' && (
+                      <span className={`priority-badge priority-${task.priority}`}>
+                        {task.priority.charAt(0).toUpperCase() + task.priority.slice(1)} priority
+                      </span>
+                    )}
+                    {task.status === 'pending' && queuePositions[task.id] && (
+                      <span
+                        className="task-queue-position"
+                        title="Estimated from how long recent tasks took"
+                      >
+                        #{queuePositions[task.id].position} in queue · starts around{' '}
+                        {new Date(queuePositions[task.id].estimated_start_at).toLocaleTimeString([], {
+                          hour: '2-digit',
+                          minute: '2-digit',
+                        })}
+                      </span>
+                    )}
+                    {getNextExpiry(task) && (
+                      <span className="task-expiry" title="Files are deleted by the retention policy">
+                        Expires on {new Date(getNextExpiry(task)).toLocaleDateString()}
+                      </span>
+                    )}
                   </div>
                   <div className="task-progress-summary">
                     <span className="progress-text">
@@ -230,6 +704,18 @@ const TaskList = ({ tasks = [], onTaskDelete, onTaskRetry, onRefresh }) => {
                           <span className="detail-label">Task ID:</span>
                           <span className="detail-value">{task.id}</span>
                         </div>
+                        {isAdmin() && (
+                          <div className="detail-item">
+                            <span className="detail-label">Owner:</span>
+                            <span className="detail-value">{task.user_id || 'N/A'}</span>
+                          </div>
+                        )}
+                        {isAdmin() && task.lease && (
+                          <div className="detail-item">
+                            <span className="detail-label">Worker:</span>
+                            <span className="detail-value">{task.lease.worker}</span>
+                          </div>
+                        )}
                         <div className="detail-item">
                           <span className="detail-label">Status:</span>
                           <span className={getStatusBadgeClass(task.status)}>
@@ -278,16 +764,95 @@ const TaskList = ({ tasks = [], onTaskDelete, onTaskRetry, onRefresh }) => {
                             </span>
                           </div>
                         )}
-                        {task.output_file && (
+                      </div>
+                    </div>
+
+                    {/* Preview */}
+                    {task.thumbnails?.sprite && task.media?.sprite && (
+                      <div className="detail-section">
+                        <h4 className="detail-section-title">Preview</h4>
+                        <ThumbnailScrubber
+                          sprite={{ ...task.thumbnails.sprite, url: task.media.sprite }}
+                          posterUrl={task.media.thumbnail}
+                          alt={task.name}
+                        />
+                      </div>
+                    )}
+
+                    {/* Streaming */}
+                    {task.status === 'completed' && task.media?.hls && (
+                      <div className="detail-section">
+                        <h4 className="detail-section-title">Streaming (HLS)</h4>
+                        <div className="detail-grid">
                           <div className="detail-item">
-                            <span className="detail-label">Output File:</span>
-                            <span className="detail-value">
-                              {task.output_file}
-                            </span>
+                            <span className="detail-label">Master Playlist:</span>
+                            <a
+                              className="detail-value stream-link"
+                              href={task.media.hls}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                            >
+                              ▶ master.m3u8
+                            </a>
                           </div>
-                        )}
+                          {task.hls?.renditions && (
+                            <div className="detail-item">
+                              <span className="detail-label">Renditions:</span>
+                              <span className="detail-value">
+                                {task.hls.renditions
+                                  .map(
+                                    (rendition) =>
+                                      `${rendition.resolution} (${Math.round(rendition.bandwidth / 1000)} kbps)`
+                                  )
+                                  .join(', ')}
+                              </span>
+                            </div>
+                          )}
+                        </div>
                       </div>
-                    </div>
+                    )}
+
+                    {/* Audio and caption tracks */}
+                    {task.status === 'completed' && (task.audio || task.captions?.length > 0) && (
+                      <div className="detail-section">
+                        <h4 className="detail-section-title">Audio &amp; Captions</h4>
+                        <div className="detail-grid">
+                          {task.audio && (
+                            <div className="detail-item">
+                              <span className="detail-label">Audio:</span>
+                              <span className="detail-value">
+                                {task.audio.format.toUpperCase()}
+                                {task.audio.bitrate && ` · ${Math.round(task.audio.bitrate / 1000)} kbps`}
+                                {` · ${formatFileSize(task.audio.size)}`}
+                              </span>
+                            </div>
+                          )}
+                          {task.captions?.map((caption) => (
+                            <div key={caption.id} className="detail-item">
+                              <span className="detail-label">Captions:</span>
+                              <a
+                                className="detail-value stream-link"
+                                href={task.media?.captions?.[caption.id]}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                              >
+                                {caption.label}
+                                {caption.language && ` (${caption.language})`}
+                                {caption.source === 'embedded' ? ' · from the video' : ' · uploaded'}
+                              </a>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+
+                    {/* Signed links to every output */}
+                    {task.status === 'completed' && <TaskDownloads task={task} />}
+
+                    {/* When the retention policy deletes the files */}
+                    {FINISHED_STATUSES.includes(task.status) && (
+                      <TaskRetention task={task} onChanged={reload} />
+                    )}
 
                     {/* Processing Settings */}
                     {task.settings && (
@@ -303,9 +868,7 @@ const TaskList = ({ tasks = [], onTaskDelete, onTaskRetry, onRefresh }) => {
                                   {key.replace(/_/g, ' ')}:
                                 </span>
                                 <span className="detail-value">
-                                  {typeof value === 'object'
-                                    ? JSON.stringify(value)
-                                    : String(value)}
+                                  {formatSettingValue(value)}
                                 </span>
                               </div>
                             )
@@ -317,25 +880,123 @@ const TaskList = ({ tasks = [], onTaskDelete, onTaskRetry, onRefresh }) => {
                     {/* Error Information */}
                     {task.status === 'failed' && task.error_message && (
                       <div className="detail-section error-section">
-                        <h4 className="detail-section-title">Error Details</h4>
+                        <h4 className="detail-section-title">
+                          Error Details
+                          {task.error?.code && (
+                            <span className="error-code">{task.error.code}</span>
+                          )}
+                        </h4>
+                        {task.error?.hint && <p className="error-hint">{task.error.hint}</p>}
                         <p className="error-message">{task.error_message}</p>
+                        {task.error && !task.error.retryable && (
+                          <p className="error-retryable">
+                            Retrying with the same file and settings will fail again.
+                          </p>
+                        )}
+                        {task.error?.log && (
+                          <details className="error-log">
+                            <summary>ffmpeg log</summary>
+                            <pre>{task.error.log}</pre>
+                          </details>
+                        )}
+                      </div>
+                    )}
+
+                    {/* Stage timeline and live log, streamed while the card is open */}
+                    <TaskTimeline task={task} />
+
+                    {/* Attempt History */}
+                    {task.attempts?.length > 0 && (
+                      <div className="detail-section">
+                        <h4 className="detail-section-title">
+                          Attempt History ({task.attempts.length})
+                        </h4>
+                        <ol className="attempt-history" reversed>
+                          {[...task.attempts].reverse().map((attempt) => (
+                            <li
+                              key={attempt.number}
+                              className={`attempt attempt-${attempt.status}`}
+                            >
+                              <div className="attempt-header">
+                                <span className="attempt-number">#{attempt.number}</span>
+                                <span className="attempt-trigger">
+                                  {ATTEMPT_TRIGGER_LABELS[attempt.trigger] || attempt.trigger}
+                                  {attempt.retry_of && ` of #${attempt.retry_of}`}
+                                </span>
+                                <span className={getStatusBadgeClass(attempt.status)}>
+                                  {attempt.status}
+                                </span>
+                              </div>
+                              <div className="detail-grid">
+                                <div className="detail-item">
+                                  <span className="detail-label">Started:</span>
+                                  <span className="detail-value">
+                                    {formatDate(attempt.started_at)}
+                                  </span>
+                                </div>
+                                <div className="detail-item">
+                                  <span className="detail-label">Finished:</span>
+                                  <span className="detail-value">
+                                    {attempt.finished_at ? formatDate(attempt.finished_at) : '—'}
+                                  </span>
+                                </div>
+                                <div className="detail-item">
+                                  <span className="detail-label">Worker:</span>
+                                  <span className="detail-value">{attempt.worker || 'Unknown'}</span>
+                                </div>
+                                <div className="detail-item">
+                                  <span className="detail-label">Settings:</span>
+                                  <span className="detail-value">
+                                    {summarizeSettings(attempt.settings)}
+                                  </span>
+                                </div>
+                              </div>
+                              {attempt.error_message && (
+                                <p className="error-message">
+                                  {attempt.error_code && (
+                                    <span className="error-code">{attempt.error_code}</span>
+                                  )}
+                                  {attempt.error_message}
+                                </p>
+                              )}
+                            </li>
+                          ))}
+                        </ol>
                       </div>
                     )}
 
                     {/* Action Buttons */}
                     <div className="task-actions">
-                      {task.status === 'failed' && (
+                      {task.status === 'completed' && (
+                        <button
+                          className="btn btn-play"
+                          onClick={() => setPlayingTask(task)}
+                          title="Watch the output, optionally next to the original"
+                        >
+                          ▶ Play
+                        </button>
+                      )}
+                      {CANCELLABLE_STATUSES.includes(task.status) && (
+                        <button
+                          className="btn btn-cancel"
+                          onClick={() => requestAction('cancel', [task])}
+                          title="Stop processing this task"
+                        >
+                          ⏹ Cancel
+                        </button>
+                      )}
+                      {RETRYABLE_STATUSES.includes(task.status) && !task.retention?.source_deleted_at && (
                         <button
                           className="btn btn-retry"
-                          onClick={() => handleTaskRetry(task.id)}
-                          title="Retry this task"
+                          onClick={() => setRetryingTask(task)}
+                          title="Retry this task, optionally with changed settings"
                         >
                           🔄 Retry
                         </button>
                       )}
                       <button
                         className="btn btn-delete"
-                        onClick={() => handleTaskDelete(task.id)}
+                        onClick={() => requestAction('delete', [task])}
                         title="Delete this task"
                       >
                         🗑️ Delete
@@ -350,10 +1011,17 @@ const TaskList = ({ tasks = [], onTaskDelete, onTaskRetry, onRefresh }) => {
       </div>
 
       {/* Summary Footer */}
-      {filteredTasks.length > 0 && (
+      {tasks.length > 0 && (
         <div className="task-list-footer">
+          {/* Scrolling this into view loads the next page */}
+          <div ref={sentinelRef} className="task-list-sentinel" />
+          {hasMore && (
+            <button className="btn-load-more" onClick={loadMore} disabled={loading}>
+              {loading ? 'Loading...' : 'Load more'}
+            </button>
+          )}
           <p className="task-count">
-            Showing {filteredTasks.length} of {tasks.length} task(s)
+            Showing {tasks.length} of {Math.max(total, tasks.length)} task(s)
           </p>
         </div>
       )}
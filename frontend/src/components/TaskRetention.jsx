@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { updateTaskRetention } from '../utils/taskActions';
+
+const formatDate = (iso) => new Date(iso).toLocaleDateString();
+
+/**
+ * When one kind of file goes away
+ * @param {string|null} expiresAt
+ * @param {string|null} deletedAt
+ * @param {boolean} keep
+ * @returns {string}
+ */
+const describeExpiry = (expiresAt, deletedAt, keep) => {
+  if (deletedAt) return `Deleted on ${formatDate(deletedAt)}`;
+  if (keep) return 'Kept until you delete the task';
+  if (expiresAt) return `Expires on ${formatDate(expiresAt)}`;
+  return 'Never expires';
+};
+
+/**
+ * TaskRetention Component
+ * When a finished task's source upload and outputs are deleted by the
+ * retention policy, with a toggle to keep them
+ */
+const TaskRetention = ({ task, onChanged }) => {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const retention = task.retention || {};
+  const everythingDeleted = Boolean(retention.source_deleted_at && retention.outputs_deleted_at);
+
+  const toggleKeep = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const updated = await updateTaskRetention(task.id, { keep: !retention.keep });
+      onChanged?.(updated);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="detail-section">
+      <h4 className="detail-section-title">Retention</h4>
+      <div className="detail-grid">
+        <div className="detail-item">
+          <span className="detail-label">Source:</span>
+          <span className="detail-value">
+            {describeExpiry(retention.source_expires_at, retention.source_deleted_at, retention.keep)}
+          </span>
+        </div>
+        <div className="detail-item">
+          <span className="detail-label">Outputs:</span>
+          <span className="detail-value">
+            {describeExpiry(retention.outputs_expires_at, retention.outputs_deleted_at, retention.keep)}
+          </span>
+        </div>
+      </div>
+      {!everythingDeleted && (
+        <label className="option-checkbox">
+          <input
+            type="checkbox"
+            checked={Boolean(retention.keep)}
+            disabled={busy}
+            onChange={toggleKeep}
+          />
+          Keep files
+        </label>
+      )}
+      {retention.source_deleted_at && task.status !== 'completed' && (
+        <p className="retention-note">The source upload is gone, so this task cannot be retried.</p>
+      )}
+      {error && <p className="error-message">{error}</p>}
+    </div>
+  );
+};
+
+export default TaskRetention;
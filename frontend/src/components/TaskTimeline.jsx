@@ -0,0 +1,181 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import useTaskLog from '../hooks/useTaskLog';
+
+const STAGE_LABELS = {
+  queued: 'Queued',
+  probing: 'Probing',
+  transcoding: 'Transcoding',
+  captions: 'Captions',
+  packaging: 'Packaging',
+  audio: 'Audio',
+  thumbnails: 'Thumbnails',
+  storing: 'Storing',
+};
+
+/**
+ * Format a duration in milliseconds for the timeline
+ * @param {number|null} ms - Duration
+ * @returns {string}
+ */
+const formatElapsed = (ms) => {
+  if (ms === null || ms === undefined) return '';
+  if (ms < 1000) return `${ms} ms`;
+  const seconds = ms / 1000;
+  if (seconds < 60) return `${seconds.toFixed(1)} s`;
+  return `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`;
+};
+
+const formatTime = (dateString) => new Date(dateString).toLocaleTimeString();
+
+/**
+ * Pair stage_started entries with the entry that ended them
+ * @param {Object[]} entries - Log entries of one attempt, oldest first
+ * @returns {Object[]} - [{ id, stage, label, started_at, duration_ms, status }]
+ */
+const buildStageRows = (entries) => {
+  const rows = [];
+  entries.forEach((entry) => {
+    if (entry.event === 'stage_started') {
+      rows.push({
+        id: entry.id,
+        stage: entry.stage,
+        label: entry.message,
+        started_at: entry.created_at,
+        duration_ms: null,
+        status: 'running',
+      });
+      return;
+    }
+    if (entry.event !== 'stage_completed' && entry.event !== 'stage_failed') return;
+
+    const status = entry.event === 'stage_completed' ? 'done' : 'failed';
+    const open = [...rows].reverse().find((row) => row.stage === entry.stage && row.status === 'running');
+    if (open) {
+      open.status = status;
+      open.duration_ms = entry.duration_ms;
+    } else {
+      // Instant stages such as queueing only record their end
+      rows.push({
+        id: entry.id,
+        stage: entry.stage,
+        label: entry.message,
+        started_at: entry.created_at,
+        duration_ms: entry.duration_ms,
+        status,
+      });
+    }
+  });
+  return rows;
+};
+
+/**
+ * TaskTimeline Component
+ * Stage timeline of a processing attempt and the live processing log
+ */
+const TaskTimeline = ({ task }) => {
+  const { entries, live, error } = useTaskLog(task.id);
+  const attemptNumbers = useMemo(
+    () => [...new Set(entries.map((entry) => entry.attempt).filter((attempt) => attempt !== null))],
+    [entries]
+  );
+  const [selectedAttempt, setSelectedAttempt] = useState(null);
+  const [showLog, setShowLog] = useState(false);
+  const logRef = useRef(null);
+  const followLogRef = useRef(true);
+
+  // Follow the newest attempt unless the user picked one
+  const attempt = selectedAttempt ?? attemptNumbers[attemptNumbers.length - 1] ?? null;
+
+  const rows = useMemo(() => {
+    const attemptEntries = entries.filter((entry) => entry.attempt === attempt);
+    if (attemptEntries.length === 0) return buildStageRows(entries.filter((entry) => entry.stage === 'queued'));
+
+    // The queueing that led to this attempt
+    const firstId = attemptEntries[0].id;
+    const queued = entries.filter((entry) => entry.stage === 'queued' && entry.id < firstId).slice(-1);
+    return buildStageRows([...queued, ...attemptEntries]);
+  }, [entries, attempt]);
+
+  const totalMs = rows.reduce((sum, row) => sum + (row.duration_ms || 0), 0);
+
+  // Keep the log scrolled to the bottom while the user has not scrolled up
+  useEffect(() => {
+    const element = logRef.current;
+    if (element && followLogRef.current) element.scrollTop = element.scrollHeight;
+  }, [entries, showLog]);
+
+  const handleLogScroll = () => {
+    const element = logRef.current;
+    followLogRef.current = element.scrollHeight - element.scrollTop - element.clientHeight < 20;
+  };
+
+  return (
+    <div className="detail-section task-timeline">
+      <h4 className="detail-section-title">
+        Processing Timeline
+        <span className={`timeline-live ${live ? 'timeline-live-on' : ''}`}>
+          {live ? '● Live' : '○ Offline'}
+        </span>
+      </h4>
+
+      {attemptNumbers.length > 1 && (
+        <label className="timeline-attempt">
+          Attempt:{' '}
+          <select
+            value={attempt ?? ''}
+            onChange={(e) => setSelectedAttempt(Number(e.target.value))}
+          >
+            {attemptNumbers.map((number) => (
+              <option key={number} value={number}>
+                #{number}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      {error && <p className="error-message">{error}</p>}
+      {rows.length === 0 ? (
+        <p className="timeline-empty">No processing events recorded yet.</p>
+      ) : (
+        <ol className="timeline-stages">
+          {rows.map((row) => (
+            <li key={row.id} className={`timeline-stage timeline-${row.status}`}>
+              <span className="timeline-stage-name">{STAGE_LABELS[row.stage] || row.stage}</span>
+              <span className="timeline-stage-label">{row.label}</span>
+              <span className="timeline-stage-time">{formatTime(row.started_at)}</span>
+              <span className="timeline-stage-duration">
+                {row.status === 'running' ? 'running…' : formatElapsed(row.duration_ms)}
+              </span>
+              {totalMs > 0 && row.duration_ms > 0 && (
+                <span
+                  className="timeline-stage-bar"
+                  style={{ width: `${Math.max((row.duration_ms / totalMs) * 100, 1)}%` }}
+                />
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <button className="btn btn-secondary btn-log-toggle" onClick={() => setShowLog(!showLog)}>
+        {showLog ? 'Hide log' : `Show log (${entries.length} lines)`}
+      </button>
+      {showLog && (
+        <pre className="task-log" ref={logRef} onScroll={handleLogScroll}>
+          {entries.map((entry) => (
+            <div key={entry.id} className={`task-log-line task-log-${entry.level}`}>
+              {`${formatTime(entry.created_at)} ${entry.level.toUpperCase().padEnd(5)} `}
+              {entry.attempt !== null && `#${entry.attempt} `}
+              {entry.stage && `[${entry.stage}] `}
+              {entry.message}
+              {entry.duration_ms !== null && ` (${formatElapsed(entry.duration_ms)})`}
+            </div>
+          ))}
+        </pre>
+      )}
+    </div>
+  );
+};
+
+export default TaskTimeline;
@@ -0,0 +1,75 @@
+import React, { useRef, useState } from 'react';
+
+// Sprite tiles are small; the preview shows them at twice their size
+const SCALE = 2;
+
+/**
+ * Format seconds as m:ss
+ * @param {number} seconds
+ * @returns {string}
+ */
+const formatTime = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${minutes}:${String(secs).padStart(2, '0')}`;
+};
+
+/**
+ * ThumbnailScrubber Component
+ * Shows the sprite-sheet tile under the pointer, so moving across the preview
+ * scrubs through the video. Falls back to the poster when idle.
+ * `sprite.url` and `posterUrl` must load without headers (signed media links).
+ */
+const ThumbnailScrubber = ({ sprite, posterUrl, alt = '' }) => {
+  const containerRef = useRef(null);
+  const [tileIndex, setTileIndex] = useState(null);
+
+  const handleMouseMove = (e) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    const fraction = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 0.999);
+    setTileIndex(Math.floor(fraction * sprite.count));
+  };
+
+  const width = sprite.tile_width * SCALE;
+  const height = sprite.tile_height * SCALE;
+  const column = tileIndex === null ? 0 : tileIndex % sprite.columns;
+  const row = tileIndex === null ? 0 : Math.floor(tileIndex / sprite.columns);
+
+  return (
+    <div
+      ref={containerRef}
+      className="thumbnail-scrubber"
+      style={{ position: 'relative', width, height }}
+      onMouseMove={handleMouseMove}
+      onMouseLeave={() => setTileIndex(null)}
+    >
+      {tileIndex === null ? (
+        <img className="thumbnail-scrubber-poster" src={posterUrl} alt={alt} width={width} height={height} />
+      ) : (
+        <>
+          <div
+            className="thumbnail-scrubber-frame"
+            role="img"
+            aria-label={`${alt} at ${formatTime(tileIndex * sprite.interval)}`}
+            style={{
+              width: '100%',
+              height: '100%',
+              backgroundImage: `url(${sprite.url})`,
+              backgroundSize: `${sprite.columns * width}px ${sprite.rows * height}px`,
+              backgroundPosition: `-${column * width}px -${row * height}px`,
+            }}
+          />
+          <div
+            className="thumbnail-scrubber-position"
+            style={{ left: `${((tileIndex + 0.5) / sprite.count) * 100}%` }}
+          />
+          <span className="thumbnail-scrubber-time">
+            {formatTime(tileIndex * sprite.interval)}
+          </span>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ThumbnailScrubber;
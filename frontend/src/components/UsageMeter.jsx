@@ -0,0 +1,85 @@
+import React from 'react';
+
+// Meters turn to a warning colour from this share of the limit
+const WARNING_RATIO = 0.8;
+
+const formatSize = (bytes) => {
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = bytes > 0 ? Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), sizes.length - 1) : 0;
+  return `${Math.round((bytes / Math.pow(1024, i)) * 10) / 10} ${sizes[i]}`;
+};
+
+const formatTime = (iso) =>
+  new Date(iso).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+
+/**
+ * One usage bar; a null limit is shown as unlimited
+ */
+const Meter = ({ label, used, limit, format = String, note }) => {
+  const ratio = limit ? Math.min(used / limit, 1) : 0;
+  const level = ratio >= 1 ? 'full' : ratio >= WARNING_RATIO ? 'warning' : 'ok';
+
+  return (
+    <div className={`usage-meter usage-${level}`}>
+      <div className="usage-meter-header">
+        <span className="usage-meter-label">{label}</span>
+        <span className="usage-meter-value">
+          {limit === null ? `${format(used)} · unlimited` : `${format(used)} of ${format(limit)}`}
+        </span>
+      </div>
+      {limit !== null && (
+        <div
+          className="usage-meter-bar"
+          role="progressbar"
+          aria-label={label}
+          aria-valuenow={Math.round(ratio * 100)}
+          aria-valuemin={0}
+          aria-valuemax={100}
+        >
+          <div className="usage-meter-fill" style={{ width: `${ratio * 100}%` }} />
+        </div>
+      )}
+      {note && <p className="usage-meter-note">{note}</p>}
+    </div>
+  );
+};
+
+/**
+ * UsageMeter Component
+ * The user's storage, concurrent jobs, daily processing minutes and hourly
+ * uploads against their limits (GET /api/usage)
+ */
+const UsageMeter = ({ usage }) => {
+  const { storage, concurrent_jobs: jobs, processing_minutes: minutes, uploads } = usage;
+
+  return (
+    <div className="usage-meters">
+      <Meter
+        label="Storage"
+        used={storage.used_bytes}
+        limit={storage.limit_bytes}
+        format={formatSize}
+        note={storage.uploading_bytes > 0 ? `Includes ${formatSize(storage.uploading_bytes)} still uploading` : null}
+      />
+      <Meter label="Tasks in progress" used={jobs.active} limit={jobs.limit} />
+      <Meter
+        label="Processing today (min)"
+        used={minutes.used}
+        limit={minutes.limit}
+        note={minutes.limit !== null && minutes.remaining <= 0 ? `Resets at ${formatTime(minutes.resets_at)}` : null}
+      />
+      <Meter
+        label="Uploads this hour"
+        used={uploads.used}
+        limit={uploads.limit}
+        note={
+          uploads.limit !== null && uploads.used >= uploads.limit && uploads.resets_at
+            ? `Next upload possible at ${formatTime(uploads.resets_at)}`
+            : null
+        }
+      />
+    </div>
+  );
+};
+
+export default UsageMeter;
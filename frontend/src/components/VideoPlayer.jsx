@@ -0,0 +1,469 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { fetchTaskArtifacts } from '../utils/taskActions';
+
+// Sprite tiles are small; the seek preview shows them at twice their size
+const PREVIEW_SCALE = 2;
+// The original is nudged back in step once it drifts this far from the output
+const MAX_DRIFT_SECONDS = 0.3;
+const AUTO_LEVEL = -1;
+
+/**
+ * Format seconds as m:ss
+ * @param {number} seconds
+ * @returns {string}
+ */
+const formatTime = (seconds) => {
+  if (!Number.isFinite(seconds)) return '0:00';
+  const minutes = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${minutes}:${String(secs).padStart(2, '0')}`;
+};
+
+/**
+ * Whether the browser can play an artifact without help
+ * @param {HTMLVideoElement} video - Any video element
+ * @param {Object} artifact - Artifact from GET /api/tasks/:id/artifacts
+ * @returns {boolean}
+ */
+const canPlayNatively = (video, artifact) => video.canPlayType(artifact.content_type) !== '';
+
+/**
+ * Progressive renditions the browser plays, largest first
+ * @param {HTMLVideoElement} video - Any video element
+ * @param {Object[]} artifacts - Artifacts from GET /api/tasks/:id/artifacts
+ * @returns {Object[]}
+ */
+const getPlayableFiles = (video, artifacts) =>
+  artifacts
+    .filter((artifact) => artifact.kind === 'video' && canPlayNatively(video, artifact))
+    .sort((a, b) => parseInt(b.resolution, 10) - parseInt(a.resolution, 10));
+
+/**
+ * Attach an HLS stream, natively where supported and through hls.js elsewhere
+ * @param {HTMLVideoElement} video - Target element
+ * @param {string} url - Master playlist URL
+ * @param {Object} handlers
+ * @param {Function} handlers.onLevels - Receives [{ index, height, bitrate }] once hls.js parsed the playlist
+ * @param {Function} handlers.onError - Receives a message for fatal errors
+ * @returns {Promise<Object|null>} - The hls.js instance, null for native playback;
+ *   rejects when hls.js cannot be loaded or the browser lacks Media Source Extensions
+ */
+const attachHls = async (video, url, { onLevels, onError }) => {
+  if (video.canPlayType('application/vnd.apple.mpegurl')) {
+    // Safari picks renditions itself and does not expose them
+    video.src = url;
+    return null;
+  }
+
+  // Loaded on demand; most sessions never open the player (hls.js ^1.5, see README)
+  const { default: Hls } = await import('hls.js');
+  if (!Hls.isSupported()) throw new Error('HLS is not supported in this browser');
+
+  const hls = new Hls();
+  hls.on(Hls.Events.MANIFEST_PARSED, (event, data) => {
+    onLevels(data.levels.map((level, index) => ({ index, height: level.height, bitrate: level.bitrate })));
+  });
+  hls.on(Hls.Events.ERROR, (event, data) => {
+    if (data.fatal) onError(`Playback failed (${data.details})`);
+  });
+  hls.loadSource(url);
+  hls.attachMedia(video);
+  return hls;
+};
+
+/**
+ * Seek bar showing the sprite-sheet tile under the pointer
+ */
+const SeekBar = ({ currentTime, duration, sprite, onSeek }) => {
+  const barRef = useRef(null);
+  const [hoverTime, setHoverTime] = useState(null);
+
+  const timeAt = (clientX) => {
+    const rect = barRef.current.getBoundingClientRect();
+    return Math.min(Math.max((clientX - rect.left) / rect.width, 0), 1) * duration;
+  };
+
+  const width = sprite ? sprite.tile_width * PREVIEW_SCALE : 0;
+  const height = sprite ? sprite.tile_height * PREVIEW_SCALE : 0;
+  const tileIndex =
+    sprite && hoverTime !== null ? Math.min(Math.floor(hoverTime / sprite.interval), sprite.count - 1) : null;
+
+  return (
+    <div
+      ref={barRef}
+      className="player-seek"
+      onMouseMove={(e) => duration && setHoverTime(timeAt(e.clientX))}
+      onMouseLeave={() => setHoverTime(null)}
+      onClick={(e) => duration && onSeek(timeAt(e.clientX))}
+    >
+      <div className="player-seek-track">
+        <div className="player-seek-played" style={{ width: `${duration ? (currentTime / duration) * 100 : 0}%` }} />
+      </div>
+      {hoverTime !== null && (
+        <div className="player-seek-preview" style={{ left: `${(hoverTime / duration) * 100}%` }}>
+          {tileIndex !== null && (
+            <div
+              className="player-seek-thumbnail"
+              style={{
+                width,
+                height,
+                backgroundImage: `url(${sprite.url})`,
+                backgroundSize: `${sprite.columns * width}px ${sprite.rows * height}px`,
+                backgroundPosition: `-${(tileIndex % sprite.columns) * width}px -${
+                  Math.floor(tileIndex / sprite.columns) * height
+                }px`,
+              }}
+            />
+          )}
+          <span className="player-seek-time">{formatTime(hoverTime)}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * VideoPlayer Component
+ * Modal player for a completed task: the HLS stream or a progressive
+ * rendition, with rendition switching, thumbnail previews on the seek bar
+ * and an optional side-by-side view of the original upload
+ */
+const VideoPlayer = ({ task, onClose }) => {
+  const videoRef = useRef(null);
+  const sourceRef = useRef(null);
+  const hlsRef = useRef(null);
+  // Position and play state carried over when the rendition changes
+  const resumeRef = useRef(null);
+
+  const [artifacts, setArtifacts] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [levels, setLevels] = useState([]);
+  const [level, setLevel] = useState(AUTO_LEVEL);
+  const [playing, setPlaying] = useState(false);
+  const [muted, setMuted] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [duration, setDuration] = useState(task.duration || 0);
+  const [compare, setCompare] = useState(false);
+  const [sourceError, setSourceError] = useState(null);
+  const [error, setError] = useState(null);
+  // Set once the HLS stream could not be played here; the player sticks to files
+  const [hlsUnavailable, setHlsUnavailable] = useState(false);
+
+  // The original still contains what trimming cut off the front
+  const sourceOffset = task.settings?.trim_start || 0;
+  // Sprite geometry comes from the task, the sheet itself through its signed link
+  const sprite =
+    task.thumbnails?.sprite && task.media?.sprite ? { ...task.thumbnails.sprite, url: task.media.sprite } : null;
+
+  const playable = (artifacts || []).filter((artifact) => artifact.kind === 'hls' || artifact.kind === 'video');
+  const selected = playable.find((artifact) => artifact.id === selectedId) || null;
+  const source = (artifacts || []).find((artifact) => artifact.kind === 'source') || null;
+  const selectedKind = selected?.kind;
+  const selectedUrl = selected?.url;
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  useEffect(() => {
+    let stopped = false;
+    fetchTaskArtifacts(task.id)
+      .then((result) => {
+        if (stopped) return;
+        setArtifacts(result.data);
+        // Prefer adaptive streaming, then the largest rendition the browser plays
+        const video = videoRef.current;
+        const hls = result.data.find((artifact) => artifact.kind === 'hls');
+        const initial = hls || getPlayableFiles(video, result.data)[0];
+        if (initial) setSelectedId(initial.id);
+        else setError('None of the outputs can be played in this browser.');
+      })
+      .catch((err) => {
+        if (!stopped) setError(err.message);
+      });
+    return () => {
+      stopped = true;
+    };
+  }, [task.id]);
+
+  // (Re)attach the selected output
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!selectedUrl || !video) return undefined;
+    let cancelled = false;
+
+    setLevels([]);
+    setLevel(AUTO_LEVEL);
+    setError(null);
+
+    const handleLoaded = () => {
+      const resume = resumeRef.current;
+      resumeRef.current = null;
+      if (!resume) return;
+      video.currentTime = resume.time;
+      if (resume.playing) video.play().catch(() => {});
+    };
+    video.addEventListener('loadedmetadata', handleLoaded);
+
+    if (selectedKind === 'hls') {
+      attachHls(video, selectedUrl, {
+        onLevels: (parsed) => !cancelled && setLevels(parsed),
+        onError: (message) => !cancelled && setError(message),
+      })
+        .then((hls) => {
+          if (cancelled) hls?.destroy();
+          else hlsRef.current = hls;
+        })
+        .catch(() => {
+          if (cancelled) return;
+          // Keep the position and carry on with the best file the browser plays
+          const fallback = getPlayableFiles(video, artifacts || [])[0];
+          setHlsUnavailable(true);
+          if (fallback) {
+            resumeRef.current = { time: video.currentTime, playing: !video.paused };
+            setSelectedId(fallback.id);
+          } else {
+            setError('The HLS player could not be loaded and no other output plays in this browser.');
+          }
+        });
+    } else {
+      video.src = selectedUrl;
+    }
+
+    return () => {
+      cancelled = true;
+      video.removeEventListener('loadedmetadata', handleLoaded);
+      hlsRef.current?.destroy();
+      hlsRef.current = null;
+      video.removeAttribute('src');
+      video.load();
+    };
+  }, [selectedKind, selectedUrl, artifacts]);
+
+  /**
+   * Keep the original in step with the output while comparing
+   * @param {boolean} [force] - Seek even when the drift is small
+   */
+  const syncSource = useCallback(
+    (force = false) => {
+      const video = videoRef.current;
+      const original = sourceRef.current;
+      if (!compare || !video || !original || sourceError) return;
+
+      const target = video.currentTime + sourceOffset;
+      if (force || Math.abs(original.currentTime - target) > MAX_DRIFT_SECONDS) {
+        original.currentTime = target;
+      }
+      original.playbackRate = video.playbackRate;
+      if (video.paused !== original.paused) {
+        if (video.paused) original.pause();
+        else original.play().catch(() => {});
+      }
+    },
+    [compare, sourceOffset, sourceError]
+  );
+
+  useEffect(() => {
+    if (compare) syncSource(true);
+  }, [compare, syncSource]);
+
+  const handleRenditionChange = (value) => {
+    const separator = value.indexOf(':');
+    const kind = value.slice(0, separator);
+    const id = value.slice(separator + 1);
+    if (kind === 'level') {
+      // Same stream; hls.js switches at the next segment
+      const index = Number(id);
+      setLevel(index);
+      if (hlsRef.current) hlsRef.current.currentLevel = index;
+      return;
+    }
+    const video = videoRef.current;
+    resumeRef.current = { time: video.currentTime, playing: !video.paused };
+    setSelectedId(id);
+  };
+
+  const togglePlay = () => {
+    const video = videoRef.current;
+    if (video.paused) video.play().catch(() => {});
+    else video.pause();
+  };
+
+  const handleSeek = (time) => {
+    videoRef.current.currentTime = time;
+    setCurrentTime(time);
+  };
+
+  const renditionValue = selected?.kind === 'hls' ? `level:${level}` : `file:${selectedId}`;
+  const hlsArtifact = playable.find((artifact) => artifact.kind === 'hls');
+
+  return (
+    <div className="confirm-dialog-backdrop" onClick={onClose}>
+      <div
+        className={`confirm-dialog video-player ${compare ? 'video-player-compare' : ''}`}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="video-player-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="video-player-header">
+          <h3 id="video-player-title" className="confirm-dialog-title">
+            {task.name}
+          </h3>
+          <button className="btn btn-secondary" onClick={onClose} aria-label="Close player">
+            ✕
+          </button>
+        </div>
+
+        <div className="video-player-screens">
+          <figure className="video-player-screen">
+            <video
+              ref={videoRef}
+              className="video-player-video"
+              poster={task.media?.thumbnail || undefined}
+              muted={muted}
+              playsInline
+              onClick={togglePlay}
+              onPlay={() => {
+                setPlaying(true);
+                syncSource();
+              }}
+              onPause={() => {
+                setPlaying(false);
+                syncSource();
+              }}
+              onSeeked={() => syncSource(true)}
+              onRateChange={() => syncSource()}
+              onTimeUpdate={(e) => {
+                setCurrentTime(e.currentTarget.currentTime);
+                syncSource();
+              }}
+              onDurationChange={(e) => {
+                if (Number.isFinite(e.currentTarget.duration)) setDuration(e.currentTarget.duration);
+              }}
+              onError={() => setError('The selected output could not be played.')}
+            >
+              {/* HLS streams list the same tracks as subtitle renditions */}
+              {selectedKind === 'video' &&
+                (task.captions || [])
+                  .filter((caption) => task.media?.captions?.[caption.id])
+                  .map((caption) => (
+                    <track
+                      key={caption.id}
+                      kind="subtitles"
+                      src={task.media.captions[caption.id]}
+                      srcLang={caption.language || undefined}
+                      label={caption.label}
+                    />
+                  ))}
+            </video>
+            {compare && <figcaption>Output · {selected?.label}</figcaption>}
+          </figure>
+
+          {compare && source && (
+            <figure className="video-player-screen">
+              {sourceError ? (
+                <p className="video-player-unsupported">{sourceError}</p>
+              ) : (
+                <video
+                  ref={sourceRef}
+                  className="video-player-video"
+                  src={source.url}
+                  muted
+                  playsInline
+                  preload="auto"
+                  onLoadedMetadata={() => syncSource(true)}
+                  onError={() =>
+                    setSourceError(
+                      `This browser cannot play the original ${source.format.toUpperCase()} file. Download it to compare.`
+                    )
+                  }
+                />
+              )}
+              <figcaption>Original · {source.label}</figcaption>
+            </figure>
+          )}
+        </div>
+
+        <SeekBar currentTime={currentTime} duration={duration} sprite={sprite} onSeek={handleSeek} />
+
+        <div className="video-player-controls">
+          <button className="btn btn-secondary" onClick={togglePlay} disabled={!selected}>
+            {playing ? '⏸ Pause' : '▶ Play'}
+          </button>
+          <button className="btn btn-secondary" onClick={() => setMuted(!muted)}>
+            {muted ? '🔇' : '🔊'}
+          </button>
+          <span className="video-player-time">
+            {formatTime(currentTime)} / {formatTime(duration)}
+          </span>
+
+          <label className="video-player-rendition">
+            Quality:{' '}
+            <select
+              value={renditionValue}
+              onChange={(e) => handleRenditionChange(e.target.value)}
+              disabled={!selected}
+            >
+              {hlsArtifact && selected?.kind === 'hls' ? (
+                <>
+                  <option value={`level:${AUTO_LEVEL}`}>Auto (HLS)</option>
+                  {levels.map((item) => (
+                    <option key={item.index} value={`level:${item.index}`}>
+                      {item.height}p ({Math.round(item.bitrate / 1000)} kbps)
+                    </option>
+                  ))}
+                </>
+              ) : (
+                hlsArtifact && (
+                  <option value={`file:${hlsArtifact.id}`} disabled={hlsUnavailable}>
+                    Auto (HLS)
+                  </option>
+                )
+              )}
+              {playable
+                .filter((artifact) => artifact.kind === 'video')
+                .map((artifact) => (
+                  <option
+                    key={artifact.id}
+                    value={`file:${artifact.id}`}
+                    disabled={videoRef.current && !canPlayNatively(videoRef.current, artifact)}
+                  >
+                    {artifact.label}
+                  </option>
+                ))}
+            </select>
+          </label>
+
+          {source && (
+            <label className="video-player-compare-toggle">
+              <input
+                type="checkbox"
+                checked={compare}
+                onChange={(e) => {
+                  setSourceError(null);
+                  setCompare(e.target.checked);
+                }}
+              />{' '}
+              Compare with original
+            </label>
+          )}
+        </div>
+
+        {hlsUnavailable && selected?.kind === 'video' && (
+          <p className="video-player-unsupported" role="status">
+            Adaptive streaming is not available in this browser, so the {selected.label} file is playing instead.
+          </p>
+        )}
+        {error && <p className="error-message">{error}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default VideoPlayer;
@@ -1,34 +1,157 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { ResumableUpload, getUploadStorageKey } from '../utils/resumableUpload';
+import { sniffVideoContainer, CONTAINER_FAMILIES } from '../utils/videoSniffer';
+import { AUTH_CHANGED_EVENT, getAccessToken } from '../utils/auth';
+import useUsage from '../hooks/useUsage';
+import UsageMeter from './UsageMeter';
+import ProcessingOptions, {
+  DEFAULT_PROCESSING_SETTINGS,
+  validateProcessingSettings,
+} from './ProcessingOptions';
 import './VideoUpload.css';
 
-const VideoUpload = ({ onUploadSuccess, onUploadError }) => {
+// Paused uploads wait for the user to sign in again
+const ACTIVE_STATUSES = ['validating', 'queued', 'uploading', 'paused'];
+// Not yet sent to the server, so not part of the reported usage
+const WAITING_STATUSES = ['validating', 'queued'];
+// The server keeps the upload when only the queueing step was refused
+const QUEUE_QUOTA_CODES = ['CONCURRENT_JOBS_LIMIT', 'PROCESSING_QUOTA_EXCEEDED'];
+
+const MIN_WEBHOOK_SECRET_LENGTH = 16;
+
+/**
+ * Validate the optional per-upload webhook
+ * @param {Object} webhook - { url, secret } as typed
+ * @returns {Object} - Map of field name to error message, empty when valid
+ */
+const validateWebhook = ({ url, secret }) => {
+  const errors = {};
+  if (url) {
+    let protocol = null;
+    try {
+      protocol = new URL(url).protocol;
+    } catch (err) {
+      // Reported below
+    }
+    if (!['http:', 'https:'].includes(protocol)) errors.url = 'Enter an http or https URL';
+  } else if (secret) {
+    errors.url = 'Enter the URL to notify';
+  }
+  if (secret && secret.length < MIN_WEBHOOK_SECRET_LENGTH) {
+    errors.secret = `Use at least ${MIN_WEBHOOK_SECRET_LENGTH} characters`;
+  }
+  return errors;
+};
+
+// A language tag just before the extension names the captions' language, e.g. "holiday.en.srt"
+const CAPTION_LANGUAGE = /\.([a-z]{2,3}(?:-[a-z0-9]{2,8})*)$/i;
+
+const getBaseName = (filename) => filename.replace(/\.[^.]+$/, '');
+
+/**
+ * Split selected files into videos and caption files. A caption file goes
+ * with the video its name starts with ("holiday.en.srt" with "holiday.mp4"),
+ * or with the only video selected along with it.
+ * @param {File[]} files - Selected files
+ * @param {Object|null} captionOptions - usage.captions; null when captions are disabled
+ * @param {Function} formatSize - Formats a byte count for messages
+ * @returns {{ videos: Object[], errors: string[] }} - videos: [{ file, captions: [{ file, language }] }]
+ */
+const matchCaptions = (files, captionOptions, formatSize) => {
+  const isCaption = (file) => /\.(srt|vtt)$/i.test(file.name);
+  const videos = files.filter((file) => !isCaption(file)).map((file) => ({ file, captions: [] }));
+  const errors = [];
+
+  files.filter(isCaption).forEach((file) => {
+    const extension = file.name.split('.').pop().toLowerCase();
+    if (!captionOptions || !captionOptions.formats.includes(extension)) {
+      errors.push(`${file.name}: captions are not enabled`);
+      return;
+    }
+    if (file.size > captionOptions.max_file_size) {
+      errors.push(`${file.name}: caption files can be at most ${formatSize(captionOptions.max_file_size)}`);
+      return;
+    }
+    const stem = getBaseName(file.name);
+    const video =
+      videos.find(({ file: videoFile }) => stem.startsWith(`${getBaseName(videoFile.name)}.`)) ||
+      videos.find(({ file: videoFile }) => stem === getBaseName(videoFile.name)) ||
+      (videos.length === 1 ? videos[0] : null);
+    if (!video) {
+      errors.push(`${file.name}: select it together with its video`);
+      return;
+    }
+    // "holiday.srt" next to "holiday.mp4" names no language
+    const language = stem === getBaseName(video.file.name) ? null : CAPTION_LANGUAGE.exec(stem);
+    video.captions.push({ file, language: language ? language[1] : null });
+  });
+
+  return { videos, errors };
+};
+
+/**
+ * Turn the details of a structured API error into displayable lines
+ * @param {UploadError} err - Upload error
+ * @returns {string[]|null}
+ */
+const getErrorDetails = (err) => {
+  // Server-side media checks list what was wrong with the file
+  if (err.details?.reasons) return err.details.reasons;
+  // Settings validation reports one message per field
+  if (err.details?.fields) {
+    return Object.entries(err.details.fields).map(
+      ([field, message]) => `${field.replace(/_/g, ' ')}: ${message}`
+    );
+  }
+  return null;
+};
+
+let nextItemId = 0;
+let nextBatchId = 0;
+
+const VideoUpload = ({
+  onUploadSuccess,
+  onUploadError,
+  onBatchComplete,
+  maxConcurrentUploads = 3,
+}) => {
   const [dragActive, setDragActive] = useState(false);
-  const [uploadProgress, setUploadProgress] = useState(0);
-  const [isUploading, setIsUploading] = useState(false);
-  const [uploadedFile, setUploadedFile] = useState(null);
-  const [error, setError] = useState(null);
-  const [fileSize, setFileSize] = useState(0);
+  const [queue, setQueue] = useState([]);
+  const [settings, setSettings] = useState(DEFAULT_PROCESSING_SETTINGS);
+  // Optional webhook notified when each upload's task finishes
+  const [webhook, setWebhook] = useState({ url: '', secret: '' });
+  // Scheduling priority; null leaves it to the server's default for the account
+  const [priority, setPriority] = useState(null);
+  // Caption files from the last selection that could not be attached
+  const [selectionErrors, setSelectionErrors] = useState([]);
   const fileInputRef = useRef(null);
+  // ResumableUpload instances of in-flight items, keyed by queue item id
+  const uploadsRef = useRef(new Map());
+  // Id of the batch currently uploading; files added while it runs join it
+  const batchIdRef = useRef(null);
+  const { usage, reload: reloadUsage } = useUsage();
 
   // Configuration constants
-  const MAX_FILE_SIZE = 2 * 1024 * 1024 * 1024; // 2GB
-  const ALLOWED_VIDEO_TYPES = ['video/mp4', 'video/webm', 'video/quicktime', 'video/x-msvideo', 'video/x-matroska'];
+  // Largest file the server accepts (MAX_FILE_SIZE); null until usage has loaded,
+  // in which case the server's check is the only one
+  const maxFileSize = usage?.max_file_size ?? null;
   const ALLOWED_EXTENSIONS = ['.mp4', '.webm', '.mov', '.avi', '.mkv'];
+  // Caption files accepted alongside the videos, when the server takes them
+  const captionExtensions = usage?.captions?.enabled
+    ? usage.captions.formats.map((format) => `.${format}`)
+    : [];
+
+  const settingsErrors = validateProcessingSettings(settings);
+  const webhookErrors = validateWebhook(webhook);
 
   /**
    * Validate video file
+   * The browser-reported MIME type is unreliable (often empty for .mkv), so the
+   * container is identified from the file's first bytes instead
    * @param {File} file - File to validate
-   * @returns {Object} - Validation result with isValid boolean and error message
+   * @returns {Promise<Object>} - Validation result with isValid boolean and error message
    */
-  const validateFile = (file) => {
-    // Check file type
-    if (!ALLOWED_VIDEO_TYPES.includes(file.type)) {
-      return {
-        isValid: false,
-        error: `Invalid file type. Allowed types: ${ALLOWED_EXTENSIONS.join(', ')}`
-      };
-    }
-
+  const validateFile = async (file) => {
     // Check file extension
     const fileExtension = '.' + file.name.split('.').pop().toLowerCase();
     if (!ALLOWED_EXTENSIONS.includes(fileExtension)) {
@@ -39,11 +162,10 @@ const VideoUpload = ({ onUploadSuccess, onUploadError }) => {
     }
 
     // Check file size
-    if (file.size > MAX_FILE_SIZE) {
-      const maxSizeGB = (MAX_FILE_SIZE / (1024 * 1024 * 1024)).toFixed(2);
+    if (maxFileSize !== null && file.size > maxFileSize) {
       return {
         isValid: false,
-        error: `File size exceeds maximum limit of ${maxSizeGB}GB`
+        error: `File size exceeds maximum limit of ${formatFileSize(maxFileSize)}`
       };
     }
 
@@ -55,7 +177,32 @@ const VideoUpload = ({ onUploadSuccess, onUploadError }) => {
       };
     }
 
-    return { isValid: true, error: null };
+    // Check file content matches a supported container
+    let container;
+    try {
+      container = await sniffVideoContainer(file);
+    } catch {
+      return {
+        isValid: false,
+        error: 'File could not be read'
+      };
+    }
+
+    if (!container) {
+      return {
+        isValid: false,
+        error: 'File content is not a recognised video format'
+      };
+    }
+
+    if (!CONTAINER_FAMILIES[container.family].includes(fileExtension)) {
+      return {
+        isValid: false,
+        error: `File content is ${container.format.toUpperCase()} but the extension is ${fileExtension}`
+      };
+    }
+
+    return { isValid: true, error: null, container };
   };
 
   /**
@@ -71,111 +218,365 @@ const VideoUpload = ({ onUploadSuccess, onUploadError }) => {
     return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
   };
 
+
   /**
-   * Handle file upload to server
-   * @param {File} file - File to upload
+   * Format upload speed
+   * @param {number} bytesPerSecond - Smoothed upload speed
+   * @returns {string} - Formatted speed string
    */
-  const uploadFile = async (file) => {
-    setIsUploading(true);
-    setError(null);
-    setUploadProgress(0);
+  const formatSpeed = (bytesPerSecond) => {
+    if (!bytesPerSecond) return '--';
+    return `${formatFileSize(Math.round(bytesPerSecond))}/s`;
+  };
 
-    const formData = new FormData();
-    formData.append('video', file);
+  /**
+   * Format remaining time
+   * @param {number} seconds - Estimated seconds remaining
+   * @returns {string} - Formatted ETA string
+   */
+  const formatEta = (seconds) => {
+    if (seconds === null || !Number.isFinite(seconds)) return '--:--';
+    const minutes = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${minutes}:${String(secs).padStart(2, '0')}`;
+  };
 
-    try {
-      const xhr = new XMLHttpRequest();
+  /**
+   * Merge changes into a single queue item
+   * @param {number} id - Queue item id
+   * @param {Object|Function} changes - Fields to merge, or a function of the current item
+   */
+  const updateItem = useCallback((id, changes) => {
+    setQueue((prev) =>
+      prev.map((item) =>
+        item.id === id
+          ? { ...item, ...(typeof changes === 'function' ? changes(item) : changes) }
+          : item
+      )
+    );
+  }, []);
 
-      // Track upload progress
-      xhr.upload.addEventListener('progress', (e) => {
-        if (e.lengthComputable) {
-          const percentComplete = Math.round((e.loaded / e.total) * 100);
-          setUploadProgress(percentComplete);
+  /**
+   * Upload a queued file
+   * Uploads in chunks and resumes from the last acknowledged offset after a
+   * network error or page reload (see utils/resumableUpload)
+   * @param {Object} item - Queue item to upload
+   */
+  const uploadFile = useCallback(async (item) => {
+    const { id, file } = item;
+    let lastSample = { loaded: 0, time: Date.now() };
+
+    const upload = new ResumableUpload(file, {
+      settings: item.settings,
+      webhook: item.webhook,
+      priority: item.priority,
+      captions: item.captions,
+      onSessionCreated: (session) => {
+        // A generated secret is only returned now, so keep it on screen
+        if (item.webhook && !item.webhook.secret && session.webhook?.secret) {
+          updateItem(id, { webhookSecret: session.webhook.secret });
         }
-      });
-
-      // Handle upload completion
-      xhr.addEventListener('load', () => {
-        if (xhr.status === 200 || xhr.status === 201) {
-          const response = JSON.parse(xhr.responseText);
-          setUploadedFile({
-            name: file.name,
-            size: file.size,
-            uploadedAt: new Date().toISOString(),
-            ...response
-          });
-          setIsUploading(false);
-          setUploadProgress(100);
-
-          if (onUploadSuccess) {
-            onUploadSuccess(response);
+      },
+      onProgress: (loaded, total) => {
+        const now = Date.now();
+        const elapsed = (now - lastSample.time) / 1000;
+
+        updateItem(id, (current) => {
+          let speed = current.speed;
+          // Sample at most every half second and smooth so the ETA does not jump around
+          if (elapsed >= 0.5 && loaded >= lastSample.loaded) {
+            const sampleSpeed = (loaded - lastSample.loaded) / elapsed;
+            speed = speed ? speed * 0.7 + sampleSpeed * 0.3 : sampleSpeed;
+            lastSample = { loaded, time: now };
           }
-        } else {
-          throw new Error(`Upload failed with status ${xhr.status}`);
-        }
+          return {
+            progress: Math.round((loaded / total) * 100),
+            loaded,
+            speed,
+            eta: speed ? (total - loaded) / speed : null,
+            statusMessage: null,
+          };
+        });
+      },
+      onRetry: (err, attempt, delay) => {
+        updateItem(id, {
+          statusMessage: `Connection lost, retrying in ${Math.round(delay / 1000)}s (attempt ${attempt})...`,
+        });
+      },
+    });
+
+    uploadsRef.current.set(id, upload);
+    updateItem(id, { status: 'uploading', error: null, statusMessage: null });
+
+    try {
+      const response = await upload.start();
+      updateItem(id, {
+        status: 'completed',
+        progress: 100,
+        eta: 0,
+        response,
+        uploadedAt: new Date().toISOString(),
       });
 
-      // Handle upload error
-      xhr.addEventListener('error', () => {
-        const errorMsg = 'Upload failed. Please try again.';
-        setError(errorMsg);
-        setIsUploading(false);
-        setUploadProgress(0);
+      if (onUploadSuccess) {
+        onUploadSuccess(response, file);
+      }
+    } catch (err) {
+      const fullyUploaded = upload.session && upload.session.offset === upload.session.size;
+      if (err.isAborted) {
+        updateItem(id, { status: 'cancelled', error: err.message, statusMessage: null });
+      } else if (err.isAuthError) {
+        // The server keeps the session; it resumes from its offset after signing in
+        updateItem(id, {
+          status: 'paused',
+          error: null,
+          statusMessage: 'Your session has expired. Sign in again to resume this upload.',
+        });
+        return;
+      } else {
+        const errorMsg = err.message || 'An error occurred during upload';
+        updateItem(id, {
+          status: 'failed',
+          error: err.isRetryable || (fullyUploaded && QUEUE_QUOTA_CODES.includes(err.code))
+            ? `${errorMsg}. Add the same file again to resume the upload.`
+            : errorMsg,
+          errorDetails: getErrorDetails(err),
+          statusMessage: null,
+        });
+      }
 
-        if (onUploadError) {
-          onUploadError(new Error(errorMsg));
+      if (onUploadError) {
+        onUploadError(err, file);
+      }
+    } finally {
+      uploadsRef.current.delete(id);
+      reloadUsage();
+    }
+  }, [updateItem, onUploadSuccess, onUploadError, reloadUsage]);
+
+  /**
+   * Warn about files that would not fit the remaining quota. Waiting files
+   * are counted in queue order, so the ones that no longer fit are flagged;
+   * the server has the final say when the upload starts.
+   * @returns {Map<number, string>} - Warning per queue item id
+   */
+  const getQuotaWarnings = () => {
+    const warnings = new Map();
+    if (!usage) return warnings;
+
+    const { storage, concurrent_jobs: jobs, processing_minutes: minutes, uploads } = usage;
+    let bytes = 0;
+    let count = 0;
+    queue
+      .filter((item) => WAITING_STATUSES.includes(item.status))
+      .forEach((item) => {
+        bytes += item.file.size;
+        count += 1;
+        if (storage.remaining_bytes !== null && bytes > storage.remaining_bytes) {
+          warnings.set(
+            item.id,
+            `Exceeds your remaining storage (${formatFileSize(storage.remaining_bytes)} left)`
+          );
+        } else if (uploads.limit !== null && uploads.used + count > uploads.limit) {
+          warnings.set(item.id, `Over your limit of ${uploads.limit} uploads per hour`);
+        } else if (jobs.limit !== null && jobs.active + count > jobs.limit) {
+          warnings.set(item.id, `Over your limit of ${jobs.limit} tasks in progress`);
+        } else if (minutes.limit !== null && minutes.remaining <= 0) {
+          warnings.set(item.id, 'Your processing minutes for today are used up');
         }
       });
+    return warnings;
+  };
+
+  // Start queued uploads whenever a slot is free
+  useEffect(() => {
+    const uploading = queue.filter((item) => item.status === 'uploading').length;
+    const slots = maxConcurrentUploads - uploading;
+    if (slots <= 0) return;
+
+    queue
+      .filter((item) => item.status === 'queued')
+      .slice(0, slots)
+      .forEach((item) => uploadFile(item));
+  }, [queue, maxConcurrentUploads, uploadFile]);
+
+  // Report a summary once every file of the current batch has settled
+  useEffect(() => {
+    const batchId = batchIdRef.current;
+    if (batchId === null) return;
+
+    const batchItems = queue.filter((item) => item.batchId === batchId);
+    if (batchItems.some((item) => ACTIVE_STATUSES.includes(item.status))) return;
+
+    batchIdRef.current = null;
+    if (onBatchComplete) {
+      const countStatus = (status) => batchItems.filter((item) => item.status === status).length;
+      onBatchComplete({
+        total: batchItems.length,
+        succeeded: countStatus('completed'),
+        failed: countStatus('failed'),
+        cancelled: countStatus('cancelled'),
+        rejected: countStatus('invalid'),
+        results: batchItems.map((item) => ({
+          name: item.file.name,
+          status: item.status,
+          response: item.response || null,
+          error: item.error || null,
+        })),
+      });
+    }
+  }, [queue, onBatchComplete]);
+
+  // Resume uploads paused by an expired session once the user has signed in again
+  useEffect(() => {
+    const handleAuthChanged = () => {
+      if (!getAccessToken()) return;
+      reloadUsage();
+      setQueue((prev) =>
+        prev.map((item) => (item.status === 'paused' ? { ...item, status: 'queued' } : item))
+      );
+    };
+    window.addEventListener(AUTH_CHANGED_EVENT, handleAuthChanged);
+    return () => window.removeEventListener(AUTH_CHANGED_EVENT, handleAuthChanged);
+  }, [reloadUsage]);
+
+  // Fall back to an audio format the server allows
+  useEffect(() => {
+    const allowed = usage?.audio_formats;
+    if (allowed && allowed.length > 0 && !allowed.includes(settings.audio_format)) {
+      setSettings((current) => ({ ...current, audio_format: allowed[0] }));
+    }
+  }, [usage, settings.audio_format]);
 
-      // Handle upload abort
-      xhr.addEventListener('abort', () => {
-        const errorMsg = 'Upload was cancelled.';
-        setError(errorMsg);
-        setIsUploading(false);
-        setUploadProgress(0);
+  // Abort whatever is still running when the component goes away; the
+  // sessions stay resumable
+  useEffect(() => {
+    const uploads = uploadsRef.current;
+    return () => uploads.forEach((upload) => upload.abort());
+  }, []);
 
-        if (onUploadError) {
-          onUploadError(new Error(errorMsg));
-        }
+  /**
+   * Handle file selection
+   * Every file is validated and added to the queue; invalid files stay in the
+   * list with their validation error so the user can see why they were skipped
+   * @param {FileList|File[]} files - Selected files
+   */
+  const handleFileSelect = (files) => {
+    if (!files || files.length === 0) return;
+
+    // Files pick up the settings and webhook in effect when they are added
+    let settingsError = null;
+    if (Object.keys(settingsErrors).length > 0) {
+      settingsError = 'Fix the processing settings before adding files';
+    } else if (Object.keys(webhookErrors).length > 0) {
+      settingsError = 'Fix the webhook before adding files';
+    }
+
+    if (batchIdRef.current === null) {
+      nextBatchId += 1;
+      batchIdRef.current = nextBatchId;
+    }
+    const batchId = batchIdRef.current;
+
+    // Skip files that are already being validated, waiting or uploading
+    const activeKeys = new Set(
+      queue
+        .filter((item) => ACTIVE_STATUSES.includes(item.status))
+        .map((item) => getUploadStorageKey(item.file))
+    );
+
+    // Caption files ride along with their video rather than becoming items
+    const { videos, errors: captionErrors } = matchCaptions(
+      Array.from(files),
+      usage?.captions?.enabled ? usage.captions : null,
+      formatFileSize
+    );
+    setSelectionErrors(captionErrors);
+
+    const added = videos
+      .filter(({ file }) => !activeKeys.has(getUploadStorageKey(file)))
+      .map(({ file, captions }) => {
+        nextItemId += 1;
+        return {
+          id: nextItemId,
+          batchId,
+          file,
+          captions,
+          settings,
+          webhook: webhook.url ? { url: webhook.url, secret: webhook.secret || undefined } : null,
+          webhookSecret: null,
+          priority,
+          status: settingsError ? 'invalid' : 'validating',
+          error: settingsError,
+          errorDetails: null,
+          container: null,
+          progress: 0,
+          loaded: 0,
+          speed: null,
+          eta: null,
+          statusMessage: null,
+          response: null,
+        };
       });
 
-      // Start upload
-      xhr.open('POST', '/api/videos/upload');
-      xhr.setRequestHeader('Authorization', `Bearer ${localStorage.getItem('authToken')}`);
-      xhr.send(formData);
-    } catch (err) {
-      const errorMsg = err.message || 'An error occurred during upload';
-      setError(errorMsg);
-      setIsUploading(false);
-      setUploadProgress(0);
+    setQueue((prev) => [...prev, ...added]);
+
+    // Content sniffing is async; items move to queued (or invalid) as each check finishes
+    added.filter((item) => item.status === 'validating').forEach((item) => {
+      validateFile(item.file).then((validation) => {
+        updateItem(item.id, (current) =>
+          current.status === 'validating'
+            ? {
+                status: validation.isValid ? 'queued' : 'invalid',
+                error: validation.error,
+                container: validation.container || null,
+              }
+            : {}
+        );
+      });
+    });
 
-      if (onUploadError) {
-        onUploadError(err);
-      }
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
     }
   };
 
   /**
-   * Handle file selection
-   * @param {File[]} files - Selected files
+   * Cancel a queued or in-flight upload
+   * @param {number} id - Queue item id
    */
-  const handleFileSelect = (files) => {
-    if (files && files.length > 0) {
-      const file = files[0];
-      const validation = validateFile(file);
+  const handleCancel = (id) => {
+    const upload = uploadsRef.current.get(id);
+    if (upload) {
+      // The running uploadFile call marks the item cancelled when start() rejects
+      upload.cancel();
+      return;
+    }
 
-      if (!validation.isValid) {
-        setError(validation.error);
-        setUploadedFile(null);
-        return;
-      }
+    const item = queue.find((queued) => queued.id === id);
+    const errorMsg = 'Upload was cancelled.';
+    updateItem(id, { status: 'cancelled', error: errorMsg });
 
-      setFileSize(file.size);
-      setError(null);
-      uploadFile(file);
+    if (onUploadError && item) {
+      onUploadError(new Error(errorMsg), item.file);
     }
   };
 
+  /**
+   * Remove a settled item from the queue
+   * @param {number} id - Queue item id
+   */
+  const handleRemove = (id) => {
+    setQueue((prev) => prev.filter((item) => item.id !== id));
+  };
+
+  /**
+   * Remove every finished, failed, cancelled or rejected item
+   */
+  const handleClearFinished = () => {
+    setQueue((prev) => prev.filter((item) => ACTIVE_STATUSES.includes(item.status)));
+  };
+
   /**
    * Handle click on file input
    */
@@ -221,109 +622,43 @@ const VideoUpload = ({ onUploadSuccess, onUploadError }) => {
     }
   };
 
-  /**
-   * Handle clear/reset
-   */
-  const handleClear = () => {
-    setUploadedFile(null);
-    setUploadProgress(0);
-    setError(null);
-    setFileSize(0);
-    if (fileInputRef.current) {
-      fileInputRef.current.value = '';
-    }
+  const isUploading = queue.some((item) => item.status === 'uploading');
+  const pendingCount = queue.filter((item) => ACTIVE_STATUSES.includes(item.status)).length;
+  const hasFinished = queue.some((item) => !ACTIVE_STATUSES.includes(item.status));
+  const quotaWarnings = getQuotaWarnings();
+
+  const statusLabels = {
+    validating: 'Checking',
+    invalid: 'Rejected',
+    queued: 'Queued',
+    uploading: 'Uploading',
+    paused: 'Paused',
+    completed: 'Uploaded',
+    failed: 'Failed',
+    cancelled: 'Cancelled',
   };
 
   return (
     <div className="video-upload-container">
       <div className="video-upload-wrapper">
-        {!uploadedFile ? (
-          <>
-            <div
-              className={`drag-drop-area ${dragActive ? 'active' : ''} ${isUploading ? 'uploading' : ''}`}
-              onDragOver={handleDragOver}
-              onDragLeave={handleDragLeave}
-              onDrop={handleDrop}
-              onClick={!isUploading ? handleClick : undefined}
-            >
-              <input
-                ref={fileInputRef}
-                type="file"
-                accept={ALLOWED_EXTENSIONS.join(',')}
-                onChange={handleFileInputChange}
-                disabled={isUploading}
-                className="file-input"
-              />
-
-              <div className="drag-drop-content">
-                <div className="upload-icon">
-                  <svg
-                    xmlns="http://www.w3.org/2000/svg"
-                    viewBox="0 0 24 24"
-                    fill="none"
-                    stroke="currentColor"
-                    strokeWidth="2"
-                  >
-                    <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" />
-                    <polyline points="17 8 12 3 7 8" />
-                    <line x1="12" y1="3" x2="12" y2="15" />
-                  </svg>
-                </div>
-
-                <div className="drag-drop-text">
-                  <p className="primary-text">
-                    {isUploading ? 'Uploading...' : 'Drag and drop your video here'}
-                  </p>
-                  <p className="secondary-text">
-                    {isUploading
-                      ? 'Please wait while your file is being uploaded'
-                      : `or click to select (Max ${formatFileSize(MAX_FILE_SIZE)})`}
-                  </p>
-                </div>
-
-                {isUploading && (
-                  <div className="progress-section">
-                    <div className="progress-bar">
-                      <div
-                        className="progress-fill"
-                        style={{ width: `${uploadProgress}%` }}
-                      />
-                    </div>
-                    <p className="progress-text">{uploadProgress}%</p>
-                  </div>
-                )}
-              </div>
-            </div>
-
-            {error && (
-              <div className="error-message">
-                <svg
-                  xmlns="http://www.w3.org/2000/svg"
-                  viewBox="0 0 24 24"
-                  fill="none"
-                  stroke="currentColor"
-                  strokeWidth="2"
-                >
-                  <circle cx="12" cy="12" r="10" />
-                  <line x1="12" y1="8" x2="12" y2="12" />
-                  <line x1="12" y1="16" x2="12.01" y2="16" />
-                </svg>
-                <span>{error}</span>
-              </div>
-            )}
-
-            <div className="file-info">
-              <h3>Supported Formats</h3>
-              <ul>
-                {ALLOWED_EXTENSIONS.map((ext) => (
-                  <li key={ext}>{ext}</li>
-                ))}
-              </ul>
-            </div>
-          </>
-        ) : (
-          <div className="success-section">
-            <div className="success-icon">
+        <div
+          className={`drag-drop-area ${dragActive ? 'active' : ''} ${isUploading ? 'uploading' : ''}`}
+          onDragOver={handleDragOver}
+          onDragLeave={handleDragLeave}
+          onDrop={handleDrop}
+          onClick={handleClick}
+        >
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={[...ALLOWED_EXTENSIONS, ...captionExtensions].join(',')}
+            onChange={handleFileInputChange}
+            multiple
+            className="file-input"
+          />
+
+          <div className="drag-drop-content">
+            <div className="upload-icon">
               <svg
                 xmlns="http://www.w3.org/2000/svg"
                 viewBox="0 0 24 24"
@@ -331,36 +666,217 @@ const VideoUpload = ({ onUploadSuccess, onUploadError }) => {
                 stroke="currentColor"
                 strokeWidth="2"
               >
-                <polyline points="20 6 9 17 4 12" />
+                <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" />
+                <polyline points="17 8 12 3 7 8" />
+                <line x1="12" y1="3" x2="12" y2="15" />
               </svg>
             </div>
 
-            <h2>Upload Successful!</h2>
-
-            <div className="file-details">
-              <div className="file-name">
-                <strong>File Name:</strong>
-                <p>{uploadedFile.name}</p>
-              </div>
-              <div className="file-size">
-                <strong>File Size:</strong>
-                <p>{formatFileSize(uploadedFile.size)}</p>
-              </div>
-              <div className="upload-time">
-                <strong>Uploaded At:</strong>
-                <p>{new Date(uploadedFile.uploadedAt).toLocaleString()}</p>
-              </div>
+            <div className="drag-drop-text">
+              <p className="primary-text">
+                {isUploading
+                  ? `Uploading... ${pendingCount} file(s) remaining`
+                  : 'Drag and drop your videos here'}
+              </p>
+              <p className="secondary-text">
+                {maxFileSize !== null
+                  ? `or click to select (Max ${formatFileSize(maxFileSize)} per file)`
+                  : 'or click to select'}
+              </p>
+              {captionExtensions.length > 0 && (
+                <p className="secondary-text">
+                  {`Add ${captionExtensions.join('/')} captions named after the video, e.g. movie.en.srt`}
+                </p>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {selectionErrors.length > 0 && (
+          <ul className="selection-errors" role="alert">
+            {selectionErrors.map((message) => (
+              <li key={message} className="option-error">{message}</li>
+            ))}
+          </ul>
+        )}
+
+        {usage && <UsageMeter usage={usage} />}
+
+        <ProcessingOptions
+          settings={settings}
+          onChange={setSettings}
+          errors={settingsErrors}
+          audioFormats={usage?.audio_formats}
+        />
+
+        {usage?.priorities && usage.priorities.allowed.length > 1 && (
+          <fieldset className="processing-options priority-options">
+            <legend>Priority</legend>
+            <div className="option-group">
+              <label htmlFor="upload-priority" className="option-label">Processing priority</label>
+              <select
+                id="upload-priority"
+                value={priority || usage.priorities.default}
+                onChange={(e) => setPriority(e.target.value)}
+              >
+                {usage.priorities.allowed.map((level) => (
+                  <option key={level} value={level}>
+                    {level.charAt(0).toUpperCase() + level.slice(1)}
+                  </option>
+                ))}
+              </select>
+              <p className="option-hint">
+                Higher priority videos start first; videos of the same priority take turns between accounts.
+              </p>
             </div>
+          </fieldset>
+        )}
 
-            <button
-              className="clear-button"
-              onClick={handleClear}
-              disabled={isUploading}
-            >
-              Upload Another Video
-            </button>
+        <fieldset className="processing-options webhook-options">
+          <legend>Notify when processed (optional)</legend>
+          <div className="option-group">
+            <label htmlFor="webhook-url" className="option-label">Webhook URL</label>
+            <input
+              id="webhook-url"
+              type="url"
+              placeholder="https://cms.example.com/hooks/video"
+              value={webhook.url}
+              onChange={(e) => setWebhook({ ...webhook, url: e.target.value.trim() })}
+            />
+            {webhookErrors.url && <p className="option-error">{webhookErrors.url}</p>}
+          </div>
+          <div className="option-group">
+            <label htmlFor="webhook-secret" className="option-label">Signing secret</label>
+            <input
+              id="webhook-secret"
+              type="password"
+              autoComplete="off"
+              placeholder="Generated when left empty"
+              value={webhook.secret}
+              onChange={(e) => setWebhook({ ...webhook, secret: e.target.value })}
+            />
+            {webhookErrors.secret && <p className="option-error">{webhookErrors.secret}</p>}
+          </div>
+        </fieldset>
+
+        {queue.length > 0 && (
+          <div className="upload-queue">
+            <div className="upload-queue-header">
+              <h3>Upload Queue</h3>
+              {hasFinished && (
+                <button className="clear-button" onClick={handleClearFinished}>
+                  Clear Finished
+                </button>
+              )}
+            </div>
+
+            <ul className="upload-queue-list">
+              {queue.map((item) => (
+                <li key={item.id} className={`upload-queue-item ${item.status}`}>
+                  <div className="upload-item-header">
+                    <span className="upload-item-name" title={item.file.name}>
+                      {item.file.name}
+                    </span>
+                    <span className="upload-item-size">{formatFileSize(item.file.size)}</span>
+                    <span className={`upload-item-status status-${item.status}`}>
+                      {statusLabels[item.status]}
+                    </span>
+                  </div>
+
+                  {['uploading', 'paused', 'completed'].includes(item.status) && (
+                    <div className="progress-section">
+                      <div className="progress-bar">
+                        <div className="progress-fill" style={{ width: `${item.progress}%` }} />
+                      </div>
+                      <p className="progress-text">
+                        {item.progress}%
+                        {item.status === 'uploading' &&
+                          ` · ${formatSpeed(item.speed)} · ETA ${formatEta(item.eta)}`}
+                      </p>
+                      {item.statusMessage && (
+                        <p className="progress-status">{item.statusMessage}</p>
+                      )}
+                    </div>
+                  )}
+
+                  {item.captions.length > 0 && (
+                    <p className="upload-item-captions">
+                      Captions:{' '}
+                      {item.captions
+                        .map(({ file, language }) => (language ? `${file.name} (${language})` : file.name))
+                        .join(', ')}
+                    </p>
+                  )}
+
+                  {item.webhookSecret && (
+                    <p className="webhook-secret">
+                      Webhook signing secret (shown once): <code>{item.webhookSecret}</code>
+                    </p>
+                  )}
+
+                  {quotaWarnings.has(item.id) && (
+                    <p className="quota-warning" role="status">
+                      ⚠ {quotaWarnings.get(item.id)}
+                    </p>
+                  )}
+
+                  {item.error && item.status !== 'cancelled' && (
+                    <div className="error-message">
+                      <svg
+                        xmlns="http://www.w3.org/2000/svg"
+                        viewBox="0 0 24 24"
+                        fill="none"
+                        stroke="currentColor"
+                        strokeWidth="2"
+                      >
+                        <circle cx="12" cy="12" r="10" />
+                        <line x1="12" y1="8" x2="12" y2="12" />
+                        <line x1="12" y1="16" x2="12.01" y2="16" />
+                      </svg>
+                      <span>{item.error}</span>
+                      {item.errorDetails && (
+                        <ul className="error-details">
+                          {item.errorDetails.map((reason) => (
+                            <li key={reason}>{reason}</li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  )}
+
+                  <div className="upload-item-actions">
+                    {ACTIVE_STATUSES.includes(item.status) ? (
+                      <button
+                        className="btn-cancel-upload"
+                        onClick={() => handleCancel(item.id)}
+                        title="Cancel this upload"
+                      >
+                        Cancel
+                      </button>
+                    ) : (
+                      <button
+                        className="btn-remove-upload"
+                        onClick={() => handleRemove(item.id)}
+                        title="Remove from the list"
+                      >
+                        Remove
+                      </button>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
           </div>
         )}
+
+        <div className="file-info">
+          <h3>Supported Formats</h3>
+          <ul>
+            {ALLOWED_EXTENSIONS.map((ext) => (
+              <li key={ext}>{ext}</li>
+            ))}
+          </ul>
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,346 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  WEBHOOK_EVENTS,
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  sendTestEvent,
+  listDeliveries,
+  resendDelivery,
+} from '../utils/webhooks';
+
+const DELIVERY_PAGE_SIZE = 20;
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+const EMPTY_FORM = {
+  url: '',
+  description: '',
+  events: WEBHOOK_EVENTS.map((event) => event.value),
+};
+
+const formatDateTime = (iso) => (iso ? new Date(iso).toLocaleString() : '—');
+
+/**
+ * One row of the delivery log; expands to show every attempt
+ */
+const DeliveryRow = ({ delivery, onResend, busy }) => {
+  const [expanded, setExpanded] = useState(false);
+  const last = delivery.attempts[delivery.attempts.length - 1];
+
+  return (
+    <li className={`webhook-delivery delivery-${delivery.status}`}>
+      <div className="webhook-delivery-summary">
+        <button
+          className="btn-link"
+          onClick={() => setExpanded(!expanded)}
+          aria-expanded={expanded}
+        >
+          {delivery.event}
+        </button>
+        <span className="webhook-delivery-url" title={delivery.url}>{delivery.url}</span>
+        <span className={`delivery-status status-${delivery.status}`}>{delivery.status}</span>
+        <span className="webhook-delivery-time">{formatDateTime(delivery.created_at)}</span>
+        <span className="webhook-delivery-last">
+          {last ? last.status_code || last.error : 'Not sent yet'}
+        </span>
+        {delivery.status !== 'pending' && (
+          <button className="btn btn-secondary" disabled={busy} onClick={() => onResend(delivery)}>
+            Resend
+          </button>
+        )}
+      </div>
+
+      {expanded && (
+        <div className="webhook-delivery-details">
+          {delivery.task_id && <p>Task: {delivery.task_id}</p>}
+          {delivery.resend_of && <p>Resend of {delivery.resend_of}</p>}
+          {delivery.status === 'pending' && delivery.next_attempt_at && (
+            <p>Next attempt: {formatDateTime(delivery.next_attempt_at)}</p>
+          )}
+          <ol className="webhook-delivery-attempts">
+            {delivery.attempts.map((attempt) => (
+              <li key={attempt.number}>
+                {formatDateTime(attempt.sent_at)} · {attempt.status_code || 'no response'}
+                {attempt.duration_ms !== null && ` · ${attempt.duration_ms} ms`}
+                {attempt.error && ` · ${attempt.error}`}
+              </li>
+            ))}
+          </ol>
+          <pre className="webhook-delivery-payload">{JSON.stringify(delivery.payload, null, 2)}</pre>
+        </div>
+      )}
+    </li>
+  );
+};
+
+/**
+ * WebhookSettings Component
+ * Account webhooks notified when the user's tasks complete, fail or are
+ * cancelled, and the log of deliveries with a resend action
+ * (see /api/webhooks)
+ */
+const WebhookSettings = () => {
+  const [webhooks, setWebhooks] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formErrors, setFormErrors] = useState({});
+  // Shown once, right after a webhook is created
+  const [newSecret, setNewSecret] = useState(null);
+  const [deliveries, setDeliveries] = useState({ data: [], total: 0 });
+  const [filters, setFilters] = useState({ webhook_id: '', status: '' });
+  const [offset, setOffset] = useState(0);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const loadWebhooks = useCallback(async () => {
+    try {
+      setWebhooks(await listWebhooks());
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  const loadDeliveries = useCallback(async () => {
+    try {
+      setDeliveries(await listDeliveries({ ...filters, offset, limit: DELIVERY_PAGE_SIZE }));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [filters, offset]);
+
+  useEffect(() => {
+    loadWebhooks();
+  }, [loadWebhooks]);
+
+  useEffect(() => {
+    loadDeliveries();
+  }, [loadDeliveries]);
+
+  /**
+   * Run an API call, then reload both lists
+   * @param {Function} action - Async call
+   * @param {string} [successMessage]
+   */
+  const run = async (action, successMessage) => {
+    setBusy(true);
+    setError(null);
+    setNotice(null);
+    try {
+      await action();
+      if (successMessage) setNotice(successMessage);
+      await Promise.all([loadWebhooks(), loadDeliveries()]);
+    } catch (err) {
+      setError(err.message);
+      if (err.details?.fields) setFormErrors(err.details.fields);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    setFormErrors({});
+    run(async () => {
+      const created = await createWebhook({
+        url: form.url.trim(),
+        description: form.description.trim() || null,
+        events: form.events,
+      });
+      setNewSecret({ url: created.url, secret: created.secret });
+      setForm(EMPTY_FORM);
+    });
+  };
+
+  const toggleEvent = (event) => {
+    const events = form.events.includes(event)
+      ? form.events.filter((value) => value !== event)
+      : [...form.events, event];
+    setForm({ ...form, events });
+  };
+
+  const updateFilter = (field, value) => {
+    setFilters({ ...filters, [field]: value });
+    setOffset(0);
+  };
+
+  return (
+    <section className="webhook-settings">
+      <h2>Webhooks</h2>
+      <p className="webhook-settings-intro">
+        These URLs receive a signed JSON payload when one of your videos finishes processing,
+        fails or is cancelled. Verify the <code>X-Webhook-Signature</code> header with the
+        webhook&apos;s secret.
+      </p>
+
+      {error && <div className="error-message" role="alert">{error}</div>}
+      {notice && <p className="webhook-notice" role="status">{notice}</p>}
+
+      {newSecret && (
+        <div className="webhook-secret" role="status">
+          <p>
+            Signing secret for {newSecret.url}. Copy it now; it is not shown again.
+          </p>
+          <code>{newSecret.secret}</code>
+          <button className="btn btn-secondary" onClick={() => setNewSecret(null)}>
+            Done
+          </button>
+        </div>
+      )}
+
+      <ul className="webhook-list">
+        {webhooks.map((webhook) => (
+          <li key={webhook.id} className={`webhook-item ${webhook.active ? '' : 'inactive'}`}>
+            <div className="webhook-item-info">
+              <span className="webhook-url">{webhook.url}</span>
+              {webhook.description && (
+                <span className="webhook-description">{webhook.description}</span>
+              )}
+              <span className="webhook-events">{webhook.events.join(', ')}</span>
+            </div>
+            <div className="webhook-item-actions">
+              <label className="option-checkbox">
+                <input
+                  type="checkbox"
+                  checked={webhook.active}
+                  disabled={busy}
+                  onChange={() => run(() => updateWebhook(webhook.id, { active: !webhook.active }))}
+                />
+                Active
+              </label>
+              <button
+                className="btn btn-secondary"
+                disabled={busy}
+                onClick={() => run(() => sendTestEvent(webhook.id), `Test event queued for ${webhook.url}`)}
+              >
+                Send test
+              </button>
+              <button
+                className="btn btn-secondary"
+                disabled={busy}
+                onClick={() => run(() => deleteWebhook(webhook.id), 'Webhook removed')}
+              >
+                Delete
+              </button>
+            </div>
+          </li>
+        ))}
+        {webhooks.length === 0 && <li className="webhook-empty">No webhooks yet.</li>}
+      </ul>
+
+      <form className="webhook-form" onSubmit={handleCreate}>
+        <fieldset className="processing-options" disabled={busy}>
+          <legend>Add a webhook</legend>
+          <div className="option-group">
+            <label htmlFor="new-webhook-url" className="option-label">URL</label>
+            <input
+              id="new-webhook-url"
+              type="url"
+              required
+              placeholder="https://cms.example.com/hooks/video"
+              value={form.url}
+              onChange={(e) => setForm({ ...form, url: e.target.value })}
+            />
+            {formErrors.url && <p className="option-error">{formErrors.url}</p>}
+          </div>
+          <div className="option-group">
+            <label htmlFor="new-webhook-description" className="option-label">Description</label>
+            <input
+              id="new-webhook-description"
+              type="text"
+              maxLength={200}
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+            />
+          </div>
+          <div className="option-group">
+            <span className="option-label">Events</span>
+            {WEBHOOK_EVENTS.map((event) => (
+              <label key={event.value} className="option-checkbox">
+                <input
+                  type="checkbox"
+                  checked={form.events.includes(event.value)}
+                  onChange={() => toggleEvent(event.value)}
+                />
+                {event.label}
+              </label>
+            ))}
+            {formErrors.events && <p className="option-error">{formErrors.events}</p>}
+          </div>
+          <button type="submit" className="btn btn-primary" disabled={form.events.length === 0}>
+            Add webhook
+          </button>
+        </fieldset>
+      </form>
+
+      <div className="webhook-deliveries">
+        <div className="webhook-deliveries-header">
+          <h3>Deliveries</h3>
+          <select
+            aria-label="Webhook"
+            value={filters.webhook_id}
+            onChange={(e) => updateFilter('webhook_id', e.target.value)}
+          >
+            <option value="">All webhooks</option>
+            {webhooks.map((webhook) => (
+              <option key={webhook.id} value={webhook.id}>
+                {webhook.url}
+              </option>
+            ))}
+          </select>
+          <select
+            aria-label="Status"
+            value={filters.status}
+            onChange={(e) => updateFilter('status', e.target.value)}
+          >
+            <option value="">Any status</option>
+            {DELIVERY_STATUSES.map((status) => (
+              <option key={status} value={status}>
+                {status}
+              </option>
+            ))}
+          </select>
+          <button className="btn btn-secondary" onClick={loadDeliveries}>
+            Refresh
+          </button>
+        </div>
+
+        <ul className="webhook-delivery-list">
+          {deliveries.data.map((delivery) => (
+            <DeliveryRow
+              key={delivery.id}
+              delivery={delivery}
+              busy={busy}
+              onResend={(original) => run(() => resendDelivery(original.id), 'Delivery resent')}
+            />
+          ))}
+          {deliveries.data.length === 0 && <li className="webhook-empty">No deliveries.</li>}
+        </ul>
+
+        {deliveries.total > DELIVERY_PAGE_SIZE && (
+          <div className="pagination">
+            <button
+              className="btn btn-secondary"
+              disabled={offset === 0}
+              onClick={() => setOffset(Math.max(offset - DELIVERY_PAGE_SIZE, 0))}
+            >
+              Newer
+            </button>
+            <span>
+              {offset + 1}–{Math.min(offset + DELIVERY_PAGE_SIZE, deliveries.total)} of {deliveries.total}
+            </span>
+            <button
+              className="btn btn-secondary"
+              disabled={offset + DELIVERY_PAGE_SIZE >= deliveries.total}
+              onClick={() => setOffset(offset + DELIVERY_PAGE_SIZE)}
+            >
+              Older
+            </button>
+          </div>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default WebhookSettings;
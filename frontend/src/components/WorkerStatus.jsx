@@ -0,0 +1,125 @@
+import React from 'react';
+import useWorkers from '../hooks/useWorkers';
+
+const STATUS_LABELS = { online: 'Online', offline: 'Offline', stopped: 'Stopped' };
+
+const formatSize = (bytes) => {
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = bytes > 0 ? Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), sizes.length - 1) : 0;
+  return `${Math.round((bytes / Math.pow(1024, i)) * 10) / 10} ${sizes[i]}`;
+};
+
+const formatAgo = (iso) => {
+  const seconds = Math.max(Math.round((Date.now() - new Date(iso).getTime()) / 1000), 0);
+  if (seconds < 60) return `${seconds}s ago`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  return new Date(iso).toLocaleString();
+};
+
+/**
+ * WorkerStatus Component
+ * Admin view of the video workers: what each one is processing, when it last
+ * sent a heartbeat and how loaded it is. Tasks of workers that go offline are
+ * queued again by the reaper once their lease expires.
+ */
+const WorkerStatus = () => {
+  const { workers, error, reload } = useWorkers();
+
+  if (!workers) {
+    return (
+      <div className="worker-status">
+        {error ? <p className="error-message">{error}</p> : <p>Loading workers…</p>}
+      </div>
+    );
+  }
+
+  const online = workers.data.filter((worker) => worker.status === 'online');
+  const activeJobs = online.reduce((sum, worker) => sum + worker.load.active_jobs, 0);
+  const capacity = online.reduce((sum, worker) => sum + worker.concurrency, 0);
+
+  return (
+    <div className="worker-status">
+      <div className="worker-status-header">
+        <h3>Workers</h3>
+        <span className="worker-status-summary">
+          {online.length} online · {activeJobs} of {capacity} job slots busy
+        </span>
+        <button className="btn btn-secondary" onClick={reload}>
+          Refresh
+        </button>
+      </div>
+      {error && <p className="error-message">{error}</p>}
+      <p className="worker-status-note">
+        Heartbeat every {workers.heartbeat_interval_ms / 1000}s; tasks of a worker silent for{' '}
+        {workers.lease_ttl_ms / 1000}s are queued again.
+      </p>
+
+      {workers.data.length === 0 ? (
+        <p className="empty-message">No worker has reported yet.</p>
+      ) : (
+        <table className="worker-table">
+          <thead>
+            <tr>
+              <th>Worker</th>
+              <th>Status</th>
+              <th>Current jobs</th>
+              <th>Last heartbeat</th>
+              <th>Load</th>
+            </tr>
+          </thead>
+          <tbody>
+            {workers.data.map((worker) => (
+              <tr key={worker.id} className={`worker-row worker-${worker.status}`}>
+                <td>
+                  <span className="worker-id">{worker.id}</span>
+                  <span className="worker-started">
+                    since {new Date(worker.started_at).toLocaleString()}
+                  </span>
+                </td>
+                <td>
+                  <span className={`worker-badge worker-badge-${worker.status}`}>
+                    {STATUS_LABELS[worker.status]}
+                  </span>
+                </td>
+                <td>
+                  {worker.current_jobs.length === 0 ? (
+                    <span className="worker-idle">Idle</span>
+                  ) : (
+                    <ul className="worker-jobs">
+                      {worker.current_jobs.map((job) => (
+                        <li key={job.task_id}>
+                          <code>{job.task_id}</code>
+                          {job.attempt && <span> · attempt {job.attempt}</span>}
+                          <span> · started {formatAgo(job.started_at)}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </td>
+                <td title={new Date(worker.last_heartbeat_at).toLocaleString()}>
+                  {formatAgo(worker.last_heartbeat_at)}
+                </td>
+                <td>
+                  <div>
+                    {worker.load.active_jobs} / {worker.concurrency} jobs
+                  </div>
+                  {worker.load.cpu_load_1m !== null && (
+                    <div className="worker-load-detail">
+                      CPU load {worker.load.cpu_load_1m.toFixed(2)}
+                      {worker.load.cpus ? ` on ${worker.load.cpus} cores` : ''}
+                    </div>
+                  )}
+                  {worker.load.memory_rss !== null && (
+                    <div className="worker-load-detail">{formatSize(worker.load.memory_rss)} memory</div>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default WorkerStatus;
@@ -0,0 +1,101 @@
+import { useEffect, useState } from 'react';
+import { TASKS_ENDPOINT } from '../utils/taskQuery';
+import { authFetch, withStreamTicket } from '../utils/auth';
+
+/**
+ * Tail a task's processing log
+ *
+ * Streams GET /api/tasks/:id/logs/stream, which replays the existing entries
+ * and then pushes new ones. EventSource reconnects on its own and resumes
+ * after the last entry it received; a stream refused because its stream
+ * ticket expired is reopened with a new one. Without EventSource the log is
+ * fetched once from GET /api/tasks/:id/logs.
+ * @param {string} taskId - Task ID
+ * @returns {{ entries: Object[], live: boolean, error: string|null }}
+ */
+const useTaskLog = (taskId) => {
+  const [entries, setEntries] = useState([]);
+  const [live, setLive] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setEntries([]);
+    setError(null);
+
+    /**
+     * Append entries that are not shown yet
+     * @param {Object[]} received - Log entries
+     */
+    const append = (received) => {
+      setEntries((prev) => {
+        const known = new Set(prev.map((entry) => entry.id));
+        const fresh = received.filter((entry) => !known.has(entry.id));
+        return fresh.length > 0 ? [...prev, ...fresh] : prev;
+      });
+    };
+
+    if (typeof EventSource === 'undefined') {
+      const controller = new AbortController();
+      authFetch(`${TASKS_ENDPOINT}/${taskId}/logs?limit=1000`, { signal: controller.signal })
+        .then(async (response) => {
+          const body = await response.json();
+          if (!response.ok) throw new Error(body.error?.message || 'Failed to load the log');
+          append(body.data);
+        })
+        .catch((err) => {
+          if (err.name !== 'AbortError') setError(err.message);
+        });
+      return () => controller.abort();
+    }
+
+    let source = null;
+    let stopped = false;
+    let lastId = null;
+    let reopened = false;
+
+    const open = async () => {
+      const params = lastId ? `?after=${encodeURIComponent(lastId)}` : '';
+      let url;
+      try {
+        url = await withStreamTicket(`${TASKS_ENDPOINT}/${taskId}/logs/stream${params}`);
+      } catch (err) {
+        setError(err.message);
+        return;
+      }
+      if (stopped) return;
+      source = new EventSource(url);
+      source.onopen = () => {
+        reopened = false;
+        setLive(true);
+        setError(null);
+      };
+      source.addEventListener('task_log', (e) => {
+        lastId = e.lastEventId || lastId;
+        append([JSON.parse(e.data).data.entry]);
+      });
+      source.onerror = () => {
+        setLive(false);
+        if (source.readyState !== EventSource.CLOSED) return;
+        // The server refuses reconnects once the ticket in the URL has expired;
+        // reopen once with a new ticket before giving up
+        if (reopened) {
+          setError('Log stream closed');
+          return;
+        }
+        reopened = true;
+        if (!stopped) open();
+      };
+    };
+    open();
+
+    return () => {
+      stopped = true;
+      source?.close();
+      setLive(false);
+    };
+  }, [taskId]);
+
+  return { entries, live, error };
+};
+
+export default useTaskLog;
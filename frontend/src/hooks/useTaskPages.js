@@ -0,0 +1,78 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { buildTasksUrl } from '../utils/taskQuery';
+import { authFetch } from '../utils/auth';
+
+const EMPTY_STATE = {
+  tasks: [],
+  total: 0,
+  counts: {},
+  nextCursor: null,
+  hasMore: false,
+};
+
+/**
+ * Load tasks page by page from GET /api/tasks. Changing the query starts
+ * over from the first page; responses for an outdated query are ignored.
+ * @param {Object} query - Task query (see utils/taskQuery)
+ * @returns {Object} - { tasks, total, counts, hasMore, loading, error, loadMore, reload }
+ */
+const useTaskPages = (query) => {
+  const [state, setState] = useState(EMPTY_STATE);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const requestRef = useRef(null);
+
+  /**
+   * Fetch one page
+   * @param {string|null} cursor - null for the first page
+   */
+  const fetchPage = useCallback(
+    async (cursor) => {
+      requestRef.current?.abort();
+      const controller = new AbortController();
+      requestRef.current = controller;
+      setLoading(true);
+      setError(null);
+
+      try {
+        const response = await authFetch(buildTasksUrl(query, cursor), { signal: controller.signal });
+        const body = await response.json();
+        if (!response.ok) {
+          throw new Error(body.error?.message || `Failed to load tasks (${response.status})`);
+        }
+
+        setState((prev) => ({
+          tasks: cursor ? [...prev.tasks, ...body.data] : body.data,
+          total: body.total,
+          counts: body.counts,
+          nextCursor: body.page.next_cursor,
+          hasMore: body.page.has_more,
+        }));
+      } catch (err) {
+        if (err.name !== 'AbortError') setError(err.message);
+      } finally {
+        if (requestRef.current === controller) {
+          requestRef.current = null;
+          setLoading(false);
+        }
+      }
+    },
+    [query]
+  );
+
+  useEffect(() => {
+    setState(EMPTY_STATE);
+    fetchPage(null);
+    return () => requestRef.current?.abort();
+  }, [fetchPage]);
+
+  const loadMore = useCallback(() => {
+    if (!loading && state.hasMore) fetchPage(state.nextCursor);
+  }, [fetchPage, loading, state.hasMore, state.nextCursor]);
+
+  const reload = useCallback(() => fetchPage(null), [fetchPage]);
+
+  return { ...state, loading, error, loadMore, reload };
+};
+
+export default useTaskPages;
@@ -0,0 +1,50 @@
+import { useCallback, useEffect, useState } from 'react';
+import { authFetch } from '../utils/auth';
+
+const QUEUE_ENDPOINT = '/api/tasks/queue';
+
+// Positions only move as tasks start or finish; estimates are rough anyway
+const POLL_INTERVAL_MS = 15000;
+
+/**
+ * Queue position and estimated start of the user's pending tasks, from
+ * GET /api/tasks/queue, refreshed while any is shown and whenever the shown
+ * ones change
+ * @param {string} pendingKey - IDs of the pending tasks shown, joined; empty for none
+ * @returns {{ positions: Object, error: string|null, reload: Function }} - `positions` maps
+ *   task IDs to { position, priority, estimated_start_at }
+ */
+const useTaskQueue = (pendingKey) => {
+  const [positions, setPositions] = useState({});
+  const [error, setError] = useState(null);
+
+  const reload = useCallback(async () => {
+    try {
+      const response = await authFetch(QUEUE_ENDPOINT);
+      const body = await response.json();
+      if (!response.ok) {
+        throw new Error(body.error?.message || `Failed to load the queue (${response.status})`);
+      }
+      setPositions(
+        Object.fromEntries(body.data.map(({ task_id: taskId, ...entry }) => [taskId, entry]))
+      );
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!pendingKey) {
+      setPositions({});
+      return undefined;
+    }
+    reload();
+    const timer = setInterval(reload, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [pendingKey, reload]);
+
+  return { positions, error, reload };
+};
+
+export default useTaskQueue;
@@ -0,0 +1,268 @@
+import { useEffect, useMemo, useState, useCallback } from 'react';
+import { authFetch, withStreamTicket } from '../utils/auth';
+
+/**
+ * Live task updates
+ *
+ * Connects to the backend push channel and merges task events into the task
+ * list it is given. Transports are tried in order:
+ *   1. WebSocket (/ws), reconnecting with backoff
+ *   2. Server-Sent Events (/api/tasks/stream) once WebSocket reconnects are exhausted
+ *   3. Polling GET /api/tasks?updated_since=... when SSE keeps failing
+ * After every (re)connect the changes missed while disconnected are fetched.
+ * EventSource and WebSocket carry a stream ticket in the URL, fetched for every connect.
+ */
+
+const RECONNECT_DELAYS = [1000, 2000, 5000, 10000, 30000];
+const SSE_MAX_ERRORS = 3;
+// Allowance for clock differences between browser and server when catching up
+const SYNC_MARGIN_MS = 5000;
+
+const TASK_EVENT_TYPES = [
+  'task_created',
+  'task_started',
+  'task_progress',
+  'task_completed',
+  'task_failed',
+  'task_cancelled',
+  'task_updated',
+  'task_deleted',
+];
+
+export const CONNECTION_STATES = {
+  CONNECTING: 'connecting',
+  LIVE: 'live',
+  SSE: 'sse',
+  POLLING: 'polling',
+};
+
+/**
+ * Polling interval: 2s for the first minute, 5s until five minutes, then 10s
+ * @param {number} elapsedMs - Time since polling started
+ * @returns {number}
+ */
+const getPollInterval = (elapsedMs) => {
+  if (elapsedMs < 60 * 1000) return 2000;
+  if (elapsedMs < 5 * 60 * 1000) return 5000;
+  return 10000;
+};
+
+const getWebSocketUrl = () => {
+  const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+  return withStreamTicket(`${protocol}://${window.location.host}/ws`);
+};
+
+const fetchTasksSince = async (since) => {
+  const params = new URLSearchParams({ updated_since: since, sort: 'updated_at', limit: 100 });
+  const response = await authFetch(`/api/tasks?${params}`);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch task updates (${response.status})`);
+  }
+  const body = await response.json();
+  return body.data;
+};
+
+/**
+ * @param {Object[]} tasks - Task list loaded by the parent
+ * @param {Object} [options]
+ * @param {boolean} [options.includeCreated=true] - Prepend tasks created after the list was loaded;
+ *   turn off when the list is filtered or sorted so new tasks would not belong at the top
+ * @returns {{ tasks: Object[], connectionState: string }} - Tasks with live updates applied
+ */
+const useTaskUpdates = (tasks, { includeCreated = true } = {}) => {
+  const [updates, setUpdates] = useState({});
+  const [connectionState, setConnectionState] = useState(CONNECTION_STATES.CONNECTING);
+
+  /**
+   * Record partial task data received from any transport
+   * @param {Object[]} patches - Objects with at least an `id`
+   */
+  const mergeUpdates = useCallback((patches) => {
+    if (patches.length === 0) return;
+    setUpdates((prev) => {
+      const next = { ...prev };
+      patches.forEach((patch) => {
+        next[patch.id] = { ...next[patch.id], ...patch };
+      });
+      return next;
+    });
+  }, []);
+
+  useEffect(() => {
+    let stopped = false;
+    let socket = null;
+    let eventSource = null;
+    let timer = null;
+    let attempt = 0;
+    let lastSync = new Date().toISOString();
+
+    const markSynced = () => {
+      lastSync = new Date(Date.now() - SYNC_MARGIN_MS).toISOString();
+    };
+
+    const handleEvent = (event) => {
+      if (!event.task_id || !event.data) return;
+      if (event.type === 'task_deleted') {
+        mergeUpdates([{ id: event.task_id, deleted: true }]);
+        return;
+      }
+      const { task, ...data } = event.data;
+      // Creation events carry the whole task so it can be shown right away
+      mergeUpdates([{ ...(task || {}), ...data, id: event.task_id }]);
+    };
+
+    // Fetch what changed while we were not listening
+    const catchUp = async () => {
+      try {
+        const since = lastSync;
+        markSynced();
+        mergeUpdates(await fetchTasksSince(since));
+      } catch {
+        // The next reconnect or poll tries again
+      }
+    };
+
+    const startPolling = () => {
+      setConnectionState(CONNECTION_STATES.POLLING);
+      const startedAt = Date.now();
+
+      const poll = async () => {
+        if (stopped) return;
+        await catchUp();
+        if (!stopped) {
+          timer = setTimeout(poll, getPollInterval(Date.now() - startedAt));
+        }
+      };
+      poll();
+    };
+
+    // EventSource's own reconnects would reuse an expired stream ticket, so
+    // each reconnect is made here with a new one; give up after repeated failures
+    let sseErrors = 0;
+    const retrySse = () => {
+      sseErrors += 1;
+      if (stopped) return;
+      if (sseErrors >= SSE_MAX_ERRORS) {
+        startPolling();
+        return;
+      }
+      setConnectionState(CONNECTION_STATES.CONNECTING);
+      timer = setTimeout(connectSse, RECONNECT_DELAYS[sseErrors - 1]);
+    };
+
+    const connectSse = async () => {
+      if (typeof EventSource === 'undefined') {
+        startPolling();
+        return;
+      }
+
+      let url;
+      try {
+        url = await withStreamTicket('/api/tasks/stream');
+      } catch {
+        retrySse();
+        return;
+      }
+      if (stopped) return;
+      eventSource = new EventSource(url);
+
+      eventSource.onopen = () => {
+        sseErrors = 0;
+        setConnectionState(CONNECTION_STATES.SSE);
+        catchUp();
+      };
+      TASK_EVENT_TYPES.forEach((type) => {
+        eventSource.addEventListener(type, (e) => handleEvent(JSON.parse(e.data)));
+      });
+      eventSource.onerror = () => {
+        eventSource.close();
+        eventSource = null;
+        retrySse();
+      };
+    };
+
+    const connectWebSocket = async () => {
+      if (typeof WebSocket === 'undefined') {
+        connectSse();
+        return;
+      }
+
+      let url;
+      try {
+        url = await getWebSocketUrl();
+      } catch {
+        url = null;
+      }
+      if (stopped) return;
+      if (!url) {
+        reconnectWebSocket();
+        return;
+      }
+      socket = new WebSocket(url);
+
+      socket.onopen = () => {
+        attempt = 0;
+        setConnectionState(CONNECTION_STATES.LIVE);
+        catchUp();
+      };
+      socket.onmessage = (e) => {
+        try {
+          handleEvent(JSON.parse(e.data));
+        } catch {
+          // Ignore malformed messages
+        }
+      };
+      socket.onclose = () => {
+        socket = null;
+        if (!stopped) reconnectWebSocket();
+      };
+    };
+
+    const reconnectWebSocket = () => {
+      if (attempt < RECONNECT_DELAYS.length) {
+        setConnectionState(CONNECTION_STATES.CONNECTING);
+        timer = setTimeout(connectWebSocket, RECONNECT_DELAYS[attempt]);
+        attempt += 1;
+      } else {
+        connectSse();
+      }
+    };
+
+    connectWebSocket();
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      socket?.close();
+      eventSource?.close();
+    };
+  }, [mergeUpdates]);
+
+  const mergedTasks = useMemo(() => {
+    const knownIds = new Set(tasks.map((task) => task.id));
+
+    const visible = tasks.filter((task) => !updates[task.id]?.deleted);
+    const merged = visible.map((task) => {
+      const update = updates[task.id];
+      if (!update) return task;
+      // The parent refreshed the list after this update arrived; keep its copy
+      if (update.updated_at && task.updated_at && new Date(task.updated_at) > new Date(update.updated_at)) {
+        return task;
+      }
+      return { ...task, ...update };
+    });
+
+    if (!includeCreated) return merged;
+
+    // Tasks created since the list was loaded; only complete records can be shown
+    const created = Object.values(updates).filter(
+      (update) => !knownIds.has(update.id) && !update.deleted && update.name && update.created_at
+    );
+
+    return [...created, ...merged];
+  }, [tasks, updates, includeCreated]);
+
+  return { tasks: mergedTasks, connectionState };
+};
+
+export default useTaskUpdates;
@@ -0,0 +1,35 @@
+import { useCallback, useEffect, useState } from 'react';
+import { authFetch } from '../utils/auth';
+
+const USAGE_ENDPOINT = '/api/usage';
+
+/**
+ * The signed-in user's quota usage from GET /api/usage
+ * @returns {{ usage: Object|null, error: string|null, reload: Function }}
+ */
+const useUsage = () => {
+  const [usage, setUsage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const reload = useCallback(async () => {
+    try {
+      const response = await authFetch(USAGE_ENDPOINT);
+      const body = await response.json();
+      if (!response.ok) {
+        throw new Error(body.error?.message || `Failed to load usage (${response.status})`);
+      }
+      setUsage(body);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  return { usage, error, reload };
+};
+
+export default useUsage;
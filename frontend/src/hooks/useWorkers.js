@@ -0,0 +1,41 @@
+import { useCallback, useEffect, useState } from 'react';
+import { authFetch } from '../utils/auth';
+
+const WORKERS_ENDPOINT = '/api/admin/workers';
+
+// Workers report in every 10 s by default; polling faster shows nothing new
+const POLL_INTERVAL_MS = 10000;
+
+/**
+ * Video workers from GET /api/admin/workers (admins only), refreshed while mounted
+ * @returns {{ workers: Object|null, error: string|null, reload: Function }} - `workers` is
+ *   the response: { data, heartbeat_interval_ms, lease_ttl_ms }
+ */
+const useWorkers = () => {
+  const [workers, setWorkers] = useState(null);
+  const [error, setError] = useState(null);
+
+  const reload = useCallback(async () => {
+    try {
+      const response = await authFetch(WORKERS_ENDPOINT);
+      const body = await response.json();
+      if (!response.ok) {
+        throw new Error(body.error?.message || `Failed to load workers (${response.status})`);
+      }
+      setWorkers(body);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+    const timer = setInterval(reload, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [reload]);
+
+  return { workers, error, reload };
+};
+
+export default useWorkers;
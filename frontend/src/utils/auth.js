@@ -0,0 +1,252 @@
+/**
+ * Session handling against /api/auth
+ *
+ * The access and refresh tokens are kept in localStorage. The access token is
+ * refreshed shortly before it expires, and once more when a request is
+ * answered with 401 TOKEN_EXPIRED. When the session cannot be refreshed the
+ * tokens are dropped and AUTH_EXPIRED_EVENT is dispatched on window, so open
+ * components can pause their work and ask the user to sign in again.
+ */
+
+const AUTH_ENDPOINT = '/api/auth';
+const ACCESS_TOKEN_KEY = 'authToken';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+const USER_KEY = 'authUser';
+// Refresh this long before the access token expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+export const AUTH_EXPIRED_EVENT = 'auth-expired';
+export const AUTH_CHANGED_EVENT = 'auth-changed';
+
+let refreshTimer = null;
+// Refresh in flight; concurrent callers share it since a refresh token works once
+let refreshing = null;
+
+/**
+ * Error carrying the HTTP status and API error code
+ */
+export class AuthError extends Error {
+  constructor(message, status = 0, code = null) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+export const getAccessToken = () => localStorage.getItem(ACCESS_TOKEN_KEY);
+
+/**
+ * The signed-in user as returned by the last login or refresh
+ * @returns {Object|null} - { id, email, name, role }
+ */
+export const getCurrentUser = () => {
+  try {
+    return JSON.parse(localStorage.getItem(USER_KEY));
+  } catch {
+    return null;
+  }
+};
+
+export const isAdmin = () => getCurrentUser()?.role === 'admin';
+
+/**
+ * Expiry of a JWT from its payload; the signature is the server's business
+ * @param {string} token - JWT
+ * @returns {number|null} - Epoch milliseconds
+ */
+const getTokenExpiry = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+};
+
+const scheduleRefresh = () => {
+  clearTimeout(refreshTimer);
+  const token = getAccessToken();
+  const expiresAt = token && getTokenExpiry(token);
+  if (!expiresAt || !localStorage.getItem(REFRESH_TOKEN_KEY)) return;
+
+  refreshTimer = setTimeout(() => {
+    // Failures surface through AUTH_EXPIRED_EVENT or the next request
+    refreshSession().catch(() => {});
+  }, Math.max(expiresAt - Date.now() - REFRESH_MARGIN_MS, 0));
+};
+
+/**
+ * Store a token pair from login or refresh
+ * @param {Object} tokens - { access_token, refresh_token, user }
+ */
+const storeSession = (tokens) => {
+  localStorage.setItem(ACCESS_TOKEN_KEY, tokens.access_token);
+  localStorage.setItem(REFRESH_TOKEN_KEY, tokens.refresh_token);
+  localStorage.setItem(USER_KEY, JSON.stringify(tokens.user));
+  scheduleRefresh();
+  window.dispatchEvent(new Event(AUTH_CHANGED_EVENT));
+};
+
+const clearSession = () => {
+  clearTimeout(refreshTimer);
+  localStorage.removeItem(ACCESS_TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+  window.dispatchEvent(new Event(AUTH_CHANGED_EVENT));
+};
+
+/**
+ * POST to an auth endpoint
+ * @param {string} path - Path below /api/auth
+ * @param {Object} body - JSON body
+ * @returns {Promise<Object|null>}
+ * @throws {AuthError}
+ */
+const postAuth = async (path, body) => {
+  let response;
+  try {
+    response = await fetch(`${AUTH_ENDPOINT}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+  } catch {
+    throw new AuthError('Network error');
+  }
+  if (response.status === 204) return null;
+
+  const result = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new AuthError(
+      result?.error?.message || `Request failed (${response.status})`,
+      response.status,
+      result?.error?.code || null
+    );
+  }
+  return result;
+};
+
+/**
+ * Sign in
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<Object>} - Signed-in user
+ * @throws {AuthError} - INVALID_CREDENTIALS for a wrong email or password
+ */
+export const login = async (email, password) => {
+  const tokens = await postAuth('/login', { email, password });
+  storeSession(tokens);
+  return tokens.user;
+};
+
+/**
+ * Sign out; the local session is dropped even when the server cannot be reached
+ */
+export const logout = async () => {
+  const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+  clearSession();
+  if (refreshToken) {
+    await postAuth('/logout', { refresh_token: refreshToken }).catch(() => {});
+  }
+};
+
+/**
+ * Exchange the refresh token for a new token pair. Only a rejected refresh
+ * token ends the session; network errors leave it in place for a later try.
+ * @returns {Promise<string>} - New access token
+ * @throws {AuthError}
+ */
+export const refreshSession = () => {
+  if (!refreshing) {
+    refreshing = (async () => {
+      const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+      if (!refreshToken) {
+        throw new AuthError('Sign in to continue', 401, 'AUTH_REQUIRED');
+      }
+      try {
+        const tokens = await postAuth('/refresh', { refresh_token: refreshToken });
+        storeSession(tokens);
+        return tokens.access_token;
+      } catch (err) {
+        if (err.status === 401) {
+          clearSession();
+          window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+        }
+        throw err;
+      }
+    })().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+};
+
+/**
+ * An access token that is not about to expire, refreshing it first if needed
+ * @returns {Promise<string|null>}
+ */
+export const getFreshAccessToken = async () => {
+  const token = getAccessToken();
+  const expiresAt = token && getTokenExpiry(token);
+  if (!expiresAt || expiresAt - Date.now() > REFRESH_MARGIN_MS) return token;
+  try {
+    return await refreshSession();
+  } catch (err) {
+    // Offline: send the current token and let the server decide
+    if (err.status === 0) return token;
+    throw err;
+  }
+};
+
+/**
+ * fetch with the access token. A 401 TOKEN_EXPIRED response is retried once
+ * after refreshing; any other 401 ends the session.
+ * @param {string} url - Request URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Response>}
+ */
+export const authFetch = async (url, options = {}) => {
+  const send = (token) =>
+    fetch(url, {
+      ...options,
+      headers: { ...options.headers, ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    });
+
+  let response = await send(await getFreshAccessToken().catch(() => getAccessToken()));
+  if (response.status !== 401) return response;
+
+  const body = await response.clone().json().catch(() => null);
+  if (body?.error?.code === 'TOKEN_EXPIRED') {
+    try {
+      response = await send(await refreshSession());
+    } catch {
+      return response;
+    }
+    if (response.status !== 401) return response;
+  }
+
+  clearSession();
+  window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+  return response;
+};
+
+/**
+ * Add a stream ticket to a URL for EventSource and WebSocket, which cannot
+ * send headers. Tickets are short-lived and only open streams, so the access
+ * token never goes in a URL; fetch a new one for every (re)connect.
+ * @param {string} url - Absolute or root-relative URL
+ * @returns {Promise<string>}
+ * @throws {Error} - The ticket could not be issued
+ */
+export const withStreamTicket = async (url) => {
+  const response = await authFetch('/api/auth/stream-ticket', { method: 'POST' });
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(body?.error?.message || `Failed to open the stream (${response.status})`);
+  }
+  return `${url}${url.includes('?') ? '&' : '?'}ticket=${encodeURIComponent(body.ticket)}`;
+};
+
+// Pick up the refresh schedule of a session restored from a previous page load
+scheduleRefresh();
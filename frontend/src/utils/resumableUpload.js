@@ -0,0 +1,343 @@
+import { authFetch, getFreshAccessToken, refreshSession } from './auth';
+
+/**
+ * Resumable chunked uploads against /api/videos/uploads
+ *
+ * The upload session id is stored in localStorage under a fingerprint of the
+ * file (name, size, last modified), so selecting the same file again after a
+ * reload resumes from the offset the server last acknowledged.
+ */
+
+const UPLOADS_ENDPOINT = '/api/videos/uploads';
+const STORAGE_PREFIX = 'resumableUpload:';
+const RETRY_DELAYS = [1000, 2000, 5000, 10000, 30000];
+
+/**
+ * Build a stable key for a file across page reloads
+ * @param {File} file - File being uploaded
+ * @returns {string} - localStorage key
+ */
+export const getUploadStorageKey = (file) =>
+  `${STORAGE_PREFIX}${file.name}:${file.size}:${file.lastModified}`;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Error carrying the HTTP status and the API error body, if any
+ */
+export class UploadError extends Error {
+  constructor(message, status = 0, body = null, code = null) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+    this.code = code || body?.error?.code || null;
+    this.details = body?.error?.details || null;
+  }
+
+  /** Network failures and 5xx responses are worth retrying, cancellations are not */
+  get isRetryable() {
+    return !this.isAborted && (this.status === 0 || this.status >= 500);
+  }
+
+  get isAborted() {
+    return this.code === 'ABORTED';
+  }
+
+  /** The session ended; the upload can resume once the user signs in again */
+  get isAuthError() {
+    return this.status === 401;
+  }
+}
+
+const abortedError = () => new UploadError('Upload was cancelled.', 0, null, 'ABORTED');
+
+const parseJson = (text) => {
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * authFetch wrapper that throws UploadError on network failures and non-2xx responses
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object|null>} - Parsed JSON body
+ */
+const request = async (url, options = {}) => {
+  let response;
+  try {
+    response = await authFetch(url, options);
+  } catch {
+    if (options.signal?.aborted) throw abortedError();
+    throw new UploadError('Network error');
+  }
+
+  const body = parseJson(await response.text());
+  if (!response.ok) {
+    throw new UploadError(
+      body?.error?.message || `Upload failed with status ${response.status}`,
+      response.status,
+      body
+    );
+  }
+  return body;
+};
+
+export class ResumableUpload {
+  /**
+   * @param {File} file - File to upload
+   * @param {Object} options
+   * @param {Object} [options.settings] - Processing settings, fixed when the session is created
+   * @param {Object} [options.webhook] - { url, secret } notified when the task finishes
+   * @param {string} [options.priority] - low, normal or high; the server's default when omitted
+   * @param {Object[]} [options.captions] - { file, language, label } SRT/VTT files sent with the video
+   * @param {Function} [options.onSessionCreated] - Called with the new session; only this
+   *   response includes the webhook secret
+   * @param {Function} [options.onProgress] - Called with (bytesUploaded, totalBytes)
+   * @param {Function} [options.onRetry] - Called with (error, attempt, delayMs) before a retry
+   */
+  constructor(
+    file,
+    { settings, webhook, priority, captions = [], onSessionCreated, onProgress, onRetry } = {}
+  ) {
+    this.file = file;
+    this.settings = settings;
+    this.webhook = webhook;
+    this.priority = priority;
+    this.captions = captions;
+    this.onSessionCreated = onSessionCreated;
+    this.onProgress = onProgress;
+    this.onRetry = onRetry;
+    this.storageKey = getUploadStorageKey(file);
+    this.session = null;
+    this.aborted = false;
+    this.xhr = null;
+    this.controller = new AbortController();
+  }
+
+  /**
+   * Session API request that is cancelled along with the upload
+   */
+  request(url, options = {}) {
+    return request(url, { ...options, signal: this.controller.signal });
+  }
+
+  throwIfAborted() {
+    if (this.aborted) throw abortedError();
+  }
+
+  /**
+   * Pick up the session stored for this file, if the server still has it
+   * @returns {Promise<boolean>} - Whether a previous session was resumed
+   */
+  async resumeSession() {
+    const uploadId = localStorage.getItem(this.storageKey);
+    if (!uploadId) return false;
+
+    try {
+      this.session = await this.request(`${UPLOADS_ENDPOINT}/${uploadId}`);
+      return true;
+    } catch (err) {
+      if (err.status === 404) {
+        // Expired or already cleaned up server side, start over
+        localStorage.removeItem(this.storageKey);
+        return false;
+      }
+      throw err;
+    }
+  }
+
+  async createSession() {
+    this.session = await this.request(UPLOADS_ENDPOINT, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        filename: this.file.name,
+        size: this.file.size,
+        mime_type: this.file.type,
+        settings: this.settings,
+        webhook: this.webhook || undefined,
+        priority: this.priority || undefined,
+      }),
+    });
+    localStorage.setItem(this.storageKey, this.session.upload_id);
+    if (this.onSessionCreated) this.onSessionCreated(this.session);
+  }
+
+  /**
+   * Send one chunk with XHR so progress within the chunk can be reported
+   * @param {number} offset - Offset the chunk starts at
+   * @returns {Promise<Object>} - Updated session
+   */
+  async sendChunk(offset) {
+    const token = await getFreshAccessToken().catch(() => null);
+    const chunk = this.file.slice(offset, offset + this.session.chunk_size);
+    const formData = new FormData();
+    formData.append('offset', String(offset));
+    formData.append('chunk', chunk);
+
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      this.xhr = xhr;
+
+      xhr.upload.addEventListener('progress', (e) => {
+        if (e.lengthComputable) {
+          // Multipart overhead makes e.total slightly larger than the chunk
+          const sent = Math.min(e.loaded, chunk.size);
+          this.onProgress?.(offset + sent, this.file.size);
+        }
+      });
+
+      xhr.addEventListener('load', () => {
+        const body = parseJson(xhr.responseText);
+        if (xhr.status >= 200 && xhr.status < 300) {
+          resolve(body);
+        } else {
+          reject(
+            new UploadError(
+              body?.error?.message || `Upload failed with status ${xhr.status}`,
+              xhr.status,
+              body
+            )
+          );
+        }
+      });
+
+      xhr.addEventListener('error', () => reject(new UploadError('Network error')));
+      xhr.addEventListener('abort', () => reject(abortedError()));
+      xhr.addEventListener('loadend', () => {
+        this.xhr = null;
+      });
+
+      xhr.open('PUT', `${UPLOADS_ENDPOINT}/${this.session.upload_id}/chunks`);
+      if (token) xhr.setRequestHeader('Authorization', `Bearer ${token}`);
+      xhr.send(formData);
+    });
+  }
+
+  /**
+   * Upload every remaining chunk, retrying transient failures with backoff
+   */
+  async sendChunks() {
+    let attempt = 0;
+    let refreshed = false;
+
+    while (this.session.offset < this.session.size) {
+      this.throwIfAborted();
+      try {
+        this.session = await this.sendChunk(this.session.offset);
+        this.onProgress?.(this.session.offset, this.file.size);
+        attempt = 0;
+        refreshed = false;
+      } catch (err) {
+        if (err.code === 'OFFSET_MISMATCH' && err.details) {
+          // Server acknowledged a different offset (e.g. the response to a
+          // previous chunk was lost), continue from there
+          this.session = err.details;
+          continue;
+        }
+        if (err.code === 'TOKEN_EXPIRED' && !refreshed) {
+          // The token ran out mid-chunk; send it again with a new one
+          refreshed = true;
+          try {
+            await refreshSession();
+            continue;
+          } catch {
+            throw err;
+          }
+        }
+        if (!err.isRetryable || attempt >= RETRY_DELAYS.length) {
+          throw err;
+        }
+
+        const delay = RETRY_DELAYS[attempt];
+        attempt += 1;
+        this.onRetry?.(err, attempt, delay);
+        await wait(delay);
+        this.throwIfAborted();
+
+        // Re-read the acknowledged offset; the failed chunk may have landed
+        try {
+          this.session = await this.request(`${UPLOADS_ENDPOINT}/${this.session.upload_id}`);
+        } catch (statusErr) {
+          if (!statusErr.isRetryable) throw statusErr;
+        }
+      }
+    }
+  }
+
+  /**
+   * Send the caption files the session does not have yet; a resumed session
+   * already has the ones sent before the interruption
+   */
+  async sendCaptions() {
+    const captionKey = (filename, language) => `${filename}:${(language || '').toLowerCase()}`;
+    const sent = new Set(
+      (this.session.captions || []).map((caption) => captionKey(caption.filename, caption.language))
+    );
+
+    for (const caption of this.captions) {
+      if (sent.has(captionKey(caption.file.name, caption.language))) continue;
+      this.throwIfAborted();
+      const formData = new FormData();
+      formData.append('language', caption.language || '');
+      formData.append('label', caption.label || '');
+      formData.append('file', caption.file);
+      this.session = await this.request(`${UPLOADS_ENDPOINT}/${this.session.upload_id}/captions`, {
+        method: 'POST',
+        body: formData,
+      });
+    }
+  }
+
+  /**
+   * Run the upload to completion
+   * @returns {Promise<Object>} - Response of the complete call
+   */
+  async start() {
+    const resumed = await this.resumeSession();
+    if (!resumed) {
+      await this.createSession();
+    }
+    this.onProgress?.(this.session.offset, this.file.size);
+
+    if (this.session.status !== 'completed') {
+      await this.sendChunks();
+      await this.sendCaptions();
+    }
+
+    this.throwIfAborted();
+    const result = await this.request(`${UPLOADS_ENDPOINT}/${this.session.upload_id}/complete`, {
+      method: 'POST',
+    });
+    localStorage.removeItem(this.storageKey);
+    return result;
+  }
+
+  /**
+   * Stop the upload; a pending start() rejects with an ABORTED UploadError
+   */
+  abort() {
+    this.aborted = true;
+    this.controller.abort();
+    this.xhr?.abort();
+  }
+
+  /**
+   * Abort and discard the server session so the upload cannot be resumed
+   */
+  async cancel() {
+    this.abort();
+    localStorage.removeItem(this.storageKey);
+
+    if (this.session && this.session.status !== 'completed') {
+      try {
+        await request(`${UPLOADS_ENDPOINT}/${this.session.upload_id}`, { method: 'DELETE' });
+      } catch {
+        // The session expires server side anyway
+      }
+    }
+  }
+}
@@ -0,0 +1,117 @@
+import { TASKS_ENDPOINT, toApiParams } from './taskQuery';
+import { authFetch } from './auth';
+
+export const BULK_ACTIONS = {
+  retry: { label: 'Retry', verb: 'retried' },
+  cancel: { label: 'Cancel', verb: 'cancelled' },
+  delete: { label: 'Delete', verb: 'deleted' },
+  download: { label: 'Download', verb: 'prepared for download' },
+};
+
+// Browsers drop downloads started in quick succession
+const DOWNLOAD_INTERVAL_MS = 400;
+
+/**
+ * Run an action on several tasks through POST /api/tasks/batch
+ * @param {string} action - Key of BULK_ACTIONS
+ * @param {Object} selection
+ * @param {string[]} [selection.taskIds] - Explicitly selected tasks
+ * @param {Object} [selection.query] - Task query; every matching task is affected instead
+ * @param {string[]} [selection.excludeIds] - Tasks left out of a query selection
+ * @returns {Promise<Object>} - { action, total, succeeded, failed, results }
+ */
+export const runBulkAction = async (action, { taskIds, query, excludeIds = [] }) => {
+  const body = query
+    ? { action, filter: Object.fromEntries(toApiParams(query)), exclude_ids: excludeIds }
+    : { action, task_ids: taskIds };
+
+  const response = await authFetch(`${TASKS_ENDPOINT}/batch`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error?.message || `${BULK_ACTIONS[action].label} failed (${response.status})`);
+  }
+  return result;
+};
+
+/**
+ * Queue a failed or cancelled task again through POST /api/tasks/:id/retry
+ * @param {string} taskId - Task ID
+ * @param {Object} [settings] - Changed processing settings; the current ones are kept when omitted
+ * @returns {Promise<Object>} - The task, now pending
+ * @throws {Error} - With `code` and `details` from the API error body
+ */
+export const retryTaskWithSettings = async (taskId, settings) => {
+  const response = await authFetch(`${TASKS_ENDPOINT}/${taskId}/retry`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(settings ? { settings } : {}),
+  });
+  const result = await response.json();
+  if (!response.ok) {
+    const error = new Error(result.error?.message || `Retry failed (${response.status})`);
+    error.code = result.error?.code || null;
+    error.details = result.error?.details || null;
+    throw error;
+  }
+  return result;
+};
+
+/**
+ * Change how long a task's files are kept through PATCH /api/tasks/:id/retention
+ * @param {string} taskId - Task ID
+ * @param {Object} changes - Any of keep, source_days, output_days
+ * @returns {Promise<Object>} - The task with its new expiry dates
+ * @throws {Error} - With `code` and `details` from the API error body
+ */
+export const updateTaskRetention = async (taskId, changes) => {
+  const response = await authFetch(`${TASKS_ENDPOINT}/${taskId}/retention`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(changes),
+  });
+  const result = await response.json();
+  if (!response.ok) {
+    const error = new Error(result.error?.message || `Updating retention failed (${response.status})`);
+    error.code = result.error?.code || null;
+    error.details = result.error?.details || null;
+    throw error;
+  }
+  return result;
+};
+
+/**
+ * Start a browser download for every successful result of a bulk download
+ * @param {Object[]} results - Batch results with `download_url` and `file_name`
+ */
+export const startDownloads = (results) => {
+  results
+    .filter((result) => result.ok)
+    .forEach((result, index) => {
+      setTimeout(() => {
+        const link = document.createElement('a');
+        link.href = result.download_url;
+        link.download = result.file_name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+      }, index * DOWNLOAD_INTERVAL_MS);
+    });
+};
+
+/**
+ * Signed, expiring links to a completed task's outputs through GET /api/tasks/:id/artifacts
+ * @param {string} taskId - Task ID
+ * @returns {Promise<{ data: Object[], expires_at: string }>}
+ */
+export const fetchTaskArtifacts = async (taskId) => {
+  const response = await authFetch(`${TASKS_ENDPOINT}/${taskId}/artifacts`);
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error?.message || `Failed to load downloads (${response.status})`);
+  }
+  return result;
+};
@@ -0,0 +1,90 @@
+/**
+ * Task list query state shared between TaskList, the URL and GET /api/tasks
+ */
+
+export const TASKS_ENDPOINT = '/api/tasks';
+export const PAGE_SIZE = 20;
+
+export const DEFAULT_TASK_QUERY = {
+  status: 'all',
+  name: '',
+  sort: 'created_at',
+  order: 'desc',
+  created_from: '', // YYYY-MM-DD, inclusive
+  created_to: '', // YYYY-MM-DD, inclusive
+};
+
+/**
+ * Whether the query narrows the list in any way
+ * @param {Object} query - Task query
+ * @returns {boolean}
+ */
+export const hasActiveFilters = (query) =>
+  query.status !== DEFAULT_TASK_QUERY.status ||
+  query.name !== '' ||
+  query.created_from !== '' ||
+  query.created_to !== '';
+
+/**
+ * Read the task query from the page URL, falling back to defaults
+ * @param {string} [search] - Location search string
+ * @returns {Object} - Task query
+ */
+export const readQueryFromUrl = (search = window.location.search) => {
+  const params = new URLSearchParams(search);
+  return Object.fromEntries(
+    Object.entries(DEFAULT_TASK_QUERY).map(([key, fallback]) => [key, params.get(key) ?? fallback])
+  );
+};
+
+/**
+ * Mirror the task query into the page URL (without adding history entries).
+ * Default values are left out to keep URLs short.
+ * @param {Object} query - Task query
+ */
+export const writeQueryToUrl = (query) => {
+  const params = new URLSearchParams(window.location.search);
+  Object.entries(DEFAULT_TASK_QUERY).forEach(([key, fallback]) => {
+    if (query[key] && query[key] !== fallback) {
+      params.set(key, query[key]);
+    } else {
+      params.delete(key);
+    }
+  });
+
+  const search = params.toString();
+  const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+  window.history.replaceState(window.history.state, '', url);
+};
+
+/**
+ * GET /api/tasks filter and sort parameters for a query (no paging)
+ * @param {Object} query - Task query
+ * @returns {URLSearchParams}
+ */
+export const toApiParams = (query) => {
+  const params = new URLSearchParams({ sort: query.sort, order: query.order });
+  if (query.status !== 'all') params.set('status', query.status);
+  if (query.name.trim()) params.set('name', query.name.trim());
+  // Date inputs are local calendar days; send the matching instants
+  if (query.created_from) {
+    params.set('created_from', new Date(`${query.created_from}T00:00:00`).toISOString());
+  }
+  if (query.created_to) {
+    params.set('created_to', new Date(`${query.created_to}T23:59:59.999`).toISOString());
+  }
+  return params;
+};
+
+/**
+ * Build the GET /api/tasks URL for one page
+ * @param {Object} query - Task query
+ * @param {string|null} [cursor] - page.next_cursor of the previous page
+ * @returns {string}
+ */
+export const buildTasksUrl = (query, cursor = null) => {
+  const params = toApiParams(query);
+  params.set('limit', PAGE_SIZE);
+  if (cursor) params.set('cursor', cursor);
+  return `${TASKS_ENDPOINT}?${params}`;
+};
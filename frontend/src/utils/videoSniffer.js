@@ -0,0 +1,88 @@
+/**
+ * Identify a video container from the first bytes of a file, so validation
+ * does not depend on the extension or on the MIME type the browser guessed.
+ */
+
+const SNIFF_BYTES = 4096;
+
+// Extensions grouped by container family; files within a family are often
+// interchangeable (e.g. an MP4 saved as .mov), so only the family must match
+export const CONTAINER_FAMILIES = {
+  isobmff: ['.mp4', '.mov'],
+  matroska: ['.webm', '.mkv'],
+  riff: ['.avi'],
+};
+
+const startsWith = (bytes, signature, offset = 0) =>
+  signature.every((byte, i) => bytes[offset + i] === byte);
+
+const readAscii = (bytes, start, length) =>
+  String.fromCharCode(...bytes.slice(start, start + length));
+
+const EBML_MAGIC = [0x1a, 0x45, 0xdf, 0xa3];
+const RIFF_MAGIC = [0x52, 0x49, 0x46, 0x46]; // "RIFF"
+
+/**
+ * Find the EBML DocType ("webm" or "matroska") in the header
+ * @param {Uint8Array} bytes - File header
+ * @returns {string|null}
+ */
+const findDocType = (bytes) => {
+  // DocType element id is 0x4282 followed by a one byte size (0x80 | length)
+  for (let i = 0; i < bytes.length - 3; i += 1) {
+    if (bytes[i] === 0x42 && bytes[i + 1] === 0x82) {
+      const length = bytes[i + 2] & 0x7f;
+      return readAscii(bytes, i + 3, length);
+    }
+  }
+  return null;
+};
+
+/**
+ * Read the first bytes of a file
+ * @param {File} file - File to read
+ * @returns {Promise<Uint8Array>}
+ */
+const readHeader = async (file) => {
+  const slice = file.slice(0, SNIFF_BYTES);
+  if (slice.arrayBuffer) {
+    return new Uint8Array(await slice.arrayBuffer());
+  }
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(slice);
+  });
+};
+
+/**
+ * Detect the container of a video file from its magic bytes
+ * @param {File} file - File to inspect
+ * @returns {Promise<Object|null>} - { family, format } or null when unrecognised
+ */
+export const sniffVideoContainer = async (file) => {
+  const bytes = await readHeader(file);
+
+  // ISO base media (MP4/MOV): box size followed by "ftyp", then the major brand
+  if (bytes.length >= 12 && readAscii(bytes, 4, 4) === 'ftyp') {
+    const brand = readAscii(bytes, 8, 4);
+    return { family: 'isobmff', format: brand === 'qt  ' ? 'mov' : 'mp4' };
+  }
+
+  // Older QuickTime files may start with other atoms instead of ftyp
+  if (bytes.length >= 8 && ['moov', 'mdat', 'wide', 'free'].includes(readAscii(bytes, 4, 4))) {
+    return { family: 'isobmff', format: 'mov' };
+  }
+
+  if (startsWith(bytes, EBML_MAGIC)) {
+    const docType = findDocType(bytes);
+    return { family: 'matroska', format: docType === 'webm' ? 'webm' : 'mkv' };
+  }
+
+  if (startsWith(bytes, RIFF_MAGIC) && readAscii(bytes, 8, 4) === 'AVI ') {
+    return { family: 'riff', format: 'avi' };
+  }
+
+  return null;
+};
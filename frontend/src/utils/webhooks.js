@@ -0,0 +1,93 @@
+import { authFetch } from './auth';
+
+const WEBHOOKS_ENDPOINT = '/api/webhooks';
+
+// Keep in sync with backend/src/models/Webhook.js
+export const WEBHOOK_EVENTS = [
+  { value: 'task.completed', label: 'Completed' },
+  { value: 'task.failed', label: 'Failed' },
+  { value: 'task.cancelled', label: 'Cancelled' },
+];
+
+/**
+ * Call the webhooks API
+ * @param {string} path - Path below /api/webhooks
+ * @param {Object} [options]
+ * @param {string} [options.method='GET']
+ * @param {Object} [options.body] - JSON body
+ * @returns {Promise<Object|null>} - Parsed response, null for 204
+ * @throws {Error} - With `code` and `details` from the API error body
+ */
+const request = async (path, { method = 'GET', body } = {}) => {
+  const response = await authFetch(`${WEBHOOKS_ENDPOINT}${path}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (response.status === 204) return null;
+
+  const result = await response.json();
+  if (!response.ok) {
+    const error = new Error(result.error?.message || `Request failed (${response.status})`);
+    error.code = result.error?.code || null;
+    error.details = result.error?.details || null;
+    throw error;
+  }
+  return result;
+};
+
+/**
+ * The user's webhooks, newest first
+ * @returns {Promise<Object[]>}
+ */
+export const listWebhooks = async () => (await request('')).data;
+
+/**
+ * Register a webhook for all of the user's tasks
+ * @param {Object} webhook - { url, events, description, secret }
+ * @returns {Promise<Object>} - The webhook with its secret, which is not returned again
+ */
+export const createWebhook = (webhook) => request('', { method: 'POST', body: webhook });
+
+/**
+ * Change a webhook
+ * @param {string} webhookId
+ * @param {Object} changes - Any of url, events, description, active, secret
+ * @returns {Promise<Object>}
+ */
+export const updateWebhook = (webhookId, changes) =>
+  request(`/${webhookId}`, { method: 'PATCH', body: changes });
+
+/**
+ * Remove a webhook; its deliveries stay in the log
+ * @param {string} webhookId
+ */
+export const deleteWebhook = (webhookId) => request(`/${webhookId}`, { method: 'DELETE' });
+
+/**
+ * Send a `webhook.test` event
+ * @param {string} webhookId
+ * @returns {Promise<Object>} - The queued delivery
+ */
+export const sendTestEvent = (webhookId) => request(`/${webhookId}/test`, { method: 'POST' });
+
+/**
+ * One page of the delivery log, newest first
+ * @param {Object} [filters] - task_id, webhook_id, status, offset, limit
+ * @returns {Promise<Object>} - { data, total, page }
+ */
+export const listDeliveries = (filters = {}) => {
+  const params = new URLSearchParams(
+    Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  );
+  const query = params.toString();
+  return request(`/deliveries${query ? `?${query}` : ''}`);
+};
+
+/**
+ * Send a finished delivery's payload again
+ * @param {string} deliveryId
+ * @returns {Promise<Object>} - The new delivery
+ */
+export const resendDelivery = (deliveryId) =>
+  request(`/deliveries/${deliveryId}/resend`, { method: 'POST' });